@@ -0,0 +1,402 @@
+#!/usr/bin/env node
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { openAsBlob } from "node:fs";
+import { readFile, writeFile } from "node:fs/promises";
+import { dirname } from "node:path";
+import { parseArgs } from "node:util";
+import { DigitalSealCertificate } from "../lib/icao9303/digitalsealcertificate.js";
+import { DigitalSealTrustStore } from "../lib/icao9303/digitalsealtruststore.js";
+import { loadSealSigner } from "../lib/utilities/load-seal-signer.js";
+import { parseRoster } from "../lib/utilities/parse-roster.js";
+import { readProject } from "../lib/utilities/read-project.js";
+import { signSealUsingRNG } from "../lib/utilities/sign-seal-using-rng.js";
+import { validateRoster } from "../lib/utilities/validate-roster.js";
+import { DOCUMENT_TYPES, getDocumentType } from "../lib/node/document-types.js";
+import { describeSeal } from "../lib/node/describe-seal.js";
+import { createFontLoader, createImageLoader, importCanvas } from "../lib/node/canvas-loaders.js";
+import { createIssuanceServer } from "../lib/node/issuance-server.js";
+
+/**
+ * `alfa-id`: render, inspect, and validate documents from the command line.
+ *     Run `node bin/alfa-id.js --help` for usage.
+ */
+
+const USAGE = `Usage: alfa-id <command> [options]
+
+Commands:
+  render <type> --data <file> --out <front.png> [<back.png>]
+      Sign a document's seal and render the document as PNG images. Needs
+      the '@napi-rs/canvas' or 'canvas' package.
+  mrz <type> --data <file>
+      Print the machine-readable zone of a document.
+  seal decode [<base45>]
+      Print the header, message, and signature zones of a digital seal given
+      as a base-45 string or on standard input.
+  validate <type> --data <file>
+      Check every property of every document in a JSON or CSV roster.
+  serve [--port <port>] [--host <host>]
+      Run the issuance service: a REST API that renders and signs documents,
+      verifies seals, and parses machine-readable zones.
+
+Options:
+  --data <file>  A JSON file of constructor options, a project file exported
+                 from a generator page, or (for validate) a JSON or CSV
+                 roster.
+  --out <file>   A PNG file to write. Give a second file for the back.
+  --key <file>   A PEM file of a PKCS #8 ECDSA private key to sign seals
+                 with. Seals are "signed" with random numbers without one.
+  --certificate <file>
+                 A PEM file of the barcode signer certificate issued for
+                 '--key'. Its identifier code and certificate reference are
+                 written into the seals.
+  --json         Print 'seal decode' output as JSON.
+  --trust <file> A PEM file of a signer certificate for 'serve' to trust
+                 when verifying seals. Can be given more than once.
+  --port <port>  The port for 'serve' to listen on. Defaults to 8080.
+  --host <host>  The address for 'serve' to listen on. Defaults to
+                 127.0.0.1.
+  -h, --help     Print this help.
+
+Types: ${Object.keys(DOCUMENT_TYPES).join(", ")}`;
+
+/**
+ * Run a command and return the exit code.
+ * @param { string[] } args - The command-line arguments after the script.
+ */
+async function main(args) {
+  const { values, positionals } = parseArgs({
+    args: args,
+    allowPositionals: true,
+    options: {
+      data: { type: "string" },
+      out: { type: "string", multiple: true },
+      key: { type: "string" },
+      certificate: { type: "string" },
+      json: { type: "boolean" },
+      trust: { type: "string", multiple: true },
+      port: { type: "string", default: "8080" },
+      host: { type: "string", default: "127.0.0.1" },
+      help: { type: "boolean", short: "h" }
+    }
+  });
+  const [COMMAND, ...operands] = positionals;
+  if (values.help || COMMAND === undefined) {
+    console.log(USAGE);
+    return 0;
+  }
+  switch (COMMAND) {
+    case "render":
+      return render(operands, values);
+    case "mrz":
+      return printMRZ(operands, values);
+    case "seal":
+      if (operands[0] !== "decode") {
+        throw new TypeError("The only 'seal' command is 'seal decode'.");
+      }
+      return printSeal(operands.slice(1), values);
+    case "validate":
+      return validate(operands, values);
+    case "serve":
+      return serve(values);
+    default:
+      throw new TypeError(
+        `Command '${COMMAND}' must be 'render', 'mrz', 'seal decode', ` +
+            `'validate', or 'serve'.`
+      );
+  }
+}
+
+/**
+ * Read a data file of constructor options for a document type's model, or a
+ *     project file with the options of its model and renderer.
+ * @param { { model: function(new: Object) } } type
+ * @param { string } path
+ * @returns { Promise<{ model: Object, renderer: Object }> }
+ */
+async function readDocumentData(type, path) {
+  if (!path) {
+    throw new TypeError("A data file must be given with '--data <file>'.");
+  }
+  const DATA = JSON.parse(await readFile(path, "utf8"));
+  if (DATA?.format !== "alfa-id-project") {
+    return { model: DATA, renderer: {} };
+  }
+  const PROJECT = readProject(DATA, type.model.name);
+  return { model: PROJECT.model, renderer: PROJECT.renderer ?? {} };
+}
+
+/**
+ * Create a document from constructor options, reporting every invalid
+ *     property at once.
+ * @param { { model: function(new: Object) } } type
+ * @param { Object } options
+ */
+function createDocument(type, options) {
+  const VALIDATION = validateRoster([options], type.model, {
+    requireNumber: false
+  });
+  if (!VALIDATION.valid) {
+    throw new TypeError(
+      "The document is not valid:\n" +
+          VALIDATION.errors.map(formatError).join("\n")
+    );
+  }
+  return VALIDATION.models[0];
+}
+
+/**
+ * Read the private key given with '--key <file>' and the certificate issued
+ *     for it given with '--certificate <file>'.
+ * @param { Object } values
+ * @returns { Promise<DigitalSealSigner | null> } `null` without '--key'.
+ */
+async function readSealSigner(values) {
+  if (!values.key) {
+    if (values.certificate) {
+      throw new TypeError(
+        "A certificate was given without a private key ('--key <file>')."
+      );
+    }
+    return null;
+  }
+  if (!values.certificate) {
+    throw new TypeError(
+      "The barcode signer certificate issued for the private key must be " +
+          "given with '--certificate <file>'."
+    );
+  }
+  return await loadSealSigner(
+    await openAsBlob(values.key),
+    await openAsBlob(values.certificate)
+  );
+}
+
+/**
+ * Format a validation error from `validateRoster()` for printing.
+ * @param { { row: number, property: string | null, message: string } } error
+ */
+function formatError(error) {
+  return `  Row ${error.row}` +
+      (error.property ? `, ${error.property}` : "") + `: ${error.message}`;
+}
+
+/**
+ * `render <type> --data <file> --out <front.png> [<back.png>]`
+ * @param { string[] } operands
+ * @param { Object } values
+ */
+async function render(operands, values) {
+  const TYPE = getDocumentType(operands[0]);
+  const OUTPUTS = [...(values.out ?? []), ...operands.slice(1)];
+  if (OUTPUTS.length === 0 || OUTPUTS.length > 2) {
+    throw new RangeError(
+      "One or two output files must be given with '--out <front.png> " +
+          "[<back.png>]'."
+    );
+  }
+  if (OUTPUTS.length === 2 && !TYPE.renderer.prototype.generateCardBack) {
+    throw new RangeError(
+      `Type '${operands[0]}' has no back to render to '${OUTPUTS[1]}'.`
+    );
+  }
+  const DATA = await readDocumentData(TYPE, values.data);
+  const model = createDocument(TYPE, DATA.model);
+
+  const CANVAS = await importCanvas();
+  const renderer = new TYPE.renderer({
+    ...DATA.renderer,
+    createCanvas: (width, height) => CANVAS.createCanvas(width, height),
+    loadImage: createImageLoader(CANVAS.loadImage, {
+      baseDirectory: dirname(values.data)
+    }),
+    loadFonts: createFontLoader(CANVAS.registerFont, {
+      formats: CANVAS.fontFormats
+    })
+  });
+
+  const signer = await readSealSigner(values);
+  if (signer) {
+    await signer.sign(model);
+  } else {
+    await signSealUsingRNG(model);
+    console.error(
+      "alfa-id: The seal was signed with random numbers. Give a private key " +
+          "and its certificate with '--key <file> --certificate <file>' to " +
+          "sign it."
+    );
+  }
+
+  await renderer.loadCanvasFonts();
+  const CANVASES = [await renderer.generateCardFront(model)];
+  if (OUTPUTS.length === 2) {
+    CANVASES.push(await renderer.generateCardBack(model));
+  }
+  for (const [i, canvas] of CANVASES.entries()) {
+    await writeFile(OUTPUTS[i], canvas.toBuffer("image/png"));
+    console.log(OUTPUTS[i]);
+  }
+  return 0;
+}
+
+/**
+ * `mrz <type> --data <file>`
+ * @param { string[] } operands
+ * @param { Object } values
+ */
+async function printMRZ(operands, values) {
+  const TYPE = getDocumentType(operands[0]);
+  const DATA = await readDocumentData(TYPE, values.data);
+  const model = createDocument(TYPE, DATA.model);
+  for (const LINE of [model.mrzLine1, model.mrzLine2, model.mrzLine3]) {
+    if (LINE !== undefined) {
+      console.log(LINE);
+    }
+  }
+  return 0;
+}
+
+/**
+ * `seal decode [<base45>]`
+ * @param { string[] } operands
+ * @param { Object } values
+ */
+async function printSeal(operands, values) {
+  const BASE45 = operands[0] ?? await readStandardInput();
+  const OUTPUT = describeSeal(BASE45.trim());
+  if (values.json) {
+    console.log(JSON.stringify(OUTPUT, null, 2));
+    return 0;
+  }
+
+  const LINES = [
+    `Version: ${OUTPUT.version}`,
+    "Header zone:",
+    `  Authority code: ${OUTPUT.headerZone.authorityCode}`,
+    `  Identifier code: ${OUTPUT.headerZone.identifierCode}`,
+    `  Certificate reference: ${OUTPUT.headerZone.certReference}`,
+    `  Issue date: ${OUTPUT.headerZone.issueDate}`,
+    `  Signature date: ${OUTPUT.headerZone.signatureDate}`,
+    `  Feature definition: ${toHexByte(OUTPUT.headerZone.featureDefinition)}`,
+    `  Document type category: ${toHexByte(OUTPUT.headerZone.typeCategory)}`,
+    `  Bytes: ${OUTPUT.headerZone.bytes}`,
+    "Message zone:",
+    ...OUTPUT.messageZone.features.map((feature) => {
+      return `  Feature ${toHexByte(feature.tag)} (${feature.length} ` +
+          `bytes): ${feature.value}`;
+    }),
+    "Signature zone:",
+    `  Signature data (${OUTPUT.signatureZone.length} bytes): ` +
+        OUTPUT.signatureZone.signatureData,
+    OUTPUT.document ?
+        `Document: ${OUTPUT.document.type}` :
+        `Document: Not decoded (${OUTPUT.documentError})`,
+    ...(OUTPUT.document ?
+      ["Machine-readable zone:", ...OUTPUT.document.machineReadableZone.map(
+        (line) => `  ${line}`
+      )] : [])
+  ];
+  console.log(LINES.join("\n"));
+  return 0;
+}
+
+/**
+ * `validate <type> --data <file>`
+ * @param { string[] } operands
+ * @param { Object } values
+ */
+async function validate(operands, values) {
+  const TYPE = getDocumentType(operands[0]);
+  if (!values.data) {
+    throw new TypeError("A data file must be given with '--data <file>'.");
+  }
+  const TEXT = await readFile(values.data, "utf8");
+  let rows;
+  if (/^\s*\{/.test(TEXT)) {
+    rows = [(await readDocumentData(TYPE, values.data)).model];
+  } else {
+    rows = parseRoster(TEXT);
+  }
+  const VALIDATION = validateRoster(rows, TYPE.model);
+  if (!VALIDATION.valid) {
+    console.log(
+      `${VALIDATION.errors.length} error(s) in ${rows.length} row(s):\n` +
+          VALIDATION.errors.map(formatError).join("\n")
+    );
+    return 1;
+  }
+  console.log(`All ${rows.length} row(s) are valid.`);
+  return 0;
+}
+
+/**
+ * `serve [--port <port>] [--host <host>]`
+ * @param { Object } values
+ */
+async function serve(values) {
+  const PORT = Number(values.port);
+  if (!Number.isInteger(PORT) || PORT < 0 || PORT > 65535) {
+    throw new RangeError(`Port '${values.port}' must be from 0 to 65535.`);
+  }
+  const signer = await readSealSigner(values);
+  const CERTIFICATES = [];
+  for (const PATH of values.trust ?? []) {
+    CERTIFICATES.push(
+      await DigitalSealCertificate.fromPEM(await readFile(PATH, "utf8"))
+    );
+  }
+  const server = createIssuanceServer({
+    signer: signer,
+    trustStore: new DigitalSealTrustStore({ certificates: CERTIFICATES })
+  });
+  await new Promise((resolve, reject) => {
+    server.once("error", reject);
+    server.listen(PORT, values.host, resolve);
+  });
+  const ADDRESS = server.address();
+  console.log(
+    `alfa-id: Listening on http://${values.host}:${ADDRESS.port}/ with ` +
+        `${CERTIFICATES.length} trusted certificate(s).`
+  );
+  if (!signer) {
+    console.error(
+      "alfa-id: Seals will be signed with random numbers. Give a private " +
+          "key and its certificate with '--key <file> --certificate <file>' " +
+          "to sign them."
+    );
+  }
+  return 0;
+}
+
+/**
+ * Write a byte as two uppercase hexadecimal digits.
+ * @param { number } byte
+ */
+function toHexByte(byte) {
+  return byte.toString(16).padStart(2, "0").toUpperCase();
+}
+
+/**
+ * Read all of standard input as a string.
+ */
+async function readStandardInput() {
+  if (process.stdin.isTTY) {
+    throw new TypeError(
+      "A base-45 seal must be given as an argument or on standard input."
+    );
+  }
+  let text = "";
+  process.stdin.setEncoding("utf8");
+  for await (const CHUNK of process.stdin) {
+    text += CHUNK;
+  }
+  return text;
+}
+
+main(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+}, (error) => {
+  console.error(`alfa-id: ${error.message}`);
+  process.exitCode = 1;
+});
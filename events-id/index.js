@@ -0,0 +1,12 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: CC0-1.0
+
+import { EventsIDViewModel } from "../lib/eventsid-viewmodel.js";
+
+window.addEventListener("load", initViewModel, false);
+
+let viewModel;
+async function initViewModel() {
+  viewModel = new EventsIDViewModel();
+  await viewModel.initialize(document);
+}
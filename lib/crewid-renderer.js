@@ -4,12 +4,15 @@
 import { CrewID } from "./crewid.js";
 import { encode as toBase45 } from "./base45-ts/base45.js";
 import { toCanvas as toQRCanvas } from "./qrcode-lite/qrcode.mjs";
+import { toCanvas as toDataMatrixCanvas } from "./datamatrix/datamatrix.js";
 import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
 import { fitImageInArea } from "./utilities/fit-image-in-area.js";
 import { fillAreaWithImage } from "./utilities/fill-area-with-image.js";
 import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
 import { dateToVIZ } from "./utilities/date-to-viz.js";
-import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD1_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, employerHeader, expirationDateHeader, nameHeader } from "./utilities/renderer-variables.js";
+import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD1_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, employerHeader, expirationDateHeader, nameHeader, MRZ_FONT_FACE, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_ITALIC_FONT_FACE } from "./utilities/renderer-variables.js";
 
 /**
  * `CrewIDRenderer` takes a `CrewID` object and returns a `HTMLCanvasElement`
@@ -69,6 +72,8 @@ export class CrewIDRenderer {
    *     the rendered canvas.
    * @param { boolean } [opt.useDigitalSeal] - Toggles storing a visible digital
    *     seal (VDS) on the back barcode in place of a URL.
+   * @param { string } [opt.sealBarcodeFormat] - The barcode symbology of the
+   *     digital seal: 'qr' or 'datamatrix'.
    * @param { string } [opt.additionalElements] - Additional text to display on
    *     the back of the ID badge.
    * @param { string } [opt.badgeType] - The main badge type, displayed
@@ -87,6 +92,16 @@ export class CrewIDRenderer {
    *     additional elements property: ['primary', 'language 1', 'language 2'].
    * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
    *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
    */
   constructor(opt) {
     this.barcodeDarkColor = opt?.barcodeDarkColor ?? BARCODE_DARK_COLOR;
@@ -112,6 +127,7 @@ export class CrewIDRenderer {
     this.showGuides = opt?.showGuides ?? false;
     this.showPunchSlot = opt?.showPunchSlot ?? false;
     this.useDigitalSeal = opt?.useDigitalSeal ?? false;
+    this.sealBarcodeFormat = opt?.sealBarcodeFormat ?? "qr";
     this.additionalElements = opt?.additionalElements ?? "XXXXXXXXXXXXXXXXXXXX" +
         "XXXXXXXXXXXXXXX\nXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX\nXXXXXXXXXXXXXX" +
         "XXXXXXXXXXXXXXXXXXXXX\nXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXXX\nXXXXXXXX" +
@@ -135,6 +151,9 @@ export class CrewIDRenderer {
       "ELEMENTOS ADICIONALES OPCIONALES"
     ];
     this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
   }
 
   /**
@@ -289,6 +308,14 @@ export class CrewIDRenderer {
    * @type { boolean }
    */
   useDigitalSeal;
+
+  /**
+   * The barcode symbology of the digital seal: 'qr' for a QR code of its
+   *     Base45 text, or 'datamatrix' for a DataMatrix of its bytes as specified
+   *     in ICAO 9303 part 13.
+   * @type { string }
+   */
+  sealBarcodeFormat;
   
   /**
    * Additional text to display on the back of the ID badge.
@@ -348,26 +375,36 @@ export class CrewIDRenderer {
    */
   fonts;
 
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
   // Font information used in card generation.
-  static #mrzFontFace = new FontFace(
-    "OCR-B",
-    "url('/fonts/OCR-B-regular-web.woff2') format('woff2')," +
-    "url('/fonts/OCR-B-regular-web.woff') format('woff')"
-  );
-  static #vizFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')"
-  );
-  static #vizBoldFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')",
-    { weight: "bold" }
-  );
-  static #vizItalicFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Italic-Variable.ttf')",
-    { style: "italic" }
-  );
+  static #mrzFontFace = MRZ_FONT_FACE;
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static #vizItalicFontFace = VIZ_ITALIC_FONT_FACE;
   static get #badgeTypeFont() {
     return `bold 52px ${this.#vizFontFace.family}`;
   }
@@ -432,6 +469,8 @@ export class CrewIDRenderer {
   static get cutCardArea() { return [640, 1020]; }
   static #bleed = 16;
   static #safe = 48;
+  // DataMatrix symbols are scaled to fit the width of the version 9 QR code.
+  static #dataMatrixWidth = 212;
   static #photoUnderlayArea = [386, 673];
   static #photoArea = [338, 451];
   static #logoUnderlayArea = [417, 71];
@@ -442,45 +481,44 @@ export class CrewIDRenderer {
   static #backLogoArea = [337, 39];
   static #smallLogoArea = [103, 103];
 
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadImage", "loadFonts"].includes(key);
+    }));
+  }
+
   /** Load the fonts used by this renderer. */
   async loadCanvasFonts() {
-    this.fonts.add(CrewIDRenderer.#mrzFontFace);
-    this.fonts.add(CrewIDRenderer.#vizFontFace);
-    this.fonts.add(CrewIDRenderer.#vizBoldFontFace);
-    this.fonts.add(CrewIDRenderer.#vizItalicFontFace);
-    await Promise.all([
-      CrewIDRenderer.#mrzFontFace.load(),
-      CrewIDRenderer.#vizFontFace.load(),
-      CrewIDRenderer.#vizBoldFontFace.load(),
-      CrewIDRenderer.#vizItalicFontFace.load()
-    ]);
+    await this.loadFonts([
+      CrewIDRenderer.#mrzFontFace,
+      CrewIDRenderer.#vizFontFace,
+      CrewIDRenderer.#vizBoldFontFace,
+      CrewIDRenderer.#vizItalicFontFace
+    ], this.fonts);
   }
 
   /**
    * Generate the front image and return the canvas.
    * @param { CrewID } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardFront(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = CrewIDRenderer.#cardArea[0];
-      canvas.height = CrewIDRenderer.#cardArea[1];
-    }
-    else {
-      canvas = new OffscreenCanvas(
-        CrewIDRenderer.#cardArea[0],
-        CrewIDRenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      CrewIDRenderer.#cardArea[0],
+      CrewIDRenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
 
     const images = await Promise.all([
       this.frontBackgroundImage ?
-          loadImageFromURL(this.frontBackgroundImage) : null,
-      toQRCanvas(model.url, {
+          this.loadImage(this.frontBackgroundImage) : null,
+      toQRCanvas(this.createCanvas(1, 1), model.url, {
         errorCorrectionLevel: this.frontBarcodeErrorCorrection,
         margin: 0,
         width: CrewIDRenderer.#frontQRCodeArea[0],
@@ -489,8 +527,8 @@ export class CrewIDRenderer {
           light: this.barcodeLightColor
         }
       }),
-      loadImageFromURL(model.photo),
-      this.logo ? loadImageFromURL(this.logo) : null
+      this.loadImage(model.photo),
+      this.logo ? this.loadImage(this.logo) : null
     ]);
 
     ctx.fillStyle = this.frontBackgroundColor;
@@ -652,21 +690,14 @@ export class CrewIDRenderer {
   /**
    * Generate the back image and return the canvas.
    * @param { CrewID } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardBack(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = CrewIDRenderer.#cardArea[0];
-      canvas.height = CrewIDRenderer.#cardArea[1];
-    }
-    else {
-      canvas = new OffscreenCanvas(
-        CrewIDRenderer.#cardArea[0],
-        CrewIDRenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      CrewIDRenderer.#cardArea[0],
+      CrewIDRenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
     ctx.translate(CrewIDRenderer.#cardArea[0], 0);
@@ -677,20 +708,29 @@ export class CrewIDRenderer {
 
     const images = await Promise.all([
       this.backBackgroundImage ?
-          loadImageFromURL(this.backBackgroundImage) : null,
+          this.loadImage(this.backBackgroundImage) : null,
       this.mrzBackgroundImage ?
-          loadImageFromURL(this.mrzBackgroundImage) : null,
-      toQRCanvas(barcode, {
-        errorCorrectionLevel: this.backBarcodeErrorCorrection,
-        version: 9,
-        margin: 0,
-        color: {
-          dark: this.barcodeDarkColor,
-          light: this.barcodeLightColor
-        }
-      }),
-      this.logo ? loadImageFromURL(this.logo) : null,
-      this.smallLogo ? loadImageFromURL(this.smallLogo) : null
+          this.loadImage(this.mrzBackgroundImage) : null,
+      this.useDigitalSeal && this.sealBarcodeFormat === "datamatrix" ?
+          toDataMatrixCanvas(this.createCanvas(1, 1), model.signedSeal, {
+            width: CrewIDRenderer.#dataMatrixWidth,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }) :
+          toQRCanvas(this.createCanvas(1, 1), barcode, {
+            errorCorrectionLevel: this.backBarcodeErrorCorrection,
+            version: 9,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }),
+      this.logo ? this.loadImage(this.logo) : null,
+      this.smallLogo ? this.loadImage(this.smallLogo) : null
     ]);
 
     ctx.fillStyle = this.backBackgroundColor;
@@ -4,10 +4,16 @@
 import { CrewID } from "./crewid.js";
 import { CrewIDRenderer } from "./crewid-renderer.js";
 import { loadFileFromUpload } from "./utilities/load-file-from-upload.js";
+import { imageToDataURL } from "./utilities/image-to-data-url.js";
+import { PROJECT_VERSION, readProject } from "./utilities/read-project.js";
 import { signSealUsingRNG } from "./utilities/sign-seal-using-rng.js";
+import { exportPDF } from "./utilities/export-pdf.js";
+import { loadSealSigner } from "./utilities/load-seal-signer.js";
+import { dateToCalendarDate } from "./icao9303/utilities/date-to-calendar-date.js";
 import { validateMRZString } from "./icao9303/utilities/validate-mrz-string.js";
 import { validateHexString } from "./icao9303/utilities/validate-hex-string.js";
 import { validateIdentifierCode } from "./icao9303/utilities/validate-identifier-code.js";
+import { transliterateFullName } from "./icao9303/utilities/transliterate-full-name.js";
 
 /**
  * While not a proper "ViewModel", this loads the initial state of the model,
@@ -42,11 +48,14 @@ export class CrewIDViewModel {
     smallLogo: "/smallLogos/alfa-bw.svg",
   });
 
+  #sealSigner = null;
   #inputTimeout = null;
   #frontFallback;
   #backFallback;
   #frontBlobURL = null;
   #backBlobURL = null;
+  #pdfBlobURL = null;
+  #projectBlobURL = null;
 
   /** @type { Document } */ #document;
   /** @param { Document } document */
@@ -156,11 +165,14 @@ export class CrewIDViewModel {
     this.#fullNameInput.setAttribute("placeholder", this.#model.fullName);
     this.#fullNameInput.addEventListener("input", this, false);
     this.#fullNameInput.addEventListener("change", this, false);
+    this.#showFullNameTruncation();
   }
   onFullNameInputChange() {
+    const fullName = transliterateFullName(this.#fullNameInput.value);
     if (this.#fullNameInput.checkValidity() &&
-    this.#model.fullName !== this.#fullNameInput.value) {
-      this.#model.fullName = this.#fullNameInput.value;
+    this.#model.fullName !== fullName) {
+      this.#model.fullName = fullName;
+      this.#showFullNameTruncation();
       this.#generateCard();
     }
   }
@@ -236,7 +248,9 @@ export class CrewIDViewModel {
   onCertReferenceInputChange() {
     this.#certReferenceInput.setCustomValidity(
       validateHexString(this.#certReferenceInput.value, {
-        minimum: 1
+        // Version 3 seals use certificate references of exactly 5 characters.
+        minimum: this.#model.sealVersion === 3 ? 5 : 1,
+        maximum: this.#model.sealVersion === 3 ? 5 : null
       })
     );
     if (this.#certReferenceInput.reportValidity() &&
@@ -259,6 +273,38 @@ export class CrewIDViewModel {
     this.#generateCard();
   }
 
+  /** @type { HTMLInputElement } */ #sealSignatureInput;
+  /** @param { HTMLInputElement } input */
+  set sealSignatureInput(input) {
+    this.#sealSignatureInput = input;
+    this.#sealSignatureInput.value = this.#sealSigner ? "SIGNED WITH PRIVATE KEY"
+        : "RANDOMLY GENERATED";
+  }
+
+  /** @type { HTMLInputElement } */ #sealSigningKeyInput;
+  /** @param { HTMLInputElement } input */
+  set sealSigningKeyInput(input) {
+    this.#sealSigningKeyInput = input;
+    this.#sealSigningKeyInput.setAttribute("accept", ".pem,.key,.p8");
+    this.#sealSigningKeyInput.addEventListener("change", this, false);
+    this.#sealSigningKeyInput.setAttribute("disabled", "disabled");
+  }
+  async onSealSigningKeyInputChange() {
+    await this.#updateSealSigner();
+  }
+
+  /** @type { HTMLInputElement } */ #sealSigningCertificateInput;
+  /** @param { HTMLInputElement } input */
+  set sealSigningCertificateInput(input) {
+    this.#sealSigningCertificateInput = input;
+    this.#sealSigningCertificateInput.setAttribute("accept", ".pem,.crt,.cer,.der");
+    this.#sealSigningCertificateInput.addEventListener("change", this, false);
+    this.#sealSigningCertificateInput.setAttribute("disabled", "disabled");
+  }
+  async onSealSigningCertificateInputChange() {
+    await this.#updateSealSigner();
+  }
+
   /** @type { HTMLInputElement } */ #employerCodeInput;
   /** @param { HTMLInputElement } input */
   set employerCodeInput(input) {
@@ -653,11 +699,11 @@ export class CrewIDViewModel {
   /** @param { HTMLInputElement } input */
   set showPunchSlotInput(input) {
     this.#showPunchSlotInput = input;
+    this.#showPunchSlotInput.checked = this.#renderer.showPunchSlot;
     this.#showPunchSlotInput.addEventListener("change", this, false);
   }
   onShowPunchSlotInputChange() {
-    if (this.#renderer.showPunchSlot) { this.#renderer.showPunchSlot = false; }
-    else { this.#renderer.showPunchSlot = true; }
+    this.#renderer.showPunchSlot = this.#showPunchSlotInput.checked;
     this.#generateCard();
   }
 
@@ -956,11 +1002,11 @@ export class CrewIDViewModel {
   /** @param { HTMLInputElement } input */
   set showGuidesInput(input) {
     this.#showGuidesInput = input;
+    this.#showGuidesInput.checked = this.#renderer.showGuides;
     this.#showGuidesInput.addEventListener("change", this, false);
   }
   onShowGuidesInputChange() {
-    if (this.#renderer.showGuides) { this.#renderer.showGuides = false; }
-    else { this.#renderer.showGuides = true; }
+    this.#renderer.showGuides = this.#showGuidesInput.checked;
     this.#generateCard();
   }
 
@@ -971,26 +1017,105 @@ export class CrewIDViewModel {
     this.#useDigitalSealInput.addEventListener("change", this, false);
   }
   onUseDigitalSealInputChange() {
-    if (this.#renderer.useDigitalSeal) {
-      this.#renderer.useDigitalSeal = false;
-      this.#issueDateInput.setAttribute("disabled", "disabled");
-      this.#identifierInput.setAttribute("disabled", "disabled");
-      this.#certReferenceInput.setAttribute("disabled", "disabled");
-      this.#sealSignatureDateInput.setAttribute("disabled", "disabled");
-      this.#employerCodeInput.setAttribute("disabled", "disabled");
+    this.#renderer.useDigitalSeal = this.#useDigitalSealInput.checked;
+    this.#updateDigitalSealInputs();
+    this.#generateCard();
+  }
+
+  /** @type { HTMLSelectElement } */ #sealBarcodeFormatInput;
+  /** @param { HTMLSelectElement } input */
+  set sealBarcodeFormatInput(input) {
+    this.#sealBarcodeFormatInput = input;
+    this.#sealBarcodeFormatInput.value = this.#renderer.sealBarcodeFormat;
+    this.#sealBarcodeFormatInput.addEventListener("change", this, false);
+    this.#sealBarcodeFormatInput.setAttribute("disabled", "disabled");
+  }
+  onSealBarcodeFormatInputChange() {
+    this.#renderer.sealBarcodeFormat = this.#sealBarcodeFormatInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLSelectElement } */ #sealVersionInput;
+  /** @param { HTMLSelectElement } input */
+  set sealVersionInput(input) {
+    this.#sealVersionInput = input;
+    this.#sealVersionInput.value = this.#model.sealVersion;
+    this.#sealVersionInput.addEventListener("change", this, false);
+    this.#sealVersionInput.setAttribute("disabled", "disabled");
+  }
+  onSealVersionInputChange() {
+    try {
+      this.#model.sealVersion = Number(this.#sealVersionInput.value);
+      this.#sealVersionInput.setCustomValidity("");
     }
-    else {
-      this.#renderer.useDigitalSeal = true;
-      this.#issueDateInput.removeAttribute("disabled");
-      this.#identifierInput.removeAttribute("disabled");
-      this.#certReferenceInput.removeAttribute("disabled");
-      this.#sealSignatureDateInput.removeAttribute("disabled");
-      this.#employerCodeInput.removeAttribute("disabled");
+    catch (error) {
+      this.#sealVersionInput.setCustomValidity(error.message);
+    }
+    if (this.#sealVersionInput.reportValidity()) {
+      this.#generateCard();
     }
-    this.#generateCard();
   }
 
   // Public methods
+  /**
+   * The signer used to sign the document's visible digital seal (VDS), or
+   *     `null` to fill the signature with random numbers.
+   * @type { DigitalSealSigner | null }
+   */
+  get sealSigner() { return this.#sealSigner; }
+  /** @param { DigitalSealSigner | null } signer */
+  set sealSigner(signer) {
+    this.#sealSigner = signer;
+    if (this.#sealSignatureInput) {
+      this.#sealSignatureInput.value = signer ? "SIGNED WITH PRIVATE KEY"
+          : "RANDOMLY GENERATED";
+    }
+    // The signer writes the certificate's fields and the signing date.
+    for (const input of [
+      this.#identifierInput,
+      this.#certReferenceInput,
+      this.#sealSignatureDateInput
+    ]) {
+      if (input) { input.readOnly = signer !== null; }
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #importProjectInput;
+  /** @param { HTMLInputElement } input */
+  set importProjectInput(input) {
+    this.#importProjectInput = input;
+    this.#importProjectInput.setAttribute("accept", "application/json,.json");
+    this.#importProjectInput.addEventListener("change", this, false);
+  }
+  async onImportProjectInputChange() {
+    if (!this.#importProjectInput.files[0]) { return; }
+    let project;
+    let model;
+    try {
+      project = readProject(
+        JSON.parse(await this.#importProjectInput.files[0].text()),
+        "CrewID"
+      );
+      model = CrewID.fromJSON(project.model);
+    }
+    catch (error) {
+      this.#importProjectInput.setCustomValidity(error.message);
+      this.#importProjectInput.reportValidity();
+      return;
+    }
+    this.#importProjectInput.setCustomValidity("");
+    this.#model = model;
+    this.#renderer = new CrewIDRenderer({
+      ...project.renderer,
+      fonts: this.#renderer.fonts,
+      createCanvas: this.#renderer.createCanvas,
+      loadImage: this.#renderer.loadImage,
+      loadFonts: this.#renderer.loadFonts
+    });
+    this.#initializeInputs();
+    await this.#generateCard();
+  }
+
   /** @param { Event } e */
   handleEvent(e) {
     const field = `${e.target.id[0].toUpperCase()}${e.target.id.slice(1)}`;
@@ -1013,6 +1138,29 @@ export class CrewIDViewModel {
     this.#frontFallback = this.#document.getElementById("offscreen-front");
     this.#backFallback = this.#document.getElementById("offscreen-back");
     await this.#generateCard();
+    this.#initializeInputs();
+    this.#document.getElementById("exportProject").addEventListener(
+      "click",
+      () => { this.#exportProject(); },
+      false
+    );
+    this.#document.getElementById("downloadPDF").addEventListener(
+      "click",
+      () => { this.#downloadPDF(); },
+      false
+    );
+  }
+
+  // Private methods
+  #showFullNameTruncation() {
+    const notice = this.#document.getElementById("fullNameTruncation");
+    notice.hidden = !this.#model.isFullNameTruncated;
+    notice.textContent = this.#model.isFullNameTruncated ?
+        "This name is too long for the MRZ and will appear as " +
+        `${this.#model.mrzLine3.replace(/<+$/, "")}.` : "";
+  }
+
+  #initializeInputs() {
     const inputFields = [
       "typeCode",
       "authorityCode",
@@ -1064,18 +1212,81 @@ export class CrewIDViewModel {
       "additionalElementsHeaderI18n2",
       "showGuides",
       "useDigitalSeal",
+      "sealBarcodeFormat",
+      "sealVersion",
       "identifier",
       "certReference",
       "issueDate",
+      "sealSignature",
+      "sealSigningKey",
+      "sealSigningCertificate",
       "sealSignatureDate",
-      "employerCode"
+      "employerCode",
+      "importProject"
     ];
     for (const elementID of inputFields) {
       this[`${elementID}Input`] = this.#document.getElementById(elementID);
     }
+    this.#updateDigitalSealInputs();
+  }
+
+  // Enables the inputs of the visible digital seal (VDS) when it is used, and
+  // the inputs it replaces when it is not.
+  #updateDigitalSealInputs() {
+    const USE_DIGITAL_SEAL = this.#renderer.useDigitalSeal;
+    this.#useDigitalSealInput.checked = USE_DIGITAL_SEAL;
+    for (const input of [
+      this.#issueDateInput,
+      this.#identifierInput,
+      this.#certReferenceInput,
+      this.#sealSignatureDateInput,
+      this.#sealSigningKeyInput,
+      this.#sealSigningCertificateInput,
+      this.#sealBarcodeFormatInput,
+      this.#sealVersionInput,
+      this.#employerCodeInput
+    ]) {
+      input.toggleAttribute("disabled", !USE_DIGITAL_SEAL);
+    }
+  }
+
+  // Seals are signed with a private key once both the key and the
+  // certificate issued for it are chosen, and with random numbers otherwise.
+  async #updateSealSigner() {
+    const KEY_FILE = this.#sealSigningKeyInput.files[0];
+    const CERTIFICATE_FILE = this.#sealSigningCertificateInput.files[0];
+    this.#sealSigningKeyInput.setCustomValidity("");
+    this.#sealSigningCertificateInput.setCustomValidity(
+      KEY_FILE && !CERTIFICATE_FILE ?
+          "A signer certificate must be chosen with the signing key." : ""
+    );
+    if (!KEY_FILE || !CERTIFICATE_FILE) {
+      this.sealSigner = null;
+      this.#sealSigningCertificateInput.reportValidity();
+    }
+    else {
+      try {
+        this.sealSigner = await loadSealSigner(KEY_FILE, CERTIFICATE_FILE);
+      } catch (error) {
+        this.#sealSigningKeyInput.setCustomValidity(error.message);
+        this.#sealSigningKeyInput.reportValidity();
+        return;
+      }
+    }
+    this.#generateCard();
+  }
+
+  async #signSeal() {
+    if (this.#sealSigner) {
+      await this.#sealSigner.sign(this.#model);
+      this.#identifierInput.value = this.#model.identifierCode;
+      this.#certReferenceInput.value = this.#model.certReference;
+      this.#sealSignatureDateInput.value =
+          dateToCalendarDate(this.#model.signatureDate);
+    }
+    else { await signSealUsingRNG(this.#model); }
   }
 
-  // Private methods
   async #generateCardFront() {
     const canvas = await this.#renderer.generateCardFront(this.#model, this.#frontFallback);
     this.#cardFrontElement.width = CrewIDRenderer.cutCardArea[0];
@@ -1104,7 +1315,7 @@ export class CrewIDViewModel {
   }
 
   async #generateCardBack() {
-    await signSealUsingRNG(this.#model);
+    await this.#signSeal();
     const canvas = await this.#renderer.generateCardBack(this.#model, this.#backFallback);
     this.#cardBackElement.width = CrewIDRenderer.cutCardArea[0];
     this.#cardBackElement.height = CrewIDRenderer.cutCardArea[1];
@@ -1137,4 +1348,69 @@ export class CrewIDViewModel {
       this.#generateCardBack()
     ]);
   }
+
+  async #downloadPDF() {
+    const pdf = await exportPDF([{
+      front: await this.#renderer.generateCardFront(
+        this.#model,
+        this.#frontFallback
+      ),
+      back: await this.#renderer.generateCardBack(
+        this.#model,
+        this.#backFallback
+      )
+    }], { cutCardArea: CrewIDRenderer.cutCardArea });
+    if (this.#pdfBlobURL !== null) { URL.revokeObjectURL(this.#pdfBlobURL); }
+    this.#pdfBlobURL = URL.createObjectURL(
+      new Blob([pdf], { type: "application/pdf" })
+    );
+    const downloadPDF = this.#document.createElement("a");
+    downloadPDF.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          ".pdf"
+    );
+    downloadPDF.setAttribute("href", this.#pdfBlobURL);
+    downloadPDF.click();
+  }
+
+  async #exportProject() {
+    const model = this.#model.toJSON();
+    model.photo = await imageToDataURL(this.#model.photo);
+    const renderer = this.#renderer.toJSON();
+    for (const property of [
+      "frontBackgroundImage",
+      "backBackgroundImage",
+      "mrzBackgroundImage",
+      "logo",
+      "smallLogo"
+    ]) {
+      renderer[property] = await imageToDataURL(renderer[property]);
+    }
+    const project = JSON.stringify({
+      format: "alfa-id-project",
+      version: PROJECT_VERSION,
+      type: "CrewID",
+      model: model,
+      renderer: renderer
+    }, null, 2);
+    if (this.#projectBlobURL !== null) {
+      URL.revokeObjectURL(this.#projectBlobURL);
+    }
+    this.#projectBlobURL = URL.createObjectURL(
+      new Blob([project], { type: "application/json" })
+    );
+    const exportProject = this.#document.createElement("a");
+    exportProject.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          ".json"
+    );
+    exportProject.setAttribute("href", this.#projectBlobURL);
+    exportProject.click();
+  }
 }
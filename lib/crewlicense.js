@@ -2,13 +2,15 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 
 import { TD1Document } from "./icao9303/td1document.js"
+import { DigitalSealV3 } from "./icao9303/digitalsealv3.js";
 import { DigitalSealV4 } from "./icao9303/digitalsealv4.js";
 import { DEFAULT_PHOTO, DEFAULT_SIGNATURE_IMAGE } from "./icao9303/utilities/default-images.js";
 import { generateMRZCheckDigit } from "./icao9303/utilities/generate-mrz-check-digit.js";
 import { c40Encode } from "./icao9303/utilities/c40-encode.js";
 import { c40Decode } from "./icao9303/utilities/c40-decode.js";
-import { getFullYearFromString } from "./icao9303/utilities/get-full-year-from-string.js";
+import { EXPIRATION_YEARS_AHEAD, getFullYearFromString } from "./icao9303/utilities/get-full-year-from-string.js";
 import { validateHexString } from "./icao9303/utilities/validate-hex-string.js";
+import { dateToCalendarDate } from "./icao9303/utilities/date-to-calendar-date.js";
 
 /**
  * `CrewLicense` describes an ALFA Crewmember License, a TD1-sized
@@ -74,6 +76,8 @@ export class CrewLicense {
    *     beyond the granted privilege--like specific aircraft types.
    * @param { string } [opt.limitations] - A notation regarding any restrictions
    *     that would otherwise be granted with the granted privilege or ratings.
+   * @param { number } [opt.sealVersion] - The version of the VDS as defined by
+   *     ICAO 9303 part 13, either 3 or 4.
    * @param { string } [opt.identifierCode] - A 4-character string consisting of
    *     the characters 0-9 and A-Z.
    * @param { string } [opt.certReference] - A hex-string that uniquely
@@ -100,6 +104,11 @@ export class CrewLicense {
    *     long.
    * @param { string } [opt.privilegeCode] - A hex string up to 8 characters
    *     long.
+   * @param { number | null } [opt.currentYear] - The four-digit year that
+   *     two-digit years read from a Machine-Readable Zone (MRZ) are resolved
+   *     relative to. `null` uses the current year.
+   * @param { number } [opt.expirationYearsAhead] - The number of years after
+   *     `currentYear` that two-digit years of expiration dates may be read as.
    */
   constructor(opt) {
     this.#document = new TD1Document();
@@ -107,6 +116,7 @@ export class CrewLicense {
       typeCategory: 0x06,
       featureDefinition: 0x01
     });
+    this.sealVersion = opt?.sealVersion ?? 4;
 
     this.typeCode = opt?.typeCode ?? "A";
     this.authorityCode = opt?.authorityCode ?? "UTO";
@@ -136,6 +146,10 @@ export class CrewLicense {
     this.subauthorityCode = opt?.subauthorityCode ?? "0";
     this.privilegeCode = opt?.privilegeCode ?? "0";
 
+    this.currentYear = opt?.currentYear ?? null;
+    this.expirationYearsAhead =
+        opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD;
+
     if (opt?.mrzLine1) { this.mrzLine1 = opt.mrzLine1; }
     if (opt?.mrzLine2) { this.mrzLine2 = opt.mrzLine2; }
     if (opt?.mrzLine3) { this.mrzLine3 = opt.mrzLine3; }
@@ -272,6 +286,13 @@ export class CrewLicense {
     this.#setDigitalSealMRZ();
   }
 
+  /**
+   * Whether `fullName` is too long for the name area of the Machine-Readable
+   *     Zone (MRZ) and is truncated in it.
+   * @type { boolean }
+   */
+  get isFullNameTruncated() { return this.#document.isFullNameTruncated; }
+
   /**
    * Optional data to include in the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -343,6 +364,32 @@ export class CrewLicense {
    */
   limitations
 
+  /**
+   * The four-digit year that two-digit years read from the Machine-Readable
+   *     Zone (MRZ) or the visible digital seal (VDS) are resolved relative to.
+   *     `null` uses the current year.
+   * @type { number | null }
+   */
+  get currentYear() { return this.#document.currentYear; }
+  /**
+   * @param { number | null } value - A four-digit year, or `null`.
+   */
+  set currentYear(value) { this.#document.currentYear = value; }
+
+  /**
+   * The number of years after `currentYear` that two-digit years of expiration
+   *     dates read from the Machine-Readable Zone (MRZ) or the visible digital
+   *     seal (VDS) may be read as.
+   * @type { number }
+   */
+  get expirationYearsAhead() { return this.#document.expirationYearsAhead; }
+  /**
+   * @param { number } value - An integer from 0 to 99.
+   */
+  set expirationYearsAhead(value) {
+    this.#document.expirationYearsAhead = value;
+  }
+
   /**
    * The first line of the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -395,6 +442,39 @@ export class CrewLicense {
     this.#setDigitalSealMRZ();
   }
 
+  /**
+   * The version of the visible digital seal (VDS) as defined by ICAO 9303
+   *     part 13.
+   * @type { number }
+   */
+  get sealVersion() { return this.#seal instanceof DigitalSealV3 ? 3 : 4; }
+  /**
+   * @param { number } value - Either 3 or 4. Version 3 seals require a
+   *     certificate reference of exactly 5 characters.
+   */
+  set sealVersion(value) {
+    if (value !== 3 && value !== 4) {
+      throw new RangeError(
+        `Value set on 'sealVersion' has errors: Seal version '${value}' is ` +
+            `not 3 or 4.`
+      );
+    }
+    if (value === this.sealVersion) { return; }
+    const SEAL_OPTIONS = {
+      authorityCode: this.#seal.authorityCode,
+      identifierCode: this.#seal.identifierCode,
+      certReference: this.#seal.certReference,
+      issueDate: this.#seal.issueDate,
+      signatureDate: this.#seal.signatureDate,
+      featureDefinition: this.#seal.featureDefinition,
+      typeCategory: this.#seal.typeCategory,
+      features: this.#seal.features,
+      signatureData: this.#seal.signatureData
+    };
+    this.#seal = value === 3 ?
+        new DigitalSealV3(SEAL_OPTIONS) : new DigitalSealV4(SEAL_OPTIONS);
+  }
+
   /**
    * A combination of a two-letter authority code and of two alphanumeric
    *     characters to identify a signer within the issuing authority.
@@ -589,6 +669,54 @@ export class CrewLicense {
     this.#seal.features.set(0x03, input);
   }
 
+  /**
+   * Get the properties of this `CrewLicense` as the options of its constructor,
+   *     so that it can be saved as JSON and recreated with `fromJSON()`. Dates
+   *     are written as YYYY-MM-DD strings, and images are written as their
+   *     path/URL; images without one, like canvases, are left out.
+   */
+  toJSON() {
+    return {
+      typeCode: this.typeCode,
+      authorityCode: this.authorityCode,
+      number: this.number,
+      birthDate: dateToCalendarDate(this.birthDate),
+      genderMarker: this.genderMarker,
+      expirationDate: dateToCalendarDate(this.expirationDate),
+      nationalityCode: this.nationalityCode,
+      fullName: this.fullName,
+      optionalData: this.optionalData,
+      photo: typeof this.photo === "string" ?
+          this.photo : this.photo?.src,
+      signatureImage: typeof this.signatureImage === "string" ?
+          this.signatureImage : this.signatureImage?.src,
+      url: this.url,
+      subauthority: this.subauthority,
+      privilege: this.privilege,
+      ratings: this.ratings,
+      limitations: this.limitations,
+      sealVersion: this.sealVersion,
+      identifierCode: this.identifierCode,
+      certReference: this.certReference,
+      issueDate: dateToCalendarDate(this.issueDate),
+      signatureDate: dateToCalendarDate(this.signatureDate),
+      signatureData: [...this.signatureData],
+      // A code of 0 is stored as no bytes and read back as "".
+      subauthorityCode: this.subauthorityCode || "0",
+      privilegeCode: this.privilegeCode || "0"
+    };
+  }
+
+  /**
+   * Create a `CrewLicense` from properties returned by `toJSON()`.
+   * @param { string | Object } value - A JSON string or its parsed object.
+   */
+  static fromJSON(value) {
+    return new CrewLicense(
+      typeof value === "string" ? JSON.parse(value) : value
+    );
+  }
+
   /**
    * Set the visible digital seal's (VDS) Machine-Readable Zone (MRZ) when
    *     setting any properties shown on the MRZ. */
@@ -634,17 +762,21 @@ export class CrewLicense {
     this.#document.typeCode = SEAL_MRZ.slice(0, 2).trimEnd();
     this.#document.authorityCode = SEAL_MRZ.slice(2, 5).trimEnd();
     this.#document.number = SEAL_MRZ.slice(5, 14).trimEnd();
-    const BIRTH_YEAR = SEAL_MRZ.slice(15, 17);
+    const BIRTH_YEAR = getFullYearFromString(SEAL_MRZ.slice(15, 17), {
+      currentYear: this.currentYear
+    });
     const BIRTH_MONTH = SEAL_MRZ.slice(17, 19);
     const BIRTH_DAY = SEAL_MRZ.slice(19, 21);
-    this.#document.birthDate =
-        `${getFullYearFromString(BIRTH_YEAR)}-${BIRTH_MONTH}-${BIRTH_DAY}`
+    this.#document.birthDate = `${BIRTH_YEAR}-${BIRTH_MONTH}-${BIRTH_DAY}`
     this.#document.genderMarker = SEAL_MRZ[22];
-    const EXPIRATION_YEAR = SEAL_MRZ.slice(23, 25);
+    const EXPIRATION_YEAR = getFullYearFromString(SEAL_MRZ.slice(23, 25), {
+      currentYear: this.currentYear,
+      yearsAhead: this.expirationYearsAhead
+    });
     const EXPIRATION_MONTH = SEAL_MRZ.slice(25, 27);
     const EXPIRATION_DAY = SEAL_MRZ.slice(27, 29);
     this.#document.expirationDate =
-        `${getFullYearFromString(EXPIRATION_YEAR)}-${EXPIRATION_MONTH}-` +
+        `${EXPIRATION_YEAR}-${EXPIRATION_MONTH}-` +
         `${EXPIRATION_DAY}`;
     this.#document.nationalityCode = SEAL_MRZ.slice(30, 33).trimEnd();
     this.#document.fullName = SEAL_MRZ.slice(33).replace("  ", ", ").trimEnd();
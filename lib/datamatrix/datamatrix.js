@@ -0,0 +1,448 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * An ECC200 DataMatrix encoder, as specified in ISO/IEC 16022 and used by ICAO
+ *     9303 part 13 for visible digital seals.
+ *
+ * Data is encoded in ASCII, C40, or Base 256 encodation, whichever produces
+ *     the fewest codewords, and placed in the smallest symbol that fits it.
+ */
+
+// Symbol sizes: [rows, columns, data region rows, data region columns, data
+// codewords, error correction codewords per block, interleaved blocks].
+const SQUARE_SYMBOLS = [
+  [10, 10, 8, 8, 3, 5, 1],
+  [12, 12, 10, 10, 5, 7, 1],
+  [14, 14, 12, 12, 8, 10, 1],
+  [16, 16, 14, 14, 12, 12, 1],
+  [18, 18, 16, 16, 18, 14, 1],
+  [20, 20, 18, 18, 22, 18, 1],
+  [22, 22, 20, 20, 30, 20, 1],
+  [24, 24, 22, 22, 36, 24, 1],
+  [26, 26, 24, 24, 44, 28, 1],
+  [32, 32, 14, 14, 62, 36, 1],
+  [36, 36, 16, 16, 86, 42, 1],
+  [40, 40, 18, 18, 114, 48, 1],
+  [44, 44, 20, 20, 144, 56, 1],
+  [48, 48, 22, 22, 174, 68, 1],
+  [52, 52, 24, 24, 204, 42, 2],
+  [64, 64, 14, 14, 280, 56, 2],
+  [72, 72, 16, 16, 368, 36, 4],
+  [80, 80, 18, 18, 456, 48, 4],
+  [88, 88, 20, 20, 576, 56, 4],
+  [96, 96, 22, 22, 696, 68, 4],
+  [104, 104, 24, 24, 816, 56, 6],
+  [120, 120, 18, 18, 1050, 68, 6],
+  [132, 132, 20, 20, 1304, 62, 8],
+  [144, 144, 22, 22, 1558, 62, 10]
+];
+const RECTANGULAR_SYMBOLS = [
+  [8, 18, 6, 16, 5, 7, 1],
+  [8, 32, 6, 14, 10, 11, 1],
+  [12, 26, 10, 24, 16, 14, 1],
+  [12, 36, 10, 16, 22, 18, 1],
+  [16, 36, 14, 16, 32, 24, 1],
+  [16, 48, 14, 22, 49, 28, 1]
+];
+
+// Codewords with special meanings.
+const PAD = 129;
+const LATCH_TO_C40 = 230;
+const LATCH_TO_BASE256 = 231;
+const UPPER_SHIFT = 235;
+const UNLATCH = 254;
+
+// Galois field GF(256) with the prime modulus polynomial 301.
+const EXP = new Uint8Array(255);
+const LOG = new Uint8Array(256);
+for (let i = 0, value = 1; i < 255; i += 1) {
+  EXP[i] = value;
+  LOG[value] = i;
+  value <<= 1;
+  if (value > 255) { value ^= 301; }
+}
+
+/**
+ * Encode data as an ECC200 DataMatrix symbol.
+ * @param { string | number[] | Uint8Array } data - A string of ISO/IEC 8859-1
+ *     characters, or an array of bytes.
+ * @param { Object } [opt] - An options object.
+ * @param { "auto" | "ascii" | "c40" | "base256" } [opt.mode] - The encodation
+ *     to use. Defaults to "auto", which picks the one needing the fewest
+ *     codewords.
+ * @param { "square" | "rectangle" | "any" } [opt.shape] - The shapes of
+ *     symbol to choose from. Defaults to "square".
+ * @returns { { rows: number, columns: number, modules: Uint8Array } } The
+ *     size of the symbol and its modules in rows, where 1 is dark.
+ * @example
+ * // Returns a 10x10 symbol
+ * encode("123456");
+ */
+export function encode(data, opt) {
+  const BYTES = toBytes(data);
+  const MODE = opt?.mode ?? "auto";
+  const SHAPE = opt?.shape ?? "square";
+  const ENCODINGS = {
+    ascii: () => encodeASCII(BYTES),
+    c40: () => encodeC40(BYTES),
+    base256: () => encodeBase256(BYTES)
+  };
+  if (MODE !== "auto" && !ENCODINGS[MODE]) {
+    throw new RangeError(
+      `Mode '${MODE}' must be "auto", "ascii", "c40", or "base256".`
+    );
+  }
+  let codewords;
+  if (MODE === "auto") {
+    for (const encoding of Object.values(ENCODINGS)) {
+      const CANDIDATE = encoding();
+      if (!codewords || CANDIDATE.length < codewords.length) {
+        codewords = CANDIDATE;
+      }
+    }
+  } else {
+    codewords = ENCODINGS[MODE]();
+  }
+
+  let symbols;
+  switch (SHAPE) {
+    case "square":
+      symbols = SQUARE_SYMBOLS;
+      break;
+    case "rectangle":
+      symbols = RECTANGULAR_SYMBOLS;
+      break;
+    case "any":
+      symbols = [...SQUARE_SYMBOLS, ...RECTANGULAR_SYMBOLS]
+          .sort((a, b) => a[4] - b[4]);
+      break;
+    default:
+      throw new RangeError(
+        `Shape '${SHAPE}' must be "square", "rectangle", or "any".`
+      );
+  }
+  // An unlatch at the end of the data is not needed if it would fill the
+  // symbol exactly.
+  const SYMBOL = symbols.find((symbol) => {
+    return symbol[4] >= codewords.length ||
+        (codewords.at(-1) === UNLATCH && symbol[4] === codewords.length - 1);
+  });
+  if (!SYMBOL) {
+    throw new RangeError(
+      `Data needs ${codewords.length} codewords, which is more than the ` +
+          `largest ${SHAPE === "any" ? "" : `${SHAPE} `}symbol can hold ` +
+          `(${symbols.reduce((max, symbol) => Math.max(max, symbol[4]), 0)}).`
+    );
+  }
+  const [ROWS, COLUMNS, REGION_ROWS, REGION_COLUMNS, CAPACITY] = SYMBOL;
+  codewords = pad(codewords.slice(0, CAPACITY), CAPACITY);
+  codewords = addErrorCorrection(codewords, SYMBOL);
+
+  // Place the codewords in the data regions without their finder and timing
+  // patterns, then add the patterns around each data region.
+  const DATA_ROWS = ROWS / (REGION_ROWS + 2) * REGION_ROWS;
+  const DATA_COLUMNS = COLUMNS / (REGION_COLUMNS + 2) * REGION_COLUMNS;
+  const DATA = placeCodewords(codewords, DATA_ROWS, DATA_COLUMNS);
+  const modules = new Uint8Array(ROWS * COLUMNS);
+  for (let row = 0; row < ROWS; row += 1) {
+    for (let column = 0; column < COLUMNS; column += 1) {
+      const REGION_ROW = row % (REGION_ROWS + 2);
+      const REGION_COLUMN = column % (REGION_COLUMNS + 2);
+      let dark;
+      if (REGION_ROW === REGION_ROWS + 1 || REGION_COLUMN === 0) {
+        dark = true;
+      } else if (REGION_ROW === 0) {
+        dark = column % 2 === 0;
+      } else if (REGION_COLUMN === REGION_COLUMNS + 1) {
+        dark = row % 2 === 1;
+      } else {
+        const Y = Math.floor(row / (REGION_ROWS + 2)) * REGION_ROWS +
+            REGION_ROW - 1;
+        const X = Math.floor(column / (REGION_COLUMNS + 2)) * REGION_COLUMNS +
+            REGION_COLUMN - 1;
+        dark = DATA[Y * DATA_COLUMNS + X] === 1;
+      }
+      modules[row * COLUMNS + column] = dark ? 1 : 0;
+    }
+  }
+  return { rows: ROWS, columns: COLUMNS, modules: modules };
+}
+
+/**
+ * Draw data as an ECC200 DataMatrix symbol on a canvas, resizing the canvas to
+ *     fit the symbol and its quiet zone.
+ * @param { HTMLCanvasElement | OffscreenCanvas } canvas
+ * @param { string | number[] | Uint8Array } data - A string of ISO/IEC 8859-1
+ *     characters, or an array of bytes.
+ * @param { Object } [opt] - An options object, which also takes the options
+ *     of `encode()`.
+ * @param { number } [opt.scale] - The width of each module in pixels.
+ *     Defaults to 4.
+ * @param { number } [opt.width] - The largest width of the canvas in pixels.
+ *     When set, modules are as wide as will fit in whole pixels.
+ * @param { number } [opt.margin] - The width of the quiet zone in modules.
+ *     Defaults to 1.
+ * @param { { dark?: string, light?: string } } [opt.color] - The colors of
+ *     dark and light modules, as RGB or RGBA hex strings formatted as
+ *     '#RRGGBB' or '#RRGGBBAA'.
+ * @returns { HTMLCanvasElement | OffscreenCanvas }
+ */
+export function toCanvas(canvas, data, opt) {
+  const SYMBOL = encode(data, opt);
+  const MARGIN = opt?.margin ?? 1;
+  const SCALE = opt?.width ?
+      Math.max(1, Math.floor(opt.width / (SYMBOL.columns + 2 * MARGIN))) :
+      opt?.scale ?? 4;
+  const DARK = hexToRGBA(opt?.color?.dark ?? "#000000ff");
+  const LIGHT = hexToRGBA(opt?.color?.light ?? "#ffffffff");
+  canvas.width = (SYMBOL.columns + 2 * MARGIN) * SCALE;
+  canvas.height = (SYMBOL.rows + 2 * MARGIN) * SCALE;
+  const ctx = canvas.getContext("2d");
+  const image = ctx.createImageData(canvas.width, canvas.height);
+  for (let y = 0; y < canvas.height; y += 1) {
+    const ROW = Math.floor(y / SCALE) - MARGIN;
+    for (let x = 0; x < canvas.width; x += 1) {
+      const COLUMN = Math.floor(x / SCALE) - MARGIN;
+      const DARK_MODULE = ROW >= 0 && ROW < SYMBOL.rows &&
+          COLUMN >= 0 && COLUMN < SYMBOL.columns &&
+          SYMBOL.modules[ROW * SYMBOL.columns + COLUMN] === 1;
+      image.data.set(DARK_MODULE ? DARK : LIGHT, (y * canvas.width + x) * 4);
+    }
+  }
+  ctx.clearRect(0, 0, canvas.width, canvas.height);
+  ctx.putImageData(image, 0, 0);
+  return canvas;
+}
+
+function toBytes(data) {
+  if (typeof data !== "string") {
+    return Uint8Array.from(data);
+  }
+  return Uint8Array.from(data, (char) => {
+    const CODE = char.charCodeAt(0);
+    if (CODE > 255) {
+      throw new RangeError(
+        `Character '${char}' is not in ISO/IEC 8859-1 and must be given as ` +
+            "bytes."
+      );
+    }
+    return CODE;
+  });
+}
+
+function hexToRGBA(hex) {
+  if (!/^#([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) {
+    throw new RangeError(
+      `Color '${hex}' must be formatted as '#RRGGBB' or '#RRGGBBAA'.`
+    );
+  }
+  return [1, 3, 5, 7].map((i) => parseInt(hex.slice(i, i + 2) || "ff", 16));
+}
+
+function isDigit(byte) {
+  return byte >= 0x30 && byte <= 0x39;
+}
+
+function encodeASCII(bytes, start = 0, end = bytes.length) {
+  const output = [];
+  for (let i = start; i < end; i += 1) {
+    if (isDigit(bytes[i]) && i + 1 < end && isDigit(bytes[i + 1])) {
+      output.push(130 + (bytes[i] - 0x30) * 10 + (bytes[i + 1] - 0x30));
+      i += 1;
+    } else if (bytes[i] > 127) {
+      output.push(UPPER_SHIFT, bytes[i] - 127);
+    } else {
+      output.push(bytes[i] + 1);
+    }
+  }
+  return output;
+}
+
+// The C40 values of a byte: a single value from the basic set, or a shift and
+// a value from another set.
+function toC40Values(byte) {
+  if (byte > 127) {
+    return [1, 30, ...toC40Values(byte - 128)];
+  }
+  if (byte === 0x20) { return [3]; }
+  if (isDigit(byte)) { return [byte - 0x30 + 4]; }
+  if (byte >= 0x41 && byte <= 0x5A) { return [byte - 0x41 + 14]; }
+  if (byte < 0x20) { return [0, byte]; }
+  if (byte <= 0x2F) { return [1, byte - 0x21]; }
+  if (byte <= 0x40) { return [1, byte - 0x3A + 15]; }
+  if (byte <= 0x5F) { return [1, byte - 0x5B + 22]; }
+  return [2, byte - 0x60];
+}
+
+function encodeC40(bytes) {
+  const VALUES = Array.from(bytes, toC40Values);
+  // A single value left over cannot be packed, so whole characters are left
+  // out of C40 until none is, and are encoded in ASCII after the unlatch. A
+  // shifted character has 2 or 4 values, so more than one character may be
+  // left out. Two values left over are padded with a shift.
+  let c40Length = bytes.length;
+  let total = VALUES.reduce((sum, values) => sum + values.length, 0);
+  while (total % 3 === 1) {
+    c40Length -= 1;
+    total -= VALUES[c40Length].length;
+  }
+  const FLAT = VALUES.slice(0, c40Length).flat();
+  if (FLAT.length % 3 === 2) { FLAT.push(0); }
+  const output = [LATCH_TO_C40];
+  for (let i = 0; i < FLAT.length; i += 3) {
+    const PACKED = 1600 * FLAT[i] + 40 * FLAT[i + 1] + FLAT[i + 2] + 1;
+    output.push(Math.floor(PACKED / 256), PACKED % 256);
+  }
+  output.push(UNLATCH, ...encodeASCII(bytes, c40Length));
+  return output;
+}
+
+function encodeBase256(bytes) {
+  const LENGTH = bytes.length <= 249 ?
+      [bytes.length] :
+      [Math.floor(bytes.length / 250) + 249, bytes.length % 250];
+  // Every codeword after the latch is randomized by its position.
+  return [LATCH_TO_BASE256, ...LENGTH, ...bytes].map((codeword, i) => {
+    if (i === 0) { return codeword; }
+    const RANDOMIZED = codeword + (149 * (i + 1)) % 255 + 1;
+    return RANDOMIZED <= 255 ? RANDOMIZED : RANDOMIZED - 256;
+  });
+}
+
+function pad(codewords, capacity) {
+  const output = [...codewords];
+  if (output.length < capacity) { output.push(PAD); }
+  // Pads after the first are randomized by their position.
+  while (output.length < capacity) {
+    const RANDOMIZED = PAD + (149 * (output.length + 1)) % 253 + 1;
+    output.push(RANDOMIZED <= 254 ? RANDOMIZED : RANDOMIZED - 254);
+  }
+  return output;
+}
+
+function multiply(a, b) {
+  return a === 0 || b === 0 ? 0 : EXP[(LOG[a] + LOG[b]) % 255];
+}
+
+function addErrorCorrection(codewords, symbol) {
+  const [, , , , CAPACITY, ECC_LENGTH, BLOCKS] = symbol;
+  // The generator polynomial (x + 2^1)(x + 2^2)…(x + 2^n), highest term first.
+  const GENERATOR = [1];
+  for (let i = 1; i <= ECC_LENGTH; i += 1) {
+    GENERATOR.push(0);
+    for (let j = GENERATOR.length - 1; j > 0; j -= 1) {
+      GENERATOR[j] ^= multiply(GENERATOR[j - 1], EXP[i]);
+    }
+  }
+  const output = [...codewords];
+  // Codewords are interleaved between blocks: codeword i belongs to block
+  // i % BLOCKS, for both the data and the error correction codewords. Only in
+  // 144x144 symbols is the capacity not a multiple of the number of blocks,
+  // so their first 8 blocks have one more data codeword and their error
+  // correction codewords start with block 8 (ISO/IEC 16022 5.7.2).
+  const ECC_START = (BLOCKS - CAPACITY % BLOCKS) % BLOCKS;
+  for (let block = 0; block < BLOCKS; block += 1) {
+    const REMAINDER = new Array(ECC_LENGTH).fill(0);
+    for (let i = block; i < CAPACITY; i += BLOCKS) {
+      const FACTOR = codewords[i] ^ REMAINDER.shift();
+      REMAINDER.push(0);
+      for (let j = 0; j < ECC_LENGTH; j += 1) {
+        REMAINDER[j] ^= multiply(GENERATOR[j + 1], FACTOR);
+      }
+    }
+    const OFFSET = CAPACITY + (block + ECC_START) % BLOCKS;
+    REMAINDER.forEach((codeword, j) => {
+      output[OFFSET + j * BLOCKS] = codeword;
+    });
+  }
+  return output;
+}
+
+// The placement algorithm of ISO/IEC 16022 annex F, placing each codeword as
+// a block of 8 modules along diagonals with special shapes at the corners.
+function placeCodewords(codewords, rows, columns) {
+  const output = new Int8Array(rows * columns).fill(-1);
+  const module = (row, column, index, bit) => {
+    if (row < 0) {
+      row += rows;
+      column += 4 - ((rows + 4) % 8);
+    }
+    if (column < 0) {
+      column += columns;
+      row += 4 - ((columns + 4) % 8);
+    }
+    output[row * columns + column] = (codewords[index] >> (8 - bit)) & 1;
+  };
+  const utah = (row, column, index) => {
+    module(row - 2, column - 2, index, 1);
+    module(row - 2, column - 1, index, 2);
+    module(row - 1, column - 2, index, 3);
+    module(row - 1, column - 1, index, 4);
+    module(row - 1, column, index, 5);
+    module(row, column - 2, index, 6);
+    module(row, column - 1, index, 7);
+    module(row, column, index, 8);
+  };
+  const corner = (index, positions) => {
+    positions.forEach(([row, column], i) => {
+      module(row, column, index, i + 1);
+    });
+  };
+  const isEmpty = (row, column) => output[row * columns + column] === -1;
+
+  let index = 0;
+  let row = 4;
+  let column = 0;
+  do {
+    if (row === rows && column === 0) {
+      corner(index++, [[rows - 1, 0], [rows - 1, 1], [rows - 1, 2],
+        [0, columns - 2], [0, columns - 1], [1, columns - 1],
+        [2, columns - 1], [3, columns - 1]]);
+    }
+    if (row === rows - 2 && column === 0 && columns % 4 !== 0) {
+      corner(index++, [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0],
+        [0, columns - 4], [0, columns - 3], [0, columns - 2],
+        [0, columns - 1], [1, columns - 1]]);
+    }
+    if (row === rows - 2 && column === 0 && columns % 8 === 4) {
+      corner(index++, [[rows - 3, 0], [rows - 2, 0], [rows - 1, 0],
+        [0, columns - 2], [0, columns - 1], [1, columns - 1],
+        [2, columns - 1], [3, columns - 1]]);
+    }
+    if (row === rows + 4 && column === 2 && columns % 8 === 0) {
+      corner(index++, [[rows - 1, 0], [rows - 1, columns - 1],
+        [0, columns - 3], [0, columns - 2], [0, columns - 1],
+        [1, columns - 3], [1, columns - 2], [1, columns - 1]]);
+    }
+    // Sweep up and to the right.
+    do {
+      if (row < rows && column >= 0 && isEmpty(row, column)) {
+        utah(row, column, index++);
+      }
+      row -= 2;
+      column += 2;
+    } while (row >= 0 && column < columns);
+    row += 1;
+    column += 3;
+    // Sweep down and to the left.
+    do {
+      if (row >= 0 && column < columns && isEmpty(row, column)) {
+        utah(row, column, index++);
+      }
+      row += 2;
+      column -= 2;
+    } while (row < rows && column >= 0);
+    row += 3;
+    column += 1;
+  } while (row < rows || column < columns);
+
+  // Fill an unused corner with a fixed pattern.
+  if (isEmpty(rows - 1, columns - 1)) {
+    output[(rows - 1) * columns + columns - 1] = 1;
+    output[(rows - 1) * columns + columns - 2] = 0;
+    output[(rows - 2) * columns + columns - 1] = 0;
+    output[(rows - 2) * columns + columns - 2] = 1;
+  }
+  return output;
+}
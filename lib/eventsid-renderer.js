@@ -0,0 +1,1032 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { EventsID } from "./eventsid.js";
+import { encode as toBase45 } from "./base45-ts/base45.js";
+import { toCanvas as toQRCanvas } from "./qrcode-lite/qrcode.mjs";
+import { toCanvas as toDataMatrixCanvas } from "./datamatrix/datamatrix.js";
+import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
+import { fitImageInArea } from "./utilities/fit-image-in-area.js";
+import { fillAreaWithImage } from "./utilities/fill-area-with-image.js";
+import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
+import { dateToVIZ } from "./utilities/date-to-viz.js";
+import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD2_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, authorityHeader, birthDateHeader, documentNoHeader, expirationDateHeader, genderHeader, nameHeader, nationalityHeader, MRZ_FONT_FACE, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_ITALIC_FONT_FACE, SIGNATURE_FONT_FACE } from "./utilities/renderer-variables.js";
+
+/**
+ * `EventsIDRenderer` takes an `EventsID` object and returns a
+ *     `HTMLCanvasElement` or an `OffscreenCanvas` element representation of the
+ *     travel document as a two-sided TD2-sized furry events identity card.
+ * 
+ * The renderer generates images appropriate for web use and for print use with
+ *     300-dpi printers. A bleed area surrounds the cut and safe areas to allow
+ *     borderless printing.
+ * 
+ * Renderers are scenario-specific and this was created to be used for a demo
+ *     on a web page. Ergo, multiple properties are able to be set. In
+ *     real-world use less (or no) properties may want to be settable.
+ */
+export class EventsIDRenderer {
+  /**
+   * Create an `EventsIDRenderer`.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.barcodeDarkColor] - A RGBA hex string, formatted as
+   *     '#RRGGBBAA'.
+   * @param { string } [opt.barcodeLightColor] - A RGBA hex string, formatted
+   *     as '#RRGGBBAA'.
+   * @param { string } [opt.barcodeErrorCorrection] - The character 'L', 'M',
+   *     'Q', or 'H'.
+   * @param { string } [opt.headerColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.textColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.mrzColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.frontBackgroundColor] - A RGB hex string, formatted
+   *     as '#RRGGBB'.
+   * @param { string | null } [opt.frontBackgroundImage] - A path/URL to an
+   *     image file.
+   * @param { string } [opt.backBackgroundColor] - A RGB hex string, formatted
+   *     as '#RRGGBB'.
+   * @param { string | null } [opt.backBackgroundImage] - A path/URL to an image
+   *     file.
+   * @param { string } [opt.mrzBackgroundColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string | null } [opt.mrzBackgroundImage] - A path/URL to an image
+   *     file.
+   * @param { string } [opt.numberUnderlayColor] - A RGB hex string, formatted
+   *     as '#RRGGBB'.
+   * @param { number } [opt.numberUnderlayAlpha] - A number in the range of
+   *     0-255.
+   * @param { string } [opt.logoUnderlayColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { number } [opt.logoUnderlayAlpha] - A number in the range of 0-255.
+   * @param { string | null } [opt.logo] - A path/URL to an image file.
+   * @param { string | null } [opt.smallLogo] - A path/URL to an image file.
+   * @param { boolean } [opt.showGuides] - Toggles bleed (red) and safe (blue)
+   *     lines on the rendered canvas.
+   * @param { boolean } [opt.useDigitalSeal] - Toggles storing a visible digital
+   *     seal (VDS) on the barcode in place of a URL.
+   * @param { string } [opt.sealBarcodeFormat] - The barcode symbology of the
+   *     digital seal: 'qr' or 'datamatrix'.
+   * @param { string } [opt.fullAuthority] - The full name of the authority who
+   *     issued this document.
+   * @param { string } [opt.fullDocumentName] - The full name of this document's
+   *     type.
+   * @param { string[] } [opt.nameHeader] - Header text for the name property:
+   *     ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.genderHeader] - Header text for the genderMarker
+   *     property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.nationalityHeader] - Header text for the
+   *     nationalityCode property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.dateOfBirthHeader] - Header text for the birthDate
+   *     property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.placeOfBirthHeader] - Header text for the
+   *     placeOfBirth property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.numberHeader] - Header text for the number
+   *     property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.dateOfExpirationHeader] - Header text for the
+   *     expirationDate property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.authorityHeader] - Header text for the
+   *     subauthority property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.issueHeader] - Header text for the issueDate
+   *     property: ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.endorsementsHeader] - Header text for the
+   *     endorsements property: ['primary', 'language 1', 'language 2'].
+   * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
+   *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
+   */
+  constructor(opt) {
+    this.barcodeDarkColor = opt?.barcodeDarkColor ?? BARCODE_DARK_COLOR;
+    this.barcodeLightColor = opt?.barcodeLightColor ?? BARCODE_LIGHT_COLOR;
+    this.barcodeErrorCorrection = opt?.barcodeErrorCorrection ??
+        BARCODE_ERROR_CORRECTION;
+    this.headerColor = opt?.headerColor ?? HEADER_COLOR;
+    this.textColor = opt?.textColor ?? TEXT_COLOR;
+    this.mrzColor = opt?.mrzColor ?? TEXT_COLOR;
+    this.frontBackgroundColor = opt?.frontBackgroundColor ?? BACKGROUND_COLOR;
+    this.frontBackgroundImage = opt?.frontBackgroundImage ?? null;
+    this.backBackgroundColor = opt?.backBackgroundColor ?? BACKGROUND_COLOR;
+    this.backBackgroundImage = opt?.backBackgroundImage ?? null;
+    this.mrzBackgroundColor = opt?.mrzBackgroundColor ?? MRZ_BACKGROUND_COLOR;
+    this.mrzBackgroundImage = opt?.mrzBackgroundImage ?? null;
+    this.numberUnderlayColor = opt?.numberUnderlayColor ?? MRZ_BACKGROUND_COLOR;
+    this.numberUnderlayAlpha = opt?.numberUnderlayAlpha ?? UNDERLAY_OPACITY;
+    this.logoUnderlayColor = opt?.logoUnderlayColor ?? HEADER_COLOR;
+    this.logoUnderlayAlpha = opt?.logoUnderlayAlpha ?? UNDERLAY_OPACITY;
+    this.logo = opt?.logo ?? null;
+    this.smallLogo = opt?.smallLogo ?? null;
+    this.showGuides = opt?.showGuides ?? false;
+    this.useDigitalSeal = opt?.useDigitalSeal ?? false;
+    this.sealBarcodeFormat = opt?.sealBarcodeFormat ?? "qr";
+    this.fullAuthority = opt?.fullAuthority ?? FULL_AUTHORITY;
+    this.fullDocumentName = opt?.fullDocumentName ??
+        "FURRY EVENTS IDENTITY CARD";
+    this.nameHeader = opt?.nameHeader ?? [...nameHeader];
+    this.genderHeader = opt?.genderHeader ?? [...genderHeader];
+    this.nationalityHeader = opt?.nationalityHeader ?? [...nationalityHeader];
+    this.dateOfBirthHeader = opt?.dateOfBirthHeader ?? [...birthDateHeader];
+    this.placeOfBirthHeader = opt?.placeOfBirthHeader ?? [
+      "PLACE OF BIRTH",
+      "LIEU DE NAISSANCE",
+      "LUGAR DE NACIMIENTO"
+    ];
+    this.numberHeader = opt?.numberHeader ?? [...documentNoHeader];
+    this.dateOfExpirationHeader = opt?.dateOfExpirationHeader ??
+        [...expirationDateHeader];
+    this.authorityHeader = opt?.authorityHeader ?? [...authorityHeader];
+    this.issueHeader = opt?.issueHeader ?? [
+      "DATE OF ISSUE",
+      "DATE DE DÉLIVERANCE",
+      "FECHA DE EXPEDICIÓN"
+    ];
+    this.endorsementsHeader = opt?.endorsementsHeader ?? [
+      "ENDORSEMENTS",
+      "MENTIONS SPÉCIALES",
+      "ANOTACIONES"
+    ];
+    this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
+  }
+
+  /**
+   * The RGBA color for the dark (black) areas for the rendered barcode:
+   *     '#RRGGBBAA'.
+   * @type { string }
+   */
+  barcodeDarkColor;
+
+  /**
+   * The RGBA color for the light (white) areas for the rendered barcode:
+   *     '#RRGGBBAA'.
+   * @type { string }
+   */
+  barcodeLightColor;
+
+  /**
+   * The error correction level used for generating the barcode: 'L', 'M', 'Q',
+   *     or 'H'.
+   * @type { string }
+   */
+  barcodeErrorCorrection;
+
+  /**
+   * The RGB color for header text: '#RRGGBB'.
+   * @type { string }
+   */
+  headerColor;
+
+  /**
+   * The RGB color for non-header text: '#RRGGBB'.
+   * @type { string }
+   */
+  textColor;
+
+  /**
+   * The RGB color for Machine-Readable Zone (MRZ) text: '#RRGGBB'.
+   * @type { string }
+   */
+  mrzColor;
+
+  /**
+   * The RGB color for the background when no front background image is set:
+   *     '#RRGGBB'.
+   * @type { string }
+   */
+  frontBackgroundColor;
+
+  /**
+   * A path/URL to an image to use for the front background, or `null` for no
+   *     background image.
+   * @type { string | null }
+   */
+  frontBackgroundImage;
+
+  /**
+   * The RGB color for the background when no back background image is set:
+   *     '#RRGGBB'.
+   * @type { string }
+   */
+  backBackgroundColor;
+
+  /**
+   * A path/URL to an image to use for the back background, or `null` for no
+   *     background image.
+   * @type { string | null }
+   */
+  backBackgroundImage;
+
+  /**
+   * The RGB color for the background when no Machine-Readable Zone (MRZ)
+   *     background image is set: '#RRGGBB'.
+   * @type { string }
+   */
+  mrzBackgroundColor;
+
+  /**
+   * A path/URL to an image to use for the Machine-Readable Zone (MRZ)
+   *     background, or `null` for no background image.
+   * @type { string | null }
+   */
+  mrzBackgroundImage;
+
+  /**
+   * The RGB color for the underlay under the document number on the back of the
+   *     card: '#RRGGBB'.
+   * @type { string }
+   */
+  numberUnderlayColor;
+
+  /**
+   * The opacity of the number underlay color: 0-255.
+   * @type { number }
+   */
+  numberUnderlayAlpha;
+  get #numberUnderlayColorWithAlpha() {
+    return this.numberUnderlayColor +
+        this.numberUnderlayAlpha.toString(16).padStart(2, "0");
+  }
+
+  /**
+   * The RGB color for the underlay under photo/logo areas: '#RRGGBB'.
+   * @type { string }
+   */
+  logoUnderlayColor;
+
+  /**
+   * The opacity of the number underlay color: 0-255.
+   * @type { number }
+   */
+  logoUnderlayAlpha;
+  get #logoUnderlayColorWithAlpha() {
+    return this.logoUnderlayColor +
+        this.logoUnderlayAlpha.toString(16).padStart(2, "0");
+  }
+
+  /**
+   * A path/URL to an image to use for the logo, or `null` for no logo.
+   * @type { string | null }
+   */
+  logo;
+
+  /**
+   * A path/URL to an image to use for the small logo, or `null` for no small
+   *     logo.
+   * @type { string | null }
+   */
+  smallLogo;
+
+  /**
+   * Toggles bleed (red) and safe (blue) lines on the rendered canvas.
+   * @type { boolean }
+   */
+  showGuides;
+
+  /**
+   * Toggles storing a visible digital seal (VDS) on the barcode in place of a
+   *     URL.
+   * @type { boolean }
+   */
+  useDigitalSeal;
+
+  /**
+   * The barcode symbology of the digital seal: 'qr' for a QR code of its
+   *     Base45 text, or 'datamatrix' for a DataMatrix of its bytes as specified
+   *     in ICAO 9303 part 13.
+   * @type { string }
+   */
+  sealBarcodeFormat;
+
+  /**
+   * The full name of the authority who issued this document.
+   * @type { string }
+   */
+  fullAuthority;
+
+  /**
+   * The full name of this document's type.
+   * @type { string }
+   */
+  fullDocumentName;
+
+  /**
+   * Header text for the name property: ['primary', 'language 1', 'language 2'].
+   * @type { string[] }
+   */
+  nameHeader;
+
+  /**
+   * Header text for the genderMarker property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  genderHeader;
+
+  /**
+   * Header text for the nationalityCode property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  nationalityHeader;
+
+  /**
+   * Header text for the birthDate property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  dateOfBirthHeader;
+
+  /**
+   * Header text for the placeOfBirth property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  placeOfBirthHeader;
+
+  /**
+   * Header text for the number property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  numberHeader;
+
+  /**
+   * Header text for the expirationDate property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  dateOfExpirationHeader;
+
+  /**
+   * Header text for the subauthority property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  authorityHeader;
+
+  /**
+   * Header text for the issueDate property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  issueHeader;
+
+  /**
+   * Header text for the endorsements property: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  endorsementsHeader;
+
+  /**
+   * A `FontFaceSet`, like the one available from `window.document`.
+   * @type { FontFaceSet }
+   */
+  fonts;
+
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
+  // Font information used in card generation.
+  static #mrzFontFace = MRZ_FONT_FACE;
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static #vizItalicFontFace = VIZ_ITALIC_FONT_FACE;
+  static #signatureFontFace = SIGNATURE_FONT_FACE;
+  static get #mainHeaderFont() {
+    return `bold 24px ${this.#vizFontFace.family}`;
+  }
+  static get #documentHeaderFont() {
+    return `18px ${this.#vizFontFace.family}`;
+  }
+  static get #separatorHeaderFont() {
+    return `bold 18px ${this.#vizFontFace.family}`;
+  }
+  static get #headerFont() {
+    return `bold 18px ${this.#vizFontFace.family}`;
+  }
+  static get #intlFont() {
+    return `italic 18px ${this.#vizFontFace.family}`;
+  }
+  static get #dataFont() {
+    return `24px ${this.#vizFontFace.family}`;
+  }
+  static get #mrzFont() {
+    return `44px ${this.#mrzFontFace.family}`;
+  }
+  static get signatureFont() {
+    return `61px ${this.#signatureFontFace.family}`;
+  }
+
+  // Text constants used in image generation.
+  static #headerSeparator = " · ";
+  static #documentSize = "TD2";
+
+  // Coordinates, widths, and heights used in card generation.
+  static #mainHeaderX = 1224;
+  static #mainHeaderY = [48, 85];
+  static #photoUnderlayXY = [48, 0];
+  static #photoXY = [72, 141];
+  static #logoUnderlayXY = [855, 284];
+  static #numberUnderlayXY = [1091, 193];
+  static #mrzUnderlayXY = [0, 663];
+  static #shortHeaderXY = [1106, 167];
+  static #logoFrontXY = [72, 48];
+  static #logoBackXY = [887, 300];
+  static #smallLogoXY = [1106, 48];
+  static #signatureXY = [72, 527];
+  static #backNumberXY = [1108, 217];
+  static #mrzX = 90;
+  static #mrzY = [737, 812];
+  static #mrzSpacing = 30.35;
+  static #frontColumns = 391;
+  static #backColumns = 48;
+  static #frontRows = [
+    141, // Name Header
+    168, // Name Data
+    217, // Row 2 Header (Primary Language)
+    242, // Row 2 Header (Alternate Language 1)
+    267, // Row 2 Header (Alternate Language 2)
+    294, // Row 2 Data
+    343, // Place of Birth Header
+    370, // Place of Birth Data
+    419, // Number Header
+    446, // Number Data
+    495, // Date of Expiration Header
+    522  // Date of Expiration Data
+  ];
+  static #frontRow2Columns = [
+    540, // Nationality Column
+    740  // Date of Birth Column
+  ];
+  static #backRows = [
+    48,  // Authority Header
+    75,  // Authority Data
+    124, // Date of Issue Header
+    151, // Date of Issue Data
+    379, // Endorsements Header
+    406  // Endorsements Data
+  ];
+  static #cardArea = [1272, 906];
+  static get cutCardArea() { return [1240, 874]; }
+  static get signatureArea() { return [271, 81]; }
+  static #bleed = 16;
+  static #safe = 48;
+  // DataMatrix symbols are scaled to fit the width of the version 9 QR code.
+  static #dataMatrixWidth = 212;
+  static #photoUnderlayArea = [319, 632];
+  static #photoArea = [271, 362];
+  static #logoUnderlayArea = [417, 71];
+  static #numberUnderlayArea = [181, 67];
+  static #mrzUnderlayArea = [1272, 243];
+  static #logoArea = [271, 61];
+  static #backLogoArea = [337, 39];
+  static #smallLogoArea = [103, 103];
+
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadImage", "loadFonts"].includes(key);
+    }));
+  }
+
+  /** Load the fonts used by this renderer. */
+  async loadCanvasFonts() {
+    await this.loadFonts([
+      EventsIDRenderer.#mrzFontFace,
+      EventsIDRenderer.#vizFontFace,
+      EventsIDRenderer.#vizBoldFontFace,
+      EventsIDRenderer.#vizItalicFontFace,
+      EventsIDRenderer.#signatureFontFace
+    ], this.fonts);
+  }
+
+  /**
+   * Generate the front image and return the canvas.
+   * @param { EventsID } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateCardFront(model, fallback) {
+    const canvas = this.createCanvas(
+      EventsIDRenderer.#cardArea[0],
+      EventsIDRenderer.#cardArea[1],
+      fallback
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.textBaseline = "top";
+
+    const images = await Promise.all([
+      this.frontBackgroundImage ?
+          this.loadImage(this.frontBackgroundImage) : null,
+      this.mrzBackgroundImage ?
+          this.loadImage(this.mrzBackgroundImage) : null,
+      this.loadImage(model.photo),
+      this.logo ? this.loadImage(this.logo) : null,
+      typeof model.signatureImage !== typeof canvas ?
+          this.loadImage(model.signatureImage) : null
+    ]);
+
+    ctx.fillStyle = this.frontBackgroundColor;
+    ctx.fillRect(
+      0, 0,
+      EventsIDRenderer.#cardArea[0],
+      EventsIDRenderer.#cardArea[1]
+    );
+    if (images[0]) {
+      ctx.drawImage(
+        images[0],
+        0, 0,
+        EventsIDRenderer.#cardArea[0],
+        EventsIDRenderer.#cardArea[1]
+      );
+    }
+    ctx.fillStyle = this.mrzBackgroundColor;
+    ctx.fillRect(
+      EventsIDRenderer.#mrzUnderlayXY[0],
+      EventsIDRenderer.#mrzUnderlayXY[1],
+      EventsIDRenderer.#mrzUnderlayArea[0],
+      EventsIDRenderer.#mrzUnderlayArea[1]
+    );
+    if (images[1]) {
+      ctx.drawImage(
+        images[1],
+        EventsIDRenderer.#mrzUnderlayXY[0],
+        EventsIDRenderer.#mrzUnderlayXY[1],
+        EventsIDRenderer.#mrzUnderlayArea[0],
+        EventsIDRenderer.#mrzUnderlayArea[1]
+      );
+    }
+    ctx.fillStyle = this.#logoUnderlayColorWithAlpha;
+    ctx.fillRect(
+      EventsIDRenderer.#photoUnderlayXY[0],
+      EventsIDRenderer.#photoUnderlayXY[1],
+      EventsIDRenderer.#photoUnderlayArea[0],
+      EventsIDRenderer.#photoUnderlayArea[1]
+    );
+    fillAreaWithImage(
+      images[2], ctx,
+      EventsIDRenderer.#photoXY[0],
+      EventsIDRenderer.#photoXY[1],
+      EventsIDRenderer.#photoArea[0],
+      EventsIDRenderer.#photoArea[1]
+    );
+    if (images[3]) {
+      fitImageInArea(
+        images[3], ctx,
+        EventsIDRenderer.#logoFrontXY[0],
+        EventsIDRenderer.#logoFrontXY[1],
+        EventsIDRenderer.#logoArea[0],
+        EventsIDRenderer.#logoArea[1]
+      );
+    }
+    if (images[4]) {
+      fitImageInArea(
+        images[4], ctx,
+        EventsIDRenderer.#signatureXY[0],
+        EventsIDRenderer.#signatureXY[1],
+        EventsIDRenderer.signatureArea[0],
+        EventsIDRenderer.signatureArea[1],
+      );
+    }
+    else {
+      ctx.drawImage(
+        model.signatureImage,
+        EventsIDRenderer.#signatureXY[0],
+        EventsIDRenderer.#signatureXY[1],
+        EventsIDRenderer.signatureArea[0],
+        EventsIDRenderer.signatureArea[1]
+      );
+    }
+
+    ctx.fillStyle = this.headerColor;
+    ctx.font = EventsIDRenderer.#mainHeaderFont;
+    ctx.fillText(
+      this.fullAuthority,
+      Math.max(
+        EventsIDRenderer.#mainHeaderX -
+          ctx.measureText(this.fullAuthority).width,
+        EventsIDRenderer.#frontColumns
+      ),
+      EventsIDRenderer.#mainHeaderY[0],
+      EventsIDRenderer.#mainHeaderX - EventsIDRenderer.#frontColumns
+    );
+    ctx.font = EventsIDRenderer.#documentHeaderFont;
+    let documentHeaderWidth = ctx.measureText(this.fullDocumentName).width;
+    ctx.fillText(
+      this.fullDocumentName,
+      EventsIDRenderer.#mainHeaderX - documentHeaderWidth,
+      EventsIDRenderer.#mainHeaderY[1]
+    );
+    ctx.font = EventsIDRenderer.#separatorHeaderFont;
+    documentHeaderWidth += ctx.measureText(
+      EventsIDRenderer.#headerSeparator
+    ).width;
+    ctx.fillText(
+      EventsIDRenderer.#headerSeparator,
+      EventsIDRenderer.#mainHeaderX - documentHeaderWidth,
+      EventsIDRenderer.#mainHeaderY[1]
+    );
+    ctx.font = EventsIDRenderer.#documentHeaderFont;
+    documentHeaderWidth += ctx.measureText(
+      `${model.typeCode.toUpperCase()}-${model.authorityCode.toUpperCase()}`
+    ).width;
+    ctx.fillText(
+      `${model.typeCode.toUpperCase()}-${model.authorityCode.toUpperCase()}`,
+      EventsIDRenderer.#mainHeaderX - documentHeaderWidth,
+      EventsIDRenderer.#mainHeaderY[1]
+    );
+
+    ctx.fillStyle = this.headerColor;
+    ctx.font = EventsIDRenderer.#headerFont;
+    ctx.fillText(
+      this.nameHeader[0],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[0]
+    );
+    ctx.fillText(
+      this.genderHeader[0],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[2]
+    );
+    ctx.fillText(
+      this.nationalityHeader[0],
+      EventsIDRenderer.#frontRow2Columns[0],
+      EventsIDRenderer.#frontRows[2]
+    );
+    ctx.fillText(
+      this.dateOfBirthHeader[0],
+      EventsIDRenderer.#frontRow2Columns[1],
+      EventsIDRenderer.#frontRows[2]
+    );
+    ctx.fillText(
+      this.placeOfBirthHeader[0],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[6]
+    );
+    ctx.fillText(
+      this.numberHeader[0],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[8]
+    );
+    ctx.fillText(
+      this.dateOfExpirationHeader[0],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[10]
+    );
+    const NAME_WIDTH = EventsIDRenderer.#frontColumns +
+      ctx.measureText(this.nameHeader[0]).width;
+    const GENDER_WIDTH = EventsIDRenderer.#frontColumns +
+      ctx.measureText(this.genderHeader[0]).width;
+    const NATIONALITY_WIDTH = EventsIDRenderer.#frontRow2Columns[0] +
+      ctx.measureText(this.nationalityHeader[0]).width;
+    const DATE_OF_BIRTH_WIDTH = EventsIDRenderer.#frontRow2Columns[1] +
+      ctx.measureText(this.dateOfBirthHeader[0]).width;
+    const PLACE_OF_BIRTH_WIDTH = EventsIDRenderer.#frontColumns +
+      ctx.measureText(this.placeOfBirthHeader[0]).width;
+    const NUMBER_WIDTH = EventsIDRenderer.#frontColumns +
+      ctx.measureText(this.numberHeader[0]).width;
+    const DATE_OF_EXPIRATION_WIDTH = EventsIDRenderer.#frontColumns +
+      ctx.measureText(this.dateOfExpirationHeader[0]).width;
+
+    ctx.font = EventsIDRenderer.#intlFont;
+    ctx.fillText(
+      `/ ${this.nameHeader[1]}/ ${this.nameHeader[2]}`,
+      NAME_WIDTH,
+      EventsIDRenderer.#frontRows[0]
+    );
+    ctx.fillText("/", GENDER_WIDTH, EventsIDRenderer.#frontRows[2]);
+    ctx.fillText(
+      `${this.genderHeader[1]}/`,
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[3]
+    );
+    ctx.fillText(
+      this.genderHeader[2],
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[4]
+    );
+    ctx.fillText("/", NATIONALITY_WIDTH, EventsIDRenderer.#frontRows[2]);
+    ctx.fillText(
+      `${this.nationalityHeader[1]}/`,
+      EventsIDRenderer.#frontRow2Columns[0],
+      EventsIDRenderer.#frontRows[3]
+    );
+    ctx.fillText(
+      this.nationalityHeader[2],
+      EventsIDRenderer.#frontRow2Columns[0],
+      EventsIDRenderer.#frontRows[4]
+    );
+    ctx.fillText("/", DATE_OF_BIRTH_WIDTH, EventsIDRenderer.#frontRows[2]);
+    ctx.fillText(
+      `${this.dateOfBirthHeader[1]}/`,
+      EventsIDRenderer.#frontRow2Columns[1],
+      EventsIDRenderer.#frontRows[3]
+    );
+    ctx.fillText(
+      this.dateOfBirthHeader[2],
+      EventsIDRenderer.#frontRow2Columns[1],
+      EventsIDRenderer.#frontRows[4]
+    );
+    ctx.fillText(
+      `/ ${this.placeOfBirthHeader[1]}/ ${this.placeOfBirthHeader[2]}`,
+      PLACE_OF_BIRTH_WIDTH,
+      EventsIDRenderer.#frontRows[6]
+    );
+    ctx.fillText(
+      `/ ${this.numberHeader[1]}/ ${this.numberHeader[2]}`,
+      NUMBER_WIDTH,
+      EventsIDRenderer.#frontRows[8]
+    );
+    ctx.fillText(
+      `/ ${this.dateOfExpirationHeader[1]}/ ${this.dateOfExpirationHeader[2]}`,
+      DATE_OF_EXPIRATION_WIDTH,
+      EventsIDRenderer.#frontRows[10]
+    );
+
+    ctx.fillStyle = this.textColor;
+    ctx.font = EventsIDRenderer.#dataFont;
+    ctx.fillText(
+      model.fullName.toUpperCase(),
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[1],
+      EventsIDRenderer.#mainHeaderX - EventsIDRenderer.#frontColumns
+    );
+    ctx.fillText(
+      model.genderMarker,
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[5]
+    );
+    ctx.fillText(
+      model.nationalityCode,
+      EventsIDRenderer.#frontRow2Columns[0],
+      EventsIDRenderer.#frontRows[5]
+    );
+    ctx.fillText(
+      dateToVIZ(model.birthDate),
+      EventsIDRenderer.#frontRow2Columns[1],
+      EventsIDRenderer.#frontRows[5]
+    );
+    ctx.fillText(
+      model.placeOfBirth.toUpperCase(),
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[7],
+      EventsIDRenderer.#mainHeaderX - EventsIDRenderer.#frontColumns
+    );
+    ctx.fillText(
+      model.number.toUpperCase(),
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[9]
+    );
+    ctx.fillText(
+      dateToVIZ(model.expirationDate),
+      EventsIDRenderer.#frontColumns,
+      EventsIDRenderer.#frontRows[11]
+    );
+
+    ctx.fillStyle = this.mrzColor;
+    ctx.font = EventsIDRenderer.#mrzFont;
+    [...model.machineReadableZone].forEach((character, i) => {
+      ctx.fillText(
+        character,
+        EventsIDRenderer.#mrzX +
+            ((i % TD2_MRZ_LINE_LENGTH) * EventsIDRenderer.#mrzSpacing),
+        EventsIDRenderer.#mrzY[Math.floor(i / TD2_MRZ_LINE_LENGTH)]
+      );
+    });
+
+    if (this.showGuides) {
+      drawBleedAndSafeLines(
+        ctx,
+        EventsIDRenderer.#cardArea,
+        EventsIDRenderer.#bleed,
+        EventsIDRenderer.#safe
+      );
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Generate the back image and return the canvas.
+   * @param { EventsID } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateCardBack(model, fallback) {
+    const canvas = this.createCanvas(
+      EventsIDRenderer.#cardArea[0],
+      EventsIDRenderer.#cardArea[1],
+      fallback
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.textBaseline = "top";
+    const barcode = this.useDigitalSeal ?
+        [{ data: toBase45(model.signedSeal), mode: "alphanumeric" }]
+        : model.url;
+
+    const images = await Promise.all([
+      this.backBackgroundImage ?
+          this.loadImage(this.backBackgroundImage) : null,
+      this.useDigitalSeal && this.sealBarcodeFormat === "datamatrix" ?
+          toDataMatrixCanvas(this.createCanvas(1, 1), model.signedSeal, {
+            width: EventsIDRenderer.#dataMatrixWidth,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }) :
+          toQRCanvas(this.createCanvas(1, 1), barcode, {
+            errorCorrectionLevel: this.barcodeErrorCorrection,
+            version: 9,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }),
+      this.logo ? this.loadImage(this.logo) : null,
+      this.smallLogo ? this.loadImage(this.smallLogo) : null
+    ]);
+
+    ctx.fillStyle = this.backBackgroundColor;
+    ctx.fillRect(
+      0, 0,
+      EventsIDRenderer.#cardArea[0],
+      EventsIDRenderer.#cardArea[1]
+    );
+    if (images[0]) {
+      ctx.drawImage(
+        images[0],
+        0, 0,
+        EventsIDRenderer.#cardArea[0],
+        EventsIDRenderer.#cardArea[1]
+      );
+    }
+    ctx.fillStyle = this.#logoUnderlayColorWithAlpha;
+    ctx.fillRect(
+      EventsIDRenderer.#logoUnderlayXY[0],
+      EventsIDRenderer.#logoUnderlayXY[1],
+      EventsIDRenderer.#logoUnderlayArea[0],
+      EventsIDRenderer.#logoUnderlayArea[1]
+    );
+    ctx.fillStyle = this.#numberUnderlayColorWithAlpha;
+    ctx.fillRect(
+      EventsIDRenderer.#numberUnderlayXY[0],
+      EventsIDRenderer.#numberUnderlayXY[1],
+      EventsIDRenderer.#numberUnderlayArea[0],
+      EventsIDRenderer.#numberUnderlayArea[1]
+    );
+    ctx.drawImage(
+      images[1],
+      EventsIDRenderer.#numberUnderlayXY[0] - 24 - images[1].width,
+      48
+    );
+    if (images[2]) {
+      fitImageInArea(
+        images[2], ctx,
+        EventsIDRenderer.#logoBackXY[0],
+        EventsIDRenderer.#logoBackXY[1],
+        EventsIDRenderer.#backLogoArea[0],
+        EventsIDRenderer.#backLogoArea[1]
+      );
+    }
+    if (images[3]) {
+      ctx.drawImage(
+        images[3],
+        EventsIDRenderer.#smallLogoXY[0],
+        EventsIDRenderer.#smallLogoXY[1],
+        EventsIDRenderer.#smallLogoArea[0],
+        EventsIDRenderer.#smallLogoArea[1]
+      );
+    }
+
+    ctx.fillStyle = this.textColor;
+    ctx.font = EventsIDRenderer.#headerFont;
+    ctx.fillText(
+      `${model.typeCode.toUpperCase()}-${model.authorityCode.toUpperCase()}` +
+          `${EventsIDRenderer.#headerSeparator}` +
+          `${EventsIDRenderer.#documentSize}`,
+      EventsIDRenderer.#shortHeaderXY[0],
+      EventsIDRenderer.#shortHeaderXY[1],
+      EventsIDRenderer.#smallLogoArea[0]
+    );
+
+    ctx.fillStyle = this.headerColor;
+    ctx.font = EventsIDRenderer.#headerFont;
+    ctx.fillText(
+      this.authorityHeader[0],
+      EventsIDRenderer.#backColumns,
+      EventsIDRenderer.#backRows[0]
+    );
+    ctx.fillText(
+      this.issueHeader[0],
+      EventsIDRenderer.#backColumns,
+      EventsIDRenderer.#backRows[2]
+    );
+    ctx.fillText(
+      this.endorsementsHeader[0],
+      EventsIDRenderer.#backColumns,
+      EventsIDRenderer.#backRows[4]
+    );
+    const AUTHORITY_WIDTH = EventsIDRenderer.#backColumns +
+      ctx.measureText(this.authorityHeader[0]).width;
+    const ISSUE_WIDTH = EventsIDRenderer.#backColumns +
+      ctx.measureText(this.issueHeader[0]).width;
+    const ENDORSEMENTS_WIDTH = EventsIDRenderer.#backColumns +
+      ctx.measureText(this.endorsementsHeader[0]).width;
+
+    ctx.font = EventsIDRenderer.#intlFont;
+    ctx.fillText(
+      `/ ${this.authorityHeader[1]}/ ${this.authorityHeader[2]}`,
+      AUTHORITY_WIDTH,
+      EventsIDRenderer.#backRows[0]
+    );
+    ctx.fillText(
+      `/ ${this.issueHeader[1]}/ ${this.issueHeader[2]}`,
+      ISSUE_WIDTH,
+      EventsIDRenderer.#backRows[2]
+    );
+    ctx.fillText(
+      `/ ${this.endorsementsHeader[1]}/ ${this.endorsementsHeader[2]}`,
+      ENDORSEMENTS_WIDTH,
+      EventsIDRenderer.#backRows[4]
+    );
+
+    ctx.fillStyle = this.textColor;
+    ctx.font = EventsIDRenderer.#dataFont;
+    ctx.fillText(
+      model.subauthority.toUpperCase(),
+      EventsIDRenderer.#backColumns,
+      EventsIDRenderer.#backRows[1],
+      EventsIDRenderer.#logoUnderlayXY[0] - 24 - EventsIDRenderer.#backColumns
+    );
+    ctx.fillText(
+      dateToVIZ(model.issueDate),
+      EventsIDRenderer.#backColumns,
+      EventsIDRenderer.#backRows[3]
+    );
+    model.endorsements.toUpperCase().split(/\r?\n/).forEach((line, i) => {
+      ctx.fillText(
+        line,
+        EventsIDRenderer.#backColumns,
+        EventsIDRenderer.#backRows[5] + (i * 30),
+        EventsIDRenderer.#mainHeaderX - EventsIDRenderer.#backColumns
+      );
+    });
+    ctx.fillText(
+      model.number.toUpperCase(),
+      EventsIDRenderer.#backNumberXY[0],
+      EventsIDRenderer.#backNumberXY[1],
+      EventsIDRenderer.#mainHeaderX - EventsIDRenderer.#backNumberXY[0]
+    );
+
+    if (this.showGuides) {
+      drawBleedAndSafeLines(
+        ctx,
+        EventsIDRenderer.#cardArea,
+        EventsIDRenderer.#bleed,
+        EventsIDRenderer.#safe
+      );
+    }
+
+    return canvas;
+  }
+}
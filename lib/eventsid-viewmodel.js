@@ -0,0 +1,1801 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { EventsID } from "./eventsid.js";
+import { EventsIDRenderer } from "./eventsid-renderer.js";
+import { ifNewGenerateSignatureFromText } from "./utilities/if-new-generate-signature-from-text.js";
+import { loadFileFromUpload } from "./utilities/load-file-from-upload.js";
+import { imageToDataURL } from "./utilities/image-to-data-url.js";
+import { PROJECT_VERSION, readProject } from "./utilities/read-project.js";
+import { signSealUsingRNG } from "./utilities/sign-seal-using-rng.js";
+import { exportPDF } from "./utilities/export-pdf.js";
+import { loadSealSigner } from "./utilities/load-seal-signer.js";
+import { dateToCalendarDate } from "./icao9303/utilities/date-to-calendar-date.js";
+import { validateMRZString } from "./icao9303/utilities/validate-mrz-string.js";
+import { validateHexString } from "./icao9303/utilities/validate-hex-string.js";
+import { validateIdentifierCode } from "./icao9303/utilities/validate-identifier-code.js";
+import { transliterateFullName } from "./icao9303/utilities/transliterate-full-name.js";
+
+/**
+ * While not a proper "ViewModel", this loads the initial state of the model,
+ *     sets the initial data as the values and placeholders of the web page,
+ *     and whenever values are updated on the HTML form the generated images
+ *     of the document are updated.
+ */
+export class EventsIDViewModel {
+  #model = new EventsID({
+    typeCode: "I",
+    authorityCode: "XAF",
+    number: "362142069",
+    fullName: "Millefeuille, Alfalfa",
+    nationalityCode: "UTO",
+    birthDate: "1998-04-17",
+    genderMarker: "F",
+    placeOfBirth: "UTOPIA",
+    issueDate: "2023-08-23",
+    subauthority: "Committee on Anthropomorphic Statistics and Census",
+    expirationDate: "2033-08-23",
+    endorsements: "None",
+    optionalData: "",
+    photo: "/photos/fox.jpg",
+    signatureImage: "/signatures/alfalfa.png",
+    url: "https://airlinefurries.com/",
+    identifierCode: "XFSS",
+    certReference: "00000",
+    signatureDate: "2023-09-01",
+    subauthorityCode: "1"
+  });
+
+  #renderer = new EventsIDRenderer({
+    frontBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+    backBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+    logo: "/logos/alfa.png",
+    smallLogo: "/smallLogos/alfa-bw.svg",
+  });
+
+  #sealSigner = null;
+  #inputTimeout = null;
+  #frontFallback;
+  #backFallback;
+  #signatureFallback;
+  #signatureGenerator = null;
+  #frontBlobURL = null;
+  #backBlobURL = null;
+  #pdfBlobURL = null;
+  #projectBlobURL = null;
+
+  /** @type { Document } */ #document;
+  /** @param { Document } document */
+  set document(document) { this.#document = document; }
+
+  /** @type { Element } */ #cardFrontElement;
+  /** @param { Element } canvas */
+  set cardFrontElement(canvas) { this.#cardFrontElement = canvas; }
+
+  /** @type { Element } */ #cardBackElement;
+  /** @param { Element } canvas */
+  set cardBackElement(canvas) { this.#cardBackElement = canvas; }
+
+  /** @type { HTMLInputElement } */ #typeCodeInput;
+  /** @param { HTMLInputElement } input */
+  set typeCodeInput(input) {
+    this.#typeCodeInput = input;
+    this.#typeCodeInput.setAttribute("minlength", 1);
+    this.#typeCodeInput.setAttribute("maxlength", 2);
+    this.#typeCodeInput.value = this.#model.typeCode;
+    this.#typeCodeInput.setAttribute("placeholder", this.#model.typeCode);
+    this.#typeCodeInput.addEventListener("input", this, false);
+    this.#typeCodeInput.addEventListener("change", this, false);
+  }
+  onTypeCodeInputChange() {
+    this.#typeCodeInput.setCustomValidity(
+      validateMRZString(this.#typeCodeInput.value, {
+        minimum: 1,
+        maximum: 2
+      })
+    );
+    if (this.#typeCodeInput.reportValidity() &&
+    this.#model.typeCode !== this.#typeCodeInput.value) {
+      this.#model.typeCode = this.#typeCodeInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #authorityCodeInput;
+  /** @param { HTMLInputElement } input */
+  set authorityCodeInput(input) {
+    this.#authorityCodeInput = input;
+    this.#authorityCodeInput.setAttribute("minlength", 1);
+    this.#authorityCodeInput.setAttribute("maxlength", 3);
+    this.#authorityCodeInput.value = this.#model.authorityCode;
+    this.#authorityCodeInput.setAttribute("placeholder", this.#model.authorityCode);
+    this.#authorityCodeInput.addEventListener("input", this, false);
+    this.#authorityCodeInput.addEventListener("change", this, false);
+  }
+  onAuthorityCodeInputChange() {
+    this.#authorityCodeInput.setCustomValidity(
+      validateMRZString(this.#authorityCodeInput.value, {
+        minimum: 1,
+        maximum: 3
+      })
+    );
+    if (this.#authorityCodeInput.reportValidity() &&
+    this.#model.authorityCode !== this.#authorityCodeInput.value) {
+      this.#model.authorityCode = this.#authorityCodeInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #numberInput;
+  /** @param { HTMLInputElement } input */
+  set numberInput(input) {
+    this.#numberInput = input;
+    this.#numberInput.setAttribute("minlength", 1);
+    this.#numberInput.setAttribute("maxlength", 9);
+    this.#numberInput.value = this.#model.number;
+    this.#numberInput.setAttribute("placeholder", this.#model.number);
+    this.#numberInput.addEventListener("input", this, false);
+    this.#numberInput.addEventListener("change", this, false);
+  }
+  onNumberInputChange() {
+    this.#numberInput.setCustomValidity(
+      validateMRZString(this.#numberInput.value, {
+        minimum: 1,
+        maximum: 9
+      })
+    );
+    if (this.#numberInput.reportValidity() &&
+    this.#model.number !== this.#numberInput.value) {
+      this.#model.number = this.#numberInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfBirthInput;
+  /** @param { HTMLInputElement } input */
+  set dateOfBirthInput(input) {
+    this.#dateOfBirthInput = input;
+    this.#dateOfBirthInput.value = this.#model.birthDate.toISOString().slice(0,10);
+    this.#dateOfBirthInput.addEventListener("change", this, false);
+  }
+  onDateOfBirthInputChange() {
+    this.#model.birthDate = this.#dateOfBirthInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #genderMarkerInput;
+  /** @param { HTMLInputElement } input */
+  set genderMarkerInput(input) {
+    this.#genderMarkerInput = input;
+    this.#genderMarkerInput.value = this.#model.genderMarker;
+    this.#genderMarkerInput.addEventListener("change", this, false);
+  }
+  onGenderMarkerInputChange() {
+    this.#model.genderMarker = this.#genderMarkerInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfExpirationInput;
+  /** @param { HTMLInputElement } input */
+  set dateOfExpirationInput(input) {
+    this.#dateOfExpirationInput = input;
+    this.#dateOfExpirationInput.value = this.#model.expirationDate.toISOString().slice(0,10);
+    this.#dateOfExpirationInput.addEventListener("change", this, false);
+  }
+  onDateOfExpirationInputChange() {
+    this.#model.expirationDate = this.#dateOfExpirationInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #nationalityCodeInput;
+  /** @param { HTMLInputElement } input */
+  set nationalityCodeInput(input) {
+    this.#nationalityCodeInput = input;
+    this.#nationalityCodeInput.setAttribute("minlength", 1);
+    this.#nationalityCodeInput.setAttribute("maxlength", 3);
+    this.#nationalityCodeInput.value = this.#model.nationalityCode;
+    this.#nationalityCodeInput.setAttribute("placeholder", this.#model.nationalityCode);
+    this.#nationalityCodeInput.addEventListener("input", this, false);
+    this.#nationalityCodeInput.addEventListener("change", this, false);
+  }
+  onNationalityCodeInputChange() {
+    this.#nationalityCodeInput.setCustomValidity(
+      validateMRZString(this.#nationalityCodeInput.value, {
+        minimum: 1,
+        maximum: 3
+      })
+    );
+    if (this.#nationalityCodeInput.reportValidity() &&
+    this.#model.nationalityCode !== this.#nationalityCodeInput.value) {
+      this.#model.nationalityCode = this.#nationalityCodeInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #fullNameInput;
+  /** @param { HTMLInputElement } input */
+  set fullNameInput(input) {
+    this.#fullNameInput = input;
+    this.#fullNameInput.setAttribute("minlength", 1);
+    this.#fullNameInput.value = this.#model.fullName;
+    this.#fullNameInput.setAttribute("placeholder", this.#model.fullName);
+    this.#fullNameInput.addEventListener("input", this, false);
+    this.#fullNameInput.addEventListener("change", this, false);
+    this.#showFullNameTruncation();
+  }
+  onFullNameInputChange() {
+    const fullName = transliterateFullName(this.#fullNameInput.value);
+    if (this.#fullNameInput.checkValidity() &&
+    this.#model.fullName !== fullName) {
+      this.#model.fullName = fullName;
+      this.#showFullNameTruncation();
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #placeOfBirthInput;
+  /** @param { HTMLInputElement } input */
+  set placeOfBirthInput(input) {
+    this.#placeOfBirthInput = input;
+    this.#placeOfBirthInput.value = this.#model.placeOfBirth;
+    this.#placeOfBirthInput.setAttribute("placeholder", this.#model.placeOfBirth);
+    this.#placeOfBirthInput.addEventListener("input", this, false);
+    this.#placeOfBirthInput.addEventListener("change", this, false);
+  }
+  onPlaceOfBirthInputChange() {
+    if (this.#model.placeOfBirth !== this.#placeOfBirthInput.value) {
+      this.#model.placeOfBirth = this.#placeOfBirthInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #optionalDataInput;
+  /** @param { HTMLInputElement } input */
+  set optionalDataInput(input) {
+    this.#optionalDataInput = input;
+    this.#optionalDataInput.setAttribute("minlength", 0);
+    this.#optionalDataInput.setAttribute("maxlength", 7);
+    this.#optionalDataInput.addEventListener("input", this, false);
+    this.#optionalDataInput.addEventListener("change", this, false);
+  }
+  onOptionalDataInputChange() {
+    this.#optionalDataInput.setCustomValidity(
+      validateMRZString(this.#optionalDataInput.value, {
+        maximum: 7
+      })
+    );
+    if (this.#optionalDataInput.reportValidity() &&
+    this.#model.optionalData !== this.#optionalDataInput.value) {
+      this.#model.optionalData = this.#optionalDataInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #issueDateInput;
+  /** @param { HTMLInputElement } input */
+  set issueDateInput(input) {
+    this.#issueDateInput = input;
+    this.#issueDateInput.value = this.#model.issueDate.toISOString().slice(0,10);
+    this.#issueDateInput.addEventListener("change", this, false);
+    this.#issueDateInput.setAttribute("disabled", "disabled");
+  }
+  onIssueDateInputChange() {
+    this.#model.issueDate = this.#issueDateInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #identifierInput;
+  /** @param { HTMLInputElement } input */
+  set identifierInput(input) {
+    this.#identifierInput = input;
+    this.#identifierInput.setAttribute("minlength", 4);
+    this.#identifierInput.setAttribute("maxlength", 4);
+    this.#identifierInput.value = this.#model.identifierCode;
+    this.#identifierInput.setAttribute("placeholder", this.#model.identifierCode);
+    this.#identifierInput.addEventListener("input", this, false);
+    this.#identifierInput.addEventListener("change", this, false);
+    this.#identifierInput.setAttribute("disabled", "disabled");
+  }
+  onIdentifierInputChange() {
+    this.#identifierInput.setCustomValidity(
+      validateIdentifierCode(this.#identifierInput.value)
+    );
+    if (this.#identifierInput.reportValidity() &&
+    this.#model.identifierCode !== this.#identifierInput.value) {
+      this.#model.identifierCode = this.#identifierInput.value;
+      this.#generateCard();
+    }
+  }
+  /** @type { HTMLInputElement } */ #certReferenceInput;
+  /** @param { HTMLInputElement } input */
+  set certReferenceInput(input) {
+    this.#certReferenceInput = input;
+    this.#certReferenceInput.setAttribute("minlength", 1);
+    this.#certReferenceInput.value = this.#model.certReference;
+    this.#certReferenceInput.setAttribute("placeholder", this.#model.certReference);
+    this.#certReferenceInput.addEventListener("input", this, false);
+    this.#certReferenceInput.addEventListener("change", this, false);
+    this.#certReferenceInput.setAttribute("disabled", "disabled");
+  }
+  onCertReferenceInputChange() {
+    this.#certReferenceInput.setCustomValidity(
+      validateHexString(this.#certReferenceInput.value, {
+        // Version 3 seals use certificate references of exactly 5 characters.
+        minimum: this.#model.sealVersion === 3 ? 5 : 1,
+        maximum: this.#model.sealVersion === 3 ? 5 : null
+      })
+    );
+    if (this.#certReferenceInput.reportValidity() &&
+    this.#model.certReference !== this.#certReferenceInput.value) {
+      this.#model.certReference = this.#certReferenceInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #sealSignatureDateInput;
+  /** @param { HTMLInputElement } input */
+  set sealSignatureDateInput(input) {
+    this.#sealSignatureDateInput = input;
+    this.#sealSignatureDateInput.value = this.#model.signatureDate.toISOString().slice(0,10);
+    this.#sealSignatureDateInput.addEventListener("change", this, false);
+    this.#sealSignatureDateInput.setAttribute("disabled", "disabled");
+  }
+  onSealSignatureDateInputChange() {
+    this.#model.signatureDate = this.#sealSignatureDateInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #sealSignatureInput;
+  /** @param { HTMLInputElement } input */
+  set sealSignatureInput(input) {
+    this.#sealSignatureInput = input;
+    this.#sealSignatureInput.value = this.#sealSigner ? "SIGNED WITH PRIVATE KEY"
+        : "RANDOMLY GENERATED";
+  }
+
+  /** @type { HTMLInputElement } */ #sealSigningKeyInput;
+  /** @param { HTMLInputElement } input */
+  set sealSigningKeyInput(input) {
+    this.#sealSigningKeyInput = input;
+    this.#sealSigningKeyInput.setAttribute("accept", ".pem,.key,.p8");
+    this.#sealSigningKeyInput.addEventListener("change", this, false);
+    this.#sealSigningKeyInput.setAttribute("disabled", "disabled");
+  }
+  async onSealSigningKeyInputChange() {
+    await this.#updateSealSigner();
+  }
+
+  /** @type { HTMLInputElement } */ #sealSigningCertificateInput;
+  /** @param { HTMLInputElement } input */
+  set sealSigningCertificateInput(input) {
+    this.#sealSigningCertificateInput = input;
+    this.#sealSigningCertificateInput.setAttribute("accept", ".pem,.crt,.cer,.der");
+    this.#sealSigningCertificateInput.addEventListener("change", this, false);
+    this.#sealSigningCertificateInput.setAttribute("disabled", "disabled");
+  }
+  async onSealSigningCertificateInputChange() {
+    await this.#updateSealSigner();
+  }
+
+  /** @type { HTMLInputElement } */ #subauthorityCodeInput;
+  /** @param { HTMLInputElement } input */
+  set subauthorityCodeInput(input) {
+    this.#subauthorityCodeInput = input;
+    this.#subauthorityCodeInput.setAttribute("minlength", 1);
+    this.#subauthorityCodeInput.setAttribute("maxlength", 8);
+    this.#subauthorityCodeInput.value = this.#model.subauthorityCode;
+    this.#subauthorityCodeInput.setAttribute("placeholder", this.#model.subauthorityCode);
+    this.#subauthorityCodeInput.addEventListener("input", this, false);
+    this.#subauthorityCodeInput.addEventListener("change", this, false);
+    this.#subauthorityCodeInput.setAttribute("disabled", "disabled");
+  }
+  onSubauthorityCodeInputChange() {
+    this.#subauthorityCodeInput.setCustomValidity(
+      validateHexString(this.#subauthorityCodeInput.value, {
+        minimum: 1,
+        maximum: 8
+      })
+    );
+    if (this.#subauthorityCodeInput.reportValidity() &&
+    this.#model.subauthorityCode !== this.#subauthorityCodeInput.value) {
+      this.#model.subauthorityCode = this.#subauthorityCodeInput.value;
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #authorityInput;
+  /** @param { HTMLInputElement } input */
+  set authorityInput(input) {
+    this.#authorityInput = input;
+    this.#authorityInput.value = this.#model.subauthority;
+    this.#authorityInput.setAttribute("placeholder", this.#model.subauthority);
+    this.#authorityInput.addEventListener("input", this, false);
+    this.#authorityInput.addEventListener("change", this, false);
+  }
+  onAuthorityInputChange() {
+    if (this.#model.subauthority !== this.#authorityInput.value) {
+      this.#model.subauthority = this.#authorityInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #endorsementsInput;
+  /** @param { HTMLInputElement } input */
+  set endorsementsInput(input) {
+    this.#endorsementsInput = input;
+    this.#endorsementsInput.value = this.#model.endorsements;
+    this.#endorsementsInput.setAttribute("placeholder", this.#model.endorsements);
+    this.#endorsementsInput.addEventListener("input", this, false);
+    this.#endorsementsInput.addEventListener("change", this, false);
+  }
+  onEndorsementsInputChange() {
+    if (this.#model.endorsements !== this.#endorsementsInput.value) {
+      this.#model.endorsements = this.#endorsementsInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #pictureInput;
+  /** @param { HTMLInputElement } input */
+  set pictureInput(input) {
+    this.#pictureInput = input;
+    this.#pictureInput.setAttribute("accept", "image/*");
+    this.#pictureInput.addEventListener("change", this, false);
+  }
+  async onPictureInputChange() {
+    if (this.#pictureInput.files[0]) {
+      this.#model.photo = await loadFileFromUpload(this.#pictureInput.files[0]);
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #signatureInput;
+  /** @param { HTMLInputElement } input */
+  set signatureInput(input) {
+    this.#signatureInput = input;
+    this.#signatureInput.addEventListener("change", this, false);
+  }
+  onSignatureInputChange() {
+    switch (this.#signatureInput.value) {
+      case "upload":
+        this.#signatureFileInput.removeAttribute("disabled");
+        this.#signatureTextInput.setAttribute("disabled", "disabled");
+        break;
+      case "text":
+        this.#signatureFileInput.setAttribute("disabled", "disabled");
+        this.#signatureTextInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#signatureFileInput.setAttribute("disabled", "disabled");
+        this.#signatureTextInput.setAttribute("disabled", "disabled");
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #signatureFileInput;
+  /** @param { HTMLInputElement } input */
+  set signatureFileInput(input) {
+    this.#signatureFileInput = input;
+    this.#signatureFileInput.setAttribute("accept", "image/*");
+    this.#signatureFileInput.addEventListener("change", this, false);
+  }
+  async onSignatureFileInputChange() {
+    if (this.#signatureFileInput.files[0]) {
+      this.#model.signatureImage = await loadFileFromUpload(this.#signatureFileInput.files[0]);
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #signatureTextInput;
+  /** @param { HTMLInputElement } input */
+  set signatureTextInput(input) {
+    this.#signatureTextInput = input;
+    this.#signatureTextInput.setAttribute("disabled", "disabled");
+    this.#signatureTextInput.addEventListener("input", this, false);
+    this.#signatureTextInput.addEventListener("change", this, false);
+  }
+  onSignatureTextInputChange() {
+    if (this.#signatureGenerator === null) {
+      this.#signatureGenerator = ifNewGenerateSignatureFromText(
+        this.#signatureFallback,
+        EventsIDRenderer.signatureArea,
+        this.#renderer.textColor,
+        EventsIDRenderer.signatureFont
+      );
+    }
+    this.#signatureGenerator.next();
+    const signature = this.#signatureGenerator.next(
+      this.#signatureTextInput.value
+    );
+    if (signature.value.newSignature) {
+      this.#model.signatureImage = signature.value.signature;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #urlInput;
+  /** @param { HTMLInputElement } input */
+  set urlInput(input) {
+    this.#urlInput = input;
+    this.#urlInput.value = this.#model.url;
+    this.#urlInput.setAttribute("placeholder", this.#model.url);
+    this.#urlInput.addEventListener("input", this, false);
+    this.#urlInput.addEventListener("change", this, false);
+  }
+  onUrlInputChange() {
+    if (this.#urlInput.checkValidity() &&
+    this.#model.url !== this.#urlInput.value) {
+      this.#model.url = this.#urlInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #headerColorInput;
+  /** @param { HTMLInputElement } input */
+  set headerColorInput(input) {
+    this.#headerColorInput = input;
+    this.#headerColorInput.value = this.#renderer.headerColor;
+    this.#headerColorInput.addEventListener("change", this, false);
+  }
+  onHeaderColorInputChange() {
+    this.#renderer.headerColor = this.#headerColorInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #textColorInput;
+  /** @param { HTMLInputElement } input */
+  set textColorInput(input) {
+    this.#textColorInput = input;
+    this.#textColorInput.value = this.#renderer.textColor;
+    this.#textColorInput.addEventListener("change", this, false);
+  }
+  onTextColorInputChange() {
+    this.#renderer.textColor = this.#textColorInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #mrzColorInput;
+  /** @param { HTMLInputElement } input */
+  set mrzColorInput(input) {
+    this.#mrzColorInput = input;
+    this.#mrzColorInput.value = this.#renderer.mrzColor;
+    this.#mrzColorInput.addEventListener("change", this, false);
+  }
+  onMrzColorInputChange() {
+    this.#renderer.mrzColor = this.#mrzColorInput.value;
+    this.#generateCardFront();
+  }
+
+  /** @type { HTMLInputElement } */ #frontBackgroundColorInput;
+  /** @param { HTMLInputElement } input */
+  set frontBackgroundColorInput(input) {
+    this.#frontBackgroundColorInput = input;
+    this.#frontBackgroundColorInput.value = this.#renderer.frontBackgroundColor;
+    this.#frontBackgroundColorInput.addEventListener("change", this, false);
+  }
+  onFrontBackgroundColorInputChange() {
+    this.#renderer.frontBackgroundColor = this.#frontBackgroundColorInput.value;
+    this.#generateCardFront();
+  }
+
+  /** @type { HTMLInputElement } */ #frontBackgroundImageInput;
+  /** @param { HTMLInputElement } input */
+  set frontBackgroundImageInput(input) {
+    this.#frontBackgroundImageInput = input;
+    if (!this.#renderer.frontBackgroundImage) { this.#frontBackgroundImageInput.value = "none"; }
+    else { this.#frontBackgroundImageInput.value = this.#renderer.frontBackgroundImage; }
+    this.#frontBackgroundImageInput.addEventListener("change", this, false);
+  }
+  onFrontBackgroundImageInputChange() {
+    switch (this.#frontBackgroundImageInput.value) {
+      case "none":
+        this.#frontBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.frontBackgroundImage = null;
+        this.#generateCardFront();
+        break;
+      case "upload":
+        this.#frontBackgroundImageFileInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#frontBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.frontBackgroundImage = this.#frontBackgroundImageInput.value;
+        this.#generateCardFront();
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #frontBackgroundImageFileInput;
+  /** @param { HTMLInputElement } input */
+  set frontBackgroundImageFileInput(input) {
+    this.#frontBackgroundImageFileInput = input;
+    this.#frontBackgroundImageFileInput.setAttribute("accept", "image/*");
+    this.#frontBackgroundImageFileInput.setAttribute("disabled", "disabled");
+    this.#frontBackgroundImageFileInput.addEventListener("change", this, false);
+  }
+  async onFrontBackgroundImageFileInputChange() {
+    if (this.#frontBackgroundImageFileInput.files[0]) {
+      this.#renderer.frontBackgroundImage = await loadFileFromUpload(this.#frontBackgroundImageFileInput.files[0]);
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #backBackgroundColorInput;
+  /** @param { HTMLInputElement } input */
+  set backBackgroundColorInput(input) {
+    this.#backBackgroundColorInput = input;
+    this.#backBackgroundColorInput.value = this.#renderer.backBackgroundColor;
+    this.#backBackgroundColorInput.addEventListener("change", this, false);
+  }
+  onBackBackgroundColorInputChange() {
+    this.#renderer.backBackgroundColor = this.#backBackgroundColorInput.value;
+    this.#generateCardBack();
+  }
+
+  /** @type { HTMLInputElement } */ #backBackgroundImageInput;
+  /** @param { HTMLInputElement } input */
+  set backBackgroundImageInput(input) {
+    this.#backBackgroundImageInput = input;
+    if (!this.#renderer.backBackgroundImage) { this.#backBackgroundImageInput.value = "none"; }
+    else { this.#backBackgroundImageInput.value = this.#renderer.backBackgroundImage; }
+    this.#backBackgroundImageInput.addEventListener("change", this, false);
+  }
+  onBackBackgroundImageInputChange() {
+    switch (this.#backBackgroundImageInput.value) {
+      case "none":
+        this.#backBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.backBackgroundImage = null;
+        this.#generateCardBack();
+        break;
+      case "upload":
+        this.#backBackgroundImageFileInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#backBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.backBackgroundImage = this.#backBackgroundImageInput.value;
+        this.#generateCardBack();
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #backBackgroundImageFileInput;
+  /** @param { HTMLInputElement } input */
+  set backBackgroundImageFileInput(input) {
+    this.#backBackgroundImageFileInput = input;
+    this.#backBackgroundImageFileInput.setAttribute("accept", "image/*");
+    this.#backBackgroundImageFileInput.setAttribute("disabled", "disabled");
+    this.#backBackgroundImageFileInput.addEventListener("change", this, false);
+  }
+  async onBackBackgroundImageFileInputChange() {
+    if (this.#backBackgroundImageFileInput.files[0]) {
+      this.#renderer.backBackgroundImage = await loadFileFromUpload(this.#backBackgroundImageFileInput.files[0]);
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #mrzBackgroundColorInput;
+  /** @param { HTMLInputElement } input */
+  set mrzBackgroundColorInput(input) {
+    this.#mrzBackgroundColorInput = input;
+    this.#mrzBackgroundColorInput.value = this.#renderer.mrzBackgroundColor;
+    this.#mrzBackgroundColorInput.addEventListener("change", this, false);
+  }
+  onMrzBackgroundColorInputChange() {
+    this.#renderer.mrzBackgroundColor = this.#mrzBackgroundColorInput.value;
+    this.#generateCardFront();
+  }
+
+  /** @type { HTMLInputElement } */ #mrzBackgroundImageInput;
+  /** @param { HTMLInputElement } input */
+  set mrzBackgroundImageInput(input) {
+    this.#mrzBackgroundImageInput = input;
+    if (!this.#renderer.mrzBackgroundImage) { this.#mrzBackgroundImageInput.value = "none"; }
+    else { this.#mrzBackgroundImageInput.value = this.#renderer.mrzBackgroundImage; }
+    this.#mrzBackgroundImageInput.addEventListener("change", this, false);
+  }
+  onMrzBackgroundImageInputChange() {
+    switch (this.#mrzBackgroundImageInput.value) {
+      case "none":
+        this.#mrzBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.mrzBackgroundImage = null;
+        this.#generateCardFront();
+        break;
+      case "upload":
+        this.#mrzBackgroundImageFileInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#mrzBackgroundImageFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.mrzBackgroundImage = this.#mrzBackgroundImageInput.value;
+        this.#generateCardFront();
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #mrzBackgroundImageFileInput;
+  /** @param { HTMLInputElement } input */
+  set mrzBackgroundImageFileInput(input) {
+    this.#mrzBackgroundImageFileInput = input;
+    this.#mrzBackgroundImageFileInput.setAttribute("accept", "image/*");
+    this.#mrzBackgroundImageFileInput.setAttribute("disabled", "disabled");
+    this.#mrzBackgroundImageFileInput.addEventListener("change", this, false);
+  }
+  async onMrzBackgroundImageFileInputChange() {
+    if (this.#mrzBackgroundImageFileInput.files[0]) {
+      this.#renderer.mrzBackgroundImage = await loadFileFromUpload(this.#mrzBackgroundImageFileInput.files[0]);
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #numberUnderlayColorInput;
+  /** @param { HTMLInputElement } input */
+  set numberUnderlayColorInput(input) {
+    this.#numberUnderlayColorInput = input;
+    this.#numberUnderlayColorInput.value = this.#renderer.numberUnderlayColor;
+    this.#numberUnderlayColorInput.addEventListener("change", this, false);
+  }
+  onNumberUnderlayColorInputChange() {
+    this.#renderer.numberUnderlayColor = this.#numberUnderlayColorInput.value;
+    this.#generateCardBack();
+  }
+
+  /** @type { HTMLInputElement } */ #numberUnderlayAlphaInput;
+  /** @param { HTMLInputElement } input */
+  set numberUnderlayAlphaInput(input) {
+    this.#numberUnderlayAlphaInput = input;
+    this.#numberUnderlayAlphaInput.setAttribute("min", 0);
+    this.#numberUnderlayAlphaInput.setAttribute("max", 255);
+    this.#numberUnderlayAlphaInput.value = this.#renderer.numberUnderlayAlpha;
+    this.#numberUnderlayAlphaInput.addEventListener("change", this, false);
+  }
+  onNumberUnderlayAlphaInputChange() {
+    this.#renderer.numberUnderlayAlpha = Number(this.#numberUnderlayAlphaInput.value);
+    this.#generateCardBack();
+  }
+
+  /** @type { HTMLInputElement } */ #logoUnderlayColorInput;
+  /** @param { HTMLInputElement } input */
+  set logoUnderlayColorInput(input) {
+    this.#logoUnderlayColorInput = input;
+    this.#logoUnderlayColorInput.value = this.#renderer.logoUnderlayColor;
+    this.#logoUnderlayColorInput.addEventListener("change", this, false);
+  }
+  onLogoUnderlayColorInputChange() {
+    this.#renderer.logoUnderlayColor = this.#logoUnderlayColorInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #logoUnderlayAlphaInput;
+  /** @param { HTMLInputElement } input */
+  set logoUnderlayAlphaInput(input) {
+    this.#logoUnderlayAlphaInput = input;
+    this.#logoUnderlayAlphaInput.setAttribute("min", 0);
+    this.#logoUnderlayAlphaInput.setAttribute("max", 255);
+    this.#logoUnderlayAlphaInput.value = this.#renderer.logoUnderlayAlpha;
+    this.#logoUnderlayAlphaInput.addEventListener("change", this, false);
+  }
+  onLogoUnderlayAlphaInputChange() {
+    this.#renderer.logoUnderlayAlpha = Number(this.#logoUnderlayAlphaInput.value);
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #logoInput;
+  /** @param { HTMLInputElement } input */
+  set logoInput(input) {
+    this.#logoInput = input;
+    this.#logoInput.value = this.#renderer.logo;
+    this.#logoInput.addEventListener("change", this, false);
+  }
+  onLogoInputChange() {
+    switch (this.#logoInput.value) {
+      case "upload":
+        this.#logoFileInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#logoFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.logo = this.#logoInput.value;
+        this.#generateCard();
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #logoFileInput;
+  /** @param { HTMLInputElement } input */
+  set logoFileInput(input) {
+    this.#logoFileInput = input;
+    this.#logoFileInput.setAttribute("accept", "image/*");
+    this.#logoFileInput.setAttribute("disabled", "disabled");
+    this.#logoFileInput.addEventListener("change", this, false);
+  }
+  async onLogoFileInputChange() {
+    if (this.#logoFileInput.files[0]) {
+      this.#renderer.logo = await loadFileFromUpload(this.#logoFileInput.files[0]);
+      this.#generateCard();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #smallLogoInput;
+  /** @param { HTMLInputElement } input */
+  set smallLogoInput(input) {
+    this.#smallLogoInput = input;
+    this.#smallLogoInput.value = this.#renderer.smallLogo;
+    this.#smallLogoInput.addEventListener("change", this, false);
+  }
+  onSmallLogoInputChange() {
+    switch (this.#smallLogoInput.value) {
+      case "upload":
+        this.#smallLogoFileInput.removeAttribute("disabled");
+        break;
+      default:
+        this.#smallLogoFileInput.setAttribute("disabled", "disabled");
+        this.#renderer.smallLogo = this.#smallLogoInput.value;
+        this.#generateCardBack();
+        break;
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #smallLogoFileInput;
+  /** @param { HTMLInputElement } input */
+  set smallLogoFileInput(input) {
+    this.#smallLogoFileInput = input;
+    this.#smallLogoFileInput.setAttribute("accept", "image/*");
+    this.#smallLogoFileInput.setAttribute("disabled", "disabled");
+    this.#smallLogoFileInput.addEventListener("change", this, false);
+  }
+  async onSmallLogoFileInputChange() {
+    if (this.#smallLogoFileInput.files[0]) {
+      this.#renderer.smallLogo = await loadFileFromUpload(this.#smallLogoFileInput.files[0]);
+    this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #fullAuthorityInput;
+  /** @param { HTMLInputElement } input */
+  set fullAuthorityInput(input) {
+    this.#fullAuthorityInput = input;
+    this.#fullAuthorityInput.value = this.#renderer.fullAuthority;
+    this.#fullAuthorityInput.setAttribute("placeholder", this.#renderer.fullAuthority);
+    this.#fullAuthorityInput.addEventListener("input", this, false);
+    this.#fullAuthorityInput.addEventListener("change", this, false);
+  }
+  onFullAuthorityInputChange() {
+    if (this.#renderer.fullAuthority !== this.#fullAuthorityInput.value) {
+      this.#renderer.fullAuthority = this.#fullAuthorityInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #fullDocumentNameInput;
+  /** @param { HTMLInputElement } input */
+  set fullDocumentNameInput(input) {
+    this.#fullDocumentNameInput = input;
+    this.#fullDocumentNameInput.value = this.#renderer.fullDocumentName;
+    this.#fullDocumentNameInput.setAttribute("placeholder", this.#renderer.fullDocumentName);
+    this.#fullDocumentNameInput.addEventListener("input", this, false);
+    this.#fullDocumentNameInput.addEventListener("change", this, false);
+  }
+  onFullDocumentNameInputChange() {
+    if (this.#renderer.fullDocumentName !== this.#fullDocumentNameInput.value) {
+      this.#renderer.fullDocumentName = this.#fullDocumentNameInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nameHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set nameHeaderInput(input) {
+    this.#nameHeaderInput = input;
+    this.#nameHeaderInput.value = this.#renderer.nameHeader[0];
+    this.#nameHeaderInput.setAttribute("placeholder", this.#renderer.nameHeader[0]);
+    this.#nameHeaderInput.addEventListener("input", this, false);
+    this.#nameHeaderInput.addEventListener("change", this, false);
+  }
+  onNameHeaderInputChange() {
+    if (this.#renderer.nameHeader[0] !== this.#nameHeaderInput.value) {
+      this.#renderer.nameHeader[0] = this.#nameHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nameHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set nameHeaderI18n1Input(input) {
+    this.#nameHeaderI18n1Input = input;
+    this.#nameHeaderI18n1Input.value = this.#renderer.nameHeader[1];
+    this.#nameHeaderI18n1Input.setAttribute("placeholder", this.#renderer.nameHeader[1]);
+    this.#nameHeaderI18n1Input.addEventListener("input", this, false);
+    this.#nameHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onNameHeaderI18n1InputChange() {
+    if (this.#renderer.nameHeader[1] !== this.#nameHeaderI18n1Input.value) {
+      this.#renderer.nameHeader[1] = this.#nameHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nameHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set nameHeaderI18n2Input(input) {
+    this.#nameHeaderI18n2Input = input;
+    this.#nameHeaderI18n2Input.value = this.#renderer.nameHeader[2];
+    this.#nameHeaderI18n2Input.setAttribute("placeholder", this.#renderer.nameHeader[2]);
+    this.#nameHeaderI18n2Input.addEventListener("input", this, false);
+    this.#nameHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onNameHeaderI18n2InputChange() {
+    if (this.#renderer.nameHeader[2] !== this.#nameHeaderI18n2Input.value) {
+      this.#renderer.nameHeader[2] = this.#nameHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #genderHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set genderHeaderInput(input) {
+    this.#genderHeaderInput = input;
+    this.#genderHeaderInput.value = this.#renderer.genderHeader[0];
+    this.#genderHeaderInput.setAttribute("placeholder", this.#renderer.genderHeader[0]);
+    this.#genderHeaderInput.addEventListener("input", this, false);
+    this.#genderHeaderInput.addEventListener("change", this, false);
+  }
+  onGenderHeaderInputChange() {
+    if (this.#renderer.genderHeader[0] !== this.#genderHeaderInput.value) {
+      this.#renderer.genderHeader[0] = this.#genderHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #genderHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set genderHeaderI18n1Input(input) {
+    this.#genderHeaderI18n1Input = input;
+    this.#genderHeaderI18n1Input.value = this.#renderer.genderHeader[1];
+    this.#genderHeaderI18n1Input.setAttribute("placeholder", this.#renderer.genderHeader[1]);
+    this.#genderHeaderI18n1Input.addEventListener("input", this, false);
+    this.#genderHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onGenderHeaderI18n1InputChange() {
+    if (this.#renderer.genderHeader[1] !== this.#genderHeaderI18n1Input.value) {
+      this.#renderer.genderHeader[1] = this.#genderHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #genderHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set genderHeaderI18n2Input(input) {
+    this.#genderHeaderI18n2Input = input;
+    this.#genderHeaderI18n2Input.value = this.#renderer.genderHeader[2];
+    this.#genderHeaderI18n2Input.setAttribute("placeholder", this.#renderer.genderHeader[2]);
+    this.#genderHeaderI18n2Input.addEventListener("input", this, false);
+    this.#genderHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onGenderHeaderI18n2InputChange() {
+    if (this.#renderer.genderHeader[2] !== this.#genderHeaderI18n2Input.value) {
+      this.#renderer.genderHeader[2] = this.#genderHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nationalityHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set nationalityHeaderInput(input) {
+    this.#nationalityHeaderInput = input;
+    this.#nationalityHeaderInput.value = this.#renderer.nationalityHeader[0];
+    this.#nationalityHeaderInput.setAttribute("placeholder", this.#renderer.nationalityHeader[0]);
+    this.#nationalityHeaderInput.addEventListener("input", this, false);
+    this.#nationalityHeaderInput.addEventListener("change", this, false);
+  }
+  onNationalityHeaderInputChange() {
+    if (this.#renderer.nationalityHeader[0] !== this.#nationalityHeaderInput.value) {
+      this.#renderer.nationalityHeader[0] = this.#nationalityHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nationalityHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set nationalityHeaderI18n1Input(input) {
+    this.#nationalityHeaderI18n1Input = input;
+    this.#nationalityHeaderI18n1Input.value = this.#renderer.nationalityHeader[1];
+    this.#nationalityHeaderI18n1Input.setAttribute("placeholder", this.#renderer.nationalityHeader[1]);
+    this.#nationalityHeaderI18n1Input.addEventListener("input", this, false);
+    this.#nationalityHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onNationalityHeaderI18n1InputChange() {
+    if (this.#renderer.nationalityHeader[1] !== this.#nationalityHeaderI18n1Input.value) {
+      this.#renderer.nationalityHeader[1] = this.#nationalityHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #nationalityHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set nationalityHeaderI18n2Input(input) {
+    this.#nationalityHeaderI18n2Input = input;
+    this.#nationalityHeaderI18n2Input.value = this.#renderer.nationalityHeader[2];
+    this.#nationalityHeaderI18n2Input.setAttribute("placeholder", this.#renderer.nationalityHeader[2]);
+    this.#nationalityHeaderI18n2Input.addEventListener("input", this, false);
+    this.#nationalityHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onNationalityHeaderI18n2InputChange() {
+    if (this.#renderer.nationalityHeader[2] !== this.#nationalityHeaderI18n2Input.value) {
+      this.#renderer.nationalityHeader[2] = this.#nationalityHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfBirthHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set dateOfBirthHeaderInput(input) {
+    this.#dateOfBirthHeaderInput = input;
+    this.#dateOfBirthHeaderInput.value = this.#renderer.dateOfBirthHeader[0];
+    this.#dateOfBirthHeaderInput.setAttribute("placeholder", this.#renderer.dateOfBirthHeader[0]);
+    this.#dateOfBirthHeaderInput.addEventListener("input", this, false);
+    this.#dateOfBirthHeaderInput.addEventListener("change", this, false);
+  }
+  onDateOfBirthHeaderInputChange() {
+    if (this.#renderer.dateOfBirthHeader[0] !== this.#dateOfBirthHeaderInput.value) {
+      this.#renderer.dateOfBirthHeader[0] = this.#dateOfBirthHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfBirthHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set dateOfBirthHeaderI18n1Input(input) {
+    this.#dateOfBirthHeaderI18n1Input = input;
+    this.#dateOfBirthHeaderI18n1Input.value = this.#renderer.dateOfBirthHeader[1];
+    this.#dateOfBirthHeaderI18n1Input.setAttribute("placeholder", this.#renderer.dateOfBirthHeader[1]);
+    this.#dateOfBirthHeaderI18n1Input.addEventListener("input", this, false);
+    this.#dateOfBirthHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onDateOfBirthHeaderI18n1InputChange() {
+    if (this.#renderer.dateOfBirthHeader[1] !== this.#dateOfBirthHeaderI18n1Input.value) {
+      this.#renderer.dateOfBirthHeader[1] = this.#dateOfBirthHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfBirthHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set dateOfBirthHeaderI18n2Input(input) {
+    this.#dateOfBirthHeaderI18n2Input = input;
+    this.#dateOfBirthHeaderI18n2Input.value = this.#renderer.dateOfBirthHeader[2];
+    this.#dateOfBirthHeaderI18n2Input.setAttribute("placeholder", this.#renderer.dateOfBirthHeader[2]);
+    this.#dateOfBirthHeaderI18n2Input.addEventListener("input", this, false);
+    this.#dateOfBirthHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onDateOfBirthHeaderI18n2InputChange() {
+    if (this.#renderer.dateOfBirthHeader[2] !== this.#dateOfBirthHeaderI18n2Input.value) {
+      this.#renderer.dateOfBirthHeader[2] = this.#dateOfBirthHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #placeOfBirthHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set placeOfBirthHeaderInput(input) {
+    this.#placeOfBirthHeaderInput = input;
+    this.#placeOfBirthHeaderInput.value = this.#renderer.placeOfBirthHeader[0];
+    this.#placeOfBirthHeaderInput.setAttribute("placeholder", this.#renderer.placeOfBirthHeader[0]);
+    this.#placeOfBirthHeaderInput.addEventListener("input", this, false);
+    this.#placeOfBirthHeaderInput.addEventListener("change", this, false);
+  }
+  onPlaceOfBirthHeaderInputChange() {
+    if (this.#renderer.placeOfBirthHeader[0] !== this.#placeOfBirthHeaderInput.value) {
+      this.#renderer.placeOfBirthHeader[0] = this.#placeOfBirthHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #placeOfBirthHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set placeOfBirthHeaderI18n1Input(input) {
+    this.#placeOfBirthHeaderI18n1Input = input;
+    this.#placeOfBirthHeaderI18n1Input.value = this.#renderer.placeOfBirthHeader[1];
+    this.#placeOfBirthHeaderI18n1Input.setAttribute("placeholder", this.#renderer.placeOfBirthHeader[1]);
+    this.#placeOfBirthHeaderI18n1Input.addEventListener("input", this, false);
+    this.#placeOfBirthHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onPlaceOfBirthHeaderI18n1InputChange() {
+    if (this.#renderer.placeOfBirthHeader[1] !== this.#placeOfBirthHeaderI18n1Input.value) {
+      this.#renderer.placeOfBirthHeader[1] = this.#placeOfBirthHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #placeOfBirthHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set placeOfBirthHeaderI18n2Input(input) {
+    this.#placeOfBirthHeaderI18n2Input = input;
+    this.#placeOfBirthHeaderI18n2Input.value = this.#renderer.placeOfBirthHeader[2];
+    this.#placeOfBirthHeaderI18n2Input.setAttribute("placeholder", this.#renderer.placeOfBirthHeader[2]);
+    this.#placeOfBirthHeaderI18n2Input.addEventListener("input", this, false);
+    this.#placeOfBirthHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onPlaceOfBirthHeaderI18n2InputChange() {
+    if (this.#renderer.placeOfBirthHeader[2] !== this.#placeOfBirthHeaderI18n2Input.value) {
+      this.#renderer.placeOfBirthHeader[2] = this.#placeOfBirthHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #authorityHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set authorityHeaderInput(input) {
+    this.#authorityHeaderInput = input;
+    this.#authorityHeaderInput.value = this.#renderer.authorityHeader[0];
+    this.#authorityHeaderInput.setAttribute("placeholder", this.#renderer.authorityHeader[0]);
+    this.#authorityHeaderInput.addEventListener("input", this, false);
+    this.#authorityHeaderInput.addEventListener("change", this, false);
+  }
+  onAuthorityHeaderInputChange() {
+    if (this.#renderer.authorityHeader[0] !== this.#authorityHeaderInput.value) {
+      this.#renderer.authorityHeader[0] = this.#authorityHeaderInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #authorityHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set authorityHeaderI18n1Input(input) {
+    this.#authorityHeaderI18n1Input = input;
+    this.#authorityHeaderI18n1Input.value = this.#renderer.authorityHeader[1];
+    this.#authorityHeaderI18n1Input.setAttribute("placeholder", this.#renderer.authorityHeader[1]);
+    this.#authorityHeaderI18n1Input.addEventListener("input", this, false);
+    this.#authorityHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onAuthorityHeaderI18n1InputChange() {
+    if (this.#renderer.authorityHeader[1] !== this.#authorityHeaderI18n1Input.value) {
+      this.#renderer.authorityHeader[1] = this.#authorityHeaderI18n1Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #authorityHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set authorityHeaderI18n2Input(input) {
+    this.#authorityHeaderI18n2Input = input;
+    this.#authorityHeaderI18n2Input.value = this.#renderer.authorityHeader[2];
+    this.#authorityHeaderI18n2Input.setAttribute("placeholder", this.#renderer.authorityHeader[2]);
+    this.#authorityHeaderI18n2Input.addEventListener("input", this, false);
+    this.#authorityHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onAuthorityHeaderI18n2InputChange() {
+    if (this.#renderer.authorityHeader[2] !== this.#authorityHeaderI18n2Input.value) {
+      this.#renderer.authorityHeader[2] = this.#authorityHeaderI18n2Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #issueHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set issueHeaderInput(input) {
+    this.#issueHeaderInput = input;
+    this.#issueHeaderInput.value = this.#renderer.issueHeader[0];
+    this.#issueHeaderInput.setAttribute("placeholder", this.#renderer.issueHeader[0]);
+    this.#issueHeaderInput.addEventListener("input", this, false);
+    this.#issueHeaderInput.addEventListener("change", this, false);
+  }
+  onIssueHeaderInputChange() {
+    if (this.#renderer.issueHeader[0] !== this.#issueHeaderInput.value) {
+      this.#renderer.issueHeader[0] = this.#issueHeaderInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #issueHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set issueHeaderI18n1Input(input) {
+    this.#issueHeaderI18n1Input = input;
+    this.#issueHeaderI18n1Input.value = this.#renderer.issueHeader[1];
+    this.#issueHeaderI18n1Input.setAttribute("placeholder", this.#renderer.issueHeader[1]);
+    this.#issueHeaderI18n1Input.addEventListener("input", this, false);
+    this.#issueHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onIssueHeaderI18n1InputChange() {
+    if (this.#renderer.issueHeader[1] !== this.#issueHeaderI18n1Input.value) {
+      this.#renderer.issueHeader[1] = this.#issueHeaderI18n1Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #issueHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set issueHeaderI18n2Input(input) {
+    this.#issueHeaderI18n2Input = input;
+    this.#issueHeaderI18n2Input.value = this.#renderer.issueHeader[2];
+    this.#issueHeaderI18n2Input.setAttribute("placeholder", this.#renderer.issueHeader[2]);
+    this.#issueHeaderI18n2Input.addEventListener("input", this, false);
+    this.#issueHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onIssueHeaderI18n2InputChange() {
+    if (this.#renderer.issueHeader[2] !== this.#issueHeaderI18n2Input.value) {
+      this.#renderer.issueHeader[2] = this.#issueHeaderI18n2Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #endorsementsHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set endorsementsHeaderInput(input) {
+    this.#endorsementsHeaderInput = input;
+    this.#endorsementsHeaderInput.value = this.#renderer.endorsementsHeader[0];
+    this.#endorsementsHeaderInput.setAttribute("placeholder", this.#renderer.endorsementsHeader[0]);
+    this.#endorsementsHeaderInput.addEventListener("input", this, false);
+    this.#endorsementsHeaderInput.addEventListener("change", this, false);
+  }
+  onEndorsementsHeaderInputChange() {
+    if (this.#renderer.endorsementsHeader[0] !== this.#endorsementsHeaderInput.value) {
+      this.#renderer.endorsementsHeader[0] = this.#endorsementsHeaderInput.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #endorsementsHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set endorsementsHeaderI18n1Input(input) {
+    this.#endorsementsHeaderI18n1Input = input;
+    this.#endorsementsHeaderI18n1Input.value = this.#renderer.endorsementsHeader[1];
+    this.#endorsementsHeaderI18n1Input.setAttribute("placeholder", this.#renderer.endorsementsHeader[1]);
+    this.#endorsementsHeaderI18n1Input.addEventListener("input", this, false);
+    this.#endorsementsHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onEndorsementsHeaderI18n1InputChange() {
+    if (this.#renderer.endorsementsHeader[1] !== this.#endorsementsHeaderI18n1Input.value) {
+      this.#renderer.endorsementsHeader[1] = this.#endorsementsHeaderI18n1Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #endorsementsHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set endorsementsHeaderI18n2Input(input) {
+    this.#endorsementsHeaderI18n2Input = input;
+    this.#endorsementsHeaderI18n2Input.value = this.#renderer.endorsementsHeader[2];
+    this.#endorsementsHeaderI18n2Input.setAttribute("placeholder", this.#renderer.endorsementsHeader[2]);
+    this.#endorsementsHeaderI18n2Input.addEventListener("input", this, false);
+    this.#endorsementsHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onEndorsementsHeaderI18n2InputChange() {
+    if (this.#renderer.endorsementsHeader[2] !== this.#endorsementsHeaderI18n2Input.value) {
+      this.#renderer.endorsementsHeader[2] = this.#endorsementsHeaderI18n2Input.value;
+      this.#generateCardBack();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #numberHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set numberHeaderInput(input) {
+    this.#numberHeaderInput = input;
+    this.#numberHeaderInput.value = this.#renderer.numberHeader[0];
+    this.#numberHeaderInput.setAttribute("placeholder", this.#renderer.numberHeader[0]);
+    this.#numberHeaderInput.addEventListener("input", this, false);
+    this.#numberHeaderInput.addEventListener("change", this, false);
+  }
+  onNumberHeaderInputChange() {
+    if (this.#renderer.numberHeader[0] !== this.#numberHeaderInput.value) {
+      this.#renderer.numberHeader[0] = this.#numberHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #numberHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set numberHeaderI18n1Input(input) {
+    this.#numberHeaderI18n1Input = input;
+    this.#numberHeaderI18n1Input.value = this.#renderer.numberHeader[1];
+    this.#numberHeaderI18n1Input.setAttribute("placeholder", this.#renderer.numberHeader[1]);
+    this.#numberHeaderI18n1Input.addEventListener("input", this, false);
+    this.#numberHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onNumberHeaderI18n1InputChange() {
+    if (this.#renderer.numberHeader[1] !== this.#numberHeaderI18n1Input.value) {
+      this.#renderer.numberHeader[1] = this.#numberHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #numberHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set numberHeaderI18n2Input(input) {
+    this.#numberHeaderI18n2Input = input;
+    this.#numberHeaderI18n2Input.value = this.#renderer.numberHeader[2];
+    this.#numberHeaderI18n2Input.setAttribute("placeholder", this.#renderer.numberHeader[2]);
+    this.#numberHeaderI18n2Input.addEventListener("input", this, false);
+    this.#numberHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onNumberHeaderI18n2InputChange() {
+    if (this.#renderer.numberHeader[2] !== this.#numberHeaderI18n2Input.value) {
+      this.#renderer.numberHeader[2] = this.#numberHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfExpirationHeaderInput;
+  /** @param { HTMLInputElement } input */
+  set dateOfExpirationHeaderInput(input) {
+    this.#dateOfExpirationHeaderInput = input;
+    this.#dateOfExpirationHeaderInput.value = this.#renderer.dateOfExpirationHeader[0];
+    this.#dateOfExpirationHeaderInput.setAttribute("placeholder", this.#renderer.dateOfExpirationHeader[0]);
+    this.#dateOfExpirationHeaderInput.addEventListener("input", this, false);
+    this.#dateOfExpirationHeaderInput.addEventListener("change", this, false);
+  }
+  onDateOfExpirationHeaderInputChange() {
+    if (this.#renderer.dateOfExpirationHeader[0] !== this.#dateOfExpirationHeaderInput.value) {
+      this.#renderer.dateOfExpirationHeader[0] = this.#dateOfExpirationHeaderInput.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfExpirationHeaderI18n1Input;
+  /** @param { HTMLInputElement } input */
+  set dateOfExpirationHeaderI18n1Input(input) {
+    this.#dateOfExpirationHeaderI18n1Input = input;
+    this.#dateOfExpirationHeaderI18n1Input.value = this.#renderer.dateOfExpirationHeader[1];
+    this.#dateOfExpirationHeaderI18n1Input.setAttribute("placeholder", this.#renderer.dateOfExpirationHeader[1]);
+    this.#dateOfExpirationHeaderI18n1Input.addEventListener("input", this, false);
+    this.#dateOfExpirationHeaderI18n1Input.addEventListener("change", this, false);
+  }
+  onDateOfExpirationHeaderI18n1InputChange() {
+    if (this.#renderer.dateOfExpirationHeader[1] !== this.#dateOfExpirationHeaderI18n1Input.value) {
+      this.#renderer.dateOfExpirationHeader[1] = this.#dateOfExpirationHeaderI18n1Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #dateOfExpirationHeaderI18n2Input;
+  /** @param { HTMLInputElement } input */
+  set dateOfExpirationHeaderI18n2Input(input) {
+    this.#dateOfExpirationHeaderI18n2Input = input;
+    this.#dateOfExpirationHeaderI18n2Input.value = this.#renderer.dateOfExpirationHeader[2];
+    this.#dateOfExpirationHeaderI18n2Input.setAttribute("placeholder", this.#renderer.dateOfExpirationHeader[2]);
+    this.#dateOfExpirationHeaderI18n2Input.addEventListener("input", this, false);
+    this.#dateOfExpirationHeaderI18n2Input.addEventListener("change", this, false);
+  }
+  onDateOfExpirationHeaderI18n2InputChange() {
+    if (this.#renderer.dateOfExpirationHeader[2] !== this.#dateOfExpirationHeaderI18n2Input.value) {
+      this.#renderer.dateOfExpirationHeader[2] = this.#dateOfExpirationHeaderI18n2Input.value;
+      this.#generateCardFront();
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #showGuidesInput;
+  /** @param { HTMLInputElement } input */
+  set showGuidesInput(input) {
+    this.#showGuidesInput = input;
+    this.#showGuidesInput.checked = this.#renderer.showGuides;
+    this.#showGuidesInput.addEventListener("change", this, false);
+  }
+  onShowGuidesInputChange() {
+    this.#renderer.showGuides = this.#showGuidesInput.checked;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLInputElement } */ #useDigitalSealInput;
+  /** @param { HTMLInputElement } input */
+  set useDigitalSealInput(input) {
+    this.#useDigitalSealInput = input;
+    this.#useDigitalSealInput.addEventListener("change", this, false);
+  }
+  onUseDigitalSealInputChange() {
+    this.#renderer.useDigitalSeal = this.#useDigitalSealInput.checked;
+    this.#updateDigitalSealInputs();
+    this.#generateCard();
+  }
+
+  /** @type { HTMLSelectElement } */ #sealBarcodeFormatInput;
+  /** @param { HTMLSelectElement } input */
+  set sealBarcodeFormatInput(input) {
+    this.#sealBarcodeFormatInput = input;
+    this.#sealBarcodeFormatInput.value = this.#renderer.sealBarcodeFormat;
+    this.#sealBarcodeFormatInput.addEventListener("change", this, false);
+    this.#sealBarcodeFormatInput.setAttribute("disabled", "disabled");
+  }
+  onSealBarcodeFormatInputChange() {
+    this.#renderer.sealBarcodeFormat = this.#sealBarcodeFormatInput.value;
+    this.#generateCard();
+  }
+
+  /** @type { HTMLSelectElement } */ #sealVersionInput;
+  /** @param { HTMLSelectElement } input */
+  set sealVersionInput(input) {
+    this.#sealVersionInput = input;
+    this.#sealVersionInput.value = this.#model.sealVersion;
+    this.#sealVersionInput.addEventListener("change", this, false);
+    this.#sealVersionInput.setAttribute("disabled", "disabled");
+  }
+  onSealVersionInputChange() {
+    try {
+      this.#model.sealVersion = Number(this.#sealVersionInput.value);
+      this.#sealVersionInput.setCustomValidity("");
+    }
+    catch (error) {
+      this.#sealVersionInput.setCustomValidity(error.message);
+    }
+    if (this.#sealVersionInput.reportValidity()) {
+      this.#generateCard();
+    }
+  }
+
+  // Public methods
+  /**
+   * The signer used to sign the document's visible digital seal (VDS), or
+   *     `null` to fill the signature with random numbers.
+   * @type { DigitalSealSigner | null }
+   */
+  get sealSigner() { return this.#sealSigner; }
+  /** @param { DigitalSealSigner | null } signer */
+  set sealSigner(signer) {
+    this.#sealSigner = signer;
+    if (this.#sealSignatureInput) {
+      this.#sealSignatureInput.value = signer ? "SIGNED WITH PRIVATE KEY"
+          : "RANDOMLY GENERATED";
+    }
+    // The signer writes the certificate's fields and the signing date.
+    for (const input of [
+      this.#identifierInput,
+      this.#certReferenceInput,
+      this.#sealSignatureDateInput
+    ]) {
+      if (input) { input.readOnly = signer !== null; }
+    }
+  }
+
+  /** @type { HTMLInputElement } */ #importProjectInput;
+  /** @param { HTMLInputElement } input */
+  set importProjectInput(input) {
+    this.#importProjectInput = input;
+    this.#importProjectInput.setAttribute("accept", "application/json,.json");
+    this.#importProjectInput.addEventListener("change", this, false);
+  }
+  async onImportProjectInputChange() {
+    if (!this.#importProjectInput.files[0]) { return; }
+    let project;
+    let model;
+    try {
+      project = readProject(
+        JSON.parse(await this.#importProjectInput.files[0].text()),
+        "EventsID"
+      );
+      model = EventsID.fromJSON(project.model);
+    }
+    catch (error) {
+      this.#importProjectInput.setCustomValidity(error.message);
+      this.#importProjectInput.reportValidity();
+      return;
+    }
+    this.#importProjectInput.setCustomValidity("");
+    this.#model = model;
+    this.#renderer = new EventsIDRenderer({
+      ...project.renderer,
+      fonts: this.#renderer.fonts,
+      createCanvas: this.#renderer.createCanvas,
+      loadImage: this.#renderer.loadImage,
+      loadFonts: this.#renderer.loadFonts
+    });
+    this.#initializeInputs();
+    await this.#generateCard();
+  }
+
+  /** @param { Event } e */
+  handleEvent(e) {
+    const field = `${e.target.id[0].toUpperCase()}${e.target.id.slice(1)}`;
+    clearTimeout(this.#inputTimeout);
+    if (e.type === "input") {
+      this.#inputTimeout = setTimeout(() => {
+        this[`on${field}InputChange`]();
+      }, 1000);
+    }
+    else { this[`on${field}InputChange`](); }
+  }
+
+  /** @param { Document } document */
+  async initialize(document) {
+    this.document = document;
+    this.#renderer.fonts = this.#document.fonts;
+    await this.#renderer.loadCanvasFonts();
+    this.cardFrontElement = this.#document.getElementById("cardFront");
+    this.cardBackElement = this.#document.getElementById("cardBack");
+    this.#frontFallback = this.#document.getElementById("offscreen-front");
+    this.#backFallback = this.#document.getElementById("offscreen-back");
+    this.#signatureFallback = this.#document.getElementById("offscreen-signature");
+    await this.#generateCard();
+    this.#initializeInputs();
+    this.#document.getElementById("exportProject").addEventListener(
+      "click",
+      () => { this.#exportProject(); },
+      false
+    );
+    this.#document.getElementById("downloadPDF").addEventListener(
+      "click",
+      () => { this.#downloadPDF(); },
+      false
+    );
+  }
+
+  // Private methods
+  #showFullNameTruncation() {
+    const notice = this.#document.getElementById("fullNameTruncation");
+    notice.hidden = !this.#model.isFullNameTruncated;
+    notice.textContent = this.#model.isFullNameTruncated ?
+        "This name is too long for the MRZ and will appear as " +
+        `${this.#model.mrzLine1.slice(5).replace(/<+$/, "")}.` : "";
+  }
+
+  #initializeInputs() {
+    const inputFields = [
+      "typeCode",
+      "authorityCode",
+      "number",
+      "dateOfBirth",
+      "genderMarker",
+      "dateOfExpiration",
+      "nationalityCode",
+      "fullName",
+      "placeOfBirth",
+      "authority",
+      "endorsements",
+      "url",
+      "optionalData",
+      "picture",
+      "signature",
+      "signatureFile",
+      "signatureText",
+      "headerColor",
+      "textColor",
+      "mrzColor",
+      "frontBackgroundColor",
+      "backBackgroundColor",
+      "mrzBackgroundColor",
+      "numberUnderlayColor",
+      "numberUnderlayAlpha",
+      "logoUnderlayColor",
+      "logoUnderlayAlpha",
+      "frontBackgroundImage",
+      "frontBackgroundImageFile",
+      "backBackgroundImage",
+      "backBackgroundImageFile",
+      "mrzBackgroundImage",
+      "mrzBackgroundImageFile",
+      "logo",
+      "logoFile",
+      "smallLogo",
+      "smallLogoFile",
+      "fullAuthority",
+      "fullDocumentName",
+      "nameHeader",
+      "nameHeaderI18n1",
+      "nameHeaderI18n2",
+      "genderHeader",
+      "genderHeaderI18n1",
+      "genderHeaderI18n2",
+      "nationalityHeader",
+      "nationalityHeaderI18n1",
+      "nationalityHeaderI18n2",
+      "dateOfBirthHeader",
+      "dateOfBirthHeaderI18n1",
+      "dateOfBirthHeaderI18n2",
+      "placeOfBirthHeader",
+      "placeOfBirthHeaderI18n1",
+      "placeOfBirthHeaderI18n2",
+      "authorityHeader",
+      "authorityHeaderI18n1",
+      "authorityHeaderI18n2",
+      "issueHeader",
+      "issueHeaderI18n1",
+      "issueHeaderI18n2",
+      "endorsementsHeader",
+      "endorsementsHeaderI18n1",
+      "endorsementsHeaderI18n2",
+      "numberHeader",
+      "numberHeaderI18n1",
+      "numberHeaderI18n2",
+      "dateOfExpirationHeader",
+      "dateOfExpirationHeaderI18n1",
+      "dateOfExpirationHeaderI18n2",
+      "showGuides",
+      "useDigitalSeal",
+      "sealBarcodeFormat",
+      "sealVersion",
+      "identifier",
+      "certReference",
+      "issueDate",
+      "sealSignature",
+      "sealSigningKey",
+      "sealSigningCertificate",
+      "sealSignatureDate",
+      "subauthorityCode",
+      "importProject"
+    ];
+    for (const elementID of inputFields) {
+      this[`${elementID}Input`] = this.#document.getElementById(elementID);
+    }
+    this.#updateDigitalSealInputs();
+  }
+
+  // Enables the inputs of the visible digital seal (VDS) when it is used, and
+  // the inputs it replaces when it is not.
+  #updateDigitalSealInputs() {
+    const USE_DIGITAL_SEAL = this.#renderer.useDigitalSeal;
+    this.#useDigitalSealInput.checked = USE_DIGITAL_SEAL;
+    for (const input of [
+      this.#issueDateInput,
+      this.#identifierInput,
+      this.#certReferenceInput,
+      this.#sealSignatureDateInput,
+      this.#sealSigningKeyInput,
+      this.#sealSigningCertificateInput,
+      this.#sealBarcodeFormatInput,
+      this.#sealVersionInput,
+      this.#subauthorityCodeInput
+    ]) {
+      input.toggleAttribute("disabled", !USE_DIGITAL_SEAL);
+    }
+    this.#urlInput.toggleAttribute("disabled", USE_DIGITAL_SEAL);
+  }
+
+  // Seals are signed with a private key once both the key and the
+  // certificate issued for it are chosen, and with random numbers otherwise.
+  async #updateSealSigner() {
+    const KEY_FILE = this.#sealSigningKeyInput.files[0];
+    const CERTIFICATE_FILE = this.#sealSigningCertificateInput.files[0];
+    this.#sealSigningKeyInput.setCustomValidity("");
+    this.#sealSigningCertificateInput.setCustomValidity(
+      KEY_FILE && !CERTIFICATE_FILE ?
+          "A signer certificate must be chosen with the signing key." : ""
+    );
+    if (!KEY_FILE || !CERTIFICATE_FILE) {
+      this.sealSigner = null;
+      this.#sealSigningCertificateInput.reportValidity();
+    }
+    else {
+      try {
+        this.sealSigner = await loadSealSigner(KEY_FILE, CERTIFICATE_FILE);
+      } catch (error) {
+        this.#sealSigningKeyInput.setCustomValidity(error.message);
+        this.#sealSigningKeyInput.reportValidity();
+        return;
+      }
+    }
+    this.#generateCard();
+  }
+
+  async #signSeal() {
+    if (this.#sealSigner) {
+      await this.#sealSigner.sign(this.#model);
+      this.#identifierInput.value = this.#model.identifierCode;
+      this.#certReferenceInput.value = this.#model.certReference;
+      this.#sealSignatureDateInput.value =
+          dateToCalendarDate(this.#model.signatureDate);
+    }
+    else { await signSealUsingRNG(this.#model); }
+  }
+
+  async #generateCardFront() {
+    const canvas = await this.#renderer.generateCardFront(this.#model, this.#frontFallback);
+    this.#cardFrontElement.width = EventsIDRenderer.cutCardArea[0];
+    this.#cardFrontElement.height = EventsIDRenderer.cutCardArea[1];
+    const ctx = this.#cardFrontElement.getContext("2d");
+    ctx.drawImage(
+      canvas, 16, 16, this.#cardFrontElement.width, this.#cardFrontElement.height,
+      0, 0, this.#cardFrontElement.width, this.#cardFrontElement.height
+    );
+    const downloadFront = this.#document.getElementById("downloadFront");
+    let blob;
+    if (typeof OffscreenCanvas === "undefined") {
+      blob = await new Promise(resolve => canvas.toBlob(resolve));
+    }
+    else { blob = await canvas.convertToBlob(); }
+    if (this.#frontBlobURL !== null) { URL.revokeObjectURL(this.#frontBlobURL); }
+    this.#frontBlobURL = URL.createObjectURL(blob);
+    downloadFront.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          "-front.png"
+    );
+    downloadFront.setAttribute("href", this.#frontBlobURL);
+  }
+
+  async #generateCardBack() {
+    await this.#signSeal();
+    const canvas = await this.#renderer.generateCardBack(this.#model, this.#backFallback);
+    this.#cardBackElement.width = EventsIDRenderer.cutCardArea[0];
+    this.#cardBackElement.height = EventsIDRenderer.cutCardArea[1];
+    const ctx = this.#cardBackElement.getContext("2d");
+    ctx.drawImage(
+      canvas, 16, 16, this.#cardBackElement.width, this.#cardBackElement.height,
+      0, 0, this.#cardBackElement.width, this.#cardBackElement.height
+    );
+    const downloadBack = this.#document.getElementById("downloadBack");
+    let blob;
+    if (typeof OffscreenCanvas === "undefined") {
+      blob = await new Promise(resolve => canvas.toBlob(resolve));
+    }
+    else { blob = await canvas.convertToBlob(); }
+    if (this.#backBlobURL !== null) { URL.revokeObjectURL(this.#backBlobURL); }
+    this.#backBlobURL = URL.createObjectURL(blob);
+    downloadBack.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          "-back.png"
+    );
+    downloadBack.setAttribute("href", this.#backBlobURL);
+  }
+
+  async #generateCard() {
+    await Promise.all([
+      this.#generateCardFront(),
+      this.#generateCardBack()
+    ]);
+  }
+
+  async #downloadPDF() {
+    const pdf = await exportPDF([{
+      front: await this.#renderer.generateCardFront(
+        this.#model,
+        this.#frontFallback
+      ),
+      back: await this.#renderer.generateCardBack(
+        this.#model,
+        this.#backFallback
+      )
+    }], { cutCardArea: EventsIDRenderer.cutCardArea });
+    if (this.#pdfBlobURL !== null) { URL.revokeObjectURL(this.#pdfBlobURL); }
+    this.#pdfBlobURL = URL.createObjectURL(
+      new Blob([pdf], { type: "application/pdf" })
+    );
+    const downloadPDF = this.#document.createElement("a");
+    downloadPDF.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          ".pdf"
+    );
+    downloadPDF.setAttribute("href", this.#pdfBlobURL);
+    downloadPDF.click();
+  }
+
+  async #exportProject() {
+    const model = this.#model.toJSON();
+    model.photo = await imageToDataURL(this.#model.photo);
+    model.signatureImage = await imageToDataURL(this.#model.signatureImage);
+    const renderer = this.#renderer.toJSON();
+    for (const property of [
+      "frontBackgroundImage",
+      "backBackgroundImage",
+      "mrzBackgroundImage",
+      "logo",
+      "smallLogo"
+    ]) {
+      renderer[property] = await imageToDataURL(renderer[property]);
+    }
+    const project = JSON.stringify({
+      format: "alfa-id-project",
+      version: PROJECT_VERSION,
+      type: "EventsID",
+      model: model,
+      renderer: renderer
+    }, null, 2);
+    if (this.#projectBlobURL !== null) {
+      URL.revokeObjectURL(this.#projectBlobURL);
+    }
+    this.#projectBlobURL = URL.createObjectURL(
+      new Blob([project], { type: "application/json" })
+    );
+    const exportProject = this.#document.createElement("a");
+    exportProject.setAttribute(
+      "download",
+      this.#model.typeCode.toUpperCase() +
+          this.#model.authorityCode.toUpperCase() +
+          this.#model.number.toUpperCase() +
+          ".json"
+    );
+    exportProject.setAttribute("href", this.#projectBlobURL);
+    exportProject.click();
+  }
+}
@@ -4,12 +4,15 @@
 import { EventsMRVA } from "./eventsmrva.js";
 import { encode as toBase45 } from "./base45-ts/base45.js";
 import { toCanvas as toQRCanvas } from "./qrcode-lite/qrcode.mjs";
+import { toCanvas as toDataMatrixCanvas } from "./datamatrix/datamatrix.js";
 import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
 import { fitImageInArea } from "./utilities/fit-image-in-area.js";
 import { fillAreaWithImage } from "./utilities/fill-area-with-image.js";
 import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
 import { dateToVIZ } from "./utilities/date-to-viz.js";
-import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD3_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, VISA_NAME, additionalInfoHeader, birthDateHeader, documentNoHeader, genderHeader, nameHeader, nationalityHeader, numberOfEntriesHeader, passportNoHeader, placeOfIssueHeader, validFromHeader, validThruHeader, visaTypeHeader } from "./utilities/renderer-variables.js";
+import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD3_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, VISA_NAME, additionalInfoHeader, birthDateHeader, documentNoHeader, genderHeader, nameHeader, nationalityHeader, numberOfEntriesHeader, passportNoHeader, placeOfIssueHeader, validFromHeader, validThruHeader, visaTypeHeader, MRZ_FONT_FACE, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_ITALIC_FONT_FACE, SIGNATURE_FONT_FACE } from "./utilities/renderer-variables.js";
 
 /**
  * `EventsMRVARenderer` takes an `EventsMRVA` object and returns a
@@ -56,6 +59,8 @@ export class EventsMRVARenderer {
    *     lines on the rendered canvas.
    * @param { boolean } [opt.useDigitalSeal] - Toggles storing a visible digital
    *     seal (VDS) on the barcode in place of a URL.
+   * @param { string } [opt.sealBarcodeFormat] - The barcode symbology of the
+   *     digital seal: 'qr' or 'datamatrix'.
    * @param { string } [opt.fullAuthority] - The full name of the authority who
    *     issued this visa.
    * @param { string } [opt.fullDocumentName] - The full name of this visa type.
@@ -85,6 +90,16 @@ export class EventsMRVARenderer {
    *     property: ['primary', 'language 1', 'language 2'].
    * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
    *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
    */
   constructor(opt) {
     this.barcodeDarkColor = opt?.barcodeDarkColor ?? BARCODE_DARK_COLOR;
@@ -103,6 +118,7 @@ export class EventsMRVARenderer {
     this.logo = opt?.logo ?? null;
     this.showGuides = opt?.showGuides ?? false;
     this.useDigitalSeal = opt?.useDigitalSeal ?? false;
+    this.sealBarcodeFormat = opt?.sealBarcodeFormat ?? "qr";
     this.fullAuthority = opt?.fullAuthority ?? FULL_AUTHORITY;
     this.fullDocumentName = opt?.fullDocumentName ?? VISA_NAME;
     this.placeOfIssueHeader = opt?.placeOfIssueHeader ??
@@ -122,6 +138,9 @@ export class EventsMRVARenderer {
     this.dateOfBirthHeader = opt?.dateOfBirthHeader ?? [...birthDateHeader];
     this.genderHeader = opt?.genderHeader ?? [...genderHeader];
     this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
   }
 
   /**
@@ -226,6 +245,14 @@ export class EventsMRVARenderer {
    */
   useDigitalSeal;
 
+  /**
+   * The barcode symbology of the digital seal: 'qr' for a QR code of its
+   *     Base45 text, or 'datamatrix' for a DataMatrix of its bytes as specified
+   *     in ICAO 9303 part 13.
+   * @type { string }
+   */
+  sealBarcodeFormat;
+
   /**
    * The full name of the authority who issued this visa.
    * @type { string }
@@ -327,30 +354,37 @@ export class EventsMRVARenderer {
    */
   fonts;
 
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
   // Font information used in card generation.
-  static #mrzFontFace = new FontFace(
-    "OCR-B",
-    "url('/fonts/OCR-B-regular-web.woff2') format('woff2')," +
-    "url('/fonts/OCR-B-regular-web.woff') format('woff')"
-  );
-  static #vizFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')"
-  );
-  static #vizBoldFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')",
-    { weight: "bold" }
-  );
-  static #vizItalicFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Italic-Variable.ttf')",
-    { style: "italic" }
-  );
-  static #signatureFontFace = new FontFace(
-    "Yellowtail",
-    "url('/fonts/Yellowtail-Regular.woff') format('woff')"
-  );
+  static #mrzFontFace = MRZ_FONT_FACE;
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static #vizItalicFontFace = VIZ_ITALIC_FONT_FACE;
+  static #signatureFontFace = SIGNATURE_FONT_FACE;
   static get #mainHeaderFont() {
     return `bold 36px ${this.#vizFontFace.family}`;
   }
@@ -425,44 +459,45 @@ export class EventsMRVARenderer {
   static get signatureArea() { return 100; }
   static #bleed = 16;
   static #safe = 48;
+  // DataMatrix symbols are scaled to fit the width of the version 9 QR code.
+  static #dataMatrixWidth = 212;
   static #photoUnderlayArea = [343, 671];
   static #photoArea = [295, 380];
   static #logoArea = [295, 195];
   static #mrzUnderlayArea = [1465, 298];
 
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadImage", "loadFonts"].includes(key);
+    }));
+  }
+
   /** Load the fonts used by this renderer. */
   async loadCanvasFonts() {
-    this.fonts.add(EventsMRVARenderer.#mrzFontFace);
-    this.fonts.add(EventsMRVARenderer.#vizFontFace);
-    this.fonts.add(EventsMRVARenderer.#vizBoldFontFace);
-    this.fonts.add(EventsMRVARenderer.#vizItalicFontFace);
-    this.fonts.add(EventsMRVARenderer.#signatureFontFace);
-    await Promise.all([
-      EventsMRVARenderer.#mrzFontFace.load(),
-      EventsMRVARenderer.#vizFontFace.load(),
-      EventsMRVARenderer.#vizBoldFontFace.load(),
-      EventsMRVARenderer.#vizItalicFontFace.load(),
-      EventsMRVARenderer.#signatureFontFace.load()
-    ]);
+    await this.loadFonts([
+      EventsMRVARenderer.#mrzFontFace,
+      EventsMRVARenderer.#vizFontFace,
+      EventsMRVARenderer.#vizBoldFontFace,
+      EventsMRVARenderer.#vizItalicFontFace,
+      EventsMRVARenderer.#signatureFontFace
+    ], this.fonts);
   }
 
   /**
    * Generate the front image and return the canvas.
    * @param { EventsMRVA } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardFront(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = EventsMRVARenderer.#cardArea[0];
-      canvas.height = EventsMRVARenderer.#cardArea[1];
-    } else {
-      canvas = new OffscreenCanvas(
-        EventsMRVARenderer.#cardArea[0],
-        EventsMRVARenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      EventsMRVARenderer.#cardArea[0],
+      EventsMRVARenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
     const barcode = this.useDigitalSeal ?
@@ -471,22 +506,31 @@ export class EventsMRVARenderer {
 
     const images = await Promise.all([
       this.frontBackgroundImage ?
-          loadImageFromURL(this.frontBackgroundImage) : null,
+          this.loadImage(this.frontBackgroundImage) : null,
       this.mrzBackgroundImage ?
-          loadImageFromURL(this.mrzBackgroundImage) : null,
-      loadImageFromURL(model.photo),
-      this.logo ? loadImageFromURL(this.logo) : null,
-      toQRCanvas(barcode, {
-        errorCorrectionLevel: this.barcodeErrorCorrection,
-        version: 9,
-        margin: 0,
-        color: {
-          dark: this.barcodeDarkColor,
-          light: this.barcodeLightColor
-        }
-      }),
+          this.loadImage(this.mrzBackgroundImage) : null,
+      this.loadImage(model.photo),
+      this.logo ? this.loadImage(this.logo) : null,
+      this.useDigitalSeal && this.sealBarcodeFormat === "datamatrix" ?
+          toDataMatrixCanvas(this.createCanvas(1, 1), model.signedSeal, {
+            width: EventsMRVARenderer.#dataMatrixWidth,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }) :
+          toQRCanvas(this.createCanvas(1, 1), barcode, {
+            errorCorrectionLevel: this.barcodeErrorCorrection,
+            version: 9,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }),
       typeof model.signatureImage !== typeof canvas ?
-          loadImageFromURL(model.signatureImage) : null
+          this.loadImage(model.signatureImage) : null
     ]);
 
     ctx.fillStyle = this.frontBackgroundColor;
@@ -2,13 +2,15 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 
 import { MRVBDocument } from "./icao9303/mrvbdocument.js";
+import { DigitalSealV3 } from "./icao9303/digitalsealv3.js";
 import { DigitalSealV4 } from "./icao9303/digitalsealv4.js";
 import { DEFAULT_PHOTO, DEFAULT_SIGNATURE_IMAGE } from "./icao9303/utilities/default-images.js";
 import { generateMRZCheckDigit } from "./icao9303/utilities/generate-mrz-check-digit.js";
 import { c40Encode } from "./icao9303/utilities/c40-encode.js";
 import { c40Decode } from "./icao9303/utilities/c40-decode.js";
-import { getFullYearFromString } from "./icao9303/utilities/get-full-year-from-string.js";
+import { EXPIRATION_YEARS_AHEAD, getFullYearFromString } from "./icao9303/utilities/get-full-year-from-string.js";
 import { validateHexString } from "./icao9303/utilities/validate-hex-string.js";
+import { dateToCalendarDate } from "./icao9303/utilities/date-to-calendar-date.js";
 
 /**
  * `EventsMRVB` describes an ALFA Furry Events Visa in the MRV-B document size
@@ -76,6 +78,8 @@ export class EventsMRVB {
    *     object, representing the signature or usual mark of the visa issuer.
    * @param { string } [opt.url] - A URL chosen by the document holder to
    *     display in the barcode area in place of a visible digital seal (VDS).
+   * @param { number } [opt.sealVersion] - The version of the VDS as defined by
+   *     ICAO 9303 part 13, either 3 or 4.
    * @param { string } [opt.identifierCode] - A 4-character string consisting of
    *     the characters 0-9 and A-Z.
    * @param { string } [opt.certReference] - A hex-string that uniquely
@@ -105,6 +109,11 @@ export class EventsMRVB {
    *     long.
    * @param { number[] } [opt.additionalFeature] - A feature reserved by ICAO
    *     for future use.
+   * @param { number | null } [opt.currentYear] - The four-digit year that
+   *     two-digit years read from a Machine-Readable Zone (MRZ) are resolved
+   *     relative to. `null` uses the current year.
+   * @param { number } [opt.expirationYearsAhead] - The number of years after
+   *     `currentYear` that two-digit years of expiration dates may be read as.
    */
   constructor(opt) {
     this.#document = new MRVBDocument();
@@ -112,6 +121,7 @@ export class EventsMRVB {
       typeCategory: 0x0A,
       featureDefinition: 0x01
     });
+    this.sealVersion = opt?.sealVersion ?? 4;
 
     this.typeCode = opt?.typeCode ?? "V";
     this.authorityCode = opt?.authorityCode ?? "UTO";
@@ -142,6 +152,10 @@ export class EventsMRVB {
     this.visaTypeCode = opt?.visaTypeCode ?? "0";
     this.additionalFeature = opt?.additionalFeature ?? [];
 
+    this.currentYear = opt?.currentYear ?? null;
+    this.expirationYearsAhead =
+        opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD;
+
     if (opt?.mrzLine1) { this.mrzLine1 = opt.mrzLine1; }
     if (opt?.mrzLine2) { this.mrzLine2 = opt.mrzLine2; }
     if (opt?.machineReadableZone) {
@@ -219,6 +233,13 @@ export class EventsMRVB {
     this.#setDigitalSealMRZ();
   }
 
+  /**
+   * Whether `fullName` is too long for the name area of the Machine-Readable
+   *     Zone (MRZ) and is truncated in it.
+   * @type { boolean }
+   */
+  get isFullNameTruncated() { return this.#document.isFullNameTruncated; }
+
   /**
    * A code identifying the visa holder's nationality (or lack thereof).
    * @type { string }
@@ -406,6 +427,32 @@ export class EventsMRVB {
    */
   url;
 
+  /**
+   * The four-digit year that two-digit years read from the Machine-Readable
+   *     Zone (MRZ) or the visible digital seal (VDS) are resolved relative to.
+   *     `null` uses the current year.
+   * @type { number | null }
+   */
+  get currentYear() { return this.#document.currentYear; }
+  /**
+   * @param { number | null } value - A four-digit year, or `null`.
+   */
+  set currentYear(value) { this.#document.currentYear = value; }
+
+  /**
+   * The number of years after `currentYear` that two-digit years of expiration
+   *     dates read from the Machine-Readable Zone (MRZ) or the visible digital
+   *     seal (VDS) may be read as.
+   * @type { number }
+   */
+  get expirationYearsAhead() { return this.#document.expirationYearsAhead; }
+  /**
+   * @param { number } value - An integer from 0 to 99.
+   */
+  set expirationYearsAhead(value) {
+    this.#document.expirationYearsAhead = value;
+  }
+
   /**
    * The first line of the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -445,6 +492,39 @@ export class EventsMRVB {
     this.#setDigitalSealMRZ();
   }
 
+  /**
+   * The version of the visible digital seal (VDS) as defined by ICAO 9303
+   *     part 13.
+   * @type { number }
+   */
+  get sealVersion() { return this.#seal instanceof DigitalSealV3 ? 3 : 4; }
+  /**
+   * @param { number } value - Either 3 or 4. Version 3 seals require a
+   *     certificate reference of exactly 5 characters.
+   */
+  set sealVersion(value) {
+    if (value !== 3 && value !== 4) {
+      throw new RangeError(
+        `Value set on 'sealVersion' has errors: Seal version '${value}' is ` +
+            `not 3 or 4.`
+      );
+    }
+    if (value === this.sealVersion) { return; }
+    const SEAL_OPTIONS = {
+      authorityCode: this.#seal.authorityCode,
+      identifierCode: this.#seal.identifierCode,
+      certReference: this.#seal.certReference,
+      issueDate: this.#seal.issueDate,
+      signatureDate: this.#seal.signatureDate,
+      featureDefinition: this.#seal.featureDefinition,
+      typeCategory: this.#seal.typeCategory,
+      features: this.#seal.features,
+      signatureData: this.#seal.signatureData
+    };
+    this.#seal = value === 3 ?
+        new DigitalSealV3(SEAL_OPTIONS) : new DigitalSealV4(SEAL_OPTIONS);
+  }
+
   /**
    * A combination of a two-letter authority code and of two alphanumeric
    *     characters to identify a signer within the issuing authority.
@@ -644,6 +724,58 @@ export class EventsMRVB {
     this.#seal.features.set(0x07, value);
   }
 
+  /**
+   * Get the properties of this `EventsMRVB` as the options of its constructor,
+   *     so that it can be saved as JSON and recreated with `fromJSON()`. Dates
+   *     are written as YYYY-MM-DD strings, and images are written as their
+   *     path/URL; images without one, like canvases, are left out.
+   */
+  toJSON() {
+    return {
+      typeCode: this.typeCode,
+      authorityCode: this.authorityCode,
+      placeOfIssue: this.placeOfIssue,
+      validFrom: dateToCalendarDate(this.validFrom),
+      validThru: dateToCalendarDate(this.validThru),
+      numberOfEntries: this.numberOfEntries,
+      number: this.number,
+      visaType: this.visaType,
+      additionalInfo: this.additionalInfo,
+      fullName: this.fullName,
+      passportNumber: this.passportNumber,
+      usePassportInMRZ: this.usePassportInMRZ,
+      nationalityCode: this.nationalityCode,
+      birthDate: dateToCalendarDate(this.birthDate),
+      genderMarker: this.genderMarker,
+      optionalData: this.optionalData,
+      photo: typeof this.photo === "string" ?
+          this.photo : this.photo?.src,
+      signatureImage: typeof this.signatureImage === "string" ?
+          this.signatureImage : this.signatureImage?.src,
+      url: this.url,
+      sealVersion: this.sealVersion,
+      identifierCode: this.identifierCode,
+      certReference: this.certReference,
+      issueDate: dateToCalendarDate(this.issueDate),
+      signatureDate: dateToCalendarDate(this.signatureDate),
+      signatureData: [...this.signatureData],
+      durationOfStay: [...this.durationOfStay],
+      // A code of 0 is stored as no bytes and read back as "".
+      visaTypeCode: this.visaTypeCode || "0",
+      additionalFeature: [...this.additionalFeature]
+    };
+  }
+
+  /**
+   * Create an `EventsMRVB` from properties returned by `toJSON()`.
+   * @param { string | Object } value - A JSON string or its parsed object.
+   */
+  static fromJSON(value) {
+    return new EventsMRVB(
+      typeof value === "string" ? JSON.parse(value) : value
+    );
+  }
+
   /**
    * Set the visible digital seal's (VDS) Machine-Readable Zone (MRZ) when
    *     setting any properties shown on the MRZ.
@@ -690,17 +822,21 @@ export class EventsMRVB {
         SEAL_MRZ.slice(5, 36).replace("  ", ", ").trimEnd();
     this.#document.number = SEAL_MRZ.slice(36, 45).trimEnd();
     this.#document.nationalityCode = SEAL_MRZ.slice(46, 49).trimEnd();
-    const BIRTH_YEAR = SEAL_MRZ.slice(49, 51);
+    const BIRTH_YEAR = getFullYearFromString(SEAL_MRZ.slice(49, 51), {
+      currentYear: this.currentYear
+    });
     const BIRTH_MONTH = SEAL_MRZ.slice(51, 53);
     const BIRTH_DAY = SEAL_MRZ.slice(53, 55);
-    this.#document.birthDate =
-        `${getFullYearFromString(BIRTH_YEAR)}-${BIRTH_MONTH}-${BIRTH_DAY}`;
+    this.#document.birthDate = `${BIRTH_YEAR}-${BIRTH_MONTH}-${BIRTH_DAY}`;
     this.#document.genderMarker = SEAL_MRZ[56];
-    const VALID_THRU_YEAR = SEAL_MRZ.slice(57, 59);
+    const VALID_THRU_YEAR = getFullYearFromString(SEAL_MRZ.slice(57, 59), {
+      currentYear: this.currentYear,
+      yearsAhead: this.expirationYearsAhead
+    });
     const VALID_THRU_MONTH = SEAL_MRZ.slice(59, 61);
     const VALID_THRU_DAY = SEAL_MRZ.slice(61, 63);
     this.#document.validThru =
-        `${getFullYearFromString(VALID_THRU_YEAR)}-${VALID_THRU_MONTH}-` +
+        `${VALID_THRU_YEAR}-${VALID_THRU_MONTH}-` +
         `${VALID_THRU_DAY}`;
     if (this.#seal.features.get(0x03)[0] === 0) {
       this.#document.numberOfEntries = "MULTIPLE";
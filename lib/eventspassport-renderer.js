@@ -4,12 +4,15 @@
 import { EventsPassport } from "./eventspassport.js";
 import { encode as toBase45 } from "./base45-ts/base45.js";
 import { toCanvas as toQRCanvas } from "./qrcode-lite/qrcode.mjs";
+import { toCanvas as toDataMatrixCanvas } from "./datamatrix/datamatrix.js";
 import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
 import { fitImageInArea } from "./utilities/fit-image-in-area.js";
 import { fillAreaWithImage } from "./utilities/fill-area-with-image.js";
 import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
 import { dateToVIZ } from "./utilities/date-to-viz.js";
-import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD3_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, authorityHeader, birthDateHeader, genderHeader, nameHeader, nationalityHeader } from "./utilities/renderer-variables.js";
+import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, HEADER_COLOR, MRZ_BACKGROUND_COLOR, TD3_MRZ_LINE_LENGTH, TEXT_COLOR, UNDERLAY_OPACITY, authorityHeader, birthDateHeader, genderHeader, nameHeader, nationalityHeader, MRZ_FONT_FACE, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_ITALIC_FONT_FACE, SIGNATURE_FONT_FACE } from "./utilities/renderer-variables.js";
 
 /**
  * `EventsPassportRenderer` takes an `EventsPassport` object and returns a
@@ -63,6 +66,8 @@ export class EventsPassportRenderer {
    *     lines on the rendered canvas.
    * @param { boolean } [opt.useDigitalSeal] - Toggles storing a visible digital
    *     seal (VDS) on the barcode in place of a URL.
+   * @param { string } [opt.sealBarcodeFormat] - The barcode symbology of the
+   *     digital seal: 'qr' or 'datamatrix'.
    * @param { string } [opt.fullAuthority] - The full name of the authority who
    *     issued this document.
    * @param { string } [opt.fullDocumentName] - The full name of this document's
@@ -96,6 +101,16 @@ export class EventsPassportRenderer {
    *     property: ['primary', 'language 1', 'language 2'].
    * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
    *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
    */
   constructor(opt) {
     this.barcodeDarkColor = opt?.barcodeDarkColor ?? BARCODE_DARK_COLOR;
@@ -117,6 +132,7 @@ export class EventsPassportRenderer {
     this.logo = opt?.logo ?? null;
     this.showGuides = opt?.showGuides ?? false;
     this.useDigitalSeal = opt?.useDigitalSeal ?? false;
+    this.sealBarcodeFormat = opt?.sealBarcodeFormat ?? "qr";
     this.fullAuthority = opt?.fullAuthority ?? FULL_AUTHORITY;
     this.fullDocumentName = opt?.fullDocumentName ?? "FURRY EVENTS PASSPORT";
     this.passportHeader = opt?.passportHeader ?? [
@@ -165,6 +181,9 @@ export class EventsPassportRenderer {
       "FIRMA DEL TITULAR O MARCA HABITUAL"
     ];
     this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
   }
 
   /**
@@ -289,6 +308,14 @@ export class EventsPassportRenderer {
    */
   useDigitalSeal;
 
+  /**
+   * The barcode symbology of the digital seal: 'qr' for a QR code of its
+   *     Base45 text, or 'datamatrix' for a DataMatrix of its bytes as specified
+   *     in ICAO 9303 part 13.
+   * @type { string }
+   */
+  sealBarcodeFormat;
+
   /**
    * The full name of the authority who issued this document.
    * @type { string }
@@ -397,30 +424,37 @@ export class EventsPassportRenderer {
    */
   fonts;
 
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
   // Font information used in card generation.
-  static #mrzFontFace = new FontFace(
-    "OCR-B",
-    "url('/fonts/OCR-B-regular-web.woff2') format('woff2')," +
-    "url('/fonts/OCR-B-regular-web.woff') format('woff')"
-  );
-  static #vizFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')"
-  );
-  static #vizBoldFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')",
-    { weight: "bold" }
-  );
-  static #vizItalicFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Italic-Variable.ttf')",
-    { style: "italic" }
-  );
-  static #signatureFontFace = new FontFace(
-    "Yellowtail",
-    "url('/fonts/Yellowtail-Regular.woff') format('woff')"
-  );
+  static #mrzFontFace = MRZ_FONT_FACE;
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static #vizItalicFontFace = VIZ_ITALIC_FONT_FACE;
+  static #signatureFontFace = SIGNATURE_FONT_FACE;
   static get #passportHeaderFont() {
     return `bold 24px ${this.#vizFontFace.family}`;
   }
@@ -510,44 +544,45 @@ export class EventsPassportRenderer {
   static get signatureArea() { return [767, 164]; }
   static #bleed = 16;
   static #safe = 48;
+  // DataMatrix symbols are scaled to fit the width of the version 9 QR code.
+  static #dataMatrixWidth = 212;
   static #photoUnderlayArea = [413, 765];
   static #photoArea = [365, 487];
   static #logoArea = 128;
   static #mrzUnderlayArea = [1524, 298];
 
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadImage", "loadFonts"].includes(key);
+    }));
+  }
+
   /** Load the fonts used by this renderer. */
   async loadCanvasFonts() {
-    this.fonts.add(EventsPassportRenderer.#mrzFontFace);
-    this.fonts.add(EventsPassportRenderer.#vizFontFace);
-    this.fonts.add(EventsPassportRenderer.#vizBoldFontFace);
-    this.fonts.add(EventsPassportRenderer.#vizItalicFontFace);
-    this.fonts.add(EventsPassportRenderer.#signatureFontFace);
-    await Promise.all([
-      EventsPassportRenderer.#mrzFontFace.load(),
-      EventsPassportRenderer.#vizFontFace.load(),
-      EventsPassportRenderer.#vizBoldFontFace.load(),
-      EventsPassportRenderer.#vizItalicFontFace.load(),
-      EventsPassportRenderer.#signatureFontFace.load()
-    ]);
+    await this.loadFonts([
+      EventsPassportRenderer.#mrzFontFace,
+      EventsPassportRenderer.#vizFontFace,
+      EventsPassportRenderer.#vizBoldFontFace,
+      EventsPassportRenderer.#vizItalicFontFace,
+      EventsPassportRenderer.#signatureFontFace
+    ], this.fonts);
   }
 
   /**
    * Generate the front image and return the canvas.
    * @param { EventsPassport } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardFront(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = EventsPassportRenderer.#cardArea[0];
-      canvas.height = EventsPassportRenderer.#cardArea[1];
-    } else {
-      canvas = new OffscreenCanvas(
-        EventsPassportRenderer.#cardArea[0],
-        EventsPassportRenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      EventsPassportRenderer.#cardArea[0],
+      EventsPassportRenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
     const barcode = this.useDigitalSeal ?
@@ -556,20 +591,29 @@ export class EventsPassportRenderer {
 
     const images = await Promise.all([
       this.frontBackgroundImage ?
-          loadImageFromURL(this.frontBackgroundImage) : null,
+          this.loadImage(this.frontBackgroundImage) : null,
       this.mrzBackgroundImage ?
-          loadImageFromURL(this.mrzBackgroundImage) : null,
-      loadImageFromURL(model.photo),
-      this.logo ? loadImageFromURL(this.logo) : null,
-      toQRCanvas(barcode, {
-        errorCorrectionLevel: this.barcodeErrorCorrection,
-        version: 9,
-        margin: 0,
-        color: {
-          dark: this.barcodeDarkColor,
-          light: this.barcodeLightColor
-        }
-      })
+          this.loadImage(this.mrzBackgroundImage) : null,
+      this.loadImage(model.photo),
+      this.logo ? this.loadImage(this.logo) : null,
+      this.useDigitalSeal && this.sealBarcodeFormat === "datamatrix" ?
+          toDataMatrixCanvas(this.createCanvas(1, 1), model.signedSeal, {
+            width: EventsPassportRenderer.#dataMatrixWidth,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }) :
+          toQRCanvas(this.createCanvas(1, 1), barcode, {
+            errorCorrectionLevel: this.barcodeErrorCorrection,
+            version: 9,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          })
     ]);
 
     ctx.fillStyle = this.frontBackgroundColor;
@@ -987,29 +1031,22 @@ export class EventsPassportRenderer {
   /**
    * Generate the back image and return the canvas.
    * @param { EventsPassport } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardBack(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = EventsPassportRenderer.#cardArea[0];
-      canvas.height = EventsPassportRenderer.#cardArea[1];
-    }
-    else {
-      canvas = new OffscreenCanvas(
-        EventsPassportRenderer.#cardArea[0],
-        EventsPassportRenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      EventsPassportRenderer.#cardArea[0],
+      EventsPassportRenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
 
     const images = await Promise.all([
       this.backBackgroundImage ?
-          loadImageFromURL(this.backBackgroundImage) : null,
+          this.loadImage(this.backBackgroundImage) : null,
       typeof model.signatureImage !== typeof canvas ?
-          loadImageFromURL(model.signatureImage) : null
+          this.loadImage(model.signatureImage) : null
     ]);
 
     ctx.fillStyle = this.backBackgroundColor;
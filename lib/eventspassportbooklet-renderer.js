@@ -0,0 +1,865 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { EventsPassport } from "./eventspassport.js";
+import { EventsPassportRenderer } from "./eventspassport-renderer.js";
+import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
+import { fitImageInArea } from "./utilities/fit-image-in-area.js";
+import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
+import { drawPerforatedText } from "./utilities/draw-perforated-text.js";
+import { saddleStitchImposition } from "./utilities/saddle-stitch-imposition.js";
+import { BACKGROUND_COLOR, FULL_AUTHORITY, HEADER_COLOR, TEXT_COLOR, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_ITALIC_FONT_FACE } from "./utilities/renderer-variables.js";
+
+/**
+ * `EventsPassportBookletRenderer` takes an `EventsPassport` object and returns
+ *     every page of a TD3-sized passport booklet as `HTMLCanvasElement` or
+ *     `OffscreenCanvas` elements: the cover, the inside cover, the
+ *     machine-readable passport (MRP) page and signature page, numbered visa
+ *     pages, an observations page, the inside back cover, and the back cover.
+ *     The MRP and signature pages are drawn by an `EventsPassportRenderer`.
+ *
+ * Pages are portrait, with the size of a TD3 document turned on its side, and
+ *     are bound along their left edge. Visa and observations pages show their
+ *     page number, and the passport number is perforated along their outside
+ *     edge. The pages may also be imposed onto sheets for saddle-stitched
+ *     printing.
+ *
+ * The renderer generates images appropriate for web use and for print use with
+ *     300-dpi printers. A bleed area surrounds the cut and safe areas to allow
+ *     borderless printing.
+ *
+ * Renderers are scenario-specific and this was created to be used for a demo on
+ *     a web page. Ergo, multiple properties are able to be set. In real-world
+ *     use less (or no) properties may want to be settable.
+ */
+export class EventsPassportBookletRenderer {
+  /**
+   * Create an `EventsPassportBookletRenderer`.
+   * @param { Object } [opt] - An options object.
+   * @param { EventsPassportRenderer } [opt.dataPageRenderer] - The renderer of
+   *     the MRP and signature pages. Defaults to an `EventsPassportRenderer`
+   *     using this renderer's fonts, canvas factory, and loaders.
+   * @param { number } [opt.pageCount] - The number of numbered pages between
+   *     the covers: a multiple of 4 of at least 4.
+   * @param { string } [opt.headerColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.textColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.perforationColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.coverColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string | null } [opt.coverImage] - A path/URL to an image file.
+   * @param { string } [opt.coverTextColor] - A RGB hex string, formatted as
+   *     '#RRGGBB'.
+   * @param { string } [opt.pageBackgroundColor] - A RGB hex string, formatted
+   *     as '#RRGGBB'.
+   * @param { string | null } [opt.pageBackgroundImage] - A path/URL to an
+   *     image file.
+   * @param { string | null } [opt.logo] - A path/URL to an image file.
+   * @param { boolean } [opt.showGuides] - Toggles bleed (red) and safe (blue)
+   *     lines on the rendered canvas.
+   * @param { string } [opt.fullAuthority] - The full name of the authority who
+   *     issued this document.
+   * @param { string } [opt.fullDocumentName] - The full name of this document's
+   *     type.
+   * @param { string[] } [opt.passportHeader] - The word 'PASSPORT' on the
+   *     cover: ['primary', 'language 1', 'language 2'].
+   * @param { string } [opt.insideCoverText] - The request printed on the inside
+   *     cover.
+   * @param { string[] } [opt.visaHeader] - Header text for the visa pages:
+   *     ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.observationsHeader] - Header text for the
+   *     observations page: ['primary', 'language 1', 'language 2'].
+   * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
+   *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
+   */
+  constructor(opt) {
+    this.pageCount = opt?.pageCount ?? 32;
+    this.headerColor = opt?.headerColor ?? HEADER_COLOR;
+    this.textColor = opt?.textColor ?? TEXT_COLOR;
+    this.perforationColor = opt?.perforationColor ?? "#666666";
+    this.coverColor = opt?.coverColor ?? "#1f3a5f";
+    this.coverImage = opt?.coverImage ?? null;
+    this.coverTextColor = opt?.coverTextColor ?? "#e0c068";
+    this.pageBackgroundColor = opt?.pageBackgroundColor ?? BACKGROUND_COLOR;
+    this.pageBackgroundImage = opt?.pageBackgroundImage ?? null;
+    this.logo = opt?.logo ?? null;
+    this.showGuides = opt?.showGuides ?? false;
+    this.fullAuthority = opt?.fullAuthority ?? FULL_AUTHORITY;
+    this.fullDocumentName = opt?.fullDocumentName ?? "FURRY EVENTS PASSPORT";
+    this.passportHeader = opt?.passportHeader ?? [
+      "PASSPORT",
+      "PASSEPORT",
+      "PASAPORTE"
+    ];
+    this.insideCoverText = opt?.insideCoverText ??
+        "The issuing authority requests all whom it may concern to permit " +
+        "the bearer, a member of the furry fandom, to attend events freely " +
+        "and without hindrance, and to afford the bearer such assistance " +
+        "and protection as may be necessary.";
+    this.visaHeader = opt?.visaHeader ?? [
+      "VISAS",
+      "VISAS",
+      "VISADOS"
+    ];
+    this.observationsHeader = opt?.observationsHeader ?? [
+      "OBSERVATIONS",
+      "OBSERVATIONS",
+      "OBSERVACIONES"
+    ];
+    this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
+    this.dataPageRenderer = opt?.dataPageRenderer ??
+        new EventsPassportRenderer({
+          fonts: this.fonts,
+          createCanvas: this.createCanvas,
+          loadImage: this.loadImage,
+          loadFonts: this.loadFonts
+        });
+  }
+
+  /**
+   * The renderer of the machine-readable passport (MRP) and signature pages.
+   * @type { EventsPassportRenderer }
+   */
+  dataPageRenderer;
+
+  /**
+   * The number of numbered pages between the covers: the MRP page, the
+   *     signature page, the visa pages, and the observations page. A multiple
+   *     of 4 of at least 4, so that the booklet and its covers can be
+   *     saddle-stitched.
+   * @type { number }
+   */
+  pageCount;
+
+  /**
+   * The RGB color for header text: '#RRGGBB'.
+   * @type { string }
+   */
+  headerColor;
+
+  /**
+   * The RGB color for non-header text: '#RRGGBB'.
+   * @type { string }
+   */
+  textColor;
+
+  /**
+   * The RGB color for the holes of perforated text: '#RRGGBB'.
+   * @type { string }
+   */
+  perforationColor;
+
+  /**
+   * The RGB color for the covers when no cover image is set: '#RRGGBB'.
+   * @type { string }
+   */
+  coverColor;
+
+  /**
+   * A path/URL to an image to use for the outside of the covers, or `null` for
+   *     no cover image.
+   * @type { string | null }
+   */
+  coverImage;
+
+  /**
+   * The RGB color for text on the cover: '#RRGGBB'.
+   * @type { string }
+   */
+  coverTextColor;
+
+  /**
+   * The RGB color for the background of pages when no page background image is
+   *     set: '#RRGGBB'.
+   * @type { string }
+   */
+  pageBackgroundColor;
+
+  /**
+   * A path/URL to an image to use for the background of pages, or `null` for
+   *     no background image.
+   * @type { string | null }
+   */
+  pageBackgroundImage;
+
+  /**
+   * A path/URL to an image to use for the logo on the cover, or `null` for no
+   *     logo.
+   * @type { string | null }
+   */
+  logo;
+
+  /**
+   * Toggles bleed (red) and safe (blue) lines on the rendered canvas.
+   * @type { boolean }
+   */
+  showGuides;
+
+  /**
+   * The full name of the authority who issued this document.
+   * @type { string }
+   */
+  fullAuthority;
+
+  /**
+   * The full name of this document's type.
+   * @type { string }
+   */
+  fullDocumentName;
+
+  /**
+   * The word 'PASSPORT' on the cover: ['primary', 'language 1', 'language 2'].
+   * @type { string[] }
+   */
+  passportHeader;
+
+  /**
+   * The request printed on the inside cover.
+   * @type { string }
+   */
+  insideCoverText;
+
+  /**
+   * Header text for the visa pages: ['primary', 'language 1', 'language 2'].
+   * @type { string[] }
+   */
+  visaHeader;
+
+  /**
+   * Header text for the observations page: ['primary', 'language 1',
+   *     'language 2'].
+   * @type { string[] }
+   */
+  observationsHeader;
+
+  /**
+   * A `FontFaceSet`, like the one available from `window.document`.
+   * @type { FontFaceSet }
+   */
+  fonts;
+
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
+  // Font information used in page generation.
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static #vizItalicFontFace = VIZ_ITALIC_FONT_FACE;
+  static get #coverHeaderFont() {
+    return `bold 72px ${this.#vizFontFace.family}`;
+  }
+  static get #coverIntlFont() {
+    return `36px ${this.#vizFontFace.family}`;
+  }
+  static get #coverAuthorityFont() {
+    return `bold 36px ${this.#vizFontFace.family}`;
+  }
+  static get #mainHeaderFont() {
+    return `bold 36px ${this.#vizFontFace.family}`;
+  }
+  static get #intlFont() {
+    return `italic 18px ${this.#vizFontFace.family}`;
+  }
+  static get #pageNumberFont() {
+    return `bold 36px ${this.#vizFontFace.family}`;
+  }
+  static get #paragraphFont() {
+    return `28px ${this.#vizFontFace.family}`;
+  }
+  static get #authorityFont() {
+    return `bold 24px ${this.#vizFontFace.family}`;
+  }
+
+  // Text constants used in image generation.
+  static #headerSeparator = " · ";
+
+  // Coordinates, widths, and heights used in page generation.
+  static #coverY = [
+    144, // Full Authority
+    1024, // Passport Header (primary)
+    1120, // Passport Header (I18n 1)
+    1172, // Passport Header (I18n 2)
+    1320 // Full Document Name
+  ];
+  static #logoXY = [303, 352];
+  static #logoArea = 480;
+  static #headerY = [96, 144];
+  static #frameXY = [72, 184];
+  static #pageNumberX = 96;
+  static #pageNumberY = 1404;
+  static #paragraphX = 120;
+  static #paragraphY = 192;
+  static #paragraphLineHeight = 44;
+  static #observationsY = [264, 1320];
+  static #observationsSpacing = 88;
+  static #perforationX = 991;
+  static #perforationPitch = 12;
+  static #pageArea = [1087, 1524];
+  static #bleed = 16;
+  static #safe = 48;
+
+  /**
+   * The size of a page after it is cut: a TD3 document turned on its side.
+   * @type { number[] }
+   */
+  static get cutPageArea() {
+    return [
+      EventsPassportRenderer.cutCardArea[1],
+      EventsPassportRenderer.cutCardArea[0]
+    ];
+  }
+
+  /**
+   * The size of two pages side by side after they are cut, like the sheets
+   *     returned by `generateImposition()`.
+   * @type { number[] }
+   */
+  static get cutSpreadArea() {
+    return [
+      EventsPassportBookletRenderer.cutPageArea[0] * 2,
+      EventsPassportBookletRenderer.cutPageArea[1]
+    ];
+  }
+
+  /**
+   * Return the styling options of this renderer, without the fonts, loader
+   *     functions, and data page renderer, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return ![
+        "dataPageRenderer",
+        "fonts",
+        "createCanvas",
+        "loadImage",
+        "loadFonts"
+      ].includes(key);
+    }));
+  }
+
+  /** Load the fonts used by this renderer and its data page renderer. */
+  async loadCanvasFonts() {
+    await Promise.all([
+      this.loadFonts([
+        EventsPassportBookletRenderer.#vizFontFace,
+        EventsPassportBookletRenderer.#vizBoldFontFace,
+        EventsPassportBookletRenderer.#vizItalicFontFace
+      ], this.fonts),
+      this.dataPageRenderer.loadCanvasFonts()
+    ]);
+  }
+
+  /**
+   * Generate the front cover image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateCover(model, fallback) {
+    const [canvas, ctx] = await this.#createCover(fallback);
+    ctx.fillStyle = this.coverTextColor;
+    ctx.textAlign = "center";
+    const CENTER_X = EventsPassportBookletRenderer.#pageArea[0] / 2;
+    const TEXT_WIDTH = EventsPassportBookletRenderer.#pageArea[0] -
+        EventsPassportBookletRenderer.#safe * 4;
+
+    ctx.font = EventsPassportBookletRenderer.#coverAuthorityFont;
+    ctx.fillText(
+      this.fullAuthority,
+      CENTER_X,
+      EventsPassportBookletRenderer.#coverY[0],
+      TEXT_WIDTH
+    );
+    const LOGO = this.logo ? await this.loadImage(this.logo) : null;
+    if (LOGO) {
+      fitImageInArea(
+        LOGO, ctx,
+        EventsPassportBookletRenderer.#logoXY[0],
+        EventsPassportBookletRenderer.#logoXY[1],
+        EventsPassportBookletRenderer.#logoArea,
+        EventsPassportBookletRenderer.#logoArea
+      );
+    }
+    ctx.font = EventsPassportBookletRenderer.#coverHeaderFont;
+    ctx.fillText(
+      this.passportHeader[0],
+      CENTER_X,
+      EventsPassportBookletRenderer.#coverY[1],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsPassportBookletRenderer.#coverIntlFont;
+    ctx.fillText(
+      this.passportHeader[1],
+      CENTER_X,
+      EventsPassportBookletRenderer.#coverY[2],
+      TEXT_WIDTH
+    );
+    ctx.fillText(
+      this.passportHeader[2],
+      CENTER_X,
+      EventsPassportBookletRenderer.#coverY[3],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsPassportBookletRenderer.#coverAuthorityFont;
+    ctx.fillText(
+      this.fullDocumentName,
+      CENTER_X,
+      EventsPassportBookletRenderer.#coverY[4],
+      TEXT_WIDTH
+    );
+
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate the inside cover image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateInsideCover(model, fallback) {
+    const [canvas, ctx] = await this.#createPage(fallback);
+    const TEXT_WIDTH = EventsPassportBookletRenderer.#pageArea[0] -
+        EventsPassportBookletRenderer.#paragraphX * 2;
+
+    ctx.fillStyle = this.textColor;
+    ctx.font = EventsPassportBookletRenderer.#paragraphFont;
+    const LINES = EventsPassportBookletRenderer.#wrapText(
+      ctx,
+      this.insideCoverText,
+      TEXT_WIDTH
+    );
+    LINES.forEach((line, i) => {
+      ctx.fillText(
+        line,
+        EventsPassportBookletRenderer.#paragraphX,
+        EventsPassportBookletRenderer.#paragraphY +
+            i * EventsPassportBookletRenderer.#paragraphLineHeight
+      );
+    });
+    ctx.fillStyle = this.headerColor;
+    ctx.font = EventsPassportBookletRenderer.#authorityFont;
+    ctx.fillText(
+      this.fullAuthority,
+      EventsPassportBookletRenderer.#paragraphX,
+      EventsPassportBookletRenderer.#paragraphY +
+          (LINES.length + 1) * EventsPassportBookletRenderer.#paragraphLineHeight,
+      TEXT_WIDTH
+    );
+
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate the machine-readable passport (MRP) page image, turned to fit
+   *     the booklet with the top of the page along the binding, and return the
+   *     canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateDataPage(model, fallback) {
+    return this.#turnPage(
+      await this.dataPageRenderer.generateCardFront(model),
+      fallback
+    );
+  }
+
+  /**
+   * Generate the signature page image, turned to fit the booklet, and return
+   *     the canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateSignaturePage(model, fallback) {
+    return this.#turnPage(
+      await this.dataPageRenderer.generateCardBack(model),
+      fallback
+    );
+  }
+
+  /**
+   * Generate a visa page image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { number } pageNumber - The number printed on the page. Odd numbers
+   *     are right-hand pages and even numbers are left-hand pages.
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateVisaPage(model, pageNumber, fallback) {
+    const [canvas, ctx] = await this.#createPage(fallback);
+    this.#drawHeader(ctx, this.visaHeader);
+
+    ctx.strokeStyle = this.headerColor;
+    ctx.lineWidth = 2;
+    ctx.beginPath();
+    ctx.rect(
+      EventsPassportBookletRenderer.#frameXY[0],
+      EventsPassportBookletRenderer.#frameXY[1],
+      EventsPassportBookletRenderer.#pageArea[0] -
+          EventsPassportBookletRenderer.#frameXY[0] * 2,
+      EventsPassportBookletRenderer.#pageNumberY -
+          EventsPassportBookletRenderer.#frameXY[1] -
+          EventsPassportBookletRenderer.#safe
+    );
+    ctx.stroke();
+
+    this.#drawPageNumber(ctx, pageNumber);
+    this.#drawPerforation(ctx, model, pageNumber);
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate the observations page image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { number } pageNumber - The number printed on the page. Odd numbers
+   *     are right-hand pages and even numbers are left-hand pages.
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateObservationsPage(model, pageNumber, fallback) {
+    const [canvas, ctx] = await this.#createPage(fallback);
+    this.#drawHeader(ctx, this.observationsHeader);
+
+    ctx.strokeStyle = this.headerColor;
+    ctx.lineWidth = 2;
+    ctx.lineCap = "butt";
+    ctx.beginPath();
+    for (
+      let y = EventsPassportBookletRenderer.#observationsY[0];
+      y <= EventsPassportBookletRenderer.#observationsY[1];
+      y += EventsPassportBookletRenderer.#observationsSpacing
+    ) {
+      ctx.moveTo(EventsPassportBookletRenderer.#paragraphX, y);
+      ctx.lineTo(
+        EventsPassportBookletRenderer.#pageArea[0] -
+            EventsPassportBookletRenderer.#paragraphX,
+        y
+      );
+    }
+    ctx.stroke();
+
+    this.#drawPageNumber(ctx, pageNumber);
+    this.#drawPerforation(ctx, model, pageNumber);
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate the inside back cover image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateInsideBackCover(model, fallback) {
+    const [canvas, ctx] = await this.#createPage(fallback);
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate the back cover image and return the canvas.
+   * @param { EventsPassport } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateBackCover(model, fallback) {
+    const [canvas, ctx] = await this.#createCover(fallback);
+    this.#drawGuides(ctx);
+    return canvas;
+  }
+
+  /**
+   * Generate every page of the booklet in reading order and return the
+   *     canvases: the cover, the inside cover, pages 1 to `pageCount` (the MRP
+   *     page, the signature page, the visa pages, and the observations page),
+   *     the inside back cover, and the back cover.
+   * @param { EventsPassport } model
+   * @returns { Promise<Array<HTMLCanvasElement | OffscreenCanvas>> }
+   */
+  async generatePages(model) {
+    if (!Number.isInteger(this.pageCount) ||
+    this.pageCount < 4 || this.pageCount % 4 !== 0) {
+      throw new RangeError(
+        `Page count '${this.pageCount}' must be a multiple of 4 of at least 4.`
+      );
+    }
+    const VISA_PAGES = [];
+    for (let i = 3; i < this.pageCount; i += 1) {
+      VISA_PAGES.push(this.generateVisaPage(model, i));
+    }
+    return Promise.all([
+      this.generateCover(model),
+      this.generateInsideCover(model),
+      this.generateDataPage(model),
+      this.generateSignaturePage(model),
+      ...VISA_PAGES,
+      this.generateObservationsPage(model, this.pageCount),
+      this.generateInsideBackCover(model),
+      this.generateBackCover(model)
+    ]);
+  }
+
+  /**
+   * Generate every page of the booklet imposed onto sheets for
+   *     saddle-stitched printing and return the canvases of both sides of each
+   *     sheet, from the outermost sheet to the innermost. Each side has two
+   *     pages side by side, with the bleed kept around the outside edges. The
+   *     sheets may be given to `exportPDF()` with a `cutCardArea` of
+   *     `EventsPassportBookletRenderer.cutSpreadArea`.
+   * @param { EventsPassport } model
+   * @returns { Promise<{ front: HTMLCanvasElement | OffscreenCanvas,
+   *     back: HTMLCanvasElement | OffscreenCanvas }[]> }
+   */
+  async generateImposition(model) {
+    const PAGES = await this.generatePages(model);
+    return saddleStitchImposition(PAGES.length).map((sheet) => {
+      return {
+        front: this.#createSpread(...sheet.front.map((i) => PAGES[i])),
+        back: this.#createSpread(...sheet.back.map((i) => PAGES[i]))
+      };
+    });
+  }
+
+  /**
+   * Create a page canvas filled with the page background.
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async #createPage(fallback) {
+    return this.#createBackground(
+      this.pageBackgroundColor,
+      this.pageBackgroundImage,
+      fallback
+    );
+  }
+
+  /**
+   * Create a page canvas filled with the cover background.
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async #createCover(fallback) {
+    return this.#createBackground(this.coverColor, this.coverImage, fallback);
+  }
+
+  /**
+   * Create a page canvas filled with a color and an optional image, and return
+   *     the canvas and its context.
+   * @param { string } color
+   * @param { string | null } image
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async #createBackground(color, image, fallback) {
+    const canvas = this.createCanvas(
+      EventsPassportBookletRenderer.#pageArea[0],
+      EventsPassportBookletRenderer.#pageArea[1],
+      fallback
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.textBaseline = "top";
+
+    ctx.fillStyle = color;
+    ctx.fillRect(
+      0, 0,
+      EventsPassportBookletRenderer.#pageArea[0],
+      EventsPassportBookletRenderer.#pageArea[1]
+    );
+    if (image) {
+      ctx.drawImage(
+        await this.loadImage(image),
+        0, 0,
+        EventsPassportBookletRenderer.#pageArea[0],
+        EventsPassportBookletRenderer.#pageArea[1]
+      );
+    }
+    return [canvas, ctx];
+  }
+
+  /**
+   * Draw a page header centered at the top of the page.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { string[] } header - ['primary', 'language 1', 'language 2'].
+   */
+  #drawHeader(ctx, header) {
+    ctx.fillStyle = this.headerColor;
+    ctx.textAlign = "center";
+    ctx.font = EventsPassportBookletRenderer.#mainHeaderFont;
+    ctx.fillText(
+      header[0],
+      EventsPassportBookletRenderer.#pageArea[0] / 2,
+      EventsPassportBookletRenderer.#headerY[0]
+    );
+    ctx.font = EventsPassportBookletRenderer.#intlFont;
+    ctx.fillText(
+      header.slice(1).join(EventsPassportBookletRenderer.#headerSeparator),
+      EventsPassportBookletRenderer.#pageArea[0] / 2,
+      EventsPassportBookletRenderer.#headerY[1]
+    );
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Draw the page number in the bottom outside corner of the page.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { number } pageNumber
+   */
+  #drawPageNumber(ctx, pageNumber) {
+    ctx.fillStyle = this.headerColor;
+    ctx.font = EventsPassportBookletRenderer.#pageNumberFont;
+    if (pageNumber % 2 === 1) {
+      ctx.textAlign = "right";
+      ctx.fillText(
+        pageNumber.toString(),
+        EventsPassportBookletRenderer.#pageArea[0] -
+            EventsPassportBookletRenderer.#pageNumberX,
+        EventsPassportBookletRenderer.#pageNumberY
+      );
+      ctx.textAlign = "left";
+    } else {
+      ctx.fillText(
+        pageNumber.toString(),
+        EventsPassportBookletRenderer.#pageNumberX,
+        EventsPassportBookletRenderer.#pageNumberY
+      );
+    }
+  }
+
+  /**
+   * Draw the passport number as perforated text running down the outside edge
+   *     of the page. Perforations go through every page at the same place, so
+   *     they are mirrored on left-hand pages.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { EventsPassport } model
+   * @param { number } pageNumber
+   */
+  #drawPerforation(ctx, model, pageNumber) {
+    const PITCH = EventsPassportBookletRenderer.#perforationPitch;
+    const LENGTH = (model.number.length * 6 - 1) * PITCH;
+    ctx.save();
+    if (pageNumber % 2 === 0) {
+      ctx.translate(EventsPassportBookletRenderer.#pageArea[0], 0);
+      ctx.scale(-1, 1);
+    }
+    ctx.translate(
+      EventsPassportBookletRenderer.#perforationX,
+      (EventsPassportBookletRenderer.#pageArea[1] - LENGTH) / 2
+    );
+    ctx.rotate(90 * Math.PI / 180);
+    ctx.fillStyle = this.perforationColor;
+    drawPerforatedText(ctx, model.number, 0, 0, PITCH);
+    ctx.restore();
+  }
+
+  /**
+   * Draw bleed and safe lines if `showGuides` is set.
+   * @param { CanvasRenderingContext2D } ctx
+   */
+  #drawGuides(ctx) {
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    if (this.showGuides) {
+      drawBleedAndSafeLines(
+        ctx,
+        EventsPassportBookletRenderer.#pageArea,
+        EventsPassportBookletRenderer.#bleed,
+        EventsPassportBookletRenderer.#safe
+      );
+    }
+  }
+
+  /**
+   * Turn a landscape TD3 page a quarter turn counterclockwise onto a portrait
+   *     booklet page.
+   * @param { HTMLCanvasElement | OffscreenCanvas } page
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  #turnPage(page, fallback) {
+    const canvas = this.createCanvas(
+      EventsPassportBookletRenderer.#pageArea[0],
+      EventsPassportBookletRenderer.#pageArea[1],
+      fallback
+    );
+    const ctx = canvas.getContext("2d");
+    ctx.translate(0, EventsPassportBookletRenderer.#pageArea[1]);
+    ctx.rotate(-90 * Math.PI / 180);
+    ctx.drawImage(page, 0, 0);
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    return canvas;
+  }
+
+  /**
+   * Place two pages side by side, dropping the bleed along the fold between
+   *     them.
+   * @param { HTMLCanvasElement | OffscreenCanvas } left
+   * @param { HTMLCanvasElement | OffscreenCanvas } right
+   */
+  #createSpread(left, right) {
+    const BLEED = EventsPassportBookletRenderer.#bleed;
+    const PAGE_WIDTH = EventsPassportBookletRenderer.cutPageArea[0] + BLEED;
+    const HEIGHT = EventsPassportBookletRenderer.#pageArea[1];
+    const canvas = this.createCanvas(PAGE_WIDTH * 2, HEIGHT);
+    const ctx = canvas.getContext("2d");
+    ctx.drawImage(left, 0, 0, PAGE_WIDTH, HEIGHT, 0, 0, PAGE_WIDTH, HEIGHT);
+    ctx.drawImage(
+      right,
+      BLEED, 0, PAGE_WIDTH, HEIGHT,
+      PAGE_WIDTH, 0, PAGE_WIDTH, HEIGHT
+    );
+    return canvas;
+  }
+
+  /**
+   * Split text into lines that fit within a width using the context's font.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { string } text
+   * @param { number } width
+   */
+  static #wrapText(ctx, text, width) {
+    const LINES = [];
+    let line = "";
+    for (const word of text.split(/\s+/)) {
+      const NEXT = line ? `${line} ${word}` : word;
+      if (line && ctx.measureText(NEXT).width > width) {
+        LINES.push(line);
+        line = word;
+      } else {
+        line = NEXT;
+      }
+    }
+    if (line) { LINES.push(line); }
+    return LINES;
+  }
+}
@@ -4,11 +4,14 @@
 import { EventsMRVB } from "./eventsmrvb.js";
 import { encode as toBase45 } from "./base45-ts/base45.js";
 import { toCanvas as toQRCanvas } from "./qrcode-lite/qrcode.mjs";
+import { toCanvas as toDataMatrixCanvas } from "./datamatrix/datamatrix.js";
 import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
 import { fitImageInArea } from "./utilities/fit-image-in-area.js";
 import { drawBleedAndSafeLines } from "./utilities/draw-bleed-and-safe-lines.js";
 import { dateToVIZ } from "./utilities/date-to-viz.js"
-import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, TEXT_COLOR, VISA_NAME } from "./utilities/renderer-variables.js";
+import { BACKGROUND_COLOR, BARCODE_DARK_COLOR, BARCODE_ERROR_CORRECTION, BARCODE_LIGHT_COLOR, FULL_AUTHORITY, TEXT_COLOR, VISA_NAME, VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE } from "./utilities/renderer-variables.js";
 
 /**
  * `EventsSealRenderer` takes an `EventsMRVB` object and returns a
@@ -33,6 +36,8 @@ export class EventsSealRenderer {
    *     '#RRGGBBAA'.
    * @param { string } [opt.barcodeErrorCorrection] - The character 'L', 'M',
    *     'Q', or 'H'.
+   * @param { string } [opt.sealBarcodeFormat] - The barcode symbology of the
+   *     digital seal: 'qr' or 'datamatrix'.
    * @param { string } [opt.headerColor] - A RGB hex string, formatted as
    *     '#RRGGBB'.
    * @param { string } [opt.textColor] - A RGB hex string, formatted as
@@ -50,12 +55,23 @@ export class EventsSealRenderer {
    *     rendered sticker.
    * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
    *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
    */
   constructor(opt) {
     this.barcodeDarkColor = opt?.barcodeDarkColor ?? BARCODE_DARK_COLOR;
     this.barcodeLightColor = opt?.barcodeLightColor ?? BARCODE_LIGHT_COLOR;
     this.barcodeErrorCorrection = opt?.barcodeErrorCorrection ??
         BARCODE_ERROR_CORRECTION;
+    this.sealBarcodeFormat = opt?.sealBarcodeFormat ?? "qr";
     this.headerColor = opt?.headerColor ?? TEXT_COLOR;
     this.textColor = opt?.textColor ?? TEXT_COLOR;
     this.frontBackgroundColor = opt?.frontBackgroundColor ?? BACKGROUND_COLOR;
@@ -65,6 +81,9 @@ export class EventsSealRenderer {
     this.fullAuthority = opt?.fullAuthority ?? "ALFACON 2023";
     this.fullDocumentName = opt?.fullDocumentName ?? "PARTICIPANT";
     this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadImage = opt?.loadImage ?? loadImageFromURL;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
   }
 
   /**
@@ -88,6 +107,14 @@ export class EventsSealRenderer {
    */
   barcodeErrorCorrection;
 
+  /**
+   * The barcode symbology of the digital seal: 'qr' for a QR code of its
+   *     Base45 text, or 'datamatrix' for a DataMatrix of its bytes as specified
+   *     in ICAO 9303 part 13.
+   * @type { string }
+   */
+  sealBarcodeFormat;
+
   /**
    * The RGB color for the main and secondary header text: '#RRGGBB'.
    * @type { string }
@@ -144,16 +171,34 @@ export class EventsSealRenderer {
    */
   fonts;
 
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function returning a promise of a loaded image from a path/URL.
+   * @type { (url: string) => Promise<CanvasImageSource> }
+   */
+  loadImage;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
   // Font information used in card generation.
-  static #vizFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')"
-  );
-  static #vizBoldFontFace = new FontFace(
-    "Open Sans",
-    "url('/fonts/OpenSans-Variable.ttf')",
-    { weight: "bold" }
-  );
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
   static get #headerFont() {
     return `bold 18px ${this.#vizFontFace.family}`;
   }
@@ -166,6 +211,8 @@ export class EventsSealRenderer {
   static get cutCardArea() { return [276, 404]; }
   static #bleed = 16;
   static #safe = 48;
+  // DataMatrix symbols are scaled to fit the width of the version 9 QR code.
+  static #dataMatrixWidth = 212;
   static #textX = 168;
   static #textY = [48, 73, 98, 123];
   static #logoXY = [48, 48];
@@ -173,52 +220,62 @@ export class EventsSealRenderer {
   static #qrCodeXY = [48, 176];
   static #textWidth = 92
 
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadImage", "loadFonts"].includes(key);
+    }));
+  }
+
   /** Load the fonts used by this renderer. */
   async loadCanvasFonts() {
-    this.fonts.add(EventsSealRenderer.#vizFontFace);
-    this.fonts.add(EventsSealRenderer.#vizBoldFontFace);
-    await Promise.all([
-      EventsSealRenderer.#vizFontFace.load(),
-      EventsSealRenderer.#vizBoldFontFace.load()
-    ]);
+    await this.loadFonts([
+      EventsSealRenderer.#vizFontFace,
+      EventsSealRenderer.#vizBoldFontFace
+    ], this.fonts);
   }
 
   /**
    * Generate the front image and return the canvas.
    * @param { EventsMRVB } model
-   * @param { HTMLCanvasElement } fallback
+   * @param { HTMLCanvasElement } [fallback]
    */
   async generateCardFront(model, fallback) {
-    let canvas;
-    if (typeof OffscreenCanvas === "undefined") {
-      canvas = fallback;
-      canvas.width = EventsSealRenderer.#cardArea[0];
-      canvas.height = EventsSealRenderer.#cardArea[1];
-    }
-    else {
-      canvas = new OffscreenCanvas(
-        EventsSealRenderer.#cardArea[0],
-        EventsSealRenderer.#cardArea[1]
-      );
-    }
+    const canvas = this.createCanvas(
+      EventsSealRenderer.#cardArea[0],
+      EventsSealRenderer.#cardArea[1],
+      fallback
+    );
     const ctx = canvas.getContext("2d");
     ctx.textBaseline = "top";
 
     const images = await Promise.all([
       this.frontBackgroundImage ?
-          loadImageFromURL(this.frontBackgroundImage) : null,
-      this.logo ? loadImageFromURL(this.logo) : null,
-      toQRCanvas([
-        { data: toBase45(model.signedSeal), mode: "alphanumeric" }
-      ],{
-        errorCorrectionLevel: this.barcodeErrorCorrection,
-        version: 9,
-        margin: 0,
-        color: {
-          dark: this.barcodeDarkColor,
-          light: this.barcodeLightColor
-        }
-      })
+          this.loadImage(this.frontBackgroundImage) : null,
+      this.logo ? this.loadImage(this.logo) : null,
+      this.sealBarcodeFormat === "datamatrix" ?
+          toDataMatrixCanvas(this.createCanvas(1, 1), model.signedSeal, {
+            width: EventsSealRenderer.#dataMatrixWidth,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          }) :
+          toQRCanvas(this.createCanvas(1, 1), [
+            { data: toBase45(model.signedSeal), mode: "alphanumeric" }
+          ],{
+            errorCorrectionLevel: this.barcodeErrorCorrection,
+            version: 9,
+            margin: 0,
+            color: {
+              dark: this.barcodeDarkColor,
+              light: this.barcodeLightColor
+            }
+          })
     ]);
 
     ctx.fillStyle = this.frontBackgroundColor;
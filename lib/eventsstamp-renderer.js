@@ -0,0 +1,441 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { EventsStamp } from "./eventsstamp.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
+import { dateToVIZ } from "./utilities/date-to-viz.js";
+import { VIZ_FONT_FACE, VIZ_BOLD_FONT_FACE } from "./utilities/renderer-variables.js";
+
+/**
+ * `EventsStampRenderer` takes an `EventsStamp` object and returns a
+ *     `HTMLCanvasElement` or an `OffscreenCanvas` element representation of
+ *     the stamp as a circular or rectangular ink stamp on a transparent
+ *     background. The stamp may also be placed onto a passport page, like a
+ *     visa page from `EventsPassportBookletRenderer`.
+ *
+ * The renderer generates images appropriate for web use and for print use with
+ *     300-dpi printers. Stamps are placed within pages, so they have no bleed.
+ *
+ * Renderers are scenario-specific and this was created to be used for a demo on
+ *     a web page. Ergo, multiple properties are able to be set. In real-world
+ *     use less (or no) properties may want to be settable.
+ */
+export class EventsStampRenderer {
+  /**
+   * Create an `EventsStampRenderer`.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.shape] - The shape of the stamp: 'circle' or
+   *     'rectangle'.
+   * @param { string } [opt.inkColor] - A RGBA hex string, formatted as
+   *     '#RRGGBBAA'.
+   * @param { string[] } [opt.entryHeader] - Header text for entry stamps:
+   *     ['primary', 'language 1', 'language 2'].
+   * @param { string[] } [opt.exitHeader] - Header text for exit stamps:
+   *     ['primary', 'language 1', 'language 2'].
+   * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
+   *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
+   */
+  constructor(opt) {
+    this.shape = opt?.shape ?? "circle";
+    this.inkColor = opt?.inkColor ?? "#1d4f91d9";
+    this.entryHeader = opt?.entryHeader ?? [
+      "ENTRY",
+      "ENTRÉE",
+      "ENTRADA"
+    ];
+    this.exitHeader = opt?.exitHeader ?? [
+      "EXIT",
+      "SORTIE",
+      "SALIDA"
+    ];
+    this.fonts = opt?.fonts ?? null;
+    this.createCanvas = opt?.createCanvas ?? createCanvas;
+    this.loadFonts = opt?.loadFonts ?? loadFontFaces;
+  }
+
+  /**
+   * The shape of the stamp: 'circle' or 'rectangle'.
+   * @type { string }
+   */
+  shape;
+
+  /**
+   * The RGBA color of the ink: '#RRGGBBAA'. Ink with some transparency lets
+   *     the page show through like a real ink stamp.
+   * @type { string }
+   */
+  inkColor;
+
+  /**
+   * Header text for entry stamps: ['primary', 'language 1', 'language 2'].
+   * @type { string[] }
+   */
+  entryHeader;
+
+  /**
+   * Header text for exit stamps: ['primary', 'language 1', 'language 2'].
+   * @type { string[] }
+   */
+  exitHeader;
+
+  /**
+   * A `FontFaceSet`, like the one available from `window.document`.
+   * @type { FontFaceSet }
+   */
+  fonts;
+
+  /**
+   * A function returning a canvas of the given width and height, used for
+   *     every canvas this renderer draws on. Replace it with another canvas
+   *     backend (like `createCanvas` from the `canvas` package) to render
+   *     outside of a browser.
+   * @type { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement }
+   */
+  createCanvas;
+
+  /**
+   * A function that loads this renderer's font faces into `fonts`. Each font
+   *     face is an object with `family`, `files` (`url` and optional
+   *     `format`), and optional `descriptors` properties.
+   * @type { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   */
+  loadFonts;
+
+  // Font information used in stamp generation.
+  static #vizFontFace = VIZ_FONT_FACE;
+  static #vizBoldFontFace = VIZ_BOLD_FONT_FACE;
+  static get #eventFont() {
+    return `bold 36px ${this.#vizFontFace.family}`;
+  }
+  static get #portFont() {
+    return `bold 24px ${this.#vizFontFace.family}`;
+  }
+  static get #movementFont() {
+    return `bold 28px ${this.#vizFontFace.family}`;
+  }
+  static get #intlFont() {
+    return `bold 16px ${this.#vizFontFace.family}`;
+  }
+  static get #dateFont() {
+    return `bold 40px ${this.#vizFontFace.family}`;
+  }
+  static get #officerFont() {
+    return `bold 24px ${this.#vizFontFace.family}`;
+  }
+
+  // Text constants used in image generation.
+  static #headerSeparator = " · ";
+
+  // Coordinates, widths, and heights used in stamp generation.
+  static #circleArea = [384, 384];
+  static #circleRadius = [184, 174, 124];
+  static #circleTextRadius = 150;
+  static #circleY = [
+    112, // Movement Header (primary)
+    146, // Movement Header (I18n)
+    192, // Date
+    248 // Officer Number
+  ];
+  static #rectangleArea = [480, 288];
+  static #rectangleInset = [6, 18];
+  static #rectangleX = [36, 444];
+  static #rectangleY = [
+    36, // Event Code and Movement Header (primary)
+    74, // Movement Header (I18n)
+    144, // Date
+    196, // Port
+    236 // Officer Number
+  ];
+  static #borderWidth = [6, 2];
+  static #circleSegments = 120;
+
+  /**
+   * The size of the stamp image for this renderer's shape: [width, height].
+   * @type { number[] }
+   */
+  get stampArea() {
+    return this.shape === "rectangle" ?
+        [...EventsStampRenderer.#rectangleArea] :
+        [...EventsStampRenderer.#circleArea];
+  }
+
+  /**
+   * Return the styling options of this renderer, without the fonts and loader
+   *     functions, for use by `JSON.stringify()`.
+   */
+  toJSON() {
+    return Object.fromEntries(Object.entries(this).filter(([key]) => {
+      return !["fonts", "createCanvas", "loadFonts"].includes(key);
+    }));
+  }
+
+  /** Load the fonts used by this renderer. */
+  async loadCanvasFonts() {
+    await this.loadFonts([
+      EventsStampRenderer.#vizFontFace,
+      EventsStampRenderer.#vizBoldFontFace
+    ], this.fonts);
+  }
+
+  /**
+   * Generate the stamp image on a transparent background and return the
+   *     canvas.
+   * @param { EventsStamp } model
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateStamp(model, fallback) {
+    if (!["circle", "rectangle"].includes(this.shape)) {
+      throw new RangeError(
+        `Shape '${this.shape}' must be "circle" or "rectangle".`
+      );
+    }
+    const AREA = this.stampArea;
+    const canvas = this.createCanvas(AREA[0], AREA[1], fallback);
+    const ctx = canvas.getContext("2d");
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = this.inkColor;
+    ctx.strokeStyle = this.inkColor;
+    ctx.lineCap = "butt";
+
+    if (this.shape === "circle") {
+      this.#drawCircleStamp(ctx, model);
+    } else {
+      this.#drawRectangleStamp(ctx, model);
+    }
+
+    return canvas;
+  }
+
+  /**
+   * Generate the stamp image and place it onto a page, like a visa page from
+   *     `EventsPassportBookletRenderer.generateVisaPage()`, and return the
+   *     page.
+   * @param { EventsStamp } model
+   * @param { HTMLCanvasElement | OffscreenCanvas } page
+   * @param { Object } [opt] - An options object.
+   * @param { number } [opt.x] - The horizontal position of the center of the
+   *     stamp on the page. Defaults to the center of the page.
+   * @param { number } [opt.y] - The vertical position of the center of the
+   *     stamp on the page. Defaults to the center of the page.
+   * @param { number } [opt.rotation] - The clockwise rotation of the stamp in
+   *     degrees. Defaults to 0.
+   */
+  async placeStamp(model, page, opt) {
+    const STAMP = await this.generateStamp(model);
+    const ctx = page.getContext("2d");
+    ctx.save();
+    ctx.translate(opt?.x ?? page.width / 2, opt?.y ?? page.height / 2);
+    ctx.rotate((opt?.rotation ?? 0) * Math.PI / 180);
+    ctx.drawImage(STAMP, -STAMP.width / 2, -STAMP.height / 2);
+    ctx.restore();
+    return page;
+  }
+
+  /**
+   * Draw a circular stamp: the event code along the top of a double ring, the
+   *     venue along the bottom, and the movement, date, and officer number in
+   *     the middle.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { EventsStamp } model
+   */
+  #drawCircleStamp(ctx, model) {
+    const CENTER = EventsStampRenderer.#circleArea[0] / 2;
+    const HEADER = model.movement === "entry" ?
+        this.entryHeader : this.exitHeader;
+    EventsStampRenderer.#circleRadius.forEach((radius, i) => {
+      ctx.lineWidth = EventsStampRenderer.#borderWidth[Math.min(i, 1)];
+      ctx.beginPath();
+      EventsStampRenderer.#traceCircle(ctx, CENTER, CENTER, radius);
+      ctx.stroke();
+    });
+
+    ctx.font = EventsStampRenderer.#eventFont;
+    EventsStampRenderer.#fillTextOnArc(
+      ctx,
+      model.eventCode,
+      CENTER,
+      EventsStampRenderer.#circleTextRadius,
+      true
+    );
+    ctx.font = EventsStampRenderer.#portFont;
+    EventsStampRenderer.#fillTextOnArc(
+      ctx,
+      model.port.toUpperCase(),
+      CENTER,
+      EventsStampRenderer.#circleTextRadius,
+      false
+    );
+
+    const TEXT_WIDTH = EventsStampRenderer.#circleRadius[2] * 2 - 24;
+    ctx.textAlign = "center";
+    ctx.font = EventsStampRenderer.#movementFont;
+    ctx.fillText(
+      HEADER[0],
+      CENTER,
+      EventsStampRenderer.#circleY[0],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsStampRenderer.#intlFont;
+    ctx.fillText(
+      HEADER.slice(1).join(EventsStampRenderer.#headerSeparator),
+      CENTER,
+      EventsStampRenderer.#circleY[1],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsStampRenderer.#dateFont;
+    ctx.fillText(
+      dateToVIZ(model.date),
+      CENTER,
+      EventsStampRenderer.#circleY[2],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsStampRenderer.#officerFont;
+    ctx.fillText(
+      `NO. ${model.officerNumber}`,
+      CENTER,
+      EventsStampRenderer.#circleY[3],
+      TEXT_WIDTH
+    );
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Draw a rectangular stamp: the event code and movement along the top of a
+   *     double border, the date in the middle, and the venue and officer
+   *     number along the bottom.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { EventsStamp } model
+   */
+  #drawRectangleStamp(ctx, model) {
+    const AREA = EventsStampRenderer.#rectangleArea;
+    const HEADER = model.movement === "entry" ?
+        this.entryHeader : this.exitHeader;
+    EventsStampRenderer.#rectangleInset.forEach((inset, i) => {
+      ctx.lineWidth = EventsStampRenderer.#borderWidth[i];
+      ctx.beginPath();
+      ctx.rect(inset, inset, AREA[0] - inset * 2, AREA[1] - inset * 2);
+      ctx.stroke();
+    });
+
+    const TEXT_WIDTH = EventsStampRenderer.#rectangleX[1] -
+        EventsStampRenderer.#rectangleX[0];
+    ctx.font = EventsStampRenderer.#eventFont;
+    ctx.fillText(
+      model.eventCode,
+      EventsStampRenderer.#rectangleX[0],
+      EventsStampRenderer.#rectangleY[0] + 12,
+      TEXT_WIDTH / 2
+    );
+    ctx.textAlign = "right";
+    ctx.font = EventsStampRenderer.#movementFont;
+    ctx.fillText(
+      HEADER[0],
+      EventsStampRenderer.#rectangleX[1],
+      EventsStampRenderer.#rectangleY[0] + 12,
+      TEXT_WIDTH / 2
+    );
+    ctx.font = EventsStampRenderer.#intlFont;
+    ctx.fillText(
+      HEADER.slice(1).join(EventsStampRenderer.#headerSeparator),
+      EventsStampRenderer.#rectangleX[1],
+      EventsStampRenderer.#rectangleY[1],
+      TEXT_WIDTH / 2
+    );
+
+    ctx.textAlign = "center";
+    ctx.font = EventsStampRenderer.#dateFont;
+    ctx.fillText(
+      dateToVIZ(model.date),
+      AREA[0] / 2,
+      EventsStampRenderer.#rectangleY[2],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsStampRenderer.#portFont;
+    ctx.fillText(
+      model.port.toUpperCase(),
+      AREA[0] / 2,
+      EventsStampRenderer.#rectangleY[3],
+      TEXT_WIDTH
+    );
+    ctx.font = EventsStampRenderer.#officerFont;
+    ctx.fillText(
+      `NO. ${model.officerNumber}`,
+      AREA[0] / 2,
+      EventsStampRenderer.#rectangleY[4],
+      TEXT_WIDTH
+    );
+    ctx.textAlign = "left";
+  }
+
+  /**
+   * Add a circle to the current path as a polygon of many sides, since not
+   *     every canvas backend can draw arcs.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { number } x
+   * @param { number } y
+   * @param { number } radius
+   */
+  static #traceCircle(ctx, x, y, radius) {
+    for (let i = 0; i <= this.#circleSegments; i += 1) {
+      const ANGLE = i / this.#circleSegments * 2 * Math.PI;
+      const POINT = [
+        x + radius * Math.cos(ANGLE),
+        y + radius * Math.sin(ANGLE)
+      ];
+      if (i === 0) {
+        ctx.moveTo(...POINT);
+      } else {
+        ctx.lineTo(...POINT);
+      }
+    }
+    ctx.closePath();
+  }
+
+  /**
+   * Write text centered along the top or the bottom of a circle, one character
+   *     at a time, so that it reads from left to right either way. Text longer
+   *     than a third of the circle is squeezed to fit.
+   * @param { CanvasRenderingContext2D } ctx
+   * @param { string } text
+   * @param { number } center - The center of the circle on both axes.
+   * @param { number } radius - The radius through the middle of the text.
+   * @param { boolean } top - Whether to write along the top of the circle.
+   */
+  static #fillTextOnArc(ctx, text, center, radius, top) {
+    const WIDTHS = [...text].map((character) => {
+      return ctx.measureText(character).width;
+    });
+    const TOTAL = WIDTHS.reduce((sum, width) => sum + width, 0);
+    const SCALE = Math.min(1, (2 * Math.PI * radius / 3) / TOTAL);
+    const DIRECTION = top ? 1 : -1;
+    let angle = (top ? -Math.PI / 2 : Math.PI / 2) -
+        DIRECTION * TOTAL * SCALE / radius / 2;
+    ctx.textAlign = "center";
+    [...text].forEach((character, i) => {
+      const HALF = DIRECTION * WIDTHS[i] * SCALE / radius / 2;
+      angle += HALF;
+      ctx.save();
+      ctx.translate(
+        center + radius * Math.cos(angle),
+        center + radius * Math.sin(angle)
+      );
+      ctx.rotate(angle + DIRECTION * Math.PI / 2);
+      ctx.scale(SCALE, 1);
+      ctx.fillText(character, 0, 0);
+      ctx.restore();
+      angle += HALF;
+    });
+    ctx.textAlign = "left";
+  }
+}
@@ -0,0 +1,151 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { dateToCalendarDate } from "./icao9303/utilities/date-to-calendar-date.js";
+import { validateMRZString } from "./icao9303/utilities/validate-mrz-string.js";
+
+/**
+ * `EventsStamp` describes an entry or exit stamp placed on a visa page of an
+ *     `EventsPassport` when a furry arrives at or leaves an event. Like the ink
+ *     stamps of border control, it records where and when the furry passed
+ *     through and which officer stamped the passport.
+ */
+export class EventsStamp {
+  /**
+   * Create an `EventsStamp`.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.eventCode] - A string no longer than 8 characters
+   *     consisting of the characters A-Z, 0-9, ' ', or <.
+   * @param { string } [opt.port] - The name of the venue or port of entry
+   *     where the stamp was placed.
+   * @param { string | Date } [opt.date] - A calendar date string in YYYY-MM-DD
+   *     format or a `Date` object.
+   * @param { string } [opt.movement] - The string 'entry' or 'exit'.
+   * @param { string } [opt.officerNumber] - A string no longer than 6
+   *     characters consisting of the characters A-Z, 0-9, ' ', or <.
+   */
+  constructor(opt) {
+    this.eventCode = opt?.eventCode ?? "UTO";
+    this.port = opt?.port ?? "Unknown";
+    this.date = opt?.date ?? "2023-09-30";
+    this.movement = opt?.movement ?? "entry";
+    this.officerNumber = opt?.officerNumber ?? "0";
+  }
+
+  #eventCode;
+  /**
+   * A code identifying the event where the stamp was placed.
+   * @type { string }
+   */
+  get eventCode() { return this.#eventCode; }
+  /**
+   * @param { string } value - A string no longer than 8 characters consisting
+   *     of the characters A-Z, 0-9, ' ', or <.
+   */
+  set eventCode(value) {
+    const isInvalid = validateMRZString(value, {
+      minimum: 1,
+      maximum: 8
+    });
+    if (isInvalid) {
+      throw new RangeError(
+        `Value set on 'eventCode' has errors: ${isInvalid}`
+      );
+    }
+    this.#eventCode = value.toUpperCase();
+  }
+
+  /**
+   * The name of the venue or port of entry where the stamp was placed.
+   * @type { string }
+   */
+  port;
+
+  #date;
+  /**
+   * The date of the entry or exit.
+   * @type { Date }
+   */
+  get date() { return this.#date; }
+  /**
+   * @param { string | Date } value - A calendar date string in YYYY-MM-DD
+   *     format or a `Date` object.
+   */
+  set date(value) {
+    const test = typeof value === "string" ? new Date(`${value}T00:00:00`)
+        : new Date(value);
+    if (test.toString() === "Invalid Date") {
+      throw new TypeError(
+        "Date of entry or exit (date) must be a valid date string."
+      );
+    }
+    this.#date = test;
+  }
+
+  #movement;
+  /**
+   * Whether the stamp records an 'entry' or an 'exit'.
+   * @type { string }
+   */
+  get movement() { return this.#movement; }
+  /**
+   * @param { string } value - The string 'entry' or 'exit'.
+   */
+  set movement(value) {
+    if (!["entry", "exit"].includes(value)) {
+      throw new RangeError(
+        `Value set on 'movement' has errors: Movement '${value}' must be ` +
+            `"entry" or "exit".`
+      );
+    }
+    this.#movement = value;
+  }
+
+  #officerNumber;
+  /**
+   * A number identifying the officer who placed the stamp.
+   * @type { string }
+   */
+  get officerNumber() { return this.#officerNumber; }
+  /**
+   * @param { string } value - A string no longer than 6 characters consisting
+   *     of the characters A-Z, 0-9, ' ', or <.
+   */
+  set officerNumber(value) {
+    const isInvalid = validateMRZString(value, {
+      minimum: 1,
+      maximum: 6
+    });
+    if (isInvalid) {
+      throw new RangeError(
+        `Value set on 'officerNumber' has errors: ${isInvalid}`
+      );
+    }
+    this.#officerNumber = value.toUpperCase();
+  }
+
+  /**
+   * Get the properties of this `EventsStamp` as the options of its
+   *     constructor, so that it can be saved as JSON and recreated with
+   *     `fromJSON()`. Dates are written as YYYY-MM-DD strings.
+   */
+  toJSON() {
+    return {
+      eventCode: this.eventCode,
+      port: this.port,
+      date: dateToCalendarDate(this.date),
+      movement: this.movement,
+      officerNumber: this.officerNumber
+    };
+  }
+
+  /**
+   * Create an `EventsStamp` from properties returned by `toJSON()`.
+   * @param { string | Object } value - A JSON string or its parsed object.
+   */
+  static fromJSON(value) {
+    return new EventsStamp(
+      typeof value === "string" ? JSON.parse(value) : value
+    );
+  }
+}
@@ -0,0 +1,199 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { EventsPassport } from "./eventspassport.js";
+import { EventsMRVA } from "./eventsmrva.js";
+import { EventsMRVB } from "./eventsmrvb.js";
+import { EventsPassportBookletRenderer } from "./eventspassportbooklet-renderer.js";
+import { EventsMRVARenderer } from "./eventsmrva-renderer.js";
+import { EventsMRVBRenderer } from "./eventsmrvb-renderer.js";
+import { loadImageFromURL } from "./utilities/load-image-from-url.js";
+import { createCanvas } from "./utilities/create-canvas.js";
+import { loadFontFaces } from "./utilities/load-font-faces.js";
+
+/**
+ * `EventsVisaPageRenderer` takes an `EventsPassport` object and `EventsMRVA` or
+ *     `EventsMRVB` objects issued for it, and returns visa pages of the
+ *     passport booklet with the visa stickers affixed as `HTMLCanvasElement`
+ *     or `OffscreenCanvas` elements. The pages are drawn by an
+ *     `EventsPassportBookletRenderer` and the stickers by an
+ *     `EventsMRVARenderer` or `EventsMRVBRenderer`.
+ *
+ * Following ICAO 9303-7, a sticker is placed with its Machine-Readable Zone
+ *     (MRZ) along the outside edge of the page, like the MRZ of the passport's
+ *     data page, so the visa can be read by the same reader. Stickers sit
+ *     against the bottom of the page, leaving the clear area beside an MRV-B
+ *     towards the top of the page. One sticker is affixed to each page.
+ *
+ * Renderers are scenario-specific and this was created to be used for a demo on
+ *     a web page. Ergo, multiple properties are able to be set. In real-world
+ *     use less (or no) properties may want to be settable.
+ */
+export class EventsVisaPageRenderer {
+  /**
+   * Create an `EventsVisaPageRenderer`.
+   * @param { Object } [opt] - An options object.
+   * @param { EventsPassportBookletRenderer } [opt.bookletRenderer] - The
+   *     renderer of the visa pages. Defaults to an
+   *     `EventsPassportBookletRenderer` using this renderer's fonts, canvas
+   *     factory, and loaders.
+   * @param { EventsMRVARenderer } [opt.mrvaRenderer] - The renderer of MRV-A
+   *     stickers. Defaults to an `EventsMRVARenderer` using this renderer's
+   *     fonts, canvas factory, and loaders.
+   * @param { EventsMRVBRenderer } [opt.mrvbRenderer] - The renderer of MRV-B
+   *     stickers. Defaults to an `EventsMRVBRenderer` using this renderer's
+   *     fonts, canvas factory, and loaders.
+   * @param { FontFaceSet } [opt.fonts] - A `FontFaceSet`, like the one
+   *     available from `window.document`.
+   * @param { (width: number, height: number,
+   *     fallback?: HTMLCanvasElement) => OffscreenCanvas |
+   *     HTMLCanvasElement } [opt.createCanvas] - A canvas factory; the default
+   *     uses `OffscreenCanvas` or the `fallback` canvas. Returning an
+   *     `SVGCanvas` renders documents as SVG.
+   * @param { (url: string) => Promise<CanvasImageSource> } [opt.loadImage] - An
+   *     image loader; the default loads an `HTMLImageElement`.
+   * @param { (faces: Object[], fonts: FontFaceSet) => Promise<void> }
+   *     [opt.loadFonts] - A font loader; the default adds a `FontFace` for
+   *     each font face to `fonts`.
+   */
+  constructor(opt) {
+    const LOADERS = {
+      fonts: opt?.fonts ?? null,
+      createCanvas: opt?.createCanvas ?? createCanvas,
+      loadImage: opt?.loadImage ?? loadImageFromURL,
+      loadFonts: opt?.loadFonts ?? loadFontFaces
+    };
+    this.bookletRenderer = opt?.bookletRenderer ??
+        new EventsPassportBookletRenderer(LOADERS);
+    this.mrvaRenderer = opt?.mrvaRenderer ?? new EventsMRVARenderer(LOADERS);
+    this.mrvbRenderer = opt?.mrvbRenderer ?? new EventsMRVBRenderer(LOADERS);
+  }
+
+  /**
+   * The renderer of the visa pages.
+   * @type { EventsPassportBookletRenderer }
+   */
+  bookletRenderer;
+
+  /**
+   * The renderer of MRV-A stickers.
+   * @type { EventsMRVARenderer }
+   */
+  mrvaRenderer;
+
+  /**
+   * The renderer of MRV-B stickers.
+   * @type { EventsMRVBRenderer }
+   */
+  mrvbRenderer;
+
+  // The distance in pixels between a sticker and the cut edges of the page.
+  static #stickerMargin = 24;
+  static #bleed = 16;
+
+  /** Load the fonts used by the page and sticker renderers. */
+  async loadCanvasFonts() {
+    await Promise.all([
+      this.bookletRenderer.loadCanvasFonts(),
+      this.mrvaRenderer.loadCanvasFonts(),
+      this.mrvbRenderer.loadCanvasFonts()
+    ]);
+  }
+
+  /**
+   * Generate a visa page image with a visa sticker affixed and return the
+   *     canvas.
+   * @param { EventsPassport } model
+   * @param { EventsMRVA | EventsMRVB } visa - A visa issued for `model`.
+   * @param { number } pageNumber - The number printed on the page. Odd numbers
+   *     are right-hand pages and even numbers are left-hand pages.
+   * @param { HTMLCanvasElement } [fallback]
+   */
+  async generateVisaPage(model, visa, pageNumber, fallback) {
+    const [[sticker, cutArea], canvas] = await Promise.all([
+      this.#generateSticker(model, visa),
+      this.bookletRenderer.generateVisaPage(model, pageNumber, fallback)
+    ]);
+    this.#affixSticker(canvas, sticker, cutArea, pageNumber);
+    return canvas;
+  }
+
+  /**
+   * Generate visa page images with one visa sticker affixed to each, on
+   *     consecutive pages, and return the canvases.
+   * @param { EventsPassport } model
+   * @param { Array<EventsMRVA | EventsMRVB> } visas - Visas issued for
+   *     `model`.
+   * @param { number } [firstPageNumber] - The number of the page holding the
+   *     first visa. Defaults to 3, the first visa page of a booklet from
+   *     `EventsPassportBookletRenderer`.
+   * @returns { Promise<Array<HTMLCanvasElement | OffscreenCanvas>> }
+   */
+  async generateVisaPages(model, visas, firstPageNumber = 3) {
+    return Promise.all(visas.map((visa, i) => {
+      return this.generateVisaPage(model, visa, firstPageNumber + i);
+    }));
+  }
+
+  /**
+   * Check that a visa was issued for the passport, and generate its sticker
+   *     image and return the canvas and the size of its cut area.
+   * @param { EventsPassport } model
+   * @param { EventsMRVA | EventsMRVB } visa
+   */
+  async #generateSticker(model, visa) {
+    let renderer;
+    let cutArea;
+    if (visa instanceof EventsMRVA) {
+      renderer = this.mrvaRenderer;
+      cutArea = EventsMRVARenderer.cutCardArea;
+    } else if (visa instanceof EventsMRVB) {
+      renderer = this.mrvbRenderer;
+      cutArea = EventsMRVBRenderer.cutCardArea;
+    } else {
+      throw new TypeError(
+        "Visa must be an 'EventsMRVA' or 'EventsMRVB' to be affixed to a " +
+            "passport page."
+      );
+    }
+    if (visa.passportNumber.toUpperCase() !== model.number) {
+      throw new RangeError(
+        `Visa passport number '${visa.passportNumber}' does not match ` +
+            `passport number '${model.number}'.`
+      );
+    }
+    return [await renderer.generateCardFront(visa), cutArea];
+  }
+
+  /**
+   * Draw the cut area of a sticker onto a page, turned a quarter turn so its
+   *     MRZ runs along the outside edge of the page: counterclockwise on
+   *     right-hand pages and clockwise on left-hand pages.
+   * @param { HTMLCanvasElement | OffscreenCanvas } page
+   * @param { HTMLCanvasElement | OffscreenCanvas } sticker
+   * @param { number[] } cutArea - The size of the sticker after it is cut.
+   * @param { number } pageNumber
+   */
+  #affixSticker(page, sticker, cutArea, pageNumber) {
+    const BLEED = EventsVisaPageRenderer.#bleed;
+    const MARGIN = EventsVisaPageRenderer.#stickerMargin;
+    const [WIDTH, HEIGHT] = cutArea;
+    const TOP = page.height - BLEED - MARGIN - WIDTH;
+    const ctx = page.getContext("2d");
+    ctx.save();
+    if (pageNumber % 2 === 1) {
+      ctx.translate(page.width - BLEED - MARGIN - HEIGHT, TOP + WIDTH);
+      ctx.rotate(-90 * Math.PI / 180);
+    } else {
+      ctx.translate(BLEED + MARGIN + HEIGHT, TOP);
+      ctx.rotate(90 * Math.PI / 180);
+    }
+    ctx.drawImage(
+      sticker,
+      (sticker.width - WIDTH) / 2, (sticker.height - HEIGHT) / 2,
+      WIDTH, HEIGHT,
+      0, 0, WIDTH, HEIGHT
+    );
+    ctx.restore();
+  }
+}
@@ -0,0 +1,464 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealCertificate } from "./digitalsealcertificate.js";
+import { DigitalSealSigner } from "./digitalsealsigner.js";
+import { ECDSA_CURVES } from "./utilities/ecdsa-curves.js";
+import { OBJECT_IDENTIFIERS } from "./utilities/object-identifiers.js";
+import { bytesToPEM } from "./utilities/bytes-to-pem.js";
+import { ecdsaSignatureToDER } from "./utilities/ecdsa-signature-to-der.js";
+import { encodeDER } from "./utilities/encode-der.js";
+import { oidToBytes } from "./utilities/oid-to-bytes.js";
+import { pemToBytes } from "./utilities/pem-to-bytes.js";
+import { validateHexString } from "./utilities/validate-hex-string.js";
+import { validateIdentifierCode } from "./utilities/validate-identifier-code.js";
+import { validateMRZString } from "./utilities/validate-mrz-string.js";
+
+/**
+ * A country signing certificate authority (CSCA) that issues the barcode
+ *     signer certificates used to sign visible digital seals (VDSs).
+ *
+ * Certificates are built with the Web Crypto API and follow the CSCA and
+ *     barcode signer certificate profiles of ICAO 9303 part 12: a barcode
+ *     signer certificate names the CSCA as its issuer, carries the signer's
+ *     identifier code as its common name, and may only be used for digital
+ *     signatures.
+ */
+export class CountrySigningCA {
+  /**
+   * Create a `CountrySigningCA`.
+   * @param { Object } opt - An options object.
+   * @param { DigitalSealCertificate } opt.certificate - The self-signed CSCA
+   *     certificate.
+   * @param { CryptoKey } opt.privateKey - The ECDSA private key matching the
+   *     CSCA certificate.
+   */
+  constructor(opt) {
+    if (!opt?.certificate?.isCA) {
+      throw new TypeError(
+        "Certificate (certificate) must be a certificate authority certificate."
+      );
+    }
+    if (opt.privateKey?.type !== "private" ||
+        opt.privateKey?.algorithm?.name !== "ECDSA" ||
+        opt.privateKey.algorithm.namedCurve !==
+            opt.certificate.publicKey.algorithm.namedCurve) {
+      throw new TypeError(
+        "Private key (privateKey) must be an ECDSA private key on the same " +
+            "curve as the certificate."
+      );
+    }
+    this.#certificate = opt.certificate;
+    this.#privateKey = opt.privateKey;
+  }
+
+  #certificate;
+  /**
+   * The self-signed CSCA certificate.
+   * @type { DigitalSealCertificate }
+   */
+  get certificate() { return this.#certificate; }
+
+  #privateKey;
+  /**
+   * The ECDSA private key matching the CSCA certificate.
+   * @type { CryptoKey }
+   */
+  get privateKey() { return this.#privateKey; }
+
+  /**
+   * Issue a barcode signer certificate and a new key pair for it.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.identifierCode] - A 4-character string consisting
+   *     of the characters 0-9 and A-Z whose first two characters are the
+   *     CSCA's country code.
+   * @param { string } [opt.organization] - The organization of the signer.
+   *     Defaults to the organization of the CSCA.
+   * @param { string } [opt.curve] - 'P-256', 'P-384', or 'P-521'.
+   * @param { string } [opt.serialNumber] - A hex-string used as the
+   *     certificate's serial number and certificate reference. Defaults to a
+   *     random 5-character hex-string, the length of the certificate
+   *     reference of a VDS version 3 header. Serial numbers longer than 5
+   *     characters can only sign version 4 seals.
+   * @param { string[] } [opt.documentTypes] - Document type codes the signer
+   *     may sign, like 'P' or 'V'.
+   * @param { string | Date } [opt.notBefore] - A calendar date string in
+   *     YYYY-MM-DD format or a `Date` object. Defaults to today.
+   * @param { string | Date } [opt.notAfter] - A calendar date string in
+   *     YYYY-MM-DD format or a `Date` object. Defaults to one year after
+   *     `notBefore`.
+   * @returns { Promise<{ certificate: DigitalSealCertificate,
+   *     signer: DigitalSealSigner }> }
+   */
+  async issueBarcodeSigner(opt) {
+    const COUNTRY = this.#certificate.subject.countryName;
+    const IDENTIFIER_CODE =
+        (opt?.identifierCode ?? `${COUNTRY}SS`).toUpperCase();
+    const isInvalid = validateIdentifierCode(IDENTIFIER_CODE);
+    if (isInvalid) {
+      throw new RangeError(
+        `Value set on 'identifierCode' has errors: ${isInvalid}`
+      );
+    }
+    if (IDENTIFIER_CODE.slice(0, 2) !== COUNTRY) {
+      throw new RangeError(
+        `Identifier code '${IDENTIFIER_CODE}' does not begin with the ` +
+            `country code of the CSCA (${COUNTRY}).`
+      );
+    }
+    const NOT_BEFORE = CountrySigningCA.#startOfDay(opt?.notBefore);
+    const NOT_AFTER = opt?.notAfter ?
+        CountrySigningCA.#endOfDay(opt.notAfter) :
+        CountrySigningCA.#addYears(NOT_BEFORE, 1);
+    if (NOT_BEFORE < this.#certificate.notBefore ||
+        NOT_AFTER > this.#certificate.notAfter) {
+      throw new RangeError(
+        "Validity period of the barcode signer certificate must be within " +
+            "the validity period of the CSCA certificate."
+      );
+    }
+
+    const KEY_PAIR = await CountrySigningCA.#generateKeyPair(opt?.curve);
+    const ORGANIZATION =
+        opt?.organization ?? this.#certificate.subject.organizationName ?? null;
+    const EXTENSIONS = [
+      CountrySigningCA.#extension(
+        OBJECT_IDENTIFIERS.AUTHORITY_KEY_IDENTIFIER,
+        false,
+        { tag: 0x30, children: [
+          { tag: 0x80, value: this.#certificate.subjectKeyIdentifier }
+        ] }
+      ),
+      CountrySigningCA.#extension(
+        OBJECT_IDENTIFIERS.SUBJECT_KEY_IDENTIFIER,
+        false,
+        { tag: 0x04, value: await CountrySigningCA.#keyIdentifier(
+          KEY_PAIR.publicKey
+        ) }
+      ),
+      CountrySigningCA.#extension(
+        OBJECT_IDENTIFIERS.KEY_USAGE,
+        true,
+        { tag: 0x03, value: [0x07, 0x80] }
+      )
+    ];
+    if (opt?.documentTypes?.length) {
+      EXTENSIONS.push(CountrySigningCA.#extension(
+        OBJECT_IDENTIFIERS.DOCUMENT_TYPE_LIST,
+        false,
+        { tag: 0x30, children: [
+          { tag: 0x02, value: [0x00] },
+          { tag: 0x31, children: opt.documentTypes.map((type) => {
+            return CountrySigningCA.#string(0x13, type.toUpperCase());
+          }) }
+        ] }
+      ));
+    }
+
+    const CERTIFICATE = await CountrySigningCA.#signCertificate({
+      serialNumber: opt?.serialNumber ?? CountrySigningCA.#certReference(),
+      issuer: { der: this.#certificate.rawSubject },
+      subject: CountrySigningCA.#name(COUNTRY, ORGANIZATION, IDENTIFIER_CODE),
+      notBefore: NOT_BEFORE,
+      notAfter: NOT_AFTER,
+      publicKey: KEY_PAIR.publicKey,
+      extensions: EXTENSIONS,
+      signingKey: this.#privateKey
+    });
+    return {
+      certificate: CERTIFICATE,
+      signer: new DigitalSealSigner({
+        privateKey: KEY_PAIR.privateKey,
+        certificate: CERTIFICATE
+      })
+    };
+  }
+
+  /** Get the CSCA's private key as a PKCS #8 PEM string. */
+  async exportPrivateKey() {
+    return bytesToPEM(
+      await crypto.subtle.exportKey("pkcs8", this.#privateKey),
+      "PRIVATE KEY"
+    );
+  }
+
+  /**
+   * Create a new CSCA with a self-signed certificate.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.authorityCode] - A 3-character string consisting of
+   *     the characters A-Z, 0-9, ' ', or <. A code from ISO-3166-1, ICAO
+   *     9303-3, or these user-assigned ranges are allowed: AAA-AAZ, QMA-QZZ,
+   *     XAA-XZZ, or ZZA-ZZZ.
+   * @param { string } [opt.countryCode] - The 2-letter country code written
+   *     into the certificate and used as the first two characters of the
+   *     identifier codes of its barcode signers. Defaults to the first two
+   *     characters of `authorityCode`.
+   * @param { string } [opt.organization] - The organization operating the
+   *     CSCA.
+   * @param { string } [opt.commonName] - The common name of the CSCA.
+   *     Defaults to the authority code followed by 'CSCA'.
+   * @param { string } [opt.curve] - 'P-256', 'P-384', or 'P-521'.
+   * @param { string } [opt.serialNumber] - A hex-string used as the
+   *     certificate's serial number. Defaults to eight random bytes.
+   * @param { string | Date } [opt.notBefore] - A calendar date string in
+   *     YYYY-MM-DD format or a `Date` object. Defaults to today.
+   * @param { string | Date } [opt.notAfter] - A calendar date string in
+   *     YYYY-MM-DD format or a `Date` object. Defaults to ten years after
+   *     `notBefore`.
+   */
+  static async create(opt) {
+    const AUTHORITY_CODE = opt?.authorityCode ?? "UTO";
+    const isInvalid = validateMRZString(AUTHORITY_CODE, {
+      minimum: 3,
+      maximum: 3
+    });
+    if (isInvalid) {
+      throw new RangeError(
+        `Value set on 'authorityCode' has errors: ${isInvalid}`
+      );
+    }
+    const COUNTRY = (opt?.countryCode ?? AUTHORITY_CODE.slice(0, 2))
+        .toUpperCase();
+    if (!/^[A-Z]{2}$/.test(COUNTRY)) {
+      throw new RangeError(
+        `Country code '${COUNTRY}' must be 2 characters using only A-Z.`
+      );
+    }
+    const NOT_BEFORE = CountrySigningCA.#startOfDay(opt?.notBefore);
+    const NOT_AFTER = opt?.notAfter ?
+        CountrySigningCA.#endOfDay(opt.notAfter) :
+        CountrySigningCA.#addYears(NOT_BEFORE, 10);
+
+    const KEY_PAIR = await CountrySigningCA.#generateKeyPair(opt?.curve);
+    const KEY_IDENTIFIER =
+        await CountrySigningCA.#keyIdentifier(KEY_PAIR.publicKey);
+    const NAME = CountrySigningCA.#name(
+      COUNTRY,
+      opt?.organization ?? null,
+      opt?.commonName ?? `${AUTHORITY_CODE.toUpperCase()} CSCA`
+    );
+    const CERTIFICATE = await CountrySigningCA.#signCertificate({
+      serialNumber: opt?.serialNumber,
+      issuer: NAME,
+      subject: NAME,
+      notBefore: NOT_BEFORE,
+      notAfter: NOT_AFTER,
+      publicKey: KEY_PAIR.publicKey,
+      extensions: [
+        CountrySigningCA.#extension(
+          OBJECT_IDENTIFIERS.AUTHORITY_KEY_IDENTIFIER,
+          false,
+          { tag: 0x30, children: [{ tag: 0x80, value: KEY_IDENTIFIER }] }
+        ),
+        CountrySigningCA.#extension(
+          OBJECT_IDENTIFIERS.SUBJECT_KEY_IDENTIFIER,
+          false,
+          { tag: 0x04, value: KEY_IDENTIFIER }
+        ),
+        CountrySigningCA.#extension(
+          OBJECT_IDENTIFIERS.KEY_USAGE,
+          true,
+          { tag: 0x03, value: [0x01, 0x06] }
+        ),
+        CountrySigningCA.#extension(
+          OBJECT_IDENTIFIERS.BASIC_CONSTRAINTS,
+          true,
+          { tag: 0x30, children: [
+            { tag: 0x01, value: [0xFF] },
+            { tag: 0x02, value: [0x00] }
+          ] }
+        )
+      ],
+      signingKey: KEY_PAIR.privateKey
+    });
+    return new CountrySigningCA({
+      certificate: CERTIFICATE,
+      privateKey: KEY_PAIR.privateKey
+    });
+  }
+
+  /**
+   * Create a `CountrySigningCA` from its certificate and a PKCS #8 encoded
+   *     private key.
+   * @param { string | number[] | Uint8Array } certificate - A PEM string or
+   *     the DER-encoded bytes of the CSCA certificate.
+   * @param { string | ArrayBuffer | Uint8Array } key - A PEM string or the
+   *     DER-encoded bytes of a PKCS #8 private key.
+   */
+  static async fromPKCS8(certificate, key) {
+    const CERTIFICATE = typeof certificate === "string" ?
+        await DigitalSealCertificate.fromPEM(certificate) :
+        await DigitalSealCertificate.fromDER(certificate);
+    const PRIVATE_KEY = await crypto.subtle.importKey(
+      "pkcs8",
+      typeof key === "string" ? pemToBytes(key, "PRIVATE KEY") : key,
+      {
+        name: "ECDSA",
+        namedCurve: CERTIFICATE.publicKey.algorithm.namedCurve
+      },
+      true,
+      ["sign"]
+    );
+    return new CountrySigningCA({
+      certificate: CERTIFICATE,
+      privateKey: PRIVATE_KEY
+    });
+  }
+
+  // Private methods
+
+  static async #signCertificate(opt) {
+    const CURVE = ECDSA_CURVES[opt.signingKey.algorithm.namedCurve];
+    const ALGORITHM = { tag: 0x30, children: [
+      CountrySigningCA.#oid(CountrySigningCA.#signatureAlgorithms[CURVE.hash])
+    ] };
+    const TBS = encodeDER({ tag: 0x30, children: [
+      { tag: 0xA0, children: [{ tag: 0x02, value: [0x02] }] },
+      CountrySigningCA.#serialNumber(opt.serialNumber),
+      ALGORITHM,
+      opt.issuer,
+      { tag: 0x30, children: [
+        CountrySigningCA.#time(opt.notBefore),
+        CountrySigningCA.#time(opt.notAfter)
+      ] },
+      opt.subject,
+      { der: [...new Uint8Array(
+        await crypto.subtle.exportKey("spki", opt.publicKey)
+      )] },
+      { tag: 0xA3, children: [{ tag: 0x30, children: opt.extensions }] }
+    ] });
+    const SIGNATURE = await crypto.subtle.sign(
+      { name: "ECDSA", hash: CURVE.hash },
+      opt.signingKey,
+      Uint8Array.from(TBS)
+    );
+    return await DigitalSealCertificate.fromDER(encodeDER({
+      tag: 0x30,
+      children: [
+        { der: TBS },
+        ALGORITHM,
+        { tag: 0x03, value: [0x00, ...ecdsaSignatureToDER(SIGNATURE)] }
+      ]
+    }));
+  }
+
+  static #signatureAlgorithms = Object.freeze({
+    "SHA-256": OBJECT_IDENTIFIERS.ECDSA_WITH_SHA256,
+    "SHA-384": OBJECT_IDENTIFIERS.ECDSA_WITH_SHA384,
+    "SHA-512": OBJECT_IDENTIFIERS.ECDSA_WITH_SHA512
+  });
+
+  static async #generateKeyPair(curve = "P-256") {
+    if (!ECDSA_CURVES[curve]) {
+      throw new RangeError(
+        `Curve '${curve}' is not one of the curves supported for signing ` +
+            `digital seals: ${Object.keys(ECDSA_CURVES).join(", ")}.`
+      );
+    }
+    return await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: curve },
+      true,
+      ["sign", "verify"]
+    );
+  }
+
+  // The key identifier is the SHA-1 hash of the public key, as described in
+  // RFC 5280, section 4.2.1.2.
+  static async #keyIdentifier(publicKey) {
+    const RAW = await crypto.subtle.exportKey("raw", publicKey);
+    return [...new Uint8Array(await crypto.subtle.digest("SHA-1", RAW))];
+  }
+
+  // A random serial number of 5 hex characters without leading zeros, so that
+  // the certificate reference fits the headers of both VDS versions.
+  static #certReference() {
+    const [VALUE] = crypto.getRandomValues(new Uint32Array(1));
+    return (0x10000 + VALUE % 0xF0000).toString(16).toUpperCase();
+  }
+
+  static #serialNumber(value) {
+    let hex = value ?? [...crypto.getRandomValues(new Uint8Array(8))]
+        .map((byte) => byte.toString(16).padStart(2, "0")).join("");
+    const isInvalid = validateHexString(hex, { minimum: 1, maximum: 40 });
+    if (isInvalid) {
+      throw new RangeError(
+        `Value set on 'serialNumber' has errors: ${isInvalid}`
+      );
+    }
+    hex = hex.replace(/^0+/, "");
+    if (hex.length === 0) {
+      throw new RangeError("Serial number must be a positive number.");
+    }
+    const output = hex.padStart(hex.length + (hex.length % 2), "0")
+        .match(/.{2}/g).map((byte) => parseInt(byte, 16));
+    if (output[0] & 0x80) { output.unshift(0x00); }
+    return { tag: 0x02, value: output };
+  }
+
+  static #name(country, organization, commonName) {
+    const ATTRIBUTES = [
+      [OBJECT_IDENTIFIERS.COUNTRY_NAME, CountrySigningCA.#string(0x13, country)]
+    ];
+    if (organization !== null) {
+      ATTRIBUTES.push([
+        OBJECT_IDENTIFIERS.ORGANIZATION_NAME,
+        CountrySigningCA.#string(0x0C, organization)
+      ]);
+    }
+    ATTRIBUTES.push([
+      OBJECT_IDENTIFIERS.COMMON_NAME,
+      CountrySigningCA.#string(0x0C, commonName)
+    ]);
+    return { tag: 0x30, children: ATTRIBUTES.map(([oid, value]) => {
+      return { tag: 0x31, children: [
+        { tag: 0x30, children: [CountrySigningCA.#oid(oid), value] }
+      ] };
+    }) };
+  }
+
+  static #extension(oid, isCritical, value) {
+    const CHILDREN = [CountrySigningCA.#oid(oid)];
+    if (isCritical) {
+      CHILDREN.push({ tag: 0x01, value: [0xFF] });
+    }
+    CHILDREN.push({ tag: 0x04, value: encodeDER(value) });
+    return { tag: 0x30, children: CHILDREN };
+  }
+
+  static #oid(oid) {
+    return { tag: 0x06, value: oidToBytes(oid) };
+  }
+
+  static #string(tag, string) {
+    return { tag: tag, value: [...new TextEncoder().encode(string)] };
+  }
+
+  // Dates through 2049 are encoded as UTCTime and later dates as
+  // GeneralizedTime, as described in RFC 5280, section 4.1.2.5.
+  static #time(date) {
+    const STRING = date.toISOString().replace(/[-:T]|\.\d+/g, "");
+    return date.getUTCFullYear() < 2050 ?
+        CountrySigningCA.#string(0x17, STRING.slice(2)) :
+        CountrySigningCA.#string(0x18, STRING);
+  }
+
+  static #startOfDay(value) {
+    const DATE = value ? new Date(value) : new Date();
+    return new Date(Date.UTC(
+      DATE.getUTCFullYear(), DATE.getUTCMonth(), DATE.getUTCDate()
+    ));
+  }
+
+  static #endOfDay(value) {
+    const DATE = CountrySigningCA.#startOfDay(value);
+    DATE.setUTCHours(23, 59, 59);
+    return DATE;
+  }
+
+  static #addYears(date, years) {
+    const DATE = new Date(date);
+    DATE.setUTCFullYear(DATE.getUTCFullYear() + years);
+    DATE.setUTCSeconds(DATE.getUTCSeconds() - 1);
+    return DATE;
+  }
+}
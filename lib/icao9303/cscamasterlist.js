@@ -0,0 +1,151 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealCertificate } from "./digitalsealcertificate.js";
+import { OBJECT_IDENTIFIERS } from "./utilities/object-identifiers.js";
+import { bytesToOID } from "./utilities/bytes-to-oid.js";
+import { bytesToPEM } from "./utilities/bytes-to-pem.js";
+import { decodeDER } from "./utilities/decode-der.js";
+import { encodeDER } from "./utilities/encode-der.js";
+import { oidToBytes } from "./utilities/oid-to-bytes.js";
+import { pemToBytes } from "./utilities/pem-to-bytes.js";
+
+/**
+ * A list of trusted country signing certificate authority (CSCA) certificates
+ *     as described in ICAO 9303 part 12, used to check that a barcode signer
+ *     certificate was issued by a trusted CSCA.
+ *
+ * A master list is exported as a CMS SignedData structure whose content is the
+ *     DER-encoded CscaMasterList. The exported SignedData has no signer
+ *     information; when a signed master list is imported, its certificates are
+ *     read but its CMS signature is not checked.
+ */
+export class CSCAMasterList {
+  /**
+   * Create a `CSCAMasterList`.
+   * @param { Object } [opt] - An options object.
+   * @param { DigitalSealCertificate[] } [opt.certificates] - CSCA certificates
+   *     to trust.
+   */
+  constructor(opt) {
+    for (const certificate of opt?.certificates ?? []) {
+      this.add(certificate);
+    }
+  }
+
+  // The CSCA certificates keyed by their PEM encoding.
+  #certificates = new Map();
+
+  /**
+   * The number of CSCA certificates.
+   * @type { number }
+   */
+  get size() { return this.#certificates.size; }
+
+  /**
+   * Trust a CSCA certificate.
+   * @param { DigitalSealCertificate } certificate
+   */
+  add(certificate) {
+    if (!(certificate instanceof DigitalSealCertificate) || !certificate.isCA) {
+      throw new TypeError(
+        "Certificate must be a certificate authority DigitalSealCertificate."
+      );
+    }
+    this.#certificates.set(certificate.toPEM(), certificate);
+  }
+
+  /**
+   * Stop trusting a CSCA certificate. Returns whether a certificate was
+   *     removed.
+   * @param { DigitalSealCertificate } certificate
+   */
+  delete(certificate) {
+    return this.#certificates.delete(certificate.toPEM());
+  }
+
+  /** Iterate over every CSCA certificate. */
+  values() { return this.#certificates.values(); }
+
+  [Symbol.iterator]() { return this.values(); }
+
+  /**
+   * Get the CSCA certificate that issued a certificate, or `null` if no CSCA
+   *     in the list issued it.
+   * @param { DigitalSealCertificate } certificate
+   */
+  async findIssuer(certificate) {
+    for (const CSCA of this.#certificates.values()) {
+      if (await certificate.isIssuedBy(CSCA)) {
+        return CSCA;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Get the master list as DER-encoded bytes.
+   * @returns { number[] }
+   */
+  export() {
+    const MASTER_LIST = encodeDER({ tag: 0x30, children: [
+      { tag: 0x02, value: [0x00] },
+      { tag: 0x31, children: [...this.#certificates.values()]
+          .map((certificate) => ({ der: certificate.der })) }
+    ] });
+    return encodeDER({ tag: 0x30, children: [
+      { tag: 0x06, value: oidToBytes(OBJECT_IDENTIFIERS.SIGNED_DATA) },
+      { tag: 0xA0, children: [{ tag: 0x30, children: [
+        { tag: 0x02, value: [0x03] },
+        { tag: 0x31, children: [] },
+        { tag: 0x30, children: [
+          { tag: 0x06, value: oidToBytes(OBJECT_IDENTIFIERS.CSCA_MASTER_LIST) },
+          { tag: 0xA0, children: [{ tag: 0x04, value: MASTER_LIST }] }
+        ] },
+        { tag: 0x31, children: [] }
+      ] }] }
+    ] });
+  }
+
+  /** Get the master list as a PEM string. */
+  toPEM() { return bytesToPEM(this.export(), "CMS"); }
+
+  /**
+   * Create a `CSCAMasterList` from an exported master list.
+   * @param { string | number[] | ArrayBuffer | Uint8Array } value - A PEM
+   *     string or the DER-encoded bytes of a CMS SignedData master list or of
+   *     a bare CscaMasterList.
+   */
+  static async import(value) {
+    let bytes = typeof value === "string" ? pemToBytes(value) :
+        value instanceof ArrayBuffer ? new Uint8Array(value) : value;
+    let node = decodeDER(bytes);
+    if (node.children?.[0]?.tag === 0x06) {
+      const CONTENT_TYPE = bytesToOID(node.children[0].value);
+      if (CONTENT_TYPE !== OBJECT_IDENTIFIERS.SIGNED_DATA) {
+        throw new TypeError(
+          `Content type '${CONTENT_TYPE}' is not CMS SignedData.`
+        );
+      }
+      const ENCAPSULATED = node.children[1].children[0].children[2];
+      const E_CONTENT_TYPE = bytesToOID(ENCAPSULATED.children[0].value);
+      if (E_CONTENT_TYPE !== OBJECT_IDENTIFIERS.CSCA_MASTER_LIST) {
+        throw new TypeError(
+          `Content type '${E_CONTENT_TYPE}' is not a CSCA master list.`
+        );
+      }
+      bytes = ENCAPSULATED.children[1].children[0].value;
+      node = decodeDER(bytes);
+    }
+    if (node.tag !== 0x30 || node.children?.[1]?.tag !== 0x31) {
+      throw new TypeError("Value is not a DER-encoded CSCA master list.");
+    }
+    const CERTIFICATES = [];
+    for (const certificate of node.children[1].children) {
+      CERTIFICATES.push(await DigitalSealCertificate.fromDER(
+        [...bytes].slice(certificate.start, certificate.end)
+      ));
+    }
+    return new CSCAMasterList({ certificates: CERTIFICATES });
+  }
+}
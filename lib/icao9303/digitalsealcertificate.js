@@ -0,0 +1,347 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { ECDSA_CURVES } from "./utilities/ecdsa-curves.js";
+import { OBJECT_IDENTIFIERS } from "./utilities/object-identifiers.js";
+import { bytesToOID } from "./utilities/bytes-to-oid.js";
+import { bytesToPEM } from "./utilities/bytes-to-pem.js";
+import { decodeDER } from "./utilities/decode-der.js";
+import { derToECDSASignature } from "./utilities/der-to-ecdsa-signature.js";
+import { pemToBytes } from "./utilities/pem-to-bytes.js";
+import { validateIdentifierCode } from "./utilities/validate-identifier-code.js";
+
+/**
+ * An X.509 certificate used to sign visible digital seals (VDSs): either a
+ *     barcode signer certificate or the country signing certificate authority
+ *     (CSCA) certificate that issued it.
+ *
+ * A barcode signer certificate carries the signer's identifier code in its
+ *     subject common name. Its certificate reference is the hex-string of its
+ *     serial number, so a `DigitalSealCertificate` may be added to a
+ *     `DigitalSealTrustStore` as-is.
+ *
+ * Create a `DigitalSealCertificate` from DER-encoded bytes with
+ *     `DigitalSealCertificate.fromDER()` or from a PEM string with
+ *     `DigitalSealCertificate.fromPEM()`.
+ */
+export class DigitalSealCertificate {
+  /**
+   * Create a `DigitalSealCertificate`.
+   * @param { number[] | Uint8Array } der - The DER-encoded certificate.
+   * @param { CryptoKey } publicKey - The ECDSA public key in the certificate.
+   */
+  constructor(der, publicKey) {
+    const CERTIFICATE = decodeDER(der);
+    if (CERTIFICATE.tag !== 0x30 || CERTIFICATE.children?.length !== 3) {
+      throw new TypeError("Value is not a DER-encoded X.509 certificate.");
+    }
+    const [TBS, SIGNATURE_ALGORITHM, SIGNATURE] = CERTIFICATE.children;
+    const FIELDS = TBS.children[0].tag === 0xA0 ?
+        TBS.children.slice(1) : TBS.children;
+    const [SERIAL, , ISSUER, VALIDITY, SUBJECT] = FIELDS;
+
+    this.#der = [...der].slice(0, CERTIFICATE.end);
+    this.#tbsCertificate = this.#der.slice(TBS.start, TBS.end);
+    this.#signatureAlgorithm =
+        bytesToOID(SIGNATURE_ALGORITHM.children[0].value);
+    this.#signatureValue = SIGNATURE.value.slice(1);
+    this.#serialNumber = SERIAL.value
+        .map((byte) => byte.toString(16).padStart(2, "0"))
+        .join("").toUpperCase();
+    this.#issuerDER = this.#der.slice(ISSUER.start, ISSUER.end);
+    this.#issuer = DigitalSealCertificate.#readName(ISSUER);
+    this.#subjectDER = this.#der.slice(SUBJECT.start, SUBJECT.end);
+    this.#subject = DigitalSealCertificate.#readName(SUBJECT);
+    this.#notBefore = DigitalSealCertificate.#readTime(VALIDITY.children[0]);
+    this.#notAfter = DigitalSealCertificate.#readTime(VALIDITY.children[1]);
+    this.#publicKey = publicKey;
+
+    const EXTENSIONS = FIELDS.find((field) => field.tag === 0xA3);
+    EXTENSIONS?.children[0].children.forEach((extension) => {
+      const OID = bytesToOID(extension.children[0].value);
+      const VALUE = decodeDER(extension.children.at(-1).value);
+      switch (OID) {
+        case OBJECT_IDENTIFIERS.BASIC_CONSTRAINTS:
+          this.#isCA = VALUE.children[0]?.tag === 0x01 &&
+              VALUE.children[0].value[0] !== 0;
+          break;
+        case OBJECT_IDENTIFIERS.SUBJECT_KEY_IDENTIFIER:
+          this.#subjectKeyIdentifier = VALUE.value;
+          break;
+        case OBJECT_IDENTIFIERS.AUTHORITY_KEY_IDENTIFIER:
+          this.#authorityKeyIdentifier = VALUE.children
+              .find((child) => child.tag === 0x80)?.value ?? null;
+          break;
+        case OBJECT_IDENTIFIERS.DOCUMENT_TYPE_LIST:
+          this.#documentTypes = VALUE.children[1].children
+              .map((type) => String.fromCharCode(...type.value));
+          break;
+      }
+    });
+  }
+
+  #der;
+  /**
+   * The DER-encoded certificate.
+   * @type { number[] }
+   */
+  get der() { return [...this.#der]; }
+
+  #tbsCertificate;
+  /**
+   * The DER-encoded part of the certificate signed by its issuer.
+   * @type { number[] }
+   */
+  get tbsCertificate() { return [...this.#tbsCertificate]; }
+
+  #signatureAlgorithm;
+  /**
+   * The object identifier of the algorithm the issuer signed with.
+   * @type { string }
+   */
+  get signatureAlgorithm() { return this.#signatureAlgorithm; }
+
+  #signatureValue;
+  /**
+   * The issuer's DER-encoded ECDSA signature.
+   * @type { number[] }
+   */
+  get signatureValue() { return [...this.#signatureValue]; }
+
+  #serialNumber;
+  /**
+   * The serial number of the certificate as a hex-string.
+   * @type { string }
+   */
+  get serialNumber() { return this.#serialNumber; }
+
+  /**
+   * The certificate reference written into the header zone of seals signed
+   *     with this certificate: the hex-string of the serial number without
+   *     leading zeros, padded with zeros to at least the 5 characters a VDS
+   *     version 3 header requires. Serial numbers longer than 5 characters
+   *     give references that only fit VDS version 4 headers.
+   * @type { string }
+   */
+  get certReference() {
+    return this.#serialNumber.replace(/^0+/, "").padStart(5, "0");
+  }
+
+  #issuerDER;
+  #issuer;
+  /**
+   * The issuer's name, keyed by the attributes `countryName`,
+   *     `organizationName`, `commonName`, and `serialNumber`.
+   * @type { Object<string, string> }
+   */
+  get issuer() { return { ...this.#issuer }; }
+
+  /**
+   * The DER-encoded issuer's name.
+   * @type { number[] }
+   */
+  get rawIssuer() { return [...this.#issuerDER]; }
+
+  #subjectDER;
+  #subject;
+  /**
+   * The subject's name, keyed by the attributes `countryName`,
+   *     `organizationName`, `commonName`, and `serialNumber`.
+   * @type { Object<string, string> }
+   */
+  get subject() { return { ...this.#subject }; }
+
+  /**
+   * The DER-encoded subject's name.
+   * @type { number[] }
+   */
+  get rawSubject() { return [...this.#subjectDER]; }
+
+  /**
+   * The identifier code of a barcode signer, or `null` if the subject common
+   *     name is not an identifier code.
+   * @type { string | null }
+   */
+  get identifierCode() {
+    const COMMON_NAME = this.#subject.commonName ?? "";
+    return validateIdentifierCode(COMMON_NAME) ?
+        null : COMMON_NAME.toUpperCase();
+  }
+
+  #notBefore;
+  /**
+   * The first date on which the certificate is valid.
+   * @type { Date }
+   */
+  get notBefore() { return new Date(this.#notBefore); }
+
+  #notAfter;
+  /**
+   * The last date on which the certificate is valid.
+   * @type { Date }
+   */
+  get notAfter() { return new Date(this.#notAfter); }
+
+  #publicKey;
+  /**
+   * The ECDSA public key in the certificate.
+   * @type { CryptoKey }
+   */
+  get publicKey() { return this.#publicKey; }
+
+  #isCA = false;
+  /**
+   * Whether the certificate may issue other certificates.
+   * @type { boolean }
+   */
+  get isCA() { return this.#isCA; }
+
+  #subjectKeyIdentifier = null;
+  /**
+   * The identifier of the certificate's public key.
+   * @type { number[] | null }
+   */
+  get subjectKeyIdentifier() {
+    return this.#subjectKeyIdentifier ? [...this.#subjectKeyIdentifier] : null;
+  }
+
+  #authorityKeyIdentifier = null;
+  /**
+   * The identifier of the issuer's public key.
+   * @type { number[] | null }
+   */
+  get authorityKeyIdentifier() {
+    return this.#authorityKeyIdentifier ?
+        [...this.#authorityKeyIdentifier] : null;
+  }
+
+  #documentTypes = [];
+  /**
+   * The document type codes the certificate may sign, like 'P' or 'V'.
+   * @type { string[] }
+   */
+  get documentTypes() { return [...this.#documentTypes]; }
+
+  /**
+   * Check whether the certificate was signed by another certificate's key.
+   * @param { DigitalSealCertificate } issuer
+   */
+  async isIssuedBy(issuer) {
+    const SAME_NAME = this.#issuerDER.length === issuer.#subjectDER.length &&
+        this.#issuerDER.every((byte, i) => byte === issuer.#subjectDER[i]);
+    const CURVE = ECDSA_CURVES[issuer.publicKey.algorithm.namedCurve];
+    const HASH = DigitalSealCertificate.#signatureHashes[
+      this.#signatureAlgorithm
+    ];
+    if (!SAME_NAME || !CURVE || !HASH) {
+      return false;
+    }
+    let signature;
+    try {
+      signature = derToECDSASignature(
+        this.#signatureValue, CURVE.signatureLength
+      );
+    } catch {
+      return false;
+    }
+    return await crypto.subtle.verify(
+      { name: "ECDSA", hash: HASH },
+      issuer.publicKey,
+      Uint8Array.from(signature),
+      Uint8Array.from(this.#tbsCertificate)
+    );
+  }
+
+  /** Get the certificate as a PEM string. */
+  toPEM() { return bytesToPEM(this.#der, "CERTIFICATE"); }
+
+  /**
+   * Create a `DigitalSealCertificate` from a DER-encoded X.509 certificate.
+   * @param { number[] | ArrayBuffer | Uint8Array } der
+   */
+  static async fromDER(der) {
+    const BYTES = [...(der instanceof ArrayBuffer ? new Uint8Array(der) : der)];
+    const CERTIFICATE = decodeDER(BYTES);
+    const TBS = CERTIFICATE.children?.[0];
+    const FIELDS = TBS?.children?.[0].tag === 0xA0 ?
+        TBS.children.slice(1) : TBS?.children;
+    const SPKI = FIELDS?.[5];
+    if (SPKI?.tag !== 0x30) {
+      throw new TypeError("Value is not a DER-encoded X.509 certificate.");
+    }
+    const CURVE = DigitalSealCertificate.#namedCurves[
+      bytesToOID(SPKI.children[0].children[1]?.value ?? [])
+    ];
+    if (!CURVE) {
+      throw new RangeError(
+        "Public key is not an ECDSA key on one of the curves supported for " +
+            `signing digital seals: ${Object.keys(ECDSA_CURVES).join(", ")}.`
+      );
+    }
+    const PUBLIC_KEY = await crypto.subtle.importKey(
+      "spki",
+      Uint8Array.from(BYTES.slice(SPKI.start, SPKI.end)),
+      { name: "ECDSA", namedCurve: CURVE },
+      true,
+      ["verify"]
+    );
+    return new DigitalSealCertificate(BYTES, PUBLIC_KEY);
+  }
+
+  /**
+   * Create a `DigitalSealCertificate` from a PEM-encoded X.509 certificate.
+   * @param { string } pem
+   */
+  static async fromPEM(pem) {
+    return await DigitalSealCertificate.fromDER(
+      pemToBytes(pem, "CERTIFICATE")
+    );
+  }
+
+  static #namedCurves = Object.freeze({
+    [OBJECT_IDENTIFIERS.P_256]: "P-256",
+    [OBJECT_IDENTIFIERS.P_384]: "P-384",
+    [OBJECT_IDENTIFIERS.P_521]: "P-521"
+  });
+
+  static #signatureHashes = Object.freeze({
+    [OBJECT_IDENTIFIERS.ECDSA_WITH_SHA256]: "SHA-256",
+    [OBJECT_IDENTIFIERS.ECDSA_WITH_SHA384]: "SHA-384",
+    [OBJECT_IDENTIFIERS.ECDSA_WITH_SHA512]: "SHA-512"
+  });
+
+  static #nameAttributes = Object.freeze({
+    [OBJECT_IDENTIFIERS.COUNTRY_NAME]: "countryName",
+    [OBJECT_IDENTIFIERS.ORGANIZATION_NAME]: "organizationName",
+    [OBJECT_IDENTIFIERS.COMMON_NAME]: "commonName",
+    [OBJECT_IDENTIFIERS.SERIAL_NUMBER]: "serialNumber"
+  });
+
+  static #readName(name) {
+    const output = {};
+    name.children.forEach((set) => {
+      set.children.forEach((attribute) => {
+        const KEY = DigitalSealCertificate.#nameAttributes[
+          bytesToOID(attribute.children[0].value)
+        ];
+        if (KEY) {
+          output[KEY] = new TextDecoder().decode(
+            Uint8Array.from(attribute.children[1].value)
+          );
+        }
+      });
+    });
+    return output;
+  }
+
+  static #readTime(time) {
+    const STRING = String.fromCharCode(...time.value);
+    const FULL = time.tag === 0x17 ?
+        `${parseInt(STRING.slice(0, 2), 10) < 50 ? "20" : "19"}${STRING}` :
+        STRING;
+    return new Date(
+      `${FULL.slice(0, 4)}-${FULL.slice(4, 6)}-${FULL.slice(6, 8)}T` +
+          `${FULL.slice(8, 10)}:${FULL.slice(10, 12)}:${FULL.slice(12, 14)}Z`
+    );
+  }
+}
@@ -0,0 +1,276 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { ECDSA_CURVES } from "./utilities/ecdsa-curves.js";
+import { dateToCalendarDate } from "./utilities/date-to-calendar-date.js";
+import { pemToBytes } from "./utilities/pem-to-bytes.js";
+import { validateIdentifierCode } from "./utilities/validate-identifier-code.js";
+import { validateHexString } from "./utilities/validate-hex-string.js";
+
+/**
+ * Signs ICAO 9303 visible digital seals (VDSs) with an ECDSA private key using
+ *     the Web Crypto API.
+ *
+ * The unsigned seal (the header zone and the message zone) is hashed with the
+ *     hash algorithm ICAO 9303 part 13 pairs with the key's curve and the raw
+ *     r||s signature is stored as the seal's signature data. The identifier
+ *     code and certificate reference of the signer's certificate and the
+ *     current date as the signature date are written into the seal's header
+ *     zone before signing.
+ *
+ * `DigitalSealSigner` may sign any object with the `identifierCode`,
+ *     `certReference`, `signatureDate`, `unsignedSeal`, and `signatureData`
+ *     properties, like
+ *     `DigitalSealV3`, `DigitalSealV4`, or the composed document classes.
+ */
+export class DigitalSealSigner {
+  /**
+   * Create a `DigitalSealSigner`.
+   * @param { Object } opt - An options object.
+   * @param { CryptoKey } opt.privateKey - An ECDSA private key on the P-256,
+   *     P-384, or P-521 curve.
+   * @param { string } [opt.identifierCode] - A 4-character string consisting
+   *     of the characters 0-9 and A-Z identifying the signer's certificate.
+   *     If unset, the seal's identifier code is kept as-is.
+   * @param { string } [opt.certReference] - A hex-string that uniquely
+   *     identifies the signer's certificate. If unset, the seal's certificate
+   *     reference is kept as-is.
+   * @param { { identifierCode: string,
+   *     certReference: string } } [opt.certificate] - The signer's
+   *     certificate, like a `DigitalSealCertificate`. Its identifier code and
+   *     certificate reference are used unless `opt.identifierCode` or
+   *     `opt.certReference` are set.
+   */
+  constructor(opt) {
+    this.privateKey = opt?.privateKey;
+    this.identifierCode = opt?.identifierCode ??
+        opt?.certificate?.identifierCode ?? null;
+    this.certReference = opt?.certReference ??
+        opt?.certificate?.certReference ?? null;
+  }
+
+  #privateKey;
+  /**
+   * An ECDSA private key on the P-256, P-384, or P-521 curve.
+   * @type { CryptoKey }
+   */
+  get privateKey() { return this.#privateKey; }
+  /**
+   * @param { CryptoKey } value
+   */
+  set privateKey(value) {
+    if (value?.type !== "private" || value?.algorithm?.name !== "ECDSA") {
+      throw new TypeError(
+        "Private key (privateKey) must be an ECDSA private key."
+      );
+    }
+    if (!ECDSA_CURVES[value.algorithm.namedCurve]) {
+      throw new RangeError(
+        `Curve '${value.algorithm.namedCurve}' is not one of the curves ` +
+            `supported for signing digital seals: ` +
+            `${Object.keys(ECDSA_CURVES).join(", ")}.`
+      );
+    }
+    if (!value.usages.includes("sign")) {
+      throw new TypeError(
+        "Private key (privateKey) must be usable for signing."
+      );
+    }
+    this.#privateKey = value;
+  }
+
+  #identifierCode;
+  /**
+   * The identifier code of the signer's certificate, or `null` to keep the
+   *     seal's identifier code.
+   * @type { string | null }
+   */
+  get identifierCode() { return this.#identifierCode; }
+  /**
+   * @param { string | null } value - A 4-character string consisting of the
+   *     characters 0-9 and A-Z.
+   */
+  set identifierCode(value) {
+    if (value !== null) {
+      const isInvalid = validateIdentifierCode(value);
+      if (isInvalid) {
+        throw new RangeError(
+          `Value set on 'identifierCode' has errors: ${isInvalid}`
+        );
+      }
+      value = value.toUpperCase();
+    }
+    this.#identifierCode = value;
+  }
+
+  #certReference;
+  /**
+   * The certificate reference of the signer's certificate, or `null` to keep
+   *     the seal's certificate reference.
+   * @type { string | null }
+   */
+  get certReference() { return this.#certReference; }
+  /**
+   * @param { string | null } value - A hexadecimal string.
+   */
+  set certReference(value) {
+    if (value !== null) {
+      const isInvalid = validateHexString(value, { minimum: 1 });
+      if (isInvalid) {
+        throw new RangeError(
+          `Value set on 'certReference' has errors: ${isInvalid}`
+        );
+      }
+      value = value.toUpperCase();
+    }
+    this.#certReference = value;
+  }
+
+  /**
+   * The hash algorithm used to hash the unsigned seal.
+   * @type { string }
+   */
+  get hashAlgorithm() {
+    return ECDSA_CURVES[this.#privateKey.algorithm.namedCurve].hash;
+  }
+
+  /**
+   * The length of the raw r||s signature in bytes.
+   * @type { number }
+   */
+  get signatureLength() {
+    return ECDSA_CURVES[this.#privateKey.algorithm.namedCurve].signatureLength;
+  }
+
+  /**
+   * Sign a visible digital seal (VDS), storing the raw signature in its
+   *     signature data. The seal's signature date is set to today.
+   * @param { { identifierCode: string, certReference: string,
+   *     signatureDate: Date, unsignedSeal: number[],
+   *     signatureData: number[] } } model
+   */
+  async sign(model) {
+    if (this.#identifierCode !== null) {
+      model.identifierCode = this.#identifierCode;
+    }
+    if (this.#certReference !== null) {
+      model.certReference = this.#certReference;
+    }
+    model.signatureDate = dateToCalendarDate(new Date());
+    const SIGNATURE = await crypto.subtle.sign(
+      { name: "ECDSA", hash: this.hashAlgorithm },
+      this.#privateKey,
+      Uint8Array.from(model.unsignedSeal)
+    );
+    if (SIGNATURE.byteLength !== this.signatureLength) {
+      throw new RangeError(
+        `Length '${SIGNATURE.byteLength}' of signature does not match the ` +
+            `expected length (${this.signatureLength}).`
+      );
+    }
+    model.signatureData = [...new Uint8Array(SIGNATURE)];
+  }
+
+  /**
+   * Create a `DigitalSealSigner` from a PKCS #8 encoded ECDSA private key.
+   * @param { string | ArrayBuffer | Uint8Array } key - A PEM string or the
+   *     DER-encoded bytes of a PKCS #8 private key.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.identifierCode] - A 4-character string consisting
+   *     of the characters 0-9 and A-Z identifying the signer's certificate.
+   * @param { string } [opt.certReference] - A hex-string that uniquely
+   *     identifies the signer's certificate.
+   * @param { { identifierCode: string, certReference: string,
+   *     publicKey?: CryptoKey } } [opt.certificate] - The signer's
+   *     certificate, like a `DigitalSealCertificate`. If it has a public key,
+   *     the private key must match it.
+   */
+  static async fromPKCS8(key, opt) {
+    const DER = typeof key === "string" ? pemToBytes(key, "PRIVATE KEY") : key;
+    for (const CURVE of Object.keys(ECDSA_CURVES)) {
+      let privateKey;
+      try {
+        privateKey = await crypto.subtle.importKey(
+          "pkcs8",
+          DER,
+          { name: "ECDSA", namedCurve: CURVE },
+          true,
+          ["sign"]
+        );
+      } catch {
+        continue;
+      }
+      if (opt?.certificate?.publicKey &&
+          !(await DigitalSealSigner.#isKeyPair(
+            privateKey, opt.certificate.publicKey
+          ))) {
+        throw new RangeError(
+          "Private key does not match the public key of the signer's " +
+              "certificate (certificate)."
+        );
+      }
+      return new DigitalSealSigner({
+        privateKey: privateKey,
+        identifierCode: opt?.identifierCode,
+        certReference: opt?.certReference,
+        certificate: opt?.certificate
+      });
+    }
+    throw new TypeError(
+      "Value is not a PKCS #8 ECDSA private key on a supported curve: " +
+          `${Object.keys(ECDSA_CURVES).join(", ")}.`
+    );
+  }
+
+  /**
+   * Generate a new ECDSA key pair and return a `DigitalSealSigner` for it
+   *     alongside its public key.
+   * @param { string } [curve] - 'P-256', 'P-384', or 'P-521'.
+   * @param { Object } [opt] - An options object.
+   * @param { string } [opt.identifierCode] - A 4-character string consisting
+   *     of the characters 0-9 and A-Z identifying the signer's certificate.
+   * @param { string } [opt.certReference] - A hex-string that uniquely
+   *     identifies the signer's certificate.
+   * @returns { Promise<{ signer: DigitalSealSigner, publicKey: CryptoKey }> }
+   */
+  static async generate(curve = "P-256", opt) {
+    if (!ECDSA_CURVES[curve]) {
+      throw new RangeError(
+        `Curve '${curve}' is not one of the curves supported for signing ` +
+            `digital seals: ${Object.keys(ECDSA_CURVES).join(", ")}.`
+      );
+    }
+    const KEY_PAIR = await crypto.subtle.generateKey(
+      { name: "ECDSA", namedCurve: curve },
+      true,
+      ["sign", "verify"]
+    );
+    return {
+      signer: new DigitalSealSigner({
+        privateKey: KEY_PAIR.privateKey,
+        identifierCode: opt?.identifierCode,
+        certReference: opt?.certReference
+      }),
+      publicKey: KEY_PAIR.publicKey
+    };
+  }
+
+  // A private key and a public key are a key pair if a signature made with
+  // one can be verified with the other.
+  static async #isKeyPair(privateKey, publicKey) {
+    if (publicKey.algorithm?.namedCurve !== privateKey.algorithm.namedCurve) {
+      return false;
+    }
+    const CHALLENGE = crypto.getRandomValues(new Uint8Array(32));
+    const ALGORITHM = {
+      name: "ECDSA",
+      hash: ECDSA_CURVES[privateKey.algorithm.namedCurve].hash
+    };
+    return await crypto.subtle.verify(
+      ALGORITHM,
+      publicKey,
+      await crypto.subtle.sign(ALGORITHM, privateKey, CHALLENGE),
+      CHALLENGE
+    );
+  }
+}
@@ -0,0 +1,142 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { validateIdentifierCode } from "./utilities/validate-identifier-code.js";
+import { validateHexString } from "./utilities/validate-hex-string.js";
+
+/**
+ * Stores the signer certificates trusted to sign visible digital seals (VDSs),
+ *     keyed by the identifier code and certificate reference written in a
+ *     seal's header zone.
+ *
+ * A certificate is any object with the `identifierCode`, `certReference`, and
+ *     `publicKey` properties. The optional `notBefore` and `notAfter`
+ *     properties limit the dates on which the certificate may sign seals.
+ */
+export class DigitalSealTrustStore {
+  /**
+   * Create a `DigitalSealTrustStore`.
+   * @param { Object } [opt] - An options object.
+   * @param { { identifierCode: string, certReference: string,
+   *     publicKey: CryptoKey, notBefore?: Date,
+   *     notAfter?: Date }[] } [opt.certificates] - Signer certificates to
+   *     trust.
+   */
+  constructor(opt) {
+    for (const certificate of opt?.certificates ?? []) {
+      this.add(certificate);
+    }
+  }
+
+  // The trusted certificates keyed by identifier code and certificate
+  // reference.
+  #certificates = new Map();
+
+  /**
+   * The number of trusted certificates.
+   * @type { number }
+   */
+  get size() { return this.#certificates.size; }
+
+  /**
+   * Trust a signer certificate, replacing any certificate with the same
+   *     identifier code and certificate reference.
+   * @param { { identifierCode: string, certReference: string,
+   *     publicKey: CryptoKey, notBefore?: Date,
+   *     notAfter?: Date } } certificate
+   */
+  add(certificate) {
+    const isInvalidIdentifier =
+        validateIdentifierCode(certificate.identifierCode);
+    if (isInvalidIdentifier) {
+      throw new RangeError(
+        `Value set on 'identifierCode' has errors: ${isInvalidIdentifier}`
+      );
+    }
+    const isInvalidReference =
+        validateHexString(certificate.certReference, { minimum: 1 });
+    if (isInvalidReference) {
+      throw new RangeError(
+        `Value set on 'certReference' has errors: ${isInvalidReference}`
+      );
+    }
+    if (certificate.publicKey?.type !== "public" ||
+        certificate.publicKey?.algorithm?.name !== "ECDSA") {
+      throw new TypeError(
+        "Public key (publicKey) must be an ECDSA public key."
+      );
+    }
+    this.#certificates.set(
+      DigitalSealTrustStore.#key(
+        certificate.identifierCode, certificate.certReference
+      ),
+      certificate
+    );
+  }
+
+  /**
+   * Get the trusted certificate for a signer, or `undefined` if the signer is
+   *     not trusted.
+   * @param { string } identifierCode
+   * @param { string } certReference
+   */
+  get(identifierCode, certReference) {
+    return this.#certificates.get(
+      DigitalSealTrustStore.#key(identifierCode, certReference)
+    );
+  }
+
+  /**
+   * Check whether a certificate is trusted for a signer.
+   * @param { string } identifierCode
+   * @param { string } certReference
+   */
+  has(identifierCode, certReference) {
+    return this.#certificates.has(
+      DigitalSealTrustStore.#key(identifierCode, certReference)
+    );
+  }
+
+  /**
+   * Stop trusting the certificate for a signer. Returns whether a certificate
+   *     was removed.
+   * @param { string } identifierCode
+   * @param { string } certReference
+   */
+  delete(identifierCode, certReference) {
+    return this.#certificates.delete(
+      DigitalSealTrustStore.#key(identifierCode, certReference)
+    );
+  }
+
+  /** Iterate over every trusted certificate. */
+  values() { return this.#certificates.values(); }
+
+  [Symbol.iterator]() { return this.values(); }
+
+  /**
+   * Create a `DigitalSealTrustStore` trusting the barcode signer certificates
+   *     issued by a CSCA in a master list.
+   * @param { CSCAMasterList } masterList - The trusted CSCA certificates.
+   * @param { DigitalSealCertificate[] } certificates - Barcode signer
+   *     certificates to trust.
+   */
+  static async fromMasterList(masterList, certificates) {
+    const output = new DigitalSealTrustStore();
+    for (const certificate of certificates) {
+      if (!(await masterList.findIssuer(certificate))) {
+        throw new RangeError(
+          `Certificate for signer '${certificate.identifierCode}' with ` +
+              `reference '${certificate.certReference}' was not issued by a ` +
+              `CSCA in the master list.`
+        );
+      }
+      output.add(certificate);
+    }
+    return output;
+  }
+
+  static #key(identifierCode, certReference) {
+    return `${identifierCode.toUpperCase()}/${certReference.toUpperCase()}`;
+  }
+}
@@ -244,7 +244,7 @@ export class DigitalSealV3 {
       );
     }
     start += 2;
-    this.authority =
+    this.authorityCode =
         c40Decode(value.slice(start, start + 2)).trim();
     start += 2;
     const ID_CERT_REF = c40Decode(value.slice(start, start + 6));
@@ -0,0 +1,127 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealTrustStore } from "./digitalsealtruststore.js";
+import { ECDSA_CURVES } from "./utilities/ecdsa-curves.js";
+import { VDSVerificationStatus } from "./utilities/vds-verification-status.js";
+import { readDigitalSeal } from "./utilities/read-digital-seal.js";
+import { dateToCalendarDate } from "./utilities/date-to-calendar-date.js";
+import { decode as fromBase45 } from "../base45-ts/base45.js";
+
+/**
+ * Verifies ICAO 9303 visible digital seals (VDSs) against a store of trusted
+ *     signer certificates using the Web Crypto API.
+ *
+ * The header zone and the message zone are hashed with the hash algorithm
+ *     ICAO 9303 part 13 pairs with the signer's curve and checked against the
+ *     raw r||s signature in the signature zone.
+ */
+export class DigitalSealVerifier {
+  /**
+   * Create a `DigitalSealVerifier`.
+   * @param { Object } [opt] - An options object.
+   * @param { DigitalSealTrustStore } [opt.trustStore] - The signer
+   *     certificates to trust.
+   */
+  constructor(opt) {
+    this.trustStore = opt?.trustStore ?? new DigitalSealTrustStore();
+  }
+
+  /**
+   * The signer certificates to trust.
+   * @type { DigitalSealTrustStore }
+   */
+  trustStore;
+
+  /**
+   * Verify a signed visible digital seal (VDS).
+   * @param { number[] | Uint8Array | string } value - The signed seal as a
+   *     byte array, or as the base-45 string stored in a barcode.
+   * @returns { Promise<{ status: VDSVerificationStatus, valid: boolean,
+   *     message: string, seal: DigitalSealV3 | DigitalSealV4 | null,
+   *     certificate: Object | null }> }
+   */
+  async verify(value) {
+    let seal;
+    let unsignedSeal;
+    try {
+      const BYTES = typeof value === "string" ?
+          [...fromBase45(value.trim())] : [...value];
+      seal = readDigitalSeal(BYTES);
+      unsignedSeal = BYTES.slice(0, BYTES.length - seal.signatureZone.length);
+    } catch (error) {
+      return DigitalSealVerifier.#result(
+        VDSVerificationStatus.MALFORMED,
+        `Seal could not be read: ${error.message}`,
+        null,
+        null
+      );
+    }
+
+    const CERTIFICATE =
+        this.trustStore.get(seal.identifierCode, seal.certReference);
+    if (!CERTIFICATE) {
+      return DigitalSealVerifier.#result(
+        VDSVerificationStatus.UNKNOWN_SIGNER,
+        `No trusted certificate matches identifier code ` +
+            `'${seal.identifierCode}' and certificate reference ` +
+            `'${seal.certReference}'.`,
+        seal,
+        null
+      );
+    }
+
+    const CURVE = ECDSA_CURVES[CERTIFICATE.publicKey.algorithm.namedCurve];
+    let isSignatureValid = false;
+    if (CURVE && seal.signatureData.length === CURVE.signatureLength) {
+      isSignatureValid = await crypto.subtle.verify(
+        { name: "ECDSA", hash: CURVE.hash },
+        CERTIFICATE.publicKey,
+        Uint8Array.from(seal.signatureData),
+        Uint8Array.from(unsignedSeal)
+      );
+    }
+    if (!isSignatureValid) {
+      return DigitalSealVerifier.#result(
+        VDSVerificationStatus.BAD_SIGNATURE,
+        "Signature does not match the header and message zones.",
+        seal,
+        CERTIFICATE
+      );
+    }
+
+    // The signature date is a calendar date without a time zone, so it is
+    // compared by day with the UTC days of the certificate's validity period.
+    const SIGNED_ON = dateToCalendarDate(seal.signatureDate);
+    const SIGNED_TOO_EARLY = CERTIFICATE.notBefore ?
+        SIGNED_ON < CERTIFICATE.notBefore.toISOString().slice(0, 10) : false;
+    const SIGNED_TOO_LATE = CERTIFICATE.notAfter ?
+        SIGNED_ON > CERTIFICATE.notAfter.toISOString().slice(0, 10) : false;
+    if (SIGNED_TOO_EARLY || SIGNED_TOO_LATE) {
+      return DigitalSealVerifier.#result(
+        VDSVerificationStatus.EXPIRED_CERTIFICATE,
+        `Signing date '${SIGNED_ON}' is outside of the certificate's ` +
+            `validity period.`,
+        seal,
+        CERTIFICATE
+      );
+    }
+
+    return DigitalSealVerifier.#result(
+      VDSVerificationStatus.VALID,
+      "Signature is valid.",
+      seal,
+      CERTIFICATE
+    );
+  }
+
+  static #result(status, message, seal, certificate) {
+    return {
+      status: status,
+      valid: status === VDSVerificationStatus.VALID,
+      message: message,
+      seal: seal,
+      certificate: certificate
+    };
+  }
+}
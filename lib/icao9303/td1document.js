@@ -3,9 +3,10 @@
 
 import { TravelDocument } from "./traveldocument.js";
 import { DEFAULT_PHOTO, DEFAULT_SIGNATURE_IMAGE } from "./utilities/default-images.js";
-import { getFullYearFromString } from "./utilities/get-full-year-from-string.js";
+import { EXPIRATION_YEARS_AHEAD, getFullYearFromString } from "./utilities/get-full-year-from-string.js";
 import { generateMRZCheckDigit } from "./utilities/generate-mrz-check-digit.js";
 import { fullNameMRZ } from "./utilities/full-name-mrz.js";
+import { normalizeFullName } from "./utilities/normalize-full-name.js";
 import { optionalDataMRZ } from "./utilities/optional-data-mrz.js";
 import { padMRZString } from "./utilities/pad-mrz-string.js";
 import { dateToMRZ } from "./utilities/date-to-mrz.js";
@@ -64,6 +65,11 @@ export class TD1Document {
    *     VideoFrame } [opt.signatureImage] - A path/URL to an image, or an image
    *     object, representing the signature or usual mark of the document
    *     holder.
+   * @param { number | null } [opt.currentYear] - The four-digit year that
+   *     two-digit years read from a Machine-Readable Zone (MRZ) are resolved
+   *     relative to. `null` uses the current year.
+   * @param { number } [opt.expirationYearsAhead] - The number of years after
+   *     `currentYear` that two-digit years of expiration dates may be read as.
    */
   constructor(opt) {
     this.#document = new TravelDocument();
@@ -79,6 +85,9 @@ export class TD1Document {
     this.optionalData = opt?.optionalData ?? "";
     this.photo = opt?.photo ?? DEFAULT_PHOTO;
     this.signatureImage = opt?.signatureImage ?? DEFAULT_SIGNATURE_IMAGE;
+    this.currentYear = opt?.currentYear ?? null;
+    this.expirationYearsAhead =
+        opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD;
 
     if (opt?.mrzLine1) { this.mrzLine1 = opt.mrzLine1; }
     if (opt?.mrzLine2) { this.mrzLine2 = opt.mrzLine2; }
@@ -185,6 +194,15 @@ export class TD1Document {
    */
   set fullName(value) { this.#document.fullName = value; }
 
+  /**
+   * Whether `fullName` is too long for the name area of the Machine-Readable
+   *     Zone (MRZ) and is truncated in it.
+   * @type { boolean }
+   */
+  get isFullNameTruncated() {
+    return normalizeFullName(this.fullName).length > 30;
+  }
+
   /**
    * Optional data to include in the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -222,6 +240,30 @@ export class TD1Document {
    */
   set signatureImage(value) { this.#document.signatureImage = value; }
 
+  /**
+   * The four-digit year that two-digit years read from the Machine-Readable
+   *     Zone (MRZ) are resolved relative to. `null` uses the current year.
+   * @type { number | null }
+   */
+  get currentYear() { return this.#document.currentYear; }
+  /**
+   * @param { number | null } value - A four-digit year, or `null`.
+   */
+  set currentYear(value) { this.#document.currentYear = value; }
+
+  /**
+   * The number of years after `currentYear` that two-digit years of expiration
+   *     dates read from the Machine-Readable Zone (MRZ) may be read as.
+   * @type { number }
+   */
+  get expirationYearsAhead() { return this.#document.expirationYearsAhead; }
+  /**
+   * @param { number } value - An integer from 0 to 99.
+   */
+  set expirationYearsAhead(value) {
+    this.#document.expirationYearsAhead = value;
+  }
+
   /**
    * The first line of the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -304,11 +346,18 @@ export class TD1Document {
             ` date of expiration.`
       );
     }
-    this.birthDate = `${getFullYearFromString(value.slice(0, 2))}-` +
-        `${value.slice(2, 4)}-${value.slice(4, 6)}`;
+    const BIRTH_YEAR = getFullYearFromString(value.slice(0, 2), {
+      currentYear: this.currentYear
+    });
+    const EXPIRATION_YEAR = getFullYearFromString(value.slice(8, 10), {
+      currentYear: this.currentYear,
+      yearsAhead: this.expirationYearsAhead
+    });
+    this.birthDate = `${BIRTH_YEAR}-${value.slice(2, 4)}-` +
+        `${value.slice(4, 6)}`;
     this.genderMarker = value[7] === "<" ? "X" : value[7];
-    this.expirationDate = `${getFullYearFromString(value.slice(8, 10))}-` +
-        `${value.slice(10, 12)}-${value.slice(12, 14)}`;
+    this.expirationDate = `${EXPIRATION_YEAR}-${value.slice(10, 12)}-` +
+        `${value.slice(12, 14)}`;
     this.nationalityCode = value.slice(15, 18).replace(/</gi, "");
   }
 
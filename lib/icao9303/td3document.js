@@ -3,9 +3,10 @@
 
 import { TravelDocument } from "./traveldocument.js";
 import { DEFAULT_PHOTO, DEFAULT_SIGNATURE_IMAGE } from "./utilities/default-images.js";
-import { getFullYearFromString } from "./utilities/get-full-year-from-string.js";
+import { EXPIRATION_YEARS_AHEAD, getFullYearFromString } from "./utilities/get-full-year-from-string.js";
 import { generateMRZCheckDigit } from "./utilities/generate-mrz-check-digit.js";
 import { fullNameMRZ } from "./utilities/full-name-mrz.js";
+import { normalizeFullName } from "./utilities/normalize-full-name.js";
 import { optionalDataMRZ } from "./utilities/optional-data-mrz.js";
 import { padMRZString } from "./utilities/pad-mrz-string.js";
 import { dateToMRZ } from "./utilities/date-to-mrz.js";
@@ -62,6 +63,11 @@ export class TD3Document {
    *     VideoFrame } [opt.signatureImage] - A path/URL to an image, or an image
    *     object, representing the signature or usual mark of the document
    *     holder.
+   * @param { number | null } [opt.currentYear] - The four-digit year that
+   *     two-digit years read from a Machine-Readable Zone (MRZ) are resolved
+   *     relative to. `null` uses the current year.
+   * @param { number } [opt.expirationYearsAhead] - The number of years after
+   *     `currentYear` that two-digit years of expiration dates may be read as.
    */
   constructor(opt) {
     this.#document = new TravelDocument();
@@ -77,6 +83,9 @@ export class TD3Document {
     this.optionalData = opt?.optionalData ?? "";
     this.photo = opt?.photo ?? DEFAULT_PHOTO;
     this.signatureImage = opt?.signatureImage ?? DEFAULT_SIGNATURE_IMAGE;
+    this.currentYear = opt?.currentYear ?? null;
+    this.expirationYearsAhead =
+        opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD;
 
     if (opt?.mrzLine1) { this.mrzLine1 = opt.mrzLine1; }
     if (opt?.mrzLine2) { this.mrzLine2 = opt.mrzLine2; }
@@ -126,6 +135,15 @@ export class TD3Document {
    */
   set fullName(value) { this.#document.fullName = value; }
 
+  /**
+   * Whether `fullName` is too long for the name area of the Machine-Readable
+   *     Zone (MRZ) and is truncated in it.
+   * @type { boolean }
+   */
+  get isFullNameTruncated() {
+    return normalizeFullName(this.fullName).length > 39;
+  }
+
   /**
    * An identity document number unique for this document.
    * @type { string }
@@ -219,6 +237,30 @@ export class TD3Document {
    */
   set signatureImage(value) { this.#document.signatureImage = value; }
 
+  /**
+   * The four-digit year that two-digit years read from the Machine-Readable
+   *     Zone (MRZ) are resolved relative to. `null` uses the current year.
+   * @type { number | null }
+   */
+  get currentYear() { return this.#document.currentYear; }
+  /**
+   * @param { number | null } value - A four-digit year, or `null`.
+   */
+  set currentYear(value) { this.#document.currentYear = value; }
+
+  /**
+   * The number of years after `currentYear` that two-digit years of expiration
+   *     dates read from the Machine-Readable Zone (MRZ) may be read as.
+   * @type { number }
+   */
+  get expirationYearsAhead() { return this.#document.expirationYearsAhead; }
+  /**
+   * @param { number } value - An integer from 0 to 99.
+   */
+  set expirationYearsAhead(value) {
+    this.#document.expirationYearsAhead = value;
+  }
+
   /**
    * The first line of the Machine-Readable Zone (MRZ).
    * @type { string }
@@ -324,11 +366,18 @@ export class TD3Document {
     }
     this.number = value.slice(0, 9).replace(/</gi, "");
     this.nationalityCode = value.slice(10, 13).replace(/</gi, "");
-    this.birthDate =`${getFullYearFromString(value.slice(13, 15))}` +
-        `-${value.slice(15, 17)}-${value.slice(17, 19)}`;
+    const BIRTH_YEAR = getFullYearFromString(value.slice(13, 15), {
+      currentYear: this.currentYear
+    });
+    const EXPIRATION_YEAR = getFullYearFromString(value.slice(21, 23), {
+      currentYear: this.currentYear,
+      yearsAhead: this.expirationYearsAhead
+    });
+    this.birthDate = `${BIRTH_YEAR}-${value.slice(15, 17)}-` +
+        `${value.slice(17, 19)}`;
     this.genderMarker = value[20] === "<" ? "X" : value[20];
-    this.expirationDate = `${getFullYearFromString(value.slice(21, 23))}` +
-        `-${value.slice(23, 25)}-${value.slice(25, 27)}`;
+    this.expirationDate = `${EXPIRATION_YEAR}-${value.slice(23, 25)}-` +
+        `${value.slice(25, 27)}`;
     this.optionalData = value.slice(28, 42).replace(/</gi, " ").trimEnd();
   }
 
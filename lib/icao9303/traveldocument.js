@@ -3,6 +3,7 @@
 
 import { DEFAULT_PHOTO, DEFAULT_SIGNATURE_IMAGE } from "./utilities/default-images.js";
 import { validateMRZString } from "./utilities/validate-mrz-string.js";
+import { EXPIRATION_YEARS_AHEAD } from "./utilities/get-full-year-from-string.js";
 
 /**
  * Stores common properties and methods for all ICAO 9303 machine-readable
@@ -48,6 +49,11 @@ export class TravelDocument {
    *     VideoFrame } [opt.signatureImage] - A path/URL to an image, or an image
    *     object, representing the signature or usual mark of the document
    *     holder.
+   * @param { number | null } [opt.currentYear] - The four-digit year that
+   *     two-digit years read from a Machine-Readable Zone (MRZ) are resolved
+   *     relative to. `null` uses the current year.
+   * @param { number } [opt.expirationYearsAhead] - The number of years after
+   *     `currentYear` that two-digit years of expiration dates may be read as.
    */
   constructor(opt) {
     this.typecode = opt?.typeCode ?? "I";
@@ -61,6 +67,9 @@ export class TravelDocument {
     this.optionalData = opt?.optionalData ?? "";
     this.photo = opt?.photo ?? DEFAULT_PHOTO;
     this.signatureImage = opt?.signatureImage ?? DEFAULT_SIGNATURE_IMAGE;
+    this.currentYear = opt?.currentYear ?? null;
+    this.expirationYearsAhead =
+        opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD;
   }
   
   #typeCode;
@@ -258,4 +267,45 @@ export class TravelDocument {
    *     HTMLCanvasElement | ImageBitmap | OffscreenCanvas | VideoFrame }
    */
   signatureImage;
+
+  #currentYear;
+  /**
+   * The four-digit year that two-digit years read from a Machine-Readable Zone
+   *     (MRZ) are resolved relative to. Dates of birth are read as the latest
+   *     year not after it. `null` uses the current year.
+   * @type { number | null }
+   */
+  get currentYear() { return this.#currentYear; }
+  /**
+   * @param { number | null } value - A four-digit year, or `null`.
+   */
+  set currentYear(value) {
+    if (value !== null && !Number.isInteger(value)) {
+      throw new RangeError(
+        `Value set on 'currentYear' has errors: '${value}' is not a year.`
+      );
+    }
+    this.#currentYear = value;
+  }
+
+  #expirationYearsAhead;
+  /**
+   * The number of years after `currentYear` that two-digit years of expiration
+   *     dates read from a Machine-Readable Zone (MRZ) may be read as. Later
+   *     years are read as referring to the previous century.
+   * @type { number }
+   */
+  get expirationYearsAhead() { return this.#expirationYearsAhead; }
+  /**
+   * @param { number } value - An integer from 0 to 99.
+   */
+  set expirationYearsAhead(value) {
+    if (!Number.isInteger(value) || value < 0 || value > 99) {
+      throw new RangeError(
+        `Value set on 'expirationYearsAhead' has errors: '${value}' is not ` +
+            `an integer from 0 to 99.`
+      );
+    }
+    this.#expirationYearsAhead = value;
+  }
 }
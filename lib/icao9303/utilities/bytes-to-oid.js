@@ -0,0 +1,27 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Get the dotted notation of a DER-encoded object identifier (OID).
+ * @param { number[] } bytes - The contents of the OID without its tag and
+ *     length.
+ * @example
+ * // Returns "2.5.4.3"
+ * bytesToOID([85, 4, 3]);
+ */
+export function bytesToOID(bytes) {
+  const arcs = [];
+  let arc = 0;
+  bytes.forEach((byte) => {
+    arc = (arc * 128) + (byte & 0x7F);
+    if ((byte & 0x80) === 0) {
+      arcs.push(arc);
+      arc = 0;
+    }
+  });
+  if (arcs.length === 0) {
+    throw new TypeError("Value is not a valid object identifier.");
+  }
+  const FIRST = arcs[0] < 80 ? Math.floor(arcs[0] / 40) : 2;
+  return [FIRST, arcs[0] - (FIRST * 40), ...arcs.slice(1)].join(".");
+}
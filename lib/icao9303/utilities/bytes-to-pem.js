@@ -0,0 +1,20 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Get a PEM-encoded string from DER-encoded bytes.
+ * @param { number[] | ArrayBuffer | Uint8Array } bytes
+ * @param { string } label - The label of the block, like 'CERTIFICATE'.
+ * @example
+ * // Returns "-----BEGIN TEST-----\nMAEA\n-----END TEST-----\n"
+ * bytesToPEM([48, 1, 0], "TEST");
+ */
+export function bytesToPEM(bytes, label) {
+  const INPUT = bytes instanceof ArrayBuffer ?
+      new Uint8Array(bytes) : bytes;
+  let binary = "";
+  INPUT.forEach((byte) => { binary += String.fromCharCode(byte); });
+  const BASE64 = btoa(binary).match(/.{1,64}/g) ?? [];
+  return `-----BEGIN ${label}-----\n${BASE64.join("\n")}` +
+      `${BASE64.length ? "\n" : ""}-----END ${label}-----\n`;
+}
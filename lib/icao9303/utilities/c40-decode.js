@@ -12,6 +12,12 @@ import { C40SHIFT1 } from "./c40-shift1.js";
  * c40Decode([235, 17, 254, 69]);
  */
 export function c40Decode(c40) {
+  if (c40.length % 2 !== 0) {
+    throw new RangeError(
+      `C40-encoded values must have an even number of bytes, not ` +
+          `${c40.length}.`
+    );
+  }
   let output = "";
   let i1 = null;
   let i2 = null;
@@ -27,6 +33,11 @@ export function c40Decode(c40) {
         const U1 = Math.floor((I16 - 1) / 1600);
         const U2 = Math.floor((I16 - (U1 * 1600) - 1) / 40);
         const U3 = I16 - (U1 * 1600) - (U2 * 40) - 1;
+        if (U1 === 0 || U2 === 0) {
+          throw new RangeError(
+            "SHIFT1 (C40SHIFT1) may only be the last C40 value of a triplet."
+          );
+        }
         output += c40ToChar(U1);
         output += c40ToChar(U2);
         if (c40ToChar(U3) !== C40SHIFT1) {
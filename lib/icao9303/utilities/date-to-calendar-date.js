@@ -0,0 +1,16 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Convert a Date object to a calendar date string in YYYY-MM-DD format, read
+ *     in local time like the date strings given to document properties.
+ * @param { Date } date
+ * @example
+ * // Returns "2023-09-30"
+ * dateToCalendarDate(new Date("2023-09-30T00:00:00"));
+ */
+export function dateToCalendarDate(date) {
+  return `${date.getFullYear().toString().padStart(4, "0")}-` +
+      `${(date.getMonth() + 1).toString().padStart(2, "0")}-` +
+      `${date.getDate().toString().padStart(2, "0")}`;
+}
@@ -0,0 +1,69 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { derLengthToLength } from "./der-length-to-length.js";
+import { lengthToDERLength } from "./length-to-der-length.js";
+
+/**
+ * Decode a DER-encoded ASN.1 value into a tree of nodes. Constructed values
+ *     have their contents decoded into `children`.
+ * @param { number[] | Uint8Array } bytes
+ * @param { number } [start] - The point in the array to start reading.
+ * @returns { { tag: number, start: number, end: number, value: number[],
+ *     children: Object[] | null } } The decoded node, where `start` and `end`
+ *     are the points in the array where the whole TLV begins and ends.
+ * @example
+ * // Returns a SEQUENCE node with one INTEGER child whose value is [5]
+ * decodeDER([48, 3, 2, 1, 5]);
+ */
+export function decodeDER(bytes, start = 0) {
+  const INPUT = [...bytes];
+  if (start + 2 > INPUT.length) {
+    throw new RangeError(
+      `Value ends before the ASN.1 value at position ${start} does.`
+    );
+  }
+  const TAG = INPUT[start];
+  if ((TAG & 0x1F) === 0x1F) {
+    throw new TypeError(
+      `Tag '${TAG.toString(16).padStart(2, "0").toUpperCase()}' uses the ` +
+          `high tag number form, which is not supported.`
+    );
+  }
+  if (INPUT[start + 1] === 0x80) {
+    throw new TypeError(
+      "Indefinite lengths are not allowed in DER-encoded values."
+    );
+  }
+  const LENGTH = derLengthToLength(INPUT.slice(start + 1, start + 6));
+  const VALUE_START = start + 1 + lengthToDERLength(LENGTH).length;
+  const END = VALUE_START + LENGTH;
+  if (END > INPUT.length) {
+    throw new RangeError(
+      `Length '${LENGTH}' of the ASN.1 value at position ${start} does not ` +
+          `match the actual length (${INPUT.length - VALUE_START}).`
+    );
+  }
+  const node = {
+    tag: TAG,
+    start: start,
+    end: END,
+    value: INPUT.slice(VALUE_START, END),
+    children: null
+  };
+  if (TAG & 0x20) {
+    node.children = [];
+    let childStart = VALUE_START;
+    while (childStart < END) {
+      const CHILD = decodeDER(INPUT, childStart);
+      node.children.push(CHILD);
+      childStart = CHILD.end;
+    }
+    if (childStart !== END) {
+      throw new RangeError(
+        `Contents of the ASN.1 value at position ${start} overrun its length.`
+      );
+    }
+  }
+  return node;
+}
@@ -3,7 +3,8 @@
 
 /**
  * Get a number for a length in the shortest BER/DER definite form.
- * @param { number[] } length
+ * @param { number[] } length - An array starting with the length octets. Any
+ *     octets after them are ignored.
  * @example
  * // Returns 435
  * DigitalSeal.derLengthToLength([130, 1, 179]);
@@ -12,14 +13,25 @@ export function derLengthToLength(length) {
   if (length[0] < 128) {
     return length[0];
   } else {
-    if (length.length > 5) {
+    const NUM_OCTETS_STRING = length[0].toString(2);
+    const NUM_OCTETS = parseInt(`0${NUM_OCTETS_STRING.slice(1)}`, 2);
+    if (NUM_OCTETS === 0) {
+      throw new RangeError(
+        "Indefinite lengths are not allowed in DER-encoded values."
+      );
+    }
+    if (NUM_OCTETS > 4) {
       throw new RangeError(
         "The definite long-form length value for this TLV is too big for " +
             "the context of ICAO 9303 Digital Seals."
       );
     }
-    const NUM_OCTETS_STRING = length[0].toString(2);
-    const NUM_OCTETS = parseInt(`0${NUM_OCTETS_STRING.slice(1)}`, 2);
+    if (length.length < NUM_OCTETS + 1) {
+      throw new RangeError(
+        `Length value needs ${NUM_OCTETS} octets after its first octet but ` +
+            `only ${length.length - 1} are present.`
+      );
+    }
     const lengthArray = length.slice(1, NUM_OCTETS + 1);
     let outputString = "";
     lengthArray.forEach((byte) => {
@@ -0,0 +1,32 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { decodeDER } from "./decode-der.js";
+
+/**
+ * Get a raw r||s ECDSA signature usable by the Web Crypto API from the
+ *     DER-encoded Ecdsa-Sig-Value used by X.509 certificates.
+ * @param { number[] | Uint8Array } bytes
+ * @param { number } signatureLength - The length of the raw signature in
+ *     bytes for the signer's curve.
+ */
+export function derToECDSASignature(bytes, signatureLength) {
+  const SEQUENCE = decodeDER(bytes);
+  if (SEQUENCE.tag !== 0x30 || SEQUENCE.children.length !== 2) {
+    throw new TypeError("Value is not a DER-encoded ECDSA signature.");
+  }
+  const HALF = signatureLength / 2;
+  const output = [];
+  SEQUENCE.children.forEach((integer) => {
+    let value = integer.value;
+    while (value.length > HALF && value[0] === 0) { value = value.slice(1); }
+    if (integer.tag !== 0x02 || value.length > HALF) {
+      throw new RangeError(
+        `Length '${value.length}' of a signature integer is bigger than ` +
+            `the curve allows (${HALF}).`
+      );
+    }
+    output.push(...Array(HALF - value.length).fill(0), ...value);
+  });
+  return output;
+}
@@ -0,0 +1,15 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * The elliptic curves usable for signing visible digital seals (VDSs), the
+ *     hash algorithm ICAO 9303 part 13 pairs with each curve, and the length of
+ *     the raw r||s signature in bytes.
+ * @readonly
+ * @enum { { hash: string, signatureLength: number } }
+ */
+export const ECDSA_CURVES = Object.freeze({
+  "P-256": Object.freeze({ hash: "SHA-256", signatureLength: 64 }),
+  "P-384": Object.freeze({ hash: "SHA-384", signatureLength: 96 }),
+  "P-521": Object.freeze({ hash: "SHA-512", signatureLength: 132 })
+});
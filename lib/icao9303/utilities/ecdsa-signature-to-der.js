@@ -0,0 +1,26 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { encodeDER } from "./encode-der.js";
+
+/**
+ * Get the DER-encoded Ecdsa-Sig-Value used by X.509 certificates from a raw
+ *     r||s ECDSA signature like the ones returned by the Web Crypto API.
+ * @param { number[] | ArrayBuffer | Uint8Array } signature
+ */
+export function ecdsaSignatureToDER(signature) {
+  const INPUT = [...(signature instanceof ArrayBuffer ?
+      new Uint8Array(signature) : signature)];
+  const HALF = INPUT.length / 2;
+  const toInteger = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) { start += 1; }
+    const output = bytes.slice(start);
+    if (output[0] & 0x80) { output.unshift(0); }
+    return { tag: 0x02, value: output };
+  };
+  return encodeDER({
+    tag: 0x30,
+    children: [toInteger(INPUT.slice(0, HALF)), toInteger(INPUT.slice(HALF))]
+  });
+}
@@ -0,0 +1,30 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { lengthToDERLength } from "./length-to-der-length.js";
+
+/**
+ * Encode a tree of ASN.1 nodes using the Distinguished Encoding Rules (DER).
+ *     A node with `children` is encoded as a constructed value; a node with
+ *     `value` is encoded as a primitive value; a node with `der` is already
+ *     encoded and is copied as-is.
+ * @param { { tag?: number, value?: number[], children?: Object[],
+ *     der?: number[] } } node
+ * @example
+ * // Returns [48, 3, 2, 1, 5]
+ * encodeDER({ tag: 0x30, children: [{ tag: 0x02, value: [5] }] });
+ */
+export function encodeDER(node) {
+  if (node.der) {
+    return [...node.der];
+  }
+  let contents = [];
+  if (node.children) {
+    node.children.forEach((child) => {
+      contents = contents.concat(encodeDER(child));
+    });
+  } else {
+    contents = [...(node.value ?? [])];
+  }
+  return [node.tag].concat(lengthToDERLength(contents.length), contents);
+}
@@ -2,15 +2,36 @@
 // SPDX-License-Identifier: GPL-3.0-or-later
 
 /**
- * A cutoff year in a two-digit year after which the year being parsed is
- *     interpreted as referring to the current century.
+ * The number of years after the current year that a two-digit year of an
+ *     expiration date is read as by default. Later years are read as
+ *     referring to the previous century.
+ * @readonly
  */
-const cutoffYear = 60;
+export const EXPIRATION_YEARS_AHEAD = 50;
 
 /**
- * Given a two-digit year string, get a four-digit year string.
+ * Given a two-digit year string, get a four-digit year string: the latest year
+ *     ending in those two digits that is not after a pivot year.
+ *
+ * Dates of birth are never in the future, so by default the pivot year is the
+ *     current year. Expiration dates may be in the future, so with
+ *     `isExpirationDate` the pivot year is 50 years after the current year.
  * @param { string } year - A two-digit year string.
+ * @param { Object } [opt] - An options object.
+ * @param { boolean } [opt.isExpirationDate] - Read the year as the year of an
+ *     expiration date instead of a date of birth.
+ * @param { number } [opt.yearsAhead] - The number of years after the current
+ *     year to use as the pivot year. Overrides `isExpirationDate`.
+ * @param { number } [opt.currentYear] - The four-digit year to resolve years
+ *     relative to. Defaults to the current year.
+ * @example
+ * // Returns "1955" and "2055" in 2023
+ * getFullYearFromString("55");
+ * getFullYearFromString("55", { isExpirationDate: true });
  */
-export function getFullYearFromString(year) {
-  return parseInt(year, 10) > cutoffYear ? `19${year}` : `20${year}`;
+export function getFullYearFromString(year, opt) {
+  const PIVOT_YEAR = (opt?.currentYear ?? new Date().getFullYear()) +
+      (opt?.yearsAhead ?? (opt?.isExpirationDate ? EXPIRATION_YEARS_AHEAD : 0));
+  const FULL_YEAR = Math.floor(PIVOT_YEAR / 100) * 100 + parseInt(year, 10);
+  return `${FULL_YEAR > PIVOT_YEAR ? FULL_YEAR - 100 : FULL_YEAR}`;
 }
@@ -9,6 +9,11 @@
  * DigitalSeal.lengthToDERLength(435);
  */
 export function lengthToDERLength(length) {
+  if (!Number.isInteger(length) || length < 0) {
+    throw new RangeError(
+      `Length '${length}' must be a non-negative integer.`
+    );
+  }
   if (length < 128) {
     return [length];
   } else {
@@ -0,0 +1,134 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * The layouts of the Machine-Readable Zones (MRZs) described in ICAO 9303
+ *     parts 4 through 7. Each field and check digit is located by its line
+ *     and its zero-based start and end positions on that line. A check digit
+ *     is calculated over one or more `ranges` of `[line, start, end]`, and may
+ *     be '<' when `optional` is set and every character it checks is '<'.
+ *
+ * Field types are 'alpha' (A-Z and <), 'numeric' (0-9), 'alphanumeric' (A-Z,
+ *     0-9, and <), 'date' (a YYMMDD date, or '<' when unknown), and 'sex'
+ *     (F, M, X, or <).
+ * @readonly
+ * @enum { { lineLength: number, lineCount: number, fields: Object[],
+ *     checkDigits: Object[] } }
+ */
+export const MRZ_FORMATS = Object.freeze({
+  TD1: Object.freeze({
+    lineLength: 30,
+    lineCount: 3,
+    fields: Object.freeze([
+      { name: "typeCode", line: 0, start: 0, end: 2, type: "alpha" },
+      { name: "authorityCode", line: 0, start: 2, end: 5, type: "alpha" },
+      { name: "number", line: 0, start: 5, end: 14, type: "alphanumeric" },
+      { name: "optionalData", line: 0, start: 15, end: 30,
+          type: "alphanumeric" },
+      { name: "birthDate", line: 1, start: 0, end: 6, type: "date" },
+      { name: "genderMarker", line: 1, start: 7, end: 8, type: "sex" },
+      { name: "expirationDate", line: 1, start: 8, end: 14, type: "date" },
+      { name: "nationalityCode", line: 1, start: 15, end: 18, type: "alpha" },
+      { name: "optionalData", line: 1, start: 18, end: 29,
+          type: "alphanumeric" },
+      { name: "fullName", line: 2, start: 0, end: 30, type: "alpha" }
+    ]),
+    checkDigits: Object.freeze([
+      { name: "number", line: 0, position: 14, ranges: [[0, 5, 14]] },
+      { name: "birthDate", line: 1, position: 6, ranges: [[1, 0, 6]] },
+      { name: "expirationDate", line: 1, position: 14, ranges: [[1, 8, 14]] },
+      { name: "composite", line: 1, position: 29,
+          ranges: [[0, 5, 30], [1, 0, 7], [1, 8, 15], [1, 18, 29]] }
+    ])
+  }),
+  TD2: Object.freeze({
+    lineLength: 36,
+    lineCount: 2,
+    fields: Object.freeze([
+      { name: "typeCode", line: 0, start: 0, end: 2, type: "alpha" },
+      { name: "authorityCode", line: 0, start: 2, end: 5, type: "alpha" },
+      { name: "fullName", line: 0, start: 5, end: 36, type: "alpha" },
+      { name: "number", line: 1, start: 0, end: 9, type: "alphanumeric" },
+      { name: "nationalityCode", line: 1, start: 10, end: 13, type: "alpha" },
+      { name: "birthDate", line: 1, start: 13, end: 19, type: "date" },
+      { name: "genderMarker", line: 1, start: 20, end: 21, type: "sex" },
+      { name: "expirationDate", line: 1, start: 21, end: 27, type: "date" },
+      { name: "optionalData", line: 1, start: 28, end: 35,
+          type: "alphanumeric" }
+    ]),
+    checkDigits: Object.freeze([
+      { name: "number", line: 1, position: 9, ranges: [[1, 0, 9]] },
+      { name: "birthDate", line: 1, position: 19, ranges: [[1, 13, 19]] },
+      { name: "expirationDate", line: 1, position: 27, ranges: [[1, 21, 27]] },
+      { name: "composite", line: 1, position: 35,
+          ranges: [[1, 0, 10], [1, 13, 20], [1, 21, 35]] }
+    ])
+  }),
+  TD3: Object.freeze({
+    lineLength: 44,
+    lineCount: 2,
+    fields: Object.freeze([
+      { name: "typeCode", line: 0, start: 0, end: 2, type: "alpha" },
+      { name: "authorityCode", line: 0, start: 2, end: 5, type: "alpha" },
+      { name: "fullName", line: 0, start: 5, end: 44, type: "alpha" },
+      { name: "number", line: 1, start: 0, end: 9, type: "alphanumeric" },
+      { name: "nationalityCode", line: 1, start: 10, end: 13, type: "alpha" },
+      { name: "birthDate", line: 1, start: 13, end: 19, type: "date" },
+      { name: "genderMarker", line: 1, start: 20, end: 21, type: "sex" },
+      { name: "expirationDate", line: 1, start: 21, end: 27, type: "date" },
+      { name: "optionalData", line: 1, start: 28, end: 42,
+          type: "alphanumeric" }
+    ]),
+    checkDigits: Object.freeze([
+      { name: "number", line: 1, position: 9, ranges: [[1, 0, 9]] },
+      { name: "birthDate", line: 1, position: 19, ranges: [[1, 13, 19]] },
+      { name: "expirationDate", line: 1, position: 27, ranges: [[1, 21, 27]] },
+      { name: "optionalData", line: 1, position: 42, ranges: [[1, 28, 42]],
+          optional: true },
+      { name: "composite", line: 1, position: 43,
+          ranges: [[1, 0, 10], [1, 13, 20], [1, 21, 43]] }
+    ])
+  }),
+  MRVA: Object.freeze({
+    lineLength: 44,
+    lineCount: 2,
+    fields: Object.freeze([
+      { name: "typeCode", line: 0, start: 0, end: 2, type: "alpha" },
+      { name: "authorityCode", line: 0, start: 2, end: 5, type: "alpha" },
+      { name: "fullName", line: 0, start: 5, end: 44, type: "alpha" },
+      { name: "number", line: 1, start: 0, end: 9, type: "alphanumeric" },
+      { name: "nationalityCode", line: 1, start: 10, end: 13, type: "alpha" },
+      { name: "birthDate", line: 1, start: 13, end: 19, type: "date" },
+      { name: "genderMarker", line: 1, start: 20, end: 21, type: "sex" },
+      { name: "validThru", line: 1, start: 21, end: 27, type: "date" },
+      { name: "optionalData", line: 1, start: 28, end: 44,
+          type: "alphanumeric" }
+    ]),
+    checkDigits: Object.freeze([
+      { name: "number", line: 1, position: 9, ranges: [[1, 0, 9]] },
+      { name: "birthDate", line: 1, position: 19, ranges: [[1, 13, 19]] },
+      { name: "validThru", line: 1, position: 27, ranges: [[1, 21, 27]] }
+    ])
+  }),
+  MRVB: Object.freeze({
+    lineLength: 36,
+    lineCount: 2,
+    fields: Object.freeze([
+      { name: "typeCode", line: 0, start: 0, end: 2, type: "alpha" },
+      { name: "authorityCode", line: 0, start: 2, end: 5, type: "alpha" },
+      { name: "fullName", line: 0, start: 5, end: 36, type: "alpha" },
+      { name: "number", line: 1, start: 0, end: 9, type: "alphanumeric" },
+      { name: "nationalityCode", line: 1, start: 10, end: 13, type: "alpha" },
+      { name: "birthDate", line: 1, start: 13, end: 19, type: "date" },
+      { name: "genderMarker", line: 1, start: 20, end: 21, type: "sex" },
+      { name: "validThru", line: 1, start: 21, end: 27, type: "date" },
+      { name: "optionalData", line: 1, start: 28, end: 36,
+          type: "alphanumeric" }
+    ]),
+    checkDigits: Object.freeze([
+      { name: "number", line: 1, position: 9, ranges: [[1, 0, 9]] },
+      { name: "birthDate", line: 1, position: 19, ranges: [[1, 13, 19]] },
+      { name: "validThru", line: 1, position: 27, ranges: [[1, 21, 27]] }
+    ])
+  })
+});
@@ -0,0 +1,25 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { normalizeMRZString } from "./normalize-mrz-string.js";
+import { transliterateMRZString } from "./transliterate-mrz-string.js";
+
+/**
+ * Write a document holder's full name as it would appear in a
+ *     Machine-Readable Zone (MRZ) with no length limit: in Latin characters,
+ *     with '<<' between the primary and secondary identifiers and '<' between
+ *     their components.
+ * @param { string } name - The document holder's full name. A ', ' separates
+ *     the document holder's primary identifier from their secondary
+ *     identifiers. A '/' separates the full name in a non-Latin national
+ *     language from a transcription/transliteration into Latin characters.
+ * @example
+ * // Returns "ERIKSSON<<ANNA<MARIA"
+ * normalizeFullName("Eriksson, Anna-Maria");
+ */
+export function normalizeFullName(name) {
+  const splitName = name.split("/ ");
+  return normalizeMRZString(transliterateMRZString(
+    splitName[splitName.length - 1].replace(", ","<<")
+  ));
+}
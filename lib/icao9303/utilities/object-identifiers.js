@@ -0,0 +1,38 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Object identifiers (OIDs) used in the certificates and master lists that
+ *     support signing and verifying visible digital seals (VDSs).
+ * @readonly
+ * @enum { string }
+ */
+export const OBJECT_IDENTIFIERS = Object.freeze({
+  // Public key algorithm and curves
+  EC_PUBLIC_KEY: "1.2.840.10045.2.1",
+  P_256: "1.2.840.10045.3.1.7",
+  P_384: "1.3.132.0.34",
+  P_521: "1.3.132.0.35",
+
+  // Signature algorithms
+  ECDSA_WITH_SHA256: "1.2.840.10045.4.3.2",
+  ECDSA_WITH_SHA384: "1.2.840.10045.4.3.3",
+  ECDSA_WITH_SHA512: "1.2.840.10045.4.3.4",
+
+  // Name attributes
+  COMMON_NAME: "2.5.4.3",
+  SERIAL_NUMBER: "2.5.4.5",
+  COUNTRY_NAME: "2.5.4.6",
+  ORGANIZATION_NAME: "2.5.4.10",
+
+  // Certificate extensions
+  SUBJECT_KEY_IDENTIFIER: "2.5.29.14",
+  KEY_USAGE: "2.5.29.15",
+  BASIC_CONSTRAINTS: "2.5.29.19",
+  AUTHORITY_KEY_IDENTIFIER: "2.5.29.35",
+  DOCUMENT_TYPE_LIST: "2.23.136.1.1.6.2",
+
+  // Cryptographic Message Syntax (CMS) and ICAO master lists
+  SIGNED_DATA: "1.2.840.113549.1.7.2",
+  CSCA_MASTER_LIST: "2.23.136.1.1.2"
+});
@@ -0,0 +1,33 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Get the DER-encoded contents of an object identifier (OID) in dotted
+ *     notation.
+ * @param { string } oid
+ * @example
+ * // Returns [85, 4, 3]
+ * oidToBytes("2.5.4.3");
+ */
+export function oidToBytes(oid) {
+  const ARCS = oid.split(".").map((arc) => {
+    if (!/^\d+$/.test(arc)) {
+      throw new TypeError(`Value '${oid}' is not a valid object identifier.`);
+    }
+    return parseInt(arc, 10);
+  });
+  if (ARCS.length < 2 || ARCS[0] > 2) {
+    throw new TypeError(`Value '${oid}' is not a valid object identifier.`);
+  }
+  const output = [];
+  [(ARCS[0] * 40) + ARCS[1], ...ARCS.slice(2)].forEach((arc) => {
+    const base128 = [arc & 0x7F];
+    arc = Math.floor(arc / 128);
+    while (arc > 0) {
+      base128.unshift((arc & 0x7F) | 0x80);
+      arc = Math.floor(arc / 128);
+    }
+    output.push(...base128);
+  });
+  return output;
+}
@@ -0,0 +1,296 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { MRZ_FORMATS } from "./mrz-formats.js";
+import { generateMRZCheckDigit } from "./generate-mrz-check-digit.js";
+import { EXPIRATION_YEARS_AHEAD, getFullYearFromString } from "./get-full-year-from-string.js";
+
+/**
+ * Characters commonly confused with each other when a Machine-Readable Zone
+ *     (MRZ) is read with optical character recognition (OCR).
+ */
+const OCR_TO_DIGIT = Object.freeze({ O: "0", I: "1", B: "8", S: "5" });
+const OCR_TO_LETTER = Object.freeze({ 0: "O", 1: "I", 8: "B", 5: "S" });
+
+const VALID_CHARACTERS = Object.freeze({
+  alpha: /^[A-Z<]$/,
+  numeric: /^[0-9]$/,
+  alphanumeric: /^[A-Z0-9<]$/,
+  date: /^[0-9<]$/,
+  sex: /^[FMX<]$/
+});
+
+/**
+ * Parse and validate Machine-Readable Zone (MRZ) text of any document format,
+ *     like text read from a document with optical character recognition (OCR).
+ *
+ * The format (TD1, TD2, TD3, MRVA, or MRVB) is detected from the number and
+ *     length of the lines and the document code. Characters that are not valid
+ *     in their field and check digits that do not match are reported as
+ *     errors, with one-based line and character positions. Likely corrections
+ *     for characters OCR commonly confuses (0/O, 1/I, 8/B, and 5/S) are
+ *     suggested; `fields` is read from the MRZ with the unambiguous corrections
+ *     applied.
+ * @param { string } text - The MRZ as 2 or 3 lines of text, or as one string
+ *     without line breaks.
+ * @param { Object } [opt] - An options object.
+ * @param { number } [opt.currentYear] - The four-digit year that two-digit
+ *     years are resolved relative to. Defaults to the current year.
+ * @param { number } [opt.expirationYearsAhead] - The number of years after
+ *     `currentYear` that two-digit years of expiration dates may be read as.
+ *     Defaults to 50.
+ * @returns { { format: string | null, valid: boolean, lines: string[],
+ *     machineReadableZone: string, fields: Object<string, string | null>,
+ *     errors: { field: string | null, line: number | null,
+ *     position: number | null, message: string }[],
+ *     corrections: { field: string, line: number, position: number,
+ *     found: string, suggested: string }[],
+ *     correctedMachineReadableZone: string | null } }
+ *     `correctedMachineReadableZone` is only set when applying the suggested
+ *     corrections leaves no errors.
+ * @example
+ * // Returns an object whose 'format' is "TD1" and 'valid' is true
+ * parseMRZ(
+ *   "I<UTOD231458907<<<<<<<<<<<<<<<\n" +
+ *   "7408122F1204159UTO<<<<<<<<<<<6\n" +
+ *   "ERIKSSON<<ANNA<MARIA<<<<<<<<<<"
+ * );
+ */
+export function parseMRZ(text, opt) {
+  let lines = text.toUpperCase().replace(/«/g, "<").split(/\r?\n/)
+      .map((line) => line.replace(/[^A-Z0-9<]/g, ""))
+      .filter((line) => line.length > 0);
+  if (lines.length === 1) {
+    const LINE_LENGTH = { 90: 30, 72: 36, 88: 44 }[lines[0].length];
+    if (LINE_LENGTH) {
+      lines = lines[0].match(new RegExp(`.{${LINE_LENGTH}}`, "g"));
+    }
+  }
+
+  const output = {
+    format: detectFormat(lines),
+    valid: false,
+    lines: lines,
+    machineReadableZone: lines.join(""),
+    fields: {},
+    errors: [],
+    corrections: [],
+    correctedMachineReadableZone: null
+  };
+  if (output.format === null) {
+    output.errors.push({
+      field: null,
+      line: null,
+      position: null,
+      message: `Text with ${lines.length} ` +
+          `line${lines.length === 1 ? "" : "s"} is not a TD1, TD2, TD3, ` +
+          `MRV-A, or MRV-B Machine-Readable Zone (MRZ).`
+    });
+    return output;
+  }
+
+  const FORMAT = MRZ_FORMATS[output.format];
+  lines.forEach((line, i) => {
+    if (line.length !== FORMAT.lineLength) {
+      output.errors.push({
+        field: null,
+        line: i + 1,
+        position: null,
+        message: `Length '${line.length}' of line ${i + 1} does not match ` +
+            `the length of a ${output.format} MRZ line (${FORMAT.lineLength}).`
+      });
+    }
+  });
+  const corrected = lines.map((line) => {
+    return [...line.padEnd(FORMAT.lineLength, "<")
+        .slice(0, FORMAT.lineLength)];
+  });
+
+  // Check that every character is valid for its field.
+  const checkDigitFields = FORMAT.checkDigits.map((checkDigit) => ({
+    name: `${checkDigit.name}CheckDigit`,
+    line: checkDigit.line,
+    start: checkDigit.position,
+    end: checkDigit.position + 1,
+    type: checkDigit.optional ? "alphanumeric" : "numeric"
+  }));
+  [...FORMAT.fields, ...checkDigitFields].forEach((field) => {
+    for (let i = field.start; i < field.end; i += 1) {
+      const CHARACTER = corrected[field.line][i];
+      if (VALID_CHARACTERS[field.type].test(CHARACTER)) {
+        continue;
+      }
+      const SUGGESTION = ["alpha", "sex"].includes(field.type) ?
+          OCR_TO_LETTER[CHARACTER] : OCR_TO_DIGIT[CHARACTER];
+      output.errors.push({
+        field: field.name,
+        line: field.line + 1,
+        position: i + 1,
+        message: `Character '${CHARACTER}' at line ${field.line + 1}, ` +
+            `position ${i + 1} is not valid for '${field.name}'.`
+      });
+      if (SUGGESTION && VALID_CHARACTERS[field.type].test(SUGGESTION)) {
+        output.corrections.push({
+          field: field.name,
+          line: field.line + 1,
+          position: i + 1,
+          found: CHARACTER,
+          suggested: SUGGESTION
+        });
+        corrected[field.line][i] = SUGGESTION;
+      }
+    }
+  });
+
+  // Check every check digit, trying single-character OCR corrections in the
+  // alphanumeric fields a failing check digit covers. When more than one
+  // correction would make every check digit match, each is suggested and none
+  // is applied.
+  FORMAT.checkDigits.forEach((checkDigit) => {
+    if (isCheckDigitValid(checkDigit, corrected)) {
+      return;
+    }
+    const FOUND = corrected[checkDigit.line][checkDigit.position];
+    output.errors.push({
+      field: `${checkDigit.name}CheckDigit`,
+      line: checkDigit.line + 1,
+      position: checkDigit.position + 1,
+      message: `Check digit '${FOUND}' at line ${checkDigit.line + 1}, ` +
+          `position ${checkDigit.position + 1} does not match the check ` +
+          `digit calculated for '${checkDigit.name}' ` +
+          `(${calculateCheckDigit(checkDigit, corrected)}).`
+    });
+    const CANDIDATES = [];
+    checkDigit.ranges.forEach(([line, start, end]) => {
+      for (let i = start; i < end; i += 1) {
+        const FIELD = FORMAT.fields.find((field) => {
+          return field.line === line && field.start <= i && i < field.end;
+        });
+        const CHARACTER = corrected[line][i];
+        const SUGGESTION = OCR_TO_DIGIT[CHARACTER] ?? OCR_TO_LETTER[CHARACTER];
+        if (FIELD?.type !== "alphanumeric" || !SUGGESTION) {
+          continue;
+        }
+        corrected[line][i] = SUGGESTION;
+        if (FORMAT.checkDigits.every((other) => {
+          return isCheckDigitValid(other, corrected);
+        })) {
+          CANDIDATES.push({
+            field: FIELD.name,
+            line: line + 1,
+            position: i + 1,
+            found: CHARACTER,
+            suggested: SUGGESTION
+          });
+        }
+        corrected[line][i] = CHARACTER;
+      }
+    });
+    output.corrections.push(...CANDIDATES);
+    if (CANDIDATES.length === 1) {
+      const [CANDIDATE] = CANDIDATES;
+      corrected[CANDIDATE.line - 1][CANDIDATE.position - 1] =
+          CANDIDATE.suggested;
+    }
+  });
+
+  const CORRECTED_LINES = corrected.map((line) => line.join(""));
+  FORMAT.fields.forEach((field) => {
+    const VALUE = CORRECTED_LINES[field.line].slice(field.start, field.end);
+    switch (field.type) {
+      case "date":
+        // Unknown dates are filled with '<'.
+        output.fields[field.name] = readDate(VALUE, {
+          currentYear: opt?.currentYear,
+          yearsAhead: field.name === "birthDate" ?
+              0 : opt?.expirationYearsAhead ?? EXPIRATION_YEARS_AHEAD
+        });
+        if (output.fields[field.name] === null && VALUE !== "<<<<<<") {
+          output.errors.push({
+            field: field.name,
+            line: field.line + 1,
+            position: field.start + 1,
+            message: `Date '${VALUE}' at line ${field.line + 1}, position ` +
+                `${field.start + 1} is not a valid YYMMDD date.`
+          });
+        }
+        break;
+      default:
+        if (field.name === "fullName") {
+          const [PRIMARY, SECONDARY] = VALUE.replace(/<+$/, "").split("<<");
+          output.fields.fullName = PRIMARY.replace(/</g, " ") +
+              (SECONDARY ? `, ${SECONDARY.replace(/</g, " ")}` : "");
+        } else {
+          output.fields[field.name] = `${output.fields[field.name] ?? ""}` +
+              `${VALUE}`;
+        }
+    }
+  });
+  ["typeCode", "authorityCode", "number", "nationalityCode", "genderMarker",
+      "optionalData"].forEach((name) => {
+    output.fields[name] = output.fields[name].replace(/</g, " ").trimEnd();
+  });
+
+  [output.errors, output.corrections].forEach((list) => {
+    list.sort((a, b) => {
+      return ((a.line ?? 0) - (b.line ?? 0)) ||
+          ((a.position ?? 0) - (b.position ?? 0));
+    });
+  });
+  output.valid = output.errors.length === 0;
+  if (output.corrections.length > 0 &&
+      lines.every((line) => line.length === FORMAT.lineLength) &&
+      parseMRZ(CORRECTED_LINES.join("\n")).valid) {
+    output.correctedMachineReadableZone = CORRECTED_LINES.join("");
+  }
+  return output;
+}
+
+function detectFormat(lines) {
+  if (lines.length === 3) {
+    return "TD1";
+  }
+  if (lines.length !== 2) {
+    return null;
+  }
+  const AVERAGE_LENGTH = (lines[0].length + lines[1].length) / 2;
+  const IS_VISA = lines[0][0] === "V";
+  if (Math.abs(AVERAGE_LENGTH - 44) < Math.abs(AVERAGE_LENGTH - 36)) {
+    return IS_VISA ? "MRVA" : "TD3";
+  }
+  return IS_VISA ? "MRVB" : "TD2";
+}
+
+function calculateCheckDigit(checkDigit, lines) {
+  const VALUE = checkDigit.ranges.map(([line, start, end]) => {
+    return lines[line].slice(start, end).join("");
+  }).join("");
+  if (checkDigit.optional && /^<*$/.test(VALUE)) {
+    return "<";
+  }
+  try {
+    return generateMRZCheckDigit(VALUE);
+  } catch {
+    return null;
+  }
+}
+
+function isCheckDigitValid(checkDigit, lines) {
+  const FOUND = lines[checkDigit.line][checkDigit.position];
+  const EXPECTED = calculateCheckDigit(checkDigit, lines);
+  return FOUND === EXPECTED || (EXPECTED === "<" && FOUND === "0");
+}
+
+function readDate(value, opt) {
+  if (!/^\d{6}$/.test(value)) {
+    return null;
+  }
+  const YEAR = getFullYearFromString(value.slice(0, 2), opt);
+  const MONTH = value.slice(2, 4);
+  const DAY = value.slice(4, 6);
+  const DATE = new Date(`${YEAR}-${MONTH}-${DAY}T00:00:00Z`);
+  if (isNaN(DATE) || DATE.getUTCDate() !== parseInt(DAY, 10)) {
+    return null;
+  }
+  return `${YEAR}-${MONTH}-${DAY}`;
+}
@@ -0,0 +1,34 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Get the DER-encoded bytes from a PEM-encoded string. If the string has more
+ *     than one PEM block, only the first block with the given label is read.
+ * @param { string } pem - A PEM-encoded string, or base64 without the
+ *     '-----BEGIN' and '-----END' lines.
+ * @param { string } [label] - The label of the block to read, like
+ *     'PRIVATE KEY' or 'CERTIFICATE'.
+ * @example
+ * // Returns Uint8Array(3) [48, 1, 0]
+ * pemToBytes("-----BEGIN TEST-----\nMAEA\n-----END TEST-----", "TEST");
+ */
+export function pemToBytes(pem, label) {
+  let body = pem;
+  if (pem.includes("-----BEGIN")) {
+    const BLOCK = new RegExp(
+      `-----BEGIN ${label ?? "[A-Z0-9 ]+"}-----([\\s\\S]*?)-----END`
+    ).exec(pem);
+    if (!BLOCK) {
+      throw new TypeError(
+        `Value does not contain a PEM block${label ? ` labeled '${label}'` : ""}.`
+      );
+    }
+    body = BLOCK[1];
+  }
+  const BINARY = atob(body.replace(/\s/g, ""));
+  const output = new Uint8Array(BINARY.length);
+  for (let i = 0; i < BINARY.length; i += 1) {
+    output[i] = BINARY.charCodeAt(i);
+  }
+  return output;
+}
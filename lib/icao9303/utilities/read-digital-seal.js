@@ -0,0 +1,47 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealV3 } from "../digitalsealv3.js";
+import { DigitalSealV4 } from "../digitalsealv4.js";
+import { VDS_MAGIC } from "./vds-magic.js";
+import { VDS_VERSION_3 } from "./vds-version-3.js";
+import { VDS_VERSION_4 } from "./vds-version-4.js";
+import { decode as fromBase45 } from "../../base45-ts/base45.js";
+
+/**
+ * Read a signed visible digital seal (VDS) of any supported version into a
+ *     `DigitalSealV3` or a `DigitalSealV4`.
+ * @param { number[] | Uint8Array | string } value - The signed seal as a byte
+ *     array, or as the base-45 string stored in a barcode.
+ * @returns { DigitalSealV3 | DigitalSealV4 }
+ * @example
+ * // Returns a DigitalSealV4 with the 'UTO' authority code
+ * readDigitalSeal(new DigitalSealV4().signedSeal);
+ */
+export function readDigitalSeal(value) {
+  const BYTES = typeof value === "string" ? [...fromBase45(value.trim())]
+      : [...value];
+  if (BYTES.length < 2) {
+    throw new RangeError(
+      `Length '${BYTES.length}' is too short to be an ICAO Digital Seal.`
+    );
+  }
+  if (BYTES[0] !== VDS_MAGIC) {
+    throw new TypeError(
+      `Value '${BYTES[0].toString(16).padStart(2, "0").toUpperCase()}' is ` +
+          `not an ICAO Digital Seal (` +
+          `${VDS_MAGIC.toString(16).padStart(2, "0").toUpperCase()}).`
+    );
+  }
+  switch (BYTES[1]) {
+    case VDS_VERSION_3:
+      return new DigitalSealV3({ signedSeal: BYTES });
+    case VDS_VERSION_4:
+      return new DigitalSealV4({ signedSeal: BYTES });
+    default:
+      throw new TypeError(
+        `Value '${BYTES[1].toString(16).padStart(2, "0").toUpperCase()}' is ` +
+            `not a supported version of an ICAO Digital Seal.`
+      );
+  }
+}
@@ -0,0 +1,27 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { transliterateMRZString } from "./transliterate-mrz-string.js";
+
+/**
+ * Add a transliteration into the Latin characters A-Z to a document holder's
+ *     full name given only in a non-Latin script, separated by a '/' as in
+ *     the `fullName` of documents. Names already in Latin characters, names
+ *     already with a '/', and names that cannot be transliterated are returned
+ *     unchanged.
+ * @param { string } name - A ', ' separates the document holder's primary
+ *     identifier from their secondary identifiers.
+ * @example
+ * // Returns "Иванов, Иван/ IVANOV, IVAN"
+ * transliterateFullName("Иванов, Иван");
+ */
+export function transliterateFullName(name) {
+  if (name.includes("/") || /^[\p{Script=Latin}\P{L}]*$/u.test(name)) {
+    return name;
+  }
+  const LATIN_NAME = transliterateMRZString(name).trim();
+  if (!/[A-Z]/.test(LATIN_NAME)) {
+    return name;
+  }
+  return `${name}/ ${LATIN_NAME}`;
+}
@@ -0,0 +1,75 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// The recommended transliterations of ICAO 9303-3 for uppercase characters.
+// Latin characters with diacritics not listed here lose their diacritics.
+const TRANSLITERATIONS = Object.freeze({
+  // Multinational Latin-based characters.
+  "Ä": "AE", "Å": "AA", "Æ": "AE", "Ð": "D", "Đ": "D", "Ħ": "H", "Ĳ": "IJ",
+  "Ŀ": "L", "Ł": "L", "Ŋ": "N", "Ö": "OE", "Ø": "OE", "Œ": "OE", "ẞ": "SS",
+  "Þ": "TH", "Ü": "UE",
+  // Cyrillic characters.
+  "А": "A", "Б": "B", "В": "V", "Г": "G", "Ѓ": "G", "Ґ": "G", "Д": "D",
+  "Ђ": "D", "Е": "E", "Ё": "E", "Є": "IE", "Ж": "ZH", "З": "Z", "Ѕ": "DZ",
+  "И": "I", "І": "I", "Ї": "I", "Й": "I", "Ј": "J", "К": "K", "Л": "L",
+  "Љ": "LJ", "М": "M", "Н": "N", "Њ": "NJ", "О": "O", "П": "P", "Р": "R",
+  "С": "S", "Т": "T", "Ћ": "C", "Ќ": "K", "У": "U", "Ў": "U", "Ф": "F",
+  "Х": "KH", "Ц": "TS", "Ч": "CH", "Џ": "DZ", "Ш": "SH", "Щ": "SHCH",
+  "Ъ": "IE", "Ы": "Y", "Ь": "", "Э": "E", "Ю": "IU", "Я": "IA", "Ѫ": "U",
+  "Ѣ": "IE", "Ѳ": "F", "Ѵ": "Y", "Ә": "A", "Ғ": "G", "Қ": "Q", "Ң": "N",
+  "Ө": "O", "Ү": "U", "Ұ": "U", "Һ": "H",
+  // Greek characters.
+  "Α": "A", "Β": "V", "Γ": "G", "Δ": "D", "Ε": "E", "Ζ": "Z", "Η": "I",
+  "Θ": "TH", "Ι": "I", "Κ": "K", "Λ": "L", "Μ": "M", "Ν": "N", "Ξ": "X",
+  "Ο": "O", "Π": "P", "Ρ": "R", "Σ": "S", "Τ": "T", "Υ": "Y", "Φ": "F",
+  "Χ": "CH", "Ψ": "PS", "Ω": "O",
+  // Arabic characters.
+  "ء": "XE", "آ": "XAA", "أ": "XAE", "ؤ": "U", "إ": "I", "ئ": "XI", "ا": "A",
+  "ب": "B", "ة": "XTA", "ت": "T", "ث": "XTH", "ج": "J", "ح": "XH", "خ": "XKH",
+  "د": "D", "ذ": "XDH", "ر": "R", "ز": "Z", "س": "S", "ش": "XSH", "ص": "XSS",
+  "ض": "XDZ", "ط": "XTT", "ظ": "XZZ", "ع": "E", "غ": "G", "ـ": "", "ف": "F",
+  "ق": "Q", "ك": "K", "ل": "L", "م": "M", "ن": "N", "ه": "H", "و": "W",
+  "ى": "XAY", "ي": "Y", "پ": "P", "چ": "XCH", "ژ": "XZH", "ک": "XKK",
+  "گ": "XGG", "ی": "YY"
+});
+
+/**
+ * Transliterate a string into the Latin characters A-Z using the recommended
+ *     tables of ICAO 9303-3, like German 'Ä' into 'AE' or Cyrillic 'Ж' into
+ *     'ZH'. Latin characters with other diacritics lose their diacritics and
+ *     ASCII characters are kept for `normalizeMRZString()`.
+ *
+ * ICAO 9303-3 has no tables for scripts like Chinese, Japanese, or Korean,
+ *     which are transcribed by the issuing State instead. Characters without a
+ *     transliteration are left out with a warning.
+ * @param { string } string
+ * @example
+ * // Returns "IVANOV, IVAN"
+ * transliterateMRZString("Иванов, Иван");
+ */
+export function transliterateMRZString(string) {
+  const UNKNOWN_CHARACTERS = new Set();
+  const TRANSLITERATED = [...string.normalize("NFC").toUpperCase()].map(
+    (character) => {
+      if (TRANSLITERATIONS[character] !== undefined) {
+        return TRANSLITERATIONS[character];
+      }
+      const BASE = character.normalize("NFD").replace(/\p{M}/gu, "");
+      if (TRANSLITERATIONS[BASE] !== undefined) {
+        return TRANSLITERATIONS[BASE];
+      }
+      if (/^[\x20-\x7E]*$/.test(BASE)) {
+        return BASE;
+      }
+      UNKNOWN_CHARACTERS.add(character);
+      return "";
+    }
+  ).join("");
+  if (UNKNOWN_CHARACTERS.size > 0) {
+    console.warn(
+      `Characters '${[...UNKNOWN_CHARACTERS].join("")}' have no ` +
+          "transliteration into Latin characters and will be left out."
+    );
+  }
+  return TRANSLITERATED;
+}
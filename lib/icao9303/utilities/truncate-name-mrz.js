@@ -0,0 +1,49 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Truncate a document holder's name for the name area of a Machine-Readable
+ *     Zone (MRZ) following ICAO 9303-3.
+ *
+ * Secondary identifiers are truncated first, from the last component to the
+ *     first, keeping at least the initial of each. If the name is still too
+ *     long, the primary identifier is truncated, and secondary identifiers
+ *     after the first are left out if even its first character does not fit.
+ *     A truncated name fills the whole name area, so an alphabetic character
+ *     in its last position shows that the name may have been truncated.
+ * @param { string } name - A name from `normalizeFullName()`, with '<<'
+ *     between the primary and secondary identifiers.
+ * @param { number } length - The number of characters available for the
+ *     document holder's name in the MRZ.
+ * @example
+ * // Returns "NILAVADHANANANDA<<CHAYAPA<DE<K"
+ * truncateNameMRZ("NILAVADHANANANDA<<CHAYAPA<DEJTHAMRONG<KRASUANG", 30);
+ */
+export function truncateNameMRZ(name, length) {
+  if (name.length <= length) {
+    return name;
+  }
+  const SEPARATOR = name.indexOf("<<");
+  const secondary = SEPARATOR === -1 ? [] :
+      name.slice(SEPARATOR + 2).split("<").filter((component) => component);
+  if (secondary.length === 0) {
+    return name.slice(0, length);
+  }
+  let primary = name.slice(0, SEPARATOR);
+  const nameLength = () => primary.length + 2 + secondary.join("<").length;
+
+  for (let i = secondary.length - 1; i >= 0 && nameLength() > length; i -= 1) {
+    secondary[i] = secondary[i].slice(
+      0,
+      Math.max(1, secondary[i].length - (nameLength() - length))
+    );
+  }
+  while (secondary.length > 1 && nameLength() - primary.length + 1 > length) {
+    secondary.pop();
+  }
+  if (nameLength() > length) {
+    const EXCESS = nameLength() - length;
+    primary = primary.slice(0, Math.max(1, primary.length - EXCESS));
+  }
+  return `${primary}<<${secondary.join("<")}`.slice(0, length);
+}
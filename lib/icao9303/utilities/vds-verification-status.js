@@ -0,0 +1,20 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * The possible outcomes of verifying a visible digital seal (VDS).
+ * @readonly
+ * @enum { string }
+ */
+export const VDSVerificationStatus = Object.freeze({
+  /** The signature matches and the signer's certificate is trusted. */
+  VALID: "valid",
+  /** No trusted certificate matches the identifier code and reference. */
+  UNKNOWN_SIGNER: "unknown-signer",
+  /** The signature does not match the header and message zones. */
+  BAD_SIGNATURE: "bad-signature",
+  /** The seal was signed outside of the certificate's validity period. */
+  EXPIRED_CERTIFICATE: "expired-certificate",
+  /** The seal's header, message, or signature zones could not be read. */
+  MALFORMED: "malformed"
+});
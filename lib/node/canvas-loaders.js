@@ -0,0 +1,138 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { existsSync } from "node:fs";
+import { dirname, isAbsolute, join, relative, resolve } from "node:path";
+import { fileURLToPath } from "node:url";
+
+/**
+ * The root directory of the repository, against which the paths/URLs of the
+ *     provided assets, like "/photos/fox.jpg", are resolved.
+ * @readonly
+ */
+export const ROOT_DIRECTORY = join(
+  dirname(fileURLToPath(import.meta.url)), "..", ".."
+);
+
+/**
+ * Import a canvas package, which the renderers need to draw outside of a
+ *     browser: `@napi-rs/canvas` (the development dependency the golden-image
+ *     tests are rendered with), or else `canvas`. Both are returned with the
+ *     same functions.
+ * @returns { Promise<{ name: string,
+ *     createCanvas: (width: number, height: number) => Object,
+ *     loadImage: (src: string) => Promise<Object>,
+ *     registerFont: (path: string, face: { family: string, weight?: string,
+ *     style?: string }) => void, fontFormats: string[] }> } `fontFormats` are
+ *     the `format`s of the font files that `registerFont` can read.
+ */
+export async function importCanvas() {
+  const errors = [];
+  try {
+    const CANVAS = await import("@napi-rs/canvas");
+    return {
+      name: "@napi-rs/canvas",
+      createCanvas: CANVAS.createCanvas,
+      loadImage: CANVAS.loadImage,
+      registerFont: (path, face) => {
+        CANVAS.GlobalFonts.registerFromPath(path, face.family);
+      },
+      fontFormats: ["truetype", "opentype", "woff", "woff2"]
+    };
+  } catch (error) {
+    errors.push(error);
+  }
+  try {
+    const CANVAS = await import("canvas");
+    return {
+      name: "canvas",
+      createCanvas: CANVAS.createCanvas,
+      loadImage: CANVAS.loadImage,
+      registerFont: CANVAS.registerFont,
+      fontFormats: ["truetype", "opentype"]
+    };
+  } catch (error) {
+    errors.push(error);
+  }
+  throw new Error(
+    "Rendering needs the '@napi-rs/canvas' or 'canvas' package. Install the " +
+        "development dependencies with 'npm install'.",
+    { cause: new AggregateError(errors) }
+  );
+}
+
+/**
+ * Create a `loadImage` option for renderers drawing with a canvas package.
+ *     Data URLs and web URLs are loaded as-is, paths starting with '/' are
+ *     read from the repository like on the generator pages (unless they are
+ *     an existing file), and relative paths are read from `baseDirectory`.
+ *
+ * With `restricted`, only data URLs and files inside the repository are
+ *     loaded, so that requests cannot read other files or reach the network.
+ * @param { (src: string) => Promise<Image> } loadImage - The `loadImage`
+ *     function from `importCanvas()`.
+ * @param { Object } [opt] - An options object.
+ * @param { string } [opt.baseDirectory] - Defaults to the current directory.
+ * @param { boolean } [opt.restricted] - Defaults to `false`.
+ */
+export function createImageLoader(loadImage, opt) {
+  const BASE_DIRECTORY = opt?.baseDirectory ?? process.cwd();
+  const RESTRICTED = opt?.restricted ?? false;
+  return async (url) => {
+    if (url.startsWith("data:")) {
+      return loadImage(url);
+    }
+    if (RESTRICTED) {
+      const PATH = join(ROOT_DIRECTORY, url);
+      const RELATIVE = relative(ROOT_DIRECTORY, PATH);
+      if (!url.startsWith("/") || RELATIVE.startsWith("..") ||
+          isAbsolute(RELATIVE)) {
+        throw new RangeError(
+          `Image '${url}' must be a data URL or a path starting with '/' to ` +
+              "a file provided with the generators."
+        );
+      }
+      return loadImage(PATH);
+    }
+    if (/^https?:/.test(url)) {
+      return loadImage(url);
+    }
+    if (isAbsolute(url)) {
+      return loadImage(existsSync(url) ? url : join(ROOT_DIRECTORY, url));
+    }
+    return loadImage(resolve(BASE_DIRECTORY, url));
+  };
+}
+
+/**
+ * Create a `loadFonts` option for renderers drawing with a canvas package,
+ *     registering the first readable file of each font face once. Faces
+ *     without a readable file are drawn with a fallback font.
+ * @param { (path: string, face: Object) => void } registerFont - The
+ *     `registerFont` function from `importCanvas()`.
+ * @param { Object } [opt] - An options object.
+ * @param { string[] } [opt.formats] - The `format`s of the font files that
+ *     `registerFont` can read. Files without a `format` are always read.
+ *     Defaults to ["truetype", "opentype"], like the `canvas` package.
+ */
+export function createFontLoader(registerFont, opt) {
+  const FORMATS = opt?.formats ?? ["truetype", "opentype"];
+  const REGISTERED = new Set();
+  return async (faces) => {
+    for (const FACE of faces) {
+      const FILE = FACE.files.find((file) => {
+        return !file.format || FORMATS.includes(file.format);
+      });
+      const KEY = `${FACE.family}|${JSON.stringify(FACE.descriptors ?? {})}`;
+      if (!FILE || REGISTERED.has(KEY)) {
+        continue;
+      }
+      registerFont(join(ROOT_DIRECTORY, FILE.url), {
+        family: FACE.family,
+        weight: FACE.descriptors?.weight,
+        style: FACE.descriptors?.style
+      });
+      REGISTERED.add(KEY);
+    }
+  };
+}
@@ -0,0 +1,71 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealV4 } from "../icao9303/digitalsealv4.js";
+import { dateToCalendarDate } from "../icao9303/utilities/date-to-calendar-date.js";
+import { readDigitalSeal } from "../icao9303/utilities/read-digital-seal.js";
+import { decodeSeal } from "../utilities/decode-seal.js";
+
+/**
+ * Describe the header, message, and signature zones of a signed visible
+ *     digital seal (VDS) as JSON, with the document it decodes to, if any.
+ *     Bytes are written as space-separated hexadecimal.
+ * @param { number[] | Uint8Array | string } value - The signed seal as a byte
+ *     array, or as the base-45 string stored in a barcode.
+ * @returns { { version: number, headerZone: Object, messageZone: Object,
+ *     signatureZone: Object, document: { type: string,
+ *     machineReadableZone: string[] } | null,
+ *     documentError: string | null } }
+ */
+export function describeSeal(value) {
+  const SEAL = readDigitalSeal(value);
+  const output = {
+    version: SEAL instanceof DigitalSealV4 ? 4 : 3,
+    headerZone: {
+      authorityCode: SEAL.authorityCode,
+      identifierCode: SEAL.identifierCode,
+      certReference: SEAL.certReference,
+      issueDate: dateToCalendarDate(SEAL.issueDate),
+      signatureDate: dateToCalendarDate(SEAL.signatureDate),
+      featureDefinition: SEAL.featureDefinition,
+      typeCategory: SEAL.typeCategory,
+      bytes: toHex(SEAL.headerZone)
+    },
+    messageZone: {
+      features: [...SEAL.features].map(([tag, featureValue]) => {
+        return {
+          tag: tag,
+          length: featureValue.length,
+          value: toHex(featureValue)
+        };
+      }),
+      bytes: toHex(SEAL.messageZone)
+    },
+    signatureZone: {
+      length: SEAL.signatureData.length,
+      signatureData: toHex(SEAL.signatureData)
+    },
+    document: null,
+    documentError: null
+  };
+  try {
+    const DOCUMENT = decodeSeal(SEAL.signedSeal);
+    output.document = {
+      type: DOCUMENT.constructor.name,
+      machineReadableZone: [
+        DOCUMENT.mrzLine1,
+        DOCUMENT.mrzLine2,
+        DOCUMENT.mrzLine3
+      ].filter((line) => line !== undefined)
+    };
+  } catch (error) {
+    output.documentError = error.message;
+  }
+  return output;
+}
+
+function toHex(bytes) {
+  return bytes.map((byte) => {
+    return byte.toString(16).padStart(2, "0").toUpperCase();
+  }).join(" ");
+}
@@ -0,0 +1,59 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { CrewCertificate } from "../crewcertificate.js";
+import { CrewCertificateRenderer } from "../crewcertificate-renderer.js";
+import { CrewID } from "../crewid.js";
+import { CrewIDRenderer } from "../crewid-renderer.js";
+import { CrewLicense } from "../crewlicense.js";
+import { CrewLicenseRenderer } from "../crewlicense-renderer.js";
+import { EventsID } from "../eventsid.js";
+import { EventsIDRenderer } from "../eventsid-renderer.js";
+import { EventsMRVA } from "../eventsmrva.js";
+import { EventsMRVARenderer } from "../eventsmrva-renderer.js";
+import { EventsMRVB } from "../eventsmrvb.js";
+import { EventsMRVBRenderer } from "../eventsmrvb-renderer.js";
+import { EventsPassport } from "../eventspassport.js";
+import { EventsPassportRenderer } from "../eventspassport-renderer.js";
+import { EventsSealRenderer } from "../eventsseal-renderer.js";
+
+/**
+ * The document types of the command-line tool and the issuance server, named
+ *     like the generator pages, with the model and renderer of each.
+ * @readonly
+ * @type { Object<string, { model: function(new: Object),
+ *     renderer: function(new: Object) }> }
+ */
+export const DOCUMENT_TYPES = Object.freeze({
+  "crew-certificate": {
+    model: CrewCertificate,
+    renderer: CrewCertificateRenderer
+  },
+  "crew-id": { model: CrewID, renderer: CrewIDRenderer },
+  "crew-license": { model: CrewLicense, renderer: CrewLicenseRenderer },
+  "events-id": { model: EventsID, renderer: EventsIDRenderer },
+  "events-mrva": { model: EventsMRVA, renderer: EventsMRVARenderer },
+  "events-mrvb": { model: EventsMRVB, renderer: EventsMRVBRenderer },
+  "events-passport": {
+    model: EventsPassport,
+    renderer: EventsPassportRenderer
+  },
+  "events-seal": { model: EventsMRVB, renderer: EventsSealRenderer }
+});
+
+/**
+ * Get a document type by its name.
+ * @param { string } name - A name like 'crew-id'.
+ * @example
+ * // Returns { model: CrewID, renderer: CrewIDRenderer }
+ * getDocumentType("crew-id");
+ */
+export function getDocumentType(name) {
+  if (!Object.hasOwn(DOCUMENT_TYPES, name ?? "")) {
+    throw new RangeError(
+      `Type '${name ?? ""}' must be one of: ` +
+          `${Object.keys(DOCUMENT_TYPES).join(", ")}.`
+    );
+  }
+  return DOCUMENT_TYPES[name];
+}
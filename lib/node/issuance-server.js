@@ -0,0 +1,358 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { createServer } from "node:http";
+import { DigitalSealVerifier } from "../icao9303/digitalsealverifier.js";
+import { parseMRZ } from "../icao9303/utilities/parse-mrz.js";
+import { exportPDF } from "../utilities/export-pdf.js";
+import { signSealUsingRNG } from "../utilities/sign-seal-using-rng.js";
+import { validateRoster } from "../utilities/validate-roster.js";
+import { encode as toBase45 } from "../base45-ts/base45.js";
+import { DOCUMENT_TYPES } from "./document-types.js";
+import { createFontLoader, createImageLoader, importCanvas } from "./canvas-loaders.js";
+import { describeSeal } from "./describe-seal.js";
+import { validateJSONSchema } from "./validate-json-schema.js";
+
+/**
+ * The JSON Schemas of the request bodies of each route.
+ * @readonly
+ */
+export const REQUEST_SCHEMAS = Object.freeze({
+  documents: {
+    type: "object",
+    required: ["document"],
+    additionalProperties: false,
+    properties: {
+      document: { type: "object" },
+      renderer: { type: "object" },
+      format: { enum: ["png", "pdf"] },
+      back: { type: "boolean" }
+    }
+  },
+  verify: {
+    type: "object",
+    required: ["seal"],
+    additionalProperties: false,
+    properties: {
+      seal: { type: "string", minLength: 1 }
+    }
+  },
+  parse: {
+    type: "object",
+    required: ["mrz"],
+    additionalProperties: false,
+    properties: {
+      mrz: { type: "string", minLength: 1 }
+    }
+  }
+});
+
+/**
+ * An error with an HTTP status and a machine-readable code, sent to the
+ *     client as `{ "error": { status, code, message, details } }`.
+ */
+class HTTPError extends Error {
+  /**
+   * Create an `HTTPError`.
+   * @param { number } status - The HTTP status code.
+   * @param { string } code - A machine-readable error code.
+   * @param { string } message - A message for people.
+   * @param { Object[] } [details] - The individual errors, if there are any.
+   */
+  constructor(status, code, message, details) {
+    super(message);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+/**
+ * Create a local HTTP server that issues documents, verifies visible digital
+ *     seals (VDSs), and parses Machine-Readable Zones (MRZs). Every route
+ *     takes and returns JSON:
+ *
+ * - `POST /documents/<type>`: `{ document, renderer?, format?, back? }` to
+ *     `{ type, number, machineReadableZone, signedSeal, randomSignature,
+ *     images?, pdf? }`. `document` and `renderer` are the constructor options
+ *     of the type's model and renderer. Images are PNG data URLs, and `pdf`
+ *     is a data URL of a card-sized PDF. Rendering needs the
+ *     `@napi-rs/canvas` or `canvas` package.
+ * - `POST /seals/verify`: `{ seal }` (base-45) to the result of
+ *     `DigitalSealVerifier.verify()`, with the seal described like
+ *     `describeSeal()`.
+ * - `POST /mrz/parse`: `{ mrz }` to the result of `parseMRZ()`.
+ *
+ * Errors are returned as `{ "error": { status, code, message, details? } }`.
+ *     Invalid documents are rejected with status 422 and one detail for each
+ *     property that cannot be set to its value, whatever its setter throws.
+ *     Errors after the document is set, other than images that cannot be
+ *     loaded, are internal errors (500) whose messages are not sent.
+ *
+ * The server is meant to run on a trusted machine: it has no authentication,
+ *     and it only listens where `server.listen()` is told to.
+ * @param { Object } [opt] - An options object.
+ * @param { DigitalSealSigner } [opt.signer] - Signs the seals of issued
+ *     documents. Without one, seals are "signed" with random numbers.
+ * @param { DigitalSealTrustStore } [opt.trustStore] - The signer
+ *     certificates to trust when verifying seals.
+ * @param { number } [opt.maxBodySize] - The largest request body accepted,
+ *     in bytes. Defaults to 16 MiB, enough for photos as data URLs.
+ * @returns { import("node:http").Server }
+ * @example
+ * const server = createIssuanceServer({ signer: signer });
+ * server.listen(8080, "127.0.0.1");
+ */
+export function createIssuanceServer(opt) {
+  const SIGNER = opt?.signer ?? null;
+  const VERIFIER = new DigitalSealVerifier({ trustStore: opt?.trustStore });
+  const MAX_BODY_SIZE = opt?.maxBodySize ?? 16 * 1024 * 1024;
+
+  return createServer(async (request, response) => {
+    try {
+      const URL_PATH = new URL(request.url, "http://localhost").pathname;
+      const DOCUMENT_MATCH = URL_PATH.match(/^\/documents\/([^/]+)$/);
+      if (!DOCUMENT_MATCH && !["/seals/verify", "/mrz/parse"].includes(
+        URL_PATH
+      )) {
+        throw new HTTPError(404, "not_found", `No route for '${URL_PATH}'.`);
+      }
+      if (request.method !== "POST") {
+        response.setHeader("Allow", "POST");
+        throw new HTTPError(
+          405,
+          "method_not_allowed",
+          `Method '${request.method}' is not allowed; use 'POST'.`
+        );
+      }
+      let body;
+      if (DOCUMENT_MATCH) {
+        body = await readRequestBody(request, REQUEST_SCHEMAS.documents);
+        sendJSON(response, 200, await issueDocument(
+          decodeURIComponent(DOCUMENT_MATCH[1]),
+          body
+        ));
+      } else if (URL_PATH === "/seals/verify") {
+        body = await readRequestBody(request, REQUEST_SCHEMAS.verify);
+        sendJSON(response, 200, await verifySeal(body.seal));
+      } else {
+        body = await readRequestBody(request, REQUEST_SCHEMAS.parse);
+        sendJSON(response, 200, parseMRZ(body.mrz));
+      }
+    } catch (error) {
+      sendError(response, error);
+    }
+  });
+
+  /**
+   * Read a request body as JSON and validate it against a schema.
+   * @param { import("node:http").IncomingMessage } request
+   * @param { Object } schema
+   */
+  async function readRequestBody(request, schema) {
+    const CONTENT_TYPE = request.headers["content-type"] ?? "";
+    if (!/^application\/json\s*(;|$)/i.test(CONTENT_TYPE)) {
+      throw new HTTPError(
+        415,
+        "unsupported_media_type",
+        "Request body must be 'application/json'."
+      );
+    }
+    const CHUNKS = [];
+    let size = 0;
+    for await (const CHUNK of request) {
+      size += CHUNK.length;
+      if (size > MAX_BODY_SIZE) {
+        throw new HTTPError(
+          413,
+          "payload_too_large",
+          `Request body must be at most ${MAX_BODY_SIZE} bytes.`
+        );
+      }
+      CHUNKS.push(CHUNK);
+    }
+    let body;
+    try {
+      body = JSON.parse(Buffer.concat(CHUNKS).toString("utf8"));
+    } catch (error) {
+      throw new HTTPError(400, "invalid_json", error.message);
+    }
+    const ERRORS = validateJSONSchema(body, schema);
+    if (ERRORS.length > 0) {
+      throw new HTTPError(
+        400,
+        "invalid_request",
+        "Request body does not match the schema.",
+        ERRORS
+      );
+    }
+    return body;
+  }
+
+  /**
+   * `POST /documents/<type>`
+   * @param { string } typeName
+   * @param { Object } body
+   */
+  async function issueDocument(typeName, body) {
+    if (!Object.hasOwn(DOCUMENT_TYPES, typeName)) {
+      throw new HTTPError(
+        404,
+        "unknown_document_type",
+        `Document type '${typeName}' must be one of: ` +
+            `${Object.keys(DOCUMENT_TYPES).join(", ")}.`
+      );
+    }
+    const TYPE = DOCUMENT_TYPES[typeName];
+    const FORMAT = body.format ?? "png";
+    const BACK = body.back ?? Boolean(TYPE.renderer.prototype.generateCardBack);
+    if (BACK && !TYPE.renderer.prototype.generateCardBack) {
+      throw new HTTPError(
+        422,
+        "invalid_document",
+        `Document type '${typeName}' has no back to render.`
+      );
+    }
+
+    const VALIDATION = validateRoster([body.document], TYPE.model, {
+      requireNumber: false
+    });
+    if (!VALIDATION.valid) {
+      throw new HTTPError(
+        422,
+        "invalid_document",
+        "The document is not valid.",
+        VALIDATION.errors.map((error) => {
+          return { property: error.property, message: error.message };
+        })
+      );
+    }
+    const model = VALIDATION.models[0];
+
+    let canvas;
+    try {
+      canvas = await importCanvas();
+    } catch (error) {
+      throw new HTTPError(501, "rendering_unavailable", error.message);
+    }
+    const LOAD_IMAGE = createImageLoader(canvas.loadImage, {
+      restricted: true
+    });
+    const renderer = new TYPE.renderer({
+      ...body.renderer,
+      fonts: undefined,
+      createCanvas: (width, height) => canvas.createCanvas(width, height),
+      loadImage: async (url) => {
+        try {
+          return await LOAD_IMAGE(url);
+        } catch (error) {
+          throw new HTTPError(422, "invalid_image", error.message);
+        }
+      },
+      loadFonts: createFontLoader(canvas.registerFont, {
+        formats: canvas.fontFormats
+      })
+    });
+
+    if (SIGNER) {
+      await SIGNER.sign(model);
+    } else {
+      await signSealUsingRNG(model);
+    }
+
+    await renderer.loadCanvasFonts();
+    const CARD = { front: await renderer.generateCardFront(model) };
+    if (BACK) {
+      CARD.back = await renderer.generateCardBack(model);
+    }
+
+    const OUTPUT = {
+      type: typeName,
+      number: model.number,
+      machineReadableZone: [model.mrzLine1, model.mrzLine2, model.mrzLine3]
+        .filter((line) => line !== undefined),
+      signedSeal: toBase45(model.signedSeal),
+      randomSignature: !SIGNER
+    };
+    if (FORMAT === "pdf") {
+      const PDF = await exportPDF([CARD], {
+        cutCardArea: TYPE.renderer.cutCardArea
+      });
+      OUTPUT.pdf = "data:application/pdf;base64," +
+          Buffer.from(PDF).toString("base64");
+    } else {
+      OUTPUT.images = { front: CARD.front.toDataURL("image/png") };
+      if (CARD.back) {
+        OUTPUT.images.back = CARD.back.toDataURL("image/png");
+      }
+    }
+    return OUTPUT;
+  }
+
+  /**
+   * `POST /seals/verify`
+   * @param { string } seal
+   */
+  async function verifySeal(seal) {
+    const RESULT = await VERIFIER.verify(seal);
+    return {
+      status: RESULT.status,
+      valid: RESULT.valid,
+      message: RESULT.message,
+      seal: RESULT.seal ? describeSeal(RESULT.seal.signedSeal) : null,
+      certificate: RESULT.certificate ? {
+        identifierCode: RESULT.certificate.identifierCode,
+        certReference: RESULT.certificate.certReference,
+        subject: RESULT.certificate.subject,
+        issuer: RESULT.certificate.issuer,
+        notBefore: RESULT.certificate.notBefore?.toISOString() ?? null,
+        notAfter: RESULT.certificate.notAfter?.toISOString() ?? null
+      } : null
+    };
+  }
+}
+
+/**
+ * Send a JSON response.
+ * @param { import("node:http").ServerResponse } response
+ * @param { number } status
+ * @param { Object } body
+ */
+function sendJSON(response, status, body) {
+  const JSON_BODY = JSON.stringify(body);
+  response.writeHead(status, {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(JSON_BODY)
+  });
+  response.end(JSON_BODY);
+}
+
+/**
+ * Send an error response. Errors other than `HTTPError`s are internal errors
+ *     whose messages are logged instead of sent.
+ * @param { import("node:http").ServerResponse } response
+ * @param { Error } error
+ */
+function sendError(response, error) {
+  let httpError = error;
+  if (!(error instanceof HTTPError)) {
+    console.error(error);
+    httpError = new HTTPError(
+      500,
+      "internal_error",
+      "The request could not be completed."
+    );
+  }
+  if (response.headersSent) {
+    response.destroy();
+    return;
+  }
+  sendJSON(response, httpError.status, {
+    error: {
+      status: httpError.status,
+      code: httpError.code,
+      message: httpError.message,
+      ...(httpError.details ? { details: httpError.details } : {})
+    }
+  });
+}
@@ -0,0 +1,128 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Validate a value against a JSON Schema, returning every error found.
+ *
+ * Only the keywords the issuance server's request schemas use are supported:
+ *     `type` (including "integer"), `enum`, `properties`, `required`,
+ *     `additionalProperties`, `items`, `minItems`, `maxItems`, `minLength`,
+ *     `maxLength`, `pattern`, `minimum`, and `maximum`.
+ * @param { any } value
+ * @param { Object } schema
+ * @param { string } [path] - The JSON Pointer of `value`, used in errors.
+ * @returns { { path: string, message: string }[] }
+ * @example
+ * // Returns [{ path: "/seal", message: "Value must be of type 'string'." }]
+ * validateJSONSchema({ seal: 5 }, {
+ *   type: "object",
+ *   properties: { seal: { type: "string" } }
+ * });
+ */
+export function validateJSONSchema(value, schema, path = "") {
+  const errors = [];
+  const error = (message) => errors.push({ path: path, message: message });
+
+  if (schema.type !== undefined) {
+    const TYPES = [schema.type].flat();
+    if (!TYPES.some((type) => isOfType(value, type))) {
+      error(`Value must be of type '${TYPES.join("' or '")}'.`);
+      return errors;
+    }
+  }
+  if (schema.enum !== undefined && !schema.enum.includes(value)) {
+    error(
+      `Value must be one of: ` +
+          `${schema.enum.map((item) => JSON.stringify(item)).join(", ")}.`
+    );
+  }
+
+  if (typeof value === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      error(`Value must be at least ${schema.minLength} character(s) long.`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      error(`Value must be at most ${schema.maxLength} character(s) long.`);
+    }
+    if (schema.pattern !== undefined &&
+        !new RegExp(schema.pattern, "u").test(value)) {
+      error(`Value must match the pattern '${schema.pattern}'.`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      error(`Value must be at least ${schema.minimum}.`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      error(`Value must be at most ${schema.maximum}.`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      error(`Value must have at least ${schema.minItems} item(s).`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      error(`Value must have at most ${schema.maxItems} item(s).`);
+    }
+    if (schema.items !== undefined) {
+      value.forEach((item, i) => {
+        errors.push(...validateJSONSchema(item, schema.items, `${path}/${i}`));
+      });
+    }
+  }
+
+  if (isOfType(value, "object")) {
+    for (const PROPERTY of schema.required ?? []) {
+      if (!Object.hasOwn(value, PROPERTY)) {
+        error(`Property '${PROPERTY}' is required.`);
+      }
+    }
+    for (const [PROPERTY, PROPERTY_VALUE] of Object.entries(value)) {
+      const PROPERTY_PATH = `${path}/${escapePointer(PROPERTY)}`;
+      if (schema.properties && Object.hasOwn(schema.properties, PROPERTY)) {
+        errors.push(...validateJSONSchema(
+          PROPERTY_VALUE, schema.properties[PROPERTY], PROPERTY_PATH
+        ));
+      } else if (schema.additionalProperties === false) {
+        errors.push({
+          path: PROPERTY_PATH,
+          message: `Property '${PROPERTY}' is not allowed.`
+        });
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateJSONSchema(
+          PROPERTY_VALUE, schema.additionalProperties, PROPERTY_PATH
+        ));
+      }
+    }
+  }
+  return errors;
+}
+
+function isOfType(value, type) {
+  switch (type) {
+    case "null":
+      return value === null;
+    case "boolean":
+      return typeof value === "boolean";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "integer":
+      return Number.isInteger(value);
+    case "string":
+      return typeof value === "string";
+    case "array":
+      return Array.isArray(value);
+    case "object":
+      return value !== null && typeof value === "object" &&
+          !Array.isArray(value);
+    default:
+      throw new RangeError(`JSON Schema type '${type}' is not supported.`);
+  }
+}
+
+// Escape a property name for a JSON Pointer (RFC 6901).
+function escapePointer(property) {
+  return property.replace(/~/g, "~0").replace(/\//g, "~1");
+}
@@ -0,0 +1,96 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { dateToCalendarDate } from "../icao9303/utilities/date-to-calendar-date.js";
+import { normalizeFullName } from "../icao9303/utilities/normalize-full-name.js";
+
+/**
+ * Compare a visa to the passport of its holder and list every way they do not
+ *     match, like a visa issued with a mistyped passport number or a visa
+ *     valid for longer than the passport it is affixed to.
+ *
+ * The passport number, nationality, date of birth, and gender marker must be
+ *     the same on both documents. Names are compared as they would be written
+ *     in a Machine-Readable Zone (MRZ), so differences in case, accents, or
+ *     punctuation are not mismatches. The visa must also become valid and
+ *     expire no later than the passport expires.
+ * @param { EventsMRVA | EventsMRVB } visa
+ * @param { EventsPassport } passport
+ * @returns { { property: string, visa: string, passport: string,
+ *     message: string }[] } Each mismatch, with the visa's `property` and the
+ *     values compared. An empty array means the documents match.
+ * @example
+ * // Returns [{
+ * //   property: "passportNumber",
+ * //   visa: "D23145890",
+ * //   passport: "D23145891",
+ * //   message: "The passport number on the visa ('D23145890') does not " +
+ * //       "match the passport ('D23145891')."
+ * // }]
+ * compareVisaToPassport(
+ *   new EventsMRVB({ passportNumber: "D23145890" }),
+ *   new EventsPassport({ number: "D23145891" })
+ * );
+ */
+export function compareVisaToPassport(visa, passport) {
+  const MISMATCHES = [];
+  const compare = (property, visaValue, passportValue, description) => {
+    if (visaValue !== passportValue) {
+      MISMATCHES.push({
+        property: property,
+        visa: visaValue,
+        passport: passportValue,
+        message: `The ${description} on the visa ('${visaValue}') does not ` +
+            `match the passport ('${passportValue}').`
+      });
+    }
+  };
+
+  compare(
+    "passportNumber",
+    visa.passportNumber.toUpperCase(),
+    passport.number,
+    "passport number"
+  );
+  compare(
+    "nationalityCode",
+    visa.nationalityCode,
+    passport.nationalityCode,
+    "nationality"
+  );
+  compare(
+    "birthDate",
+    dateToCalendarDate(visa.birthDate),
+    dateToCalendarDate(passport.birthDate),
+    "date of birth"
+  );
+  compare(
+    "genderMarker",
+    visa.genderMarker,
+    passport.genderMarker,
+    "gender marker"
+  );
+  compare(
+    "fullName",
+    normalizeFullName(visa.fullName),
+    normalizeFullName(passport.fullName),
+    "name"
+  );
+
+  const EXPIRATION_DATE = dateToCalendarDate(passport.expirationDate);
+  [
+    ["validFrom", "becomes valid on", visa.validFrom],
+    ["validThru", "expires on", visa.validThru]
+  ].forEach(([property, description, date]) => {
+    if (date > passport.expirationDate) {
+      MISMATCHES.push({
+        property: property,
+        visa: dateToCalendarDate(date),
+        passport: EXPIRATION_DATE,
+        message: `The visa ${description} '${dateToCalendarDate(date)}', ` +
+            `after the passport expires on '${EXPIRATION_DATE}'.`
+      });
+    }
+  });
+  return MISMATCHES;
+}
@@ -0,0 +1,21 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * The default canvas factory used by the renderers. Returns an
+ *     `OffscreenCanvas` when available, or else sizes and returns the fallback
+ *     canvas (or a new `HTMLCanvasElement` if no fallback is given).
+ * @param { number } width
+ * @param { number } height
+ * @param { HTMLCanvasElement } [fallback]
+ * @returns { OffscreenCanvas | HTMLCanvasElement }
+ */
+export function createCanvas(width, height, fallback) {
+  if (typeof OffscreenCanvas !== "undefined") {
+    return new OffscreenCanvas(width, height);
+  }
+  const canvas = fallback ?? document.createElement("canvas");
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+}
@@ -0,0 +1,30 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { SEAL_DECODERS } from "./seal-decoders.js";
+import { readDigitalSeal } from "../icao9303/utilities/read-digital-seal.js";
+
+/**
+ * Turn a scanned visible digital seal (VDS) back into the document model for
+ *     its document type category, like a `CrewID` for 0x08 or an `EventsMRVA`
+ *     or `EventsMRVB` for 0x0A.
+ * @param { number[] | Uint8Array | string } value - The signed seal as a byte
+ *     array, or as the base-45 string stored in a barcode.
+ * @param { Map<number, function(DigitalSealV3 | DigitalSealV4): Object> }
+ *     [decoders] - The decoders keyed by document type category. Defaults to
+ *     `SEAL_DECODERS`.
+ * @example
+ * // Returns a CrewID equal to the one that was encoded
+ * decodeSeal(new CrewID().signedSeal);
+ */
+export function decodeSeal(value, decoders = SEAL_DECODERS) {
+  const SEAL = readDigitalSeal(value);
+  const DECODER = decoders.get(SEAL.typeCategory);
+  if (!DECODER) {
+    throw new RangeError(
+      `Document type category '${SEAL.typeCategory.toString(16)
+          .padStart(2, "0").toUpperCase()}' has no registered decoder.`
+    );
+  }
+  return DECODER(SEAL);
+}
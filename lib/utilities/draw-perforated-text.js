@@ -0,0 +1,91 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// A 5x7 dot matrix font of the characters used in Machine-Readable Zones. Each
+// number is a row of dots from top to bottom, with the leftmost dot as 0x10.
+const GLYPHS = Object.freeze({
+  "0": [0x0E, 0x11, 0x13, 0x15, 0x19, 0x11, 0x0E],
+  "1": [0x04, 0x0C, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  "2": [0x0E, 0x11, 0x01, 0x02, 0x04, 0x08, 0x1F],
+  "3": [0x1F, 0x02, 0x04, 0x02, 0x01, 0x11, 0x0E],
+  "4": [0x02, 0x06, 0x0A, 0x12, 0x1F, 0x02, 0x02],
+  "5": [0x1F, 0x10, 0x1E, 0x01, 0x01, 0x11, 0x0E],
+  "6": [0x06, 0x08, 0x10, 0x1E, 0x11, 0x11, 0x0E],
+  "7": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x08, 0x08],
+  "8": [0x0E, 0x11, 0x11, 0x0E, 0x11, 0x11, 0x0E],
+  "9": [0x0E, 0x11, 0x11, 0x0F, 0x01, 0x02, 0x0C],
+  "A": [0x0E, 0x11, 0x11, 0x11, 0x1F, 0x11, 0x11],
+  "B": [0x1E, 0x11, 0x11, 0x1E, 0x11, 0x11, 0x1E],
+  "C": [0x0E, 0x11, 0x10, 0x10, 0x10, 0x11, 0x0E],
+  "D": [0x1C, 0x12, 0x11, 0x11, 0x11, 0x12, 0x1C],
+  "E": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x1F],
+  "F": [0x1F, 0x10, 0x10, 0x1E, 0x10, 0x10, 0x10],
+  "G": [0x0E, 0x11, 0x10, 0x17, 0x11, 0x11, 0x0F],
+  "H": [0x11, 0x11, 0x11, 0x1F, 0x11, 0x11, 0x11],
+  "I": [0x0E, 0x04, 0x04, 0x04, 0x04, 0x04, 0x0E],
+  "J": [0x07, 0x02, 0x02, 0x02, 0x02, 0x12, 0x0C],
+  "K": [0x11, 0x12, 0x14, 0x18, 0x14, 0x12, 0x11],
+  "L": [0x10, 0x10, 0x10, 0x10, 0x10, 0x10, 0x1F],
+  "M": [0x11, 0x1B, 0x15, 0x15, 0x11, 0x11, 0x11],
+  "N": [0x11, 0x11, 0x19, 0x15, 0x13, 0x11, 0x11],
+  "O": [0x0E, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  "P": [0x1E, 0x11, 0x11, 0x1E, 0x10, 0x10, 0x10],
+  "Q": [0x0E, 0x11, 0x11, 0x11, 0x15, 0x12, 0x0D],
+  "R": [0x1E, 0x11, 0x11, 0x1E, 0x14, 0x12, 0x11],
+  "S": [0x0F, 0x10, 0x10, 0x0E, 0x01, 0x01, 0x1E],
+  "T": [0x1F, 0x04, 0x04, 0x04, 0x04, 0x04, 0x04],
+  "U": [0x11, 0x11, 0x11, 0x11, 0x11, 0x11, 0x0E],
+  "V": [0x11, 0x11, 0x11, 0x11, 0x11, 0x0A, 0x04],
+  "W": [0x11, 0x11, 0x11, 0x15, 0x15, 0x15, 0x0A],
+  "X": [0x11, 0x11, 0x0A, 0x04, 0x0A, 0x11, 0x11],
+  "Y": [0x11, 0x11, 0x11, 0x0A, 0x04, 0x04, 0x04],
+  "Z": [0x1F, 0x01, 0x02, 0x04, 0x08, 0x10, 0x1F],
+  "<": [0x02, 0x04, 0x08, 0x10, 0x08, 0x04, 0x02],
+  " ": [0x00, 0x00, 0x00, 0x00, 0x00, 0x00, 0x00]
+});
+
+/**
+ * Draw text as rows of round holes, like the laser-perforated document number
+ *     running through the pages of a passport booklet, using the context's
+ *     `fillStyle` for the holes.
+ *
+ * Each character is 5 dots wide and 7 dots tall and is followed by a space of
+ *     1 dot, so a string of `n` characters is `(6 * n - 1) * pitch` pixels wide
+ *     and `7 * pitch` pixels tall.
+ * @param { CanvasRenderingContext2D } ctx
+ * @param { string } text - A string consisting of the characters A-Z, 0-9,
+ *     ' ', or <.
+ * @param { number } x - The left edge of the text.
+ * @param { number } y - The top edge of the text.
+ * @param { number } pitch - The distance in pixels between two dots.
+ */
+export function drawPerforatedText(ctx, text, x, y, pitch) {
+  const GLYPH_ROWS = [...text.toUpperCase()].map((character) => {
+    if (!GLYPHS[character]) {
+      throw new RangeError(
+        `Character '${character}' cannot be drawn as perforated text.`
+      );
+    }
+    return GLYPHS[character];
+  });
+  ctx.save();
+  // A line of almost no length with round caps draws a round dot.
+  ctx.strokeStyle = ctx.fillStyle;
+  ctx.lineWidth = pitch * 0.6;
+  ctx.lineCap = "round";
+  ctx.beginPath();
+  GLYPH_ROWS.forEach((rows, i) => {
+    rows.forEach((row, j) => {
+      for (let k = 0; k < 5; k += 1) {
+        if (row & (0x10 >> k)) {
+          const DOT_X = x + (i * 6 + k + 0.5) * pitch;
+          const DOT_Y = y + (j + 0.5) * pitch;
+          ctx.moveTo(DOT_X, DOT_Y);
+          ctx.lineTo(DOT_X + 0.01, DOT_Y);
+        }
+      }
+    });
+  });
+  ctx.stroke();
+  ctx.restore();
+}
@@ -0,0 +1,195 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { writePDF } from "./write-pdf.js";
+
+// Renderers draw at 300 dots per inch, and PDFs measure in points.
+const POINTS_PER_PIXEL = 72 / 300;
+
+// Paper sizes in 300-dpi pixels: [width, height].
+const PAPER_SIZES = Object.freeze({
+  letter: [2550, 3300],
+  a4: [210 / 25.4 * 300, 297 / 25.4 * 300]
+});
+
+// Crop marks start 1 mm outside the bleed and are 1/4 inch long. Sheets keep a
+// 1/4-inch margin outside the crop marks for printers that cannot print to the
+// edge.
+const CROP_MARK_OFFSET = 12;
+const CROP_MARK_LENGTH = 75;
+const PRINTER_MARGIN = 75;
+
+/**
+ * Export rendered documents to a print-ready PDF at their physical size, with
+ *     crop marks outside the bleed.
+ *
+ * Each document is placed as rendered, including its bleed; the bleed is the
+ *     difference between the size of the front canvas and `opt.cutCardArea`.
+ *     With a `paperSize` of "card", each side is placed on a page of its own.
+ *     With "letter", "a4", or a custom size, as many documents as fit are
+ *     imposed in a grid on each sheet. The backs are placed on the page after
+ *     their fronts, positioned so that they line up with their fronts when
+ *     the sheet is printed on both sides.
+ * @param { { front: HTMLCanvasElement | OffscreenCanvas,
+ *     back?: HTMLCanvasElement | OffscreenCanvas }[] } cards - Canvases from
+ *     a renderer's `generateCardFront()` and `generateCardBack()`. All
+ *     canvases must be the same size.
+ * @param { Object } opt - An options object.
+ * @param { number[] } opt.cutCardArea - The size of each document after it is
+ *     cut, like `CrewIDRenderer.cutCardArea`: [width, height].
+ * @param { "card" | "letter" | "a4" | number[] } [opt.paperSize] - The page
+ *     size, or a custom page size in 300-dpi pixels: [width, height]. Defaults
+ *     to "card".
+ * @param { "long-edge" | "short-edge" } [opt.duplex] - How sheets are flipped
+ *     when printing on both sides. Defaults to "long-edge".
+ * @param { boolean } [opt.cropMarks] - Whether to draw crop marks. Defaults to
+ *     `true`.
+ * @returns { Promise<Uint8Array> }
+ * @example
+ * // Returns a Letter-sized PDF of 6 CrewIDs (3 by 2) per side
+ * await exportPDF(documents, {
+ *   cutCardArea: CrewIDRenderer.cutCardArea,
+ *   paperSize: "letter"
+ * });
+ */
+export async function exportPDF(cards, opt) {
+  if (cards.length === 0) {
+    throw new RangeError("At least one card is needed to export a PDF.");
+  }
+  const PAPER_SIZE = opt.paperSize ?? "card";
+  const DUPLEX = opt.duplex ?? "long-edge";
+  const CROP_MARKS = opt.cropMarks ?? true;
+  if (!["long-edge", "short-edge"].includes(DUPLEX)) {
+    throw new RangeError(
+      `Duplex '${DUPLEX}' must be "long-edge" or "short-edge".`
+    );
+  }
+  const CARD_AREA = [cards[0].front.width, cards[0].front.height];
+  for (const card of cards) {
+    for (const canvas of [card.front, card.back ?? card.front]) {
+      if (canvas.width !== CARD_AREA[0] || canvas.height !== CARD_AREA[1]) {
+        throw new RangeError(
+          `Canvas size '${canvas.width}x${canvas.height}' does not match ` +
+              `the size of the first card (${CARD_AREA[0]}x${CARD_AREA[1]}).`
+        );
+      }
+    }
+  }
+  const BLEED = [
+    (CARD_AREA[0] - opt.cutCardArea[0]) / 2,
+    (CARD_AREA[1] - opt.cutCardArea[1]) / 2
+  ];
+  const MARGIN = CROP_MARK_OFFSET + CROP_MARK_LENGTH;
+
+  let sheetArea;
+  let margin;
+  if (PAPER_SIZE === "card") {
+    sheetArea = [CARD_AREA[0] + 2 * MARGIN, CARD_AREA[1] + 2 * MARGIN];
+    margin = MARGIN;
+  } else {
+    sheetArea = Array.isArray(PAPER_SIZE) ?
+        PAPER_SIZE : PAPER_SIZES[PAPER_SIZE];
+    margin = PRINTER_MARGIN + MARGIN;
+    if (!sheetArea) {
+      throw new RangeError(
+        `Paper size '${PAPER_SIZE}' must be "card", "letter", "a4", or an ` +
+            `array of a width and height.`
+      );
+    }
+  }
+  const COLUMNS = Math.floor((sheetArea[0] - 2 * margin) / CARD_AREA[0]);
+  const ROWS = Math.floor((sheetArea[1] - 2 * margin) / CARD_AREA[1]);
+  if (COLUMNS < 1 || ROWS < 1) {
+    throw new RangeError(
+      `Card size '${CARD_AREA[0]}x${CARD_AREA[1]}' does not fit on a sheet ` +
+          `of size '${Math.round(sheetArea[0])}x${Math.round(sheetArea[1])}' ` +
+          "with crop marks."
+    );
+  }
+  // Center the grid of cards on the sheet.
+  const GRID = [
+    (sheetArea[0] - COLUMNS * CARD_AREA[0]) / 2,
+    (sheetArea[1] - ROWS * CARD_AREA[1]) / 2
+  ];
+
+  // Place crop marks in line with every cut, outside the grid.
+  const MARKS = [];
+  if (CROP_MARKS) {
+    const GRID_END = [
+      GRID[0] + COLUMNS * CARD_AREA[0],
+      GRID[1] + ROWS * CARD_AREA[1]
+    ];
+    for (let column = 0; column < COLUMNS; column += 1) {
+      const LEFT = GRID[0] + column * CARD_AREA[0] + BLEED[0];
+      for (const x of [LEFT, LEFT + opt.cutCardArea[0]]) {
+        MARKS.push(
+          [x, GRID[1] - MARGIN, x, GRID[1] - CROP_MARK_OFFSET],
+          [x, GRID_END[1] + CROP_MARK_OFFSET, x, GRID_END[1] + MARGIN]
+        );
+      }
+    }
+    for (let row = 0; row < ROWS; row += 1) {
+      const TOP = GRID[1] + row * CARD_AREA[1] + BLEED[1];
+      for (const y of [TOP, TOP + opt.cutCardArea[1]]) {
+        MARKS.push(
+          [GRID[0] - MARGIN, y, GRID[0] - CROP_MARK_OFFSET, y],
+          [GRID_END[0] + CROP_MARK_OFFSET, y, GRID_END[0] + MARGIN, y]
+        );
+      }
+    }
+  }
+
+  const PAGES = [];
+  const PER_SHEET = COLUMNS * ROWS;
+  for (let i = 0; i < cards.length; i += PER_SHEET) {
+    const SHEET = cards.slice(i, i + PER_SHEET);
+    const FRONT = sheet(sheetArea, MARKS);
+    const BACK = sheet(sheetArea, MARKS.map(([x1, y1, x2, y2]) => {
+      return DUPLEX === "long-edge" ?
+          [sheetArea[0] - x1, y1, sheetArea[0] - x2, y2] :
+          [x1, sheetArea[1] - y1, x2, sheetArea[1] - y2];
+    }));
+    SHEET.forEach((card, j) => {
+      const X = GRID[0] + (j % COLUMNS) * CARD_AREA[0];
+      const Y = GRID[1] + Math.floor(j / COLUMNS) * CARD_AREA[1];
+      FRONT.images.push(place(card.front, X, Y, CARD_AREA, 0));
+      if (!card.back) {
+        return;
+      }
+      // A long-edge flip mirrors the sheet from left to right. A short-edge
+      // flip mirrors it from top to bottom, which turns the back upside down
+      // compared to a card flipped from left to right.
+      BACK.images.push(DUPLEX === "long-edge" ?
+          place(card.back, sheetArea[0] - X - CARD_AREA[0], Y, CARD_AREA, 0) :
+          place(card.back, X, sheetArea[1] - Y - CARD_AREA[1], CARD_AREA, 180));
+    });
+    PAGES.push(FRONT);
+    if (BACK.images.length > 0) {
+      PAGES.push(BACK);
+    }
+  }
+  return writePDF(PAGES);
+}
+
+function sheet(area, marks) {
+  return {
+    width: area[0] * POINTS_PER_PIXEL,
+    height: area[1] * POINTS_PER_PIXEL,
+    images: [],
+    lines: marks.map((mark) => {
+      const [X1, Y1, X2, Y2] = mark.map((value) => value * POINTS_PER_PIXEL);
+      return { x1: X1, y1: Y1, x2: X2, y2: Y2 };
+    })
+  };
+}
+
+function place(canvas, x, y, area, rotation) {
+  return {
+    canvas: canvas,
+    x: x * POINTS_PER_PIXEL,
+    y: y * POINTS_PER_PIXEL,
+    width: area[0] * POINTS_PER_PIXEL,
+    height: area[1] * POINTS_PER_PIXEL,
+    rotation: rotation
+  };
+}
@@ -0,0 +1,41 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { createCanvas } from "./create-canvas.js";
+import { loadFileFromUpload } from "./load-file-from-upload.js";
+
+/**
+ * Return a Data URL of an image, so it can be saved inside a project file.
+ *     Data URLs and `null` are returned as-is, paths/URLs are downloaded, and
+ *     image objects are drawn on a canvas and encoded as PNG.
+ * @param { string | HTMLImageElement | SVGImageElement | HTMLVideoElement |
+ *     HTMLCanvasElement | ImageBitmap | OffscreenCanvas | VideoFrame |
+ *     null } image
+ * @returns { Promise<string | null> }
+ */
+export async function imageToDataURL(image) {
+  if (image === null || image === undefined) {
+    return null;
+  }
+  if (typeof image === "string") {
+    if (image.startsWith("data:")) {
+      return image;
+    }
+    const RESPONSE = await fetch(image);
+    return loadFileFromUpload(await RESPONSE.blob());
+  }
+  if (typeof image.src === "string" && image.src !== "") {
+    return imageToDataURL(image.src);
+  }
+  const canvas = createCanvas(
+    image.displayWidth ?? image.width,
+    image.displayHeight ?? image.height
+  );
+  canvas.getContext("2d").drawImage(image, 0, 0);
+  let blob;
+  if (typeof canvas.convertToBlob === "function") {
+    blob = await canvas.convertToBlob();
+  }
+  else { blob = await new Promise(resolve => canvas.toBlob(resolve)); }
+  return loadFileFromUpload(blob);
+}
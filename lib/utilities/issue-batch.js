@@ -0,0 +1,75 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { signSealUsingRNG } from "./sign-seal-using-rng.js";
+import { validateRoster } from "./validate-roster.js";
+
+/**
+ * Issue a batch of documents from a roster: validate every row, then sign and
+ *     render each document.
+ *
+ * Every row is checked with `validateRoster()` before anything is issued, so
+ *     every error in every row is reported at once. If any row has errors, no
+ *     documents are issued.
+ *
+ * Photos and other images are given as paths/URLs and are loaded by the
+ *     renderer's `loadImage`. The renderer's fonts are loaded once with
+ *     `loadCanvasFonts()` before the first document is rendered.
+ *
+ * Each document is passed to `onDocument` as soon as it is rendered, and its
+ *     canvases are not kept afterwards, so large rosters can be written out
+ *     one document at a time.
+ * @param { Object<string, any>[] } rows - Options objects for the model's
+ *     constructor, like those returned by `parseRoster()`.
+ * @param { Object } opt - An options object.
+ * @param { function(new: Object) } opt.model - The document model's class,
+ *     like `CrewID` or `EventsMRVB`.
+ * @param { Object } opt.renderer - A renderer for the document model, like a
+ *     `CrewIDRenderer`.
+ * @param { (document: { row: number, model: Object,
+ *     front: OffscreenCanvas | HTMLCanvasElement,
+ *     back: OffscreenCanvas | HTMLCanvasElement | null }) => any }
+ *     opt.onDocument - Called with each rendered document, in roster order.
+ *     The next document is rendered once a returned promise resolves.
+ * @param { DigitalSealSigner } [opt.signer] - The signer of each document's
+ *     visible digital seal (VDS). Seals are "signed" with random numbers if no
+ *     signer is given.
+ * @returns { Promise<{ valid: boolean,
+ *     errors: { row: number, property: string | null, message: string }[],
+ *     manifest: { row: number, number: string, fullName: string,
+ *     machineReadableZone: string }[] }> } Rows are numbered from 1.
+ */
+export async function issueBatch(rows, opt) {
+  const output = {
+    valid: false,
+    errors: [],
+    manifest: []
+  };
+
+  const VALIDATION = validateRoster(rows, opt.model);
+  if (!VALIDATION.valid) {
+    output.errors = VALIDATION.errors;
+    return output;
+  }
+
+  await opt.renderer.loadCanvasFonts();
+  for (const [i, model] of VALIDATION.models.entries()) {
+    if (opt.signer) { await opt.signer.sign(model); }
+    else { await signSealUsingRNG(model); }
+    await opt.onDocument({
+      row: i + 1,
+      model: model,
+      front: await opt.renderer.generateCardFront(model),
+      back: opt.renderer.generateCardBack ?
+          await opt.renderer.generateCardBack(model) : null
+    });
+    output.manifest.push({
+      row: i + 1,
+      number: model.number,
+      fullName: model.fullName,
+      machineReadableZone: model.machineReadableZone
+    });
+  }
+  output.valid = true;
+  return output;
+}
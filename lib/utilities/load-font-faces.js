@@ -0,0 +1,31 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+// The `FontFace` objects already created for each font face description.
+const FONT_FACES = new WeakMap();
+
+/**
+ * The default font loader used by the renderers. Adds a `FontFace` for each
+ *     font face description to a `FontFaceSet` and waits for them to load.
+ * @param { { family: string, files: { url: string, format?: string }[],
+ *     descriptors?: Object }[] } faces - The font faces used by a renderer.
+ * @param { FontFaceSet } fonts - A `FontFaceSet`, like the one available from
+ *     `window.document`.
+ */
+export async function loadFontFaces(faces, fonts) {
+  await Promise.all(faces.map((face) => {
+    if (!FONT_FACES.has(face)) {
+      FONT_FACES.set(face, new FontFace(
+        face.family,
+        face.files.map((file) => {
+          return `url('${file.url}')` +
+              (file.format ? ` format('${file.format}')` : "");
+        }).join(","),
+        face.descriptors ?? {}
+      ));
+    }
+    const FONT_FACE = FONT_FACES.get(face);
+    fonts.add(FONT_FACE);
+    return FONT_FACE.load();
+  }));
+}
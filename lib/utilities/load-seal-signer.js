@@ -0,0 +1,32 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { DigitalSealCertificate } from "../icao9303/digitalsealcertificate.js";
+import { DigitalSealSigner } from "../icao9303/digitalsealsigner.js";
+import { pemToBytes } from "../icao9303/utilities/pem-to-bytes.js";
+
+/**
+ * Create a `DigitalSealSigner` from uploaded files of a PKCS #8 private key
+ *     and the barcode signer certificate issued for it, so that seals are
+ *     signed with the identifier code and certificate reference of the key's
+ *     certificate.
+ * @param { Blob } keyFile - A PEM or DER-encoded PKCS #8 ECDSA private key.
+ * @param { Blob } certificateFile - A PEM or DER-encoded X.509 certificate
+ *     whose public key matches the private key.
+ * @returns { Promise<DigitalSealSigner> }
+ */
+export async function loadSealSigner(keyFile, certificateFile) {
+  const CERTIFICATE = await DigitalSealCertificate.fromDER(
+    await readPEMOrDER(certificateFile, "CERTIFICATE")
+  );
+  return await DigitalSealSigner.fromPKCS8(
+    await readPEMOrDER(keyFile, "PRIVATE KEY"),
+    { certificate: CERTIFICATE }
+  );
+}
+
+async function readPEMOrDER(file, label) {
+  const BYTES = new Uint8Array(await file.arrayBuffer());
+  const TEXT = new TextDecoder().decode(BYTES);
+  return TEXT.includes("-----BEGIN") ? pemToBytes(TEXT, label) : BYTES;
+}
@@ -0,0 +1,94 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Read a roster of documents to issue from JSON or CSV text. Each row is an
+ *     options object for a document model's constructor, like `CrewID` or
+ *     `EventsMRVB`.
+ *
+ * JSON rosters are an array of objects. CSV rosters have a header row naming
+ *     the model property of each column; fields may be quoted with '"' and a
+ *     quoted '"' is written as '""'. Empty CSV fields are left out of their row
+ *     so that the model's default is used, and fields starting with '[' are
+ *     read as JSON arrays (like a `durationOfStay` of `[15, 0, 0]`).
+ * @param { string } text - The JSON or CSV roster.
+ * @returns { Object<string, any>[] }
+ * @example
+ * // Returns [{ number: "C01X00T47", fullName: "Eriksson, Anna-Maria" }]
+ * parseRoster("number,fullName\nC01X00T47,\"Eriksson, Anna-Maria\"");
+ */
+export function parseRoster(text) {
+  if (/^\s*\[/.test(text)) {
+    const ROWS = JSON.parse(text);
+    ROWS.forEach((row, i) => {
+      if (row === null || typeof row !== "object" || Array.isArray(row)) {
+        throw new TypeError(`Row ${i + 1} of the roster is not an object.`);
+      }
+    });
+    return ROWS;
+  }
+
+  const RECORDS = readCSV(text);
+  if (RECORDS.length === 0) {
+    return [];
+  }
+  const HEADER = RECORDS[0].map((name) => name.trim());
+  return RECORDS.slice(1).map((record, i) => {
+    if (record.length !== HEADER.length) {
+      throw new RangeError(
+        `Row ${i + 1} of the roster has ${record.length} fields but the ` +
+            `header has ${HEADER.length}.`
+      );
+    }
+    const ROW = {};
+    record.forEach((field, j) => {
+      if (field === "") {
+        return;
+      }
+      ROW[HEADER[j]] = field.startsWith("[") ? JSON.parse(field) : field;
+    });
+    return ROW;
+  });
+}
+
+function readCSV(text) {
+  const RECORDS = [];
+  let record = [];
+  let field = "";
+  let isQuoted = false;
+  for (let i = 0; i < text.length; i += 1) {
+    const CHARACTER = text[i];
+    if (isQuoted) {
+      if (CHARACTER === "\"" && text[i + 1] === "\"") {
+        field += "\"";
+        i += 1;
+      } else if (CHARACTER === "\"") {
+        isQuoted = false;
+      } else {
+        field += CHARACTER;
+      }
+    } else if (CHARACTER === "\"") {
+      isQuoted = true;
+    } else if (CHARACTER === ",") {
+      record.push(field);
+      field = "";
+    } else if (CHARACTER === "\n" || CHARACTER === "\r") {
+      if (CHARACTER === "\r" && text[i + 1] === "\n") {
+        i += 1;
+      }
+      record.push(field);
+      RECORDS.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += CHARACTER;
+    }
+  }
+  if (isQuoted) {
+    throw new SyntaxError("Roster has a quoted field that is not closed.");
+  }
+  record.push(field);
+  RECORDS.push(record);
+  // Blank lines, including a trailing line break, are not rows.
+  return RECORDS.filter((fields) => fields.length > 1 || fields[0] !== "");
+}
@@ -0,0 +1,39 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * The version of the project files written by the generator pages' "Export
+ *     Project" button.
+ * @readonly
+ */
+export const PROJECT_VERSION = 1;
+
+/**
+ * Check that parsed JSON is a project file for a type of document which this
+ *     version of the generators can read, and return it.
+ * @param { Object } project - A parsed project file.
+ * @param { string } type - The name of the composed class the project must be
+ *     for, like 'CrewID'.
+ * @returns { { format: "alfa-id-project", version: number, type: string,
+ *     model: Object, renderer?: Object } }
+ */
+export function readProject(project, type) {
+  if (project?.format !== "alfa-id-project") {
+    throw new TypeError("File is not a project file.");
+  }
+  if (project.type !== type) {
+    throw new TypeError(
+      `Project file is for '${project.type}' documents, not '${type}'.`
+    );
+  }
+  if (project.version !== PROJECT_VERSION) {
+    throw new RangeError(
+      `Project file version '${project.version}' is not supported; only ` +
+          `version ${PROJECT_VERSION} project files can be read.`
+    );
+  }
+  if (typeof project.model !== "object" || project.model === null) {
+    throw new TypeError("Project file has no document model (model).");
+  }
+  return project;
+}
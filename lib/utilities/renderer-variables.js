@@ -83,6 +83,59 @@ export const TD2_MRZ_LINE_LENGTH = 36;
  */
 export const TD3_MRZ_LINE_LENGTH = 44;
 
+/**
+ * Font face used for a rendered travel document's Machine-Readable Zone (MRZ).
+ * @readonly
+ */
+export const MRZ_FONT_FACE = Object.freeze({
+  family: "OCR-B",
+  files: [
+    { url: "/fonts/OCR-B-regular-web.woff2", format: "woff2" },
+    { url: "/fonts/OCR-B-regular-web.woff", format: "woff" }
+  ]
+});
+
+/**
+ * Font face used for a rendered travel document's Visual Inspection Zone
+ *     (VIZ).
+ * @readonly
+ */
+export const VIZ_FONT_FACE = Object.freeze({
+  family: "Open Sans",
+  files: [{ url: "/fonts/OpenSans-Variable.ttf" }]
+});
+
+/**
+ * Bold font face used for a rendered travel document's Visual Inspection Zone
+ *     (VIZ).
+ * @readonly
+ */
+export const VIZ_BOLD_FONT_FACE = Object.freeze({
+  family: "Open Sans",
+  files: [{ url: "/fonts/OpenSans-Variable.ttf" }],
+  descriptors: { weight: "bold" }
+});
+
+/**
+ * Italic font face used for a rendered travel document's Visual Inspection
+ *     Zone (VIZ).
+ * @readonly
+ */
+export const VIZ_ITALIC_FONT_FACE = Object.freeze({
+  family: "Open Sans",
+  files: [{ url: "/fonts/OpenSans-Italic-Variable.ttf" }],
+  descriptors: { style: "italic" }
+});
+
+/**
+ * Font face used to generate signatures from text.
+ * @readonly
+ */
+export const SIGNATURE_FONT_FACE = Object.freeze({
+  family: "Yellowtail",
+  files: [{ url: "/fonts/Yellowtail-Regular.woff", format: "woff" }]
+});
+
 /**
  * Default text for a rendered travel document's name header in English, French,
  *     and Spanish.
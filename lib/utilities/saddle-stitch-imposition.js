@@ -0,0 +1,39 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Order the pages of a booklet onto sheets for saddle-stitched printing, where
+ *     each sheet is printed with two pages side by side on both sides, the
+ *     sheets are nested inside each other, folded in half, and stapled along
+ *     the fold.
+ *
+ * Sheets are returned from the outermost (holding the first and last pages) to
+ *     the innermost. Each side lists the indexes of its left and right pages,
+ *     with the back laid out as seen after flipping the sheet from left to
+ *     right.
+ * @param { number } pageCount - The number of pages in the booklet, including
+ *     both sides of its cover. Must be a multiple of 4.
+ * @returns { { front: number[], back: number[] }[] }
+ * @example
+ * // Returns [
+ * //   { front: [7, 0], back: [1, 6] },
+ * //   { front: [5, 2], back: [3, 4] }
+ * // ]
+ * saddleStitchImposition(8);
+ */
+export function saddleStitchImposition(pageCount) {
+  if (!Number.isInteger(pageCount) || pageCount < 4 || pageCount % 4 !== 0) {
+    throw new RangeError(
+      `Page count '${pageCount}' must be a positive multiple of 4 for ` +
+          "saddle-stitched printing."
+    );
+  }
+  const SHEETS = [];
+  for (let i = 0; i < pageCount / 4; i += 1) {
+    SHEETS.push({
+      front: [pageCount - 1 - 2 * i, 2 * i],
+      back: [2 * i + 1, pageCount - 2 - 2 * i]
+    });
+  }
+  return SHEETS;
+}
@@ -0,0 +1,56 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { CrewCertificate } from "../crewcertificate.js";
+import { CrewID } from "../crewid.js";
+import { CrewLicense } from "../crewlicense.js";
+import { EventsID } from "../eventsid.js";
+import { EventsMRVA } from "../eventsmrva.js";
+import { EventsMRVB } from "../eventsmrvb.js";
+import { EventsPassport } from "../eventspassport.js";
+import { DigitalSealV3 } from "../icao9303/digitalsealv3.js";
+
+/**
+ * The decoders `decodeSeal()` uses to turn a visible digital seal (VDS) into a
+ *     document model, keyed by the document type category in the seal's
+ *     header zone.
+ *
+ * A decoder is given the seal read as a `DigitalSealV3` or `DigitalSealV4` and
+ *     returns the populated document model. Add an entry to decode other
+ *     document type categories:
+ * @example
+ * SEAL_DECODERS.set(0x0E, (seal) => {
+ *   return new MyDocument({ signedSeal: seal.signedSeal });
+ * });
+ * @type { Map<number, function(DigitalSealV3 | DigitalSealV4): Object> }
+ */
+export const SEAL_DECODERS = new Map([
+  [0x02, (seal) => new EventsPassport(sealOptions(seal))],
+  [0x04, (seal) => new CrewCertificate(sealOptions(seal))],
+  [0x06, (seal) => new CrewLicense(sealOptions(seal))],
+  [0x08, (seal) => new CrewID(sealOptions(seal))],
+  [0x0A, (seal) => {
+    // MRV-A visas store their MRZ in feature 0x01 and MRV-B visas in 0x02.
+    return seal.features.has(0x02) && !seal.features.has(0x01) ?
+        new EventsMRVB(sealOptions(seal)) :
+        new EventsMRVA(sealOptions(seal));
+  }],
+  [0x0C, (seal) => new EventsID(sealOptions(seal))]
+]);
+
+// The composed document classes use feature definition 0x01 and are given the
+// seal's version along with its bytes.
+function sealOptions(seal) {
+  if (seal.featureDefinition !== 0x01) {
+    throw new RangeError(
+      `Feature definition '${seal.featureDefinition.toString(16)
+          .padStart(2, "0").toUpperCase()}' is not supported for document ` +
+          `type category '${seal.typeCategory.toString(16).padStart(2, "0")
+          .toUpperCase()}'.`
+    );
+  }
+  return {
+    sealVersion: seal instanceof DigitalSealV3 ? 3 : 4,
+    signedSeal: seal.signedSeal
+  };
+}
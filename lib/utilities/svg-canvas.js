@@ -0,0 +1,564 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { createCanvas } from "./create-canvas.js";
+import { MRZ_FONT_FACE, SIGNATURE_FONT_FACE, VIZ_BOLD_FONT_FACE, VIZ_FONT_FACE, VIZ_ITALIC_FONT_FACE } from "./renderer-variables.js";
+
+// Renderers draw at 300 dots per inch.
+const DOTS_PER_INCH = 300;
+
+// Every SVG canvas shares one counter so that nested canvases have unique IDs.
+let nextID = 0;
+
+/**
+ * `SVGCanvas` is a canvas that records what is drawn on its 2D context as
+ *     vector graphics and returns them as an SVG document. Passing it as a
+ *     renderer's `createCanvas` option renders documents as SVG with the same
+ *     layout as rendering them on a raster canvas:
+ *
+ * `new CrewIDRenderer({ createCanvas: (w, h) => new SVGCanvas(w, h) })`
+ *
+ * Text is written as text using the embedded font faces it is drawn with.
+ *     Images are embedded as data URLs, and images drawn with `putImageData()`
+ *     (like barcodes from `qrcode-lite`) are traced into paths of their
+ *     pixels. Only the parts of the 2D context the renderers use are
+ *     supported: `fillRect()`, `clearRect()`, `fillText()`, `measureText()`,
+ *     `drawImage()`, `putImageData()`, paths of lines, `clip()`, and
+ *     transforms.
+ */
+export class SVGCanvas {
+  /**
+   * Create an `SVGCanvas`.
+   * @param { number } width - The width in 300-dpi pixels.
+   * @param { number } height - The height in 300-dpi pixels.
+   * @param { Object } [opt] - An options object.
+   * @param { CanvasRenderingContext2D |
+   *     OffscreenCanvasRenderingContext2D } [opt.measureContext] - A raster
+   *     2D context with the fonts loaded used to measure text. Defaults to
+   *     the context of a canvas from `opt.createRasterCanvas`.
+   * @param { (width: number, height: number) => HTMLCanvasElement |
+   *     OffscreenCanvas } [opt.createRasterCanvas] - A raster canvas factory,
+   *     used to measure text and to copy images that have no string `src`,
+   *     like images loaded by the `canvas` package. Defaults to
+   *     `createCanvas()`, which needs `OffscreenCanvas` or a DOM.
+   * @param { (url: string) => Promise<string> } [opt.loadDataURL] - A
+   *     function that returns a data URL of the file at a path/URL, used to
+   *     embed images and fonts. Defaults to using `fetch()`.
+   * @param { { family: string, files: { url: string, format?: string }[],
+   *     descriptors?: Object }[] } [opt.fontFaces] - The font faces that may
+   *     be embedded. Defaults to the font faces used by the renderers.
+   */
+  constructor(width, height, opt) {
+    this.#width = width;
+    this.#height = height;
+    this.measureContext = opt?.measureContext ?? null;
+    this.createRasterCanvas = opt?.createRasterCanvas ?? createRasterCanvas;
+    this.loadDataURL = opt?.loadDataURL ?? loadDataURL;
+    this.fontFaces = opt?.fontFaces ?? [
+      MRZ_FONT_FACE,
+      VIZ_FONT_FACE,
+      VIZ_BOLD_FONT_FACE,
+      VIZ_ITALIC_FONT_FACE,
+      SIGNATURE_FONT_FACE
+    ];
+  }
+
+  #width;
+  #height;
+  #context = null;
+
+  /**
+   * The width in 300-dpi pixels. Setting it clears the canvas.
+   * @type { number }
+   */
+  get width() { return this.#width; }
+  /** @param { number } value */
+  set width(value) {
+    this.#width = value;
+    this.#context?.reset();
+  }
+
+  /**
+   * The height in 300-dpi pixels. Setting it clears the canvas.
+   * @type { number }
+   */
+  get height() { return this.#height; }
+  /** @param { number } value */
+  set height(value) {
+    this.#height = value;
+    this.#context?.reset();
+  }
+
+  /**
+   * A raster 2D context with the fonts loaded used to measure text.
+   * @type { CanvasRenderingContext2D | OffscreenCanvasRenderingContext2D }
+   */
+  measureContext;
+
+  /**
+   * A raster canvas factory, used to measure text and to copy images.
+   * @type { (width: number, height: number) => HTMLCanvasElement |
+   *     OffscreenCanvas }
+   */
+  createRasterCanvas;
+
+  /**
+   * A function that returns a data URL of the file at a path/URL.
+   * @type { (url: string) => Promise<string> }
+   */
+  loadDataURL;
+
+  /**
+   * The font faces that may be embedded. A font face is embedded when text is
+   *     drawn with its family.
+   * @type { { family: string, files: { url: string, format?: string }[],
+   *     descriptors?: Object }[] }
+   */
+  fontFaces;
+
+  /**
+   * Get the 2D context that draws on this canvas.
+   * @param { "2d" } type
+   */
+  getContext(type) {
+    if (type !== "2d") {
+      throw new TypeError(`Context type '${type}' is not supported.`);
+    }
+    this.#context ??= new SVGRenderingContext2D(this);
+    return this.#context;
+  }
+
+  /**
+   * Get what is drawn on the canvas as an SVG document whose size is the
+   *     physical size of the canvas at 300 dpi.
+   * @returns { Promise<string> }
+   */
+  async toSVG() {
+    const CONTEXT = this.getContext("2d");
+    const CONTENT = await CONTEXT.toSVGContent();
+    const FAMILIES = CONTEXT.fontFamilies;
+    const CACHE = new Map();
+    const FONT_RULES = await Promise.all(this.fontFaces.filter((face) => {
+      return FAMILIES.has(face.family);
+    }).map(async (face) => {
+      const [FILE] = face.files;
+      if (!CACHE.has(FILE.url)) {
+        CACHE.set(FILE.url, this.loadDataURL(FILE.url));
+      }
+      return `@font-face { font-family: "${face.family}"; ` +
+          `src: url("${await CACHE.get(FILE.url)}")` +
+          (FILE.format ? ` format("${FILE.format}")` : "") + "; " +
+          Object.entries(face.descriptors ?? {}).map(([name, value]) => {
+            return `font-${name}: ${value}; `;
+          }).join("") + "}";
+    }));
+    return "<?xml version=\"1.0\" encoding=\"UTF-8\"?>\n" +
+        "<svg xmlns=\"http://www.w3.org/2000/svg\" " +
+        "xmlns:xlink=\"http://www.w3.org/1999/xlink\" version=\"1.1\" " +
+        `width="${toNumber(this.#width / DOTS_PER_INCH)}in" ` +
+        `height="${toNumber(this.#height / DOTS_PER_INCH)}in" ` +
+        `viewBox="0 0 ${this.#width} ${this.#height}" ` +
+        "xml:space=\"preserve\">\n" +
+        (FONT_RULES.length > 0 ?
+            `<style>\n${FONT_RULES.join("\n")}\n</style>\n` : "") +
+        `${CONTENT}</svg>\n`;
+  }
+}
+
+// Records drawing operations as SVG elements.
+class SVGRenderingContext2D {
+  constructor(canvas) {
+    this.canvas = canvas;
+    this.reset();
+  }
+
+  // SVG elements, or promises of SVG elements for embedded images.
+  #elements;
+  #definitions;
+  #path;
+  #states;
+  #state;
+  #fontFamilies;
+
+  get fillStyle() { return this.#state.fillStyle; }
+  set fillStyle(value) { this.#state.fillStyle = value; }
+  get strokeStyle() { return this.#state.strokeStyle; }
+  set strokeStyle(value) { this.#state.strokeStyle = value; }
+  get lineWidth() { return this.#state.lineWidth; }
+  set lineWidth(value) { this.#state.lineWidth = value; }
+  get lineCap() { return this.#state.lineCap; }
+  set lineCap(value) { this.#state.lineCap = value; }
+  get font() { return this.#state.font; }
+  set font(value) { this.#state.font = value; }
+  get textBaseline() { return this.#state.textBaseline; }
+  set textBaseline(value) { this.#state.textBaseline = value; }
+  get textAlign() { return this.#state.textAlign; }
+  set textAlign(value) { this.#state.textAlign = value; }
+
+  get fontFamilies() { return this.#fontFamilies; }
+
+  reset() {
+    this.#elements = [];
+    this.#definitions = [];
+    this.#path = "";
+    this.#states = [];
+    this.#fontFamilies = new Set();
+    this.#state = {
+      fillStyle: "#000000",
+      strokeStyle: "#000000",
+      lineWidth: 1,
+      lineCap: "butt",
+      font: "10px sans-serif",
+      textBaseline: "alphabetic",
+      textAlign: "start",
+      transform: [1, 0, 0, 1, 0, 0],
+      clip: null
+    };
+  }
+
+  save() { this.#states.push({ ...this.#state }); }
+
+  restore() { this.#state = this.#states.pop() ?? this.#state; }
+
+  setTransform(a, b, c, d, e, f) { this.#state.transform = [a, b, c, d, e, f]; }
+
+  resetTransform() { this.setTransform(1, 0, 0, 1, 0, 0); }
+
+  transform(a, b, c, d, e, f) {
+    const [A, B, C, D, E, F] = this.#state.transform;
+    this.#state.transform = [
+      A * a + C * b, B * a + D * b,
+      A * c + C * d, B * c + D * d,
+      A * e + C * f + E, B * e + D * f + F
+    ];
+  }
+
+  translate(x, y) { this.transform(1, 0, 0, 1, x, y); }
+
+  rotate(angle) {
+    const COS = Math.cos(angle);
+    const SIN = Math.sin(angle);
+    this.transform(COS, SIN, -SIN, COS, 0, 0);
+  }
+
+  scale(x, y) { this.transform(x, 0, 0, y, 0, 0); }
+
+  beginPath() { this.#path = ""; }
+
+  moveTo(x, y) { this.#path += `M${this.#point(x, y)}`; }
+
+  lineTo(x, y) { this.#path += `L${this.#point(x, y)}`; }
+
+  closePath() { this.#path += "Z"; }
+
+  rect(x, y, width, height) {
+    this.moveTo(x, y);
+    this.lineTo(x + width, y);
+    this.lineTo(x + width, y + height);
+    this.lineTo(x, y + height);
+    this.closePath();
+  }
+
+  fill() {
+    this.#push(`<path d="${this.#path}"${paint("fill", this.fillStyle)}/>`);
+  }
+
+  stroke() {
+    const [A, B, C, D] = this.#state.transform;
+    const SCALE = Math.sqrt(Math.abs(A * D - B * C));
+    this.#push(
+      `<path d="${this.#path}" fill="none"` +
+          `${paint("stroke", this.strokeStyle)} ` +
+          `stroke-width="${toNumber(this.lineWidth * SCALE)}" ` +
+          `stroke-linecap="${this.lineCap}"/>`
+    );
+  }
+
+  clip() {
+    const ID = `clip${nextID++}`;
+    const PARENT = this.#state.clip ?
+        ` clip-path="url(#${this.#state.clip})"` : "";
+    this.#definitions.push(
+      `<clipPath id="${ID}"${PARENT}><path d="${this.#path}"/></clipPath>`
+    );
+    this.#state.clip = ID;
+  }
+
+  fillRect(x, y, width, height) {
+    this.#push(
+      `<rect x="${toNumber(x)}" y="${toNumber(y)}" ` +
+          `width="${toNumber(width)}" height="${toNumber(height)}"` +
+          `${paint("fill", this.fillStyle)}${this.#transformAttribute()}/>`
+    );
+  }
+
+  clearRect(x, y, width, height) {
+    const [A, B, C, D, E, F] = this.#state.transform;
+    const IS_IDENTITY = A === 1 && B === 0 && C === 0 && D === 1 &&
+        E === 0 && F === 0;
+    if (IS_IDENTITY && x <= 0 && y <= 0 &&
+        x + width >= this.canvas.width && y + height >= this.canvas.height) {
+      this.#elements = [];
+      return;
+    }
+    // Hide what is drawn so far under the cleared area with a mask.
+    const ID = `mask${nextID++}`;
+    this.#definitions.push(
+      `<mask id="${ID}" maskUnits="userSpaceOnUse" x="0" y="0" ` +
+          `width="${this.canvas.width}" height="${this.canvas.height}">` +
+          `<rect width="${this.canvas.width}" ` +
+          `height="${this.canvas.height}" fill="#ffffff"/>` +
+          `<rect x="${toNumber(x)}" y="${toNumber(y)}" ` +
+          `width="${toNumber(width)}" height="${toNumber(height)}" ` +
+          `fill="#000000"${this.#transformAttribute()}/></mask>`
+    );
+    const ELEMENTS = this.#elements;
+    this.#elements = [Promise.all(ELEMENTS).then((elements) => {
+      return `<g mask="url(#${ID})">\n${elements.join("")}</g>\n`;
+    })];
+  }
+
+  measureText(text) {
+    this.canvas.measureContext ??=
+        this.canvas.createRasterCanvas(1, 1).getContext("2d");
+    const CONTEXT = this.canvas.measureContext;
+    CONTEXT.font = this.font;
+    CONTEXT.textBaseline = "alphabetic";
+    return CONTEXT.measureText(text);
+  }
+
+  fillText(text, x, y, maxWidth) {
+    const FONT = parseFont(this.font);
+    this.#fontFamilies.add(FONT.family);
+    const METRICS = this.measureText(text);
+    // Text is written on its alphabetic baseline, which is moved from the
+    // baseline it is drawn on.
+    const ASCENT = METRICS.emHeightAscent ??
+        METRICS.fontBoundingBoxAscent ?? FONT.size * 0.8;
+    const DESCENT = METRICS.emHeightDescent ??
+        METRICS.fontBoundingBoxDescent ?? FONT.size * 0.2;
+    const BASELINE_Y = {
+      top: y + ASCENT,
+      hanging: y + ASCENT,
+      middle: y + (ASCENT - DESCENT) / 2,
+      bottom: y - DESCENT,
+      ideographic: y - DESCENT
+    }[this.textBaseline] ?? y;
+    const ANCHOR = {
+      center: "middle",
+      right: "end",
+      end: "end"
+    }[this.textAlign] ?? "start";
+    const LENGTH = maxWidth !== undefined && METRICS.width > maxWidth ?
+        ` textLength="${toNumber(maxWidth)}" ` +
+            "lengthAdjust=\"spacingAndGlyphs\"" : "";
+    this.#push(
+      `<text x="${toNumber(x)}" y="${toNumber(BASELINE_Y)}" ` +
+          `font-family="${escapeXML(FONT.family)}" ` +
+          `font-size="${toNumber(FONT.size)}"` +
+          (FONT.weight ? ` font-weight="${FONT.weight}"` : "") +
+          (FONT.style ? ` font-style="${FONT.style}"` : "") +
+          (ANCHOR !== "start" ? ` text-anchor="${ANCHOR}"` : "") +
+          `${LENGTH}${paint("fill", this.fillStyle)}` +
+          `${this.#transformAttribute()}>${escapeXML(text)}</text>`
+    );
+  }
+
+  drawImage(image, ...args) {
+    const WIDTH = image.naturalWidth || image.width;
+    const HEIGHT = image.naturalHeight || image.height;
+    const [SX, SY, SW, SH, DX, DY, DW, DH] = args.length === 8 ? args :
+        [0, 0, WIDTH, HEIGHT, args[0], args[1], args[2] ?? WIDTH,
+          args[3] ?? HEIGHT];
+    const VIEWPORT =
+        `<svg x="${toNumber(DX)}" y="${toNumber(DY)}" ` +
+        `width="${toNumber(DW)}" height="${toNumber(DH)}" ` +
+        `viewBox="${[SX, SY, SW, SH].map(toNumber).join(" ")}" ` +
+        "preserveAspectRatio=\"none\">";
+    const GROUP = `<g${this.#transformAttribute()}${this.#clipAttribute()}>`;
+    let content;
+    if (image instanceof SVGCanvas) {
+      // Other SVG canvases, like barcodes, stay as vector graphics.
+      const CONTEXT = image.getContext("2d");
+      content = CONTEXT.toSVGContent();
+      for (const family of CONTEXT.fontFamilies) {
+        this.#fontFamilies.add(family);
+      }
+    } else {
+      content = this.#imageToDataURL(image, WIDTH, HEIGHT).then((url) => {
+        return `<image width="${WIDTH}" height="${HEIGHT}" ` +
+            `preserveAspectRatio="none" xlink:href="${url}"/>`;
+      });
+    }
+    this.#elements.push(Promise.resolve(content).then((content) => {
+      return `${GROUP}${VIEWPORT}\n${content}</svg></g>\n`;
+    }));
+  }
+
+  createImageData(width, height) {
+    return {
+      width: width,
+      height: height,
+      data: new Uint8ClampedArray(width * height * 4)
+    };
+  }
+
+  putImageData(imageData, dx, dy) {
+    // Trace each row of pixels into runs of one color, and draw the runs of
+    // each color as one path. The current transform does not apply.
+    const { width, height, data } = imageData;
+    const PATHS = new Map();
+    for (let y = 0; y < height; y += 1) {
+      let x = 0;
+      while (x < width) {
+        const I = (y * width + x) * 4;
+        const COLOR = data.slice(I, I + 4).join(",");
+        let end = x + 1;
+        while (end < width &&
+            data.slice((y * width + end) * 4, (y * width + end) * 4 + 4)
+                .join(",") === COLOR) {
+          end += 1;
+        }
+        if (data[I + 3] > 0) {
+          PATHS.set(
+            COLOR,
+            `${PATHS.get(COLOR) ?? ""}M${x + dx} ${y + dy}h${end - x}v1` +
+                `h${x - end}Z`
+          );
+        }
+        x = end;
+      }
+    }
+    for (const [color, path] of PATHS) {
+      const [R, G, B, A] = color.split(",").map(Number);
+      this.#elements.push(
+        `<path d="${path}" fill="rgb(${R},${G},${B})"` +
+            (A < 255 ? ` fill-opacity="${toNumber(A / 255)}"` : "") +
+            ` shape-rendering="crispEdges"${this.#clipAttribute()}/>\n`
+      );
+    }
+  }
+
+  async toSVGContent() {
+    const ELEMENTS = await Promise.all(this.#elements);
+    return (this.#definitions.length > 0 ?
+        `<defs>\n${this.#definitions.join("\n")}\n</defs>\n` : "") +
+        ELEMENTS.join("");
+  }
+
+  #push(element) {
+    this.#elements.push(this.#state.clip ?
+        `<g${this.#clipAttribute()}>${element}</g>\n` : `${element}\n`);
+  }
+
+  #point(x, y) {
+    const [A, B, C, D, E, F] = this.#state.transform;
+    return `${toNumber(A * x + C * y + E)} ${toNumber(B * x + D * y + F)}`;
+  }
+
+  #transformAttribute() {
+    const [A, B, C, D, E, F] = this.#state.transform;
+    if (A === 1 && B === 0 && C === 0 && D === 1 && E === 0 && F === 0) {
+      return "";
+    }
+    return ` transform="matrix(${[A, B, C, D, E, F].map(toNumber)
+        .join(" ")})"`;
+  }
+
+  #clipAttribute() {
+    return this.#state.clip ? ` clip-path="url(#${this.#state.clip})"` : "";
+  }
+
+  // Raster images are copied when they are drawn, since canvases may be drawn
+  // on again before the SVG document is made.
+  #imageToDataURL(image, width, height) {
+    if (typeof image.src === "string" && image.src !== "") {
+      return this.canvas.loadDataURL(image.src);
+    }
+    if (typeof image.toDataURL === "function") {
+      return Promise.resolve(image.toDataURL("image/png"));
+    }
+    if (typeof image.convertToBlob === "function") {
+      return image.convertToBlob().then(blobToDataURL);
+    }
+    const CANVAS = this.canvas.createRasterCanvas(width, height);
+    CANVAS.getContext("2d").drawImage(image, 0, 0);
+    return typeof CANVAS.convertToBlob === "function" ?
+        CANVAS.convertToBlob().then(blobToDataURL) :
+        Promise.resolve(CANVAS.toDataURL("image/png"));
+  }
+}
+
+// The default raster canvas factory, which needs `OffscreenCanvas` or a DOM.
+function createRasterCanvas(width, height) {
+  if (typeof OffscreenCanvas === "undefined" &&
+      typeof document === "undefined") {
+    throw new TypeError(
+      "SVGCanvas needs a raster canvas to measure text and copy images " +
+          "without a string 'src'. Pass the 'createRasterCanvas' option, " +
+          "like the 'createCanvas' function of the 'canvas' package."
+    );
+  }
+  return createCanvas(width, height);
+}
+
+// Reads the style, weight, size, and family from a CSS font shorthand, like
+// "italic bold 18px Open Sans".
+function parseFont(font) {
+  const MATCH = /^\s*((?:\S+\s+)*?)(\d*\.?\d+)px(?:\/\S+)?\s+(.+)$/.exec(font);
+  if (!MATCH) {
+    return { style: null, weight: null, size: 10, family: "sans-serif" };
+  }
+  const MODIFIERS = MATCH[1].trim().split(/\s+/);
+  return {
+    style: MODIFIERS.find((value) => {
+      return ["italic", "oblique"].includes(value);
+    }) ?? null,
+    weight: MODIFIERS.find((value) => {
+      return /^(bold|bolder|lighter|\d{3})$/.test(value);
+    }) ?? null,
+    size: parseFloat(MATCH[2]),
+    family: MATCH[3].trim().replace(/^["']|["']$/g, "")
+  };
+}
+
+// Writes a paint attribute, splitting the alpha channel of '#RRGGBBAA' colors
+// into an opacity attribute.
+function paint(name, color) {
+  const MATCH = /^#([0-9a-f]{6})([0-9a-f]{2})$/i.exec(color);
+  if (MATCH) {
+    return ` ${name}="#${MATCH[1]}" ` +
+        `${name}-opacity="${toNumber(parseInt(MATCH[2], 16) / 255)}"`;
+  }
+  return ` ${name}="${escapeXML(`${color}`)}"`;
+}
+
+async function loadDataURL(url) {
+  if (url.startsWith("data:")) {
+    return url;
+  }
+  const RESPONSE = await fetch(url);
+  if (!RESPONSE.ok) {
+    throw new Error(`File '${url}' could not be loaded (${RESPONSE.status}).`);
+  }
+  return blobToDataURL(await RESPONSE.blob());
+}
+
+async function blobToDataURL(blob) {
+  const BYTES = new Uint8Array(await blob.arrayBuffer());
+  let binary = "";
+  for (let i = 0; i < BYTES.length; i += 0x8000) {
+    binary += String.fromCharCode(...BYTES.subarray(i, i + 0x8000));
+  }
+  return `data:${blob.type || "application/octet-stream"};base64,` +
+      btoa(binary);
+}
+
+function escapeXML(text) {
+  return text.replace(/&/g, "&amp;").replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+}
+
+function toNumber(value) {
+  return `${Math.round(value * 1000) / 1000}`;
+}
@@ -0,0 +1,110 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Validate every row of a roster by setting each of its properties on a new
+ *     document model, so every error in every row is reported at once.
+ *     Properties that the model cannot set, rows without a document number,
+ *     and document numbers used by more than one row are also reported.
+ * @param { Object<string, any>[] } rows - Options objects for the model's
+ *     constructor, like those returned by `parseRoster()`.
+ * @param { function(new: Object) } model - The document model's class, like
+ *     `CrewID` or `EventsMRVB`.
+ * @param { Object } [opt] - An options object.
+ * @param { boolean } [opt.requireNumber] - Whether every row must give a
+ *     document number instead of using the model's default. Defaults to
+ *     `true`.
+ * @returns { { valid: boolean,
+ *     errors: { row: number, property: string | null, message: string }[],
+ *     models: Object[] } } Rows are numbered from 1, and errors are sorted by
+ *     row.
+ * @example
+ * // Returns an error for row 2, whose date of birth is not a date
+ * validateRoster(
+ *   [{ number: "C01X00T47" }, { number: "C01X00T48", birthDate: "soon" }],
+ *   CrewLicense
+ * );
+ */
+export function validateRoster(rows, model, opt) {
+  const REQUIRE_NUMBER = opt?.requireNumber ?? true;
+  const output = {
+    valid: false,
+    errors: [],
+    models: []
+  };
+
+  const INVALID_NUMBER_ROWS = new Set();
+  output.models = rows.map((row, i) => {
+    const document = new model();
+    if (REQUIRE_NUMBER && row.number === undefined) {
+      INVALID_NUMBER_ROWS.add(i);
+      output.errors.push({
+        row: i + 1,
+        property: "number",
+        message: "A document number must be given for every row."
+      });
+    }
+    for (const [property, value] of Object.entries(row)) {
+      if (!hasSetter(document, property)) {
+        output.errors.push({
+          row: i + 1,
+          property: property,
+          message: `Property '${property}' cannot be set on '${model.name}'.`
+        });
+        continue;
+      }
+      try {
+        document[property] = value;
+      } catch (error) {
+        if (property === "number") {
+          INVALID_NUMBER_ROWS.add(i);
+        }
+        output.errors.push({
+          row: i + 1,
+          property: property,
+          message: error.message
+        });
+      }
+    }
+    return document;
+  });
+
+  const ROWS_BY_NUMBER = new Map();
+  output.models.forEach((document, i) => {
+    if (INVALID_NUMBER_ROWS.has(i)) {
+      return;
+    }
+    if (ROWS_BY_NUMBER.has(document.number)) {
+      output.errors.push({
+        row: i + 1,
+        property: "number",
+        message: `Number '${document.number}' is already used in row ` +
+            `${ROWS_BY_NUMBER.get(document.number)}.`
+      });
+    } else {
+      ROWS_BY_NUMBER.set(document.number, i + 1);
+    }
+  });
+
+  output.errors.sort((a, b) => a.row - b.row);
+  output.valid = output.errors.length === 0;
+  return output;
+}
+
+// Plain fields, like `url`, are writable properties of the model itself;
+// other properties are accessors on its prototypes. Accessors of every object,
+// like `__proto__`, are not properties of the model.
+function hasSetter(model, property) {
+  if (Object.hasOwn(model, property)) {
+    return Object.getOwnPropertyDescriptor(model, property).writable;
+  }
+  for (let prototype = Object.getPrototypeOf(model);
+      prototype !== null && prototype !== Object.prototype;
+      prototype = Object.getPrototypeOf(prototype)) {
+    const DESCRIPTOR = Object.getOwnPropertyDescriptor(prototype, property);
+    if (DESCRIPTOR) {
+      return DESCRIPTOR.set !== undefined;
+    }
+  }
+  return false;
+}
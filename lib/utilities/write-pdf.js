@@ -0,0 +1,138 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * Write a PDF document of pages made of canvas images and lines.
+ *
+ * Coordinates and sizes are in points (1/72 inch) measured from the top-left
+ *     corner of the page. Images are embedded losslessly as RGB pixels, with
+ *     transparent pixels blended onto white, and compressed with the
+ *     `CompressionStream` API.
+ * @param { { width: number, height: number,
+ *     images?: { canvas: HTMLCanvasElement | OffscreenCanvas, x: number,
+ *     y: number, width: number, height: number, rotation?: 0 | 180 }[],
+ *     lines?: { x1: number, y1: number, x2: number, y2: number }[],
+ *     lineWidth?: number }[] } pages
+ * @returns { Promise<Uint8Array> }
+ */
+export async function writePDF(pages) {
+  const OBJECTS = [null, null];
+  const IMAGE_IDS = new Map();
+  const PAGE_IDS = [];
+
+  for (const page of pages) {
+    const IMAGE_NAMES = [];
+    let content = "";
+    for (const image of page.images ?? []) {
+      if (!IMAGE_IDS.has(image.canvas)) {
+        OBJECTS.push(await imageObject(image.canvas));
+        IMAGE_IDS.set(image.canvas, OBJECTS.length);
+      }
+      const NAME = `Im${IMAGE_IDS.get(image.canvas)}`;
+      if (!IMAGE_NAMES.includes(NAME)) {
+        IMAGE_NAMES.push(NAME);
+      }
+      // Images are drawn in a unit square, so scale it to the image's size.
+      const Y = page.height - image.y - image.height;
+      const MATRIX = image.rotation === 180 ?
+          [-image.width, 0, 0, -image.height, image.x + image.width,
+            Y + image.height] :
+          [image.width, 0, 0, image.height, image.x, Y];
+      content += `q ${MATRIX.map(toNumber).join(" ")} cm /${NAME} Do Q\n`;
+    }
+    if (page.lines?.length > 0) {
+      content += `0 0 0 RG ${toNumber(page.lineWidth ?? 0.25)} w\n`;
+      for (const line of page.lines) {
+        content += `${toNumber(line.x1)} ${toNumber(page.height - line.y1)} ` +
+            `m ${toNumber(line.x2)} ${toNumber(page.height - line.y2)} l S\n`;
+      }
+    }
+    OBJECTS.push(streamObject("", toBytes(content)));
+    const CONTENT_ID = OBJECTS.length;
+    OBJECTS.push(toBytes(
+      `<< /Type /Page /Parent 2 0 R ` +
+          `/MediaBox [0 0 ${toNumber(page.width)} ${toNumber(page.height)}] ` +
+          `/Resources << /XObject << ${IMAGE_NAMES.map((name) => {
+            return `/${name} ${name.slice(2)} 0 R`;
+          }).join(" ")} >> >> /Contents ${CONTENT_ID} 0 R >>`
+    ));
+    PAGE_IDS.push(OBJECTS.length);
+  }
+  OBJECTS[0] = toBytes("<< /Type /Catalog /Pages 2 0 R >>");
+  OBJECTS[1] = toBytes(
+    `<< /Type /Pages /Kids [${PAGE_IDS.map((id) => `${id} 0 R`).join(" ")}] ` +
+        `/Count ${PAGE_IDS.length} >>`
+  );
+
+  // A binary comment after the header marks the file as binary.
+  const CHUNKS = [Uint8Array.of(
+    ...toBytes("%PDF-1.4\n%"), 0xE2, 0xE3, 0xCF, 0xD3, 0x0A
+  )];
+  let length = CHUNKS[0].length;
+  const OFFSETS = [];
+  OBJECTS.forEach((object, i) => {
+    OFFSETS.push(length);
+    for (const chunk of [toBytes(`${i + 1} 0 obj\n`), object,
+      toBytes("\nendobj\n")]) {
+      CHUNKS.push(chunk);
+      length += chunk.length;
+    }
+  });
+  CHUNKS.push(toBytes(
+    `xref\n0 ${OBJECTS.length + 1}\n0000000000 65535 f \n` +
+        OFFSETS.map((offset) => {
+          return `${offset.toString().padStart(10, "0")} 00000 n \n`;
+        }).join("") +
+        `trailer\n<< /Size ${OBJECTS.length + 1} /Root 1 0 R >>\n` +
+        `startxref\n${length}\n%%EOF\n`
+  ));
+
+  const output = new Uint8Array(
+    CHUNKS.reduce((total, chunk) => total + chunk.length, 0)
+  );
+  let offset = 0;
+  for (const chunk of CHUNKS) {
+    output.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return output;
+}
+
+async function imageObject(canvas) {
+  const { width, height, data } = canvas.getContext("2d")
+      .getImageData(0, 0, canvas.width, canvas.height);
+  const RGB = new Uint8Array(width * height * 3);
+  for (let i = 0, j = 0; i < data.length; i += 4, j += 3) {
+    const ALPHA = data[i + 3];
+    for (let k = 0; k < 3; k += 1) {
+      RGB[j + k] =
+          Math.round((data[i + k] * ALPHA + 255 * (255 - ALPHA)) / 255);
+    }
+  }
+  const COMPRESSED = new Uint8Array(await new Response(
+    new Blob([RGB]).stream().pipeThrough(new CompressionStream("deflate"))
+  ).arrayBuffer());
+  return streamObject(
+    `/Type /XObject /Subtype /Image /Width ${width} /Height ${height} ` +
+        "/ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /FlateDecode ",
+    COMPRESSED
+  );
+}
+
+function streamObject(dictionary, bytes) {
+  const HEAD = toBytes(`<< ${dictionary}/Length ${bytes.length} >>\nstream\n`);
+  const TAIL = toBytes("\nendstream");
+  const output = new Uint8Array(HEAD.length + bytes.length + TAIL.length);
+  output.set(HEAD);
+  output.set(bytes, HEAD.length);
+  output.set(TAIL, HEAD.length + bytes.length);
+  return output;
+}
+
+function toBytes(text) {
+  return new TextEncoder().encode(text);
+}
+
+function toNumber(value) {
+  return `${Math.round(value * 1000) / 1000}`;
+}
@@ -0,0 +1,184 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CrewID } from "../lib/crewid.js";
+import { issueBatch } from "../lib/utilities/issue-batch.js";
+import { parseRoster } from "../lib/utilities/parse-roster.js";
+import { validateRoster } from "../lib/utilities/validate-roster.js";
+
+/**
+ * A stand-in for a renderer that records what it draws instead of drawing.
+ */
+class RecordingRenderer {
+  fontsLoaded = 0;
+  rendered = [];
+
+  async loadCanvasFonts() { this.fontsLoaded += 1; }
+
+  async generateCardFront(model) {
+    this.rendered.push(`${model.number} front`);
+    return { side: "front", number: model.number };
+  }
+
+  async generateCardBack(model) {
+    this.rendered.push(`${model.number} back`);
+    return { side: "back", number: model.number };
+  }
+}
+
+describe("parseRoster", () => {
+  it("reads CSV with quoted fields, empty fields, and JSON arrays", () => {
+    const CSV = "number,fullName,optionalData,durationOfStay\r\n" +
+        "C01X00T47,\"Eriksson, Anna-Maria\",,\"[15,0,0]\"\r\n" +
+        "C01X00T48,\"Says \"\"Hi\"\"\",X,\n";
+    assert.deepEqual(parseRoster(CSV), [
+      {
+        number: "C01X00T47",
+        fullName: "Eriksson, Anna-Maria",
+        durationOfStay: [15, 0, 0]
+      },
+      { number: "C01X00T48", fullName: "Says \"Hi\"", optionalData: "X" }
+    ]);
+  });
+
+  it("reads JSON arrays of objects", () => {
+    assert.deepEqual(
+      parseRoster(" [{ \"number\": \"C01X00T47\" }]"),
+      [{ number: "C01X00T47" }]
+    );
+    assert.throws(() => parseRoster("[{}, 5]"), TypeError);
+  });
+
+  it("rejects CSV rows with the wrong number of fields", () => {
+    assert.throws(
+      () => parseRoster("number,fullName\nC01X00T47\n"),
+      RangeError
+    );
+  });
+
+  it("returns no rows for an empty roster", () => {
+    assert.deepEqual(parseRoster(""), []);
+  });
+});
+
+describe("validateRoster", () => {
+  it("reports every error of every row", () => {
+    const RESULT = validateRoster([
+      { number: "C01X00T47", birthDate: "soon", fullName: "Bee, Lucky" },
+      { number: "C01X00T48" },
+      { number: "C01X00T49", notAProperty: "X", genderMarker: "Q" }
+    ], CrewID);
+    assert.equal(RESULT.valid, false);
+    assert.deepEqual(
+      RESULT.errors.map((error) => [error.row, error.property]),
+      [[1, "birthDate"], [3, "notAProperty"], [3, "genderMarker"]]
+    );
+    assert.equal(RESULT.models.length, 3);
+    assert.equal(RESULT.models[0].fullName, "Bee, Lucky");
+  });
+
+  it("sets plain fields but not methods", () => {
+    const RESULT = validateRoster([
+      { number: "C01X00T47", url: "https://example.org/", employer: "ALFA" },
+      { number: "C01X00T48", toJSON: "X" },
+      JSON.parse('{ "number": "C01X00T49", "__proto__": {} }')
+    ], CrewID);
+    assert.deepEqual(
+      RESULT.errors.map((error) => [error.row, error.property]),
+      [[2, "toJSON"], [3, "__proto__"]]
+    );
+    assert.ok(RESULT.models[2] instanceof CrewID);
+    assert.equal(RESULT.models[0].url, "https://example.org/");
+    assert.equal(RESULT.models[0].employer, "ALFA");
+  });
+
+  it("reports document numbers used by more than one row", () => {
+    const RESULT = validateRoster([
+      { number: "C01X00T47" },
+      { number: "C01X00T48" },
+      { number: "c01x00t47" }
+    ], CrewID);
+    assert.deepEqual(RESULT.errors, [{
+      row: 3,
+      property: "number",
+      message: "Number 'C01X00T47' is already used in row 1."
+    }]);
+  });
+
+  it("reports rows without a document number instead of duplicates", () => {
+    const RESULT = validateRoster([
+      { fullName: "Eriksson, Anna-Maria" },
+      { fullName: "Millefeuille, Alfalfa" },
+      { number: "" },
+      { number: "C01X00T47" }
+    ], CrewID);
+    assert.deepEqual(
+      RESULT.errors.map((error) => [error.row, error.property]),
+      [[1, "number"], [2, "number"], [3, "number"]]
+    );
+    assert.equal(
+      RESULT.errors[1].message,
+      "A document number must be given for every row."
+    );
+    assert.match(RESULT.errors[2].message, /has errors/);
+  });
+
+  it("uses the model's default number with requireNumber: false", () => {
+    const RESULT = validateRoster([{}], CrewID, { requireNumber: false });
+    assert.equal(RESULT.valid, true);
+    assert.equal(RESULT.models[0].number, new CrewID().number);
+  });
+});
+
+describe("issueBatch", () => {
+  it("issues nothing when any row has errors", async () => {
+    const renderer = new RecordingRenderer();
+    const DOCUMENTS = [];
+    const RESULT = await issueBatch(
+      [{ number: "C01X00T47" }, { number: "C01X00T47" }],
+      {
+        model: CrewID,
+        renderer: renderer,
+        onDocument: (document) => DOCUMENTS.push(document)
+      }
+    );
+    assert.equal(RESULT.valid, false);
+    assert.equal(RESULT.errors.length, 1);
+    assert.deepEqual(RESULT.manifest, []);
+    assert.deepEqual(DOCUMENTS, []);
+    assert.deepEqual(renderer.rendered, []);
+  });
+
+  it("passes each document to onDocument as it is rendered", async () => {
+    const renderer = new RecordingRenderer();
+    const EVENTS = [];
+    const RESULT = await issueBatch(
+      parseRoster("number,fullName\nC01X00T47,\"Eriksson, Anna-Maria\"\n" +
+          "C01X00T48,\"Millefeuille, Alfalfa\"\n"),
+      {
+        model: CrewID,
+        renderer: renderer,
+        onDocument: async (document) => {
+          EVENTS.push(`${document.row} ${document.front.number}`);
+          assert.equal(document.back.side, "back");
+          assert.equal(document.model.signatureData.length, 64);
+        }
+      }
+    );
+    assert.equal(RESULT.valid, true);
+    assert.equal(renderer.fontsLoaded, 1);
+    assert.deepEqual(EVENTS, ["1 C01X00T47", "2 C01X00T48"]);
+    assert.deepEqual(renderer.rendered, [
+      "C01X00T47 front",
+      "C01X00T47 back",
+      "C01X00T48 front",
+      "C01X00T48 back"
+    ]);
+    assert.deepEqual(RESULT.manifest.map((entry) => entry.number),
+        ["C01X00T47", "C01X00T48"]);
+    assert.equal(RESULT.manifest[1].fullName, "Millefeuille, Alfalfa");
+    assert.equal("documents" in RESULT, false);
+  });
+});
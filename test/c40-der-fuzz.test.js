@@ -0,0 +1,166 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { c40Encode } from "../lib/icao9303/utilities/c40-encode.js";
+import { c40Decode } from "../lib/icao9303/utilities/c40-decode.js";
+import { lengthToDERLength } from "../lib/icao9303/utilities/length-to-der-length.js";
+import { derLengthToLength } from "../lib/icao9303/utilities/der-length-to-length.js";
+import { arrayOf, forAll, frequency, integer, oneOf, stringOf, tuple } from "./helpers/property.js";
+
+// Property-based tests: each property is checked against FUZZ_RUNS random
+// inputs (10000 by default) and a failing input is shrunk before reporting.
+
+const C40_CHARACTERS = "ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 <";
+const NON_C40_CHARACTERS = [
+  ..."!\"#$%&'()*+,-./:;=>?@[\\]^_`{|}~\t\n\0",
+  "É", "é", "Ñ", "ß", "Ж", "ж", "Ω", "ﬁ", "中", " "
+];
+
+const c40String = stringOf(C40_CHARACTERS, { maxLength: 90 });
+const byte = integer(0, 255);
+const derLength = frequency([
+  [1, integer(0, 127)],
+  [1, integer(128, 65535)],
+  [1, integer(0, 4294967295)]
+]);
+
+describe("c40Encode() and c40Decode() (fuzzed)", () => {
+  it("round-trip strings of A-Z, 0-9, <SPACE>, and '<'", () => {
+    forAll(c40String, (string) => {
+      assert.equal(c40Decode(c40Encode(string)), string.replace(/</g, " "));
+    });
+  });
+
+  it("encode every 3 characters, or fewer at the end, in 2 bytes", () => {
+    forAll(c40String, (string) => {
+      const C40 = c40Encode(string);
+      assert.equal(C40.length, Math.ceil(string.length / 3) * 2);
+      assert.ok(C40.every((value) => {
+        return Number.isInteger(value) && value >= 0 && value <= 255;
+      }));
+      // 0xFE can only start a pair of bytes as the DataMatrix ASCII latch.
+      const LATCH = C40.findIndex((value, i) => i % 2 === 0 && value === 0xFE);
+      assert.equal(LATCH, string.length % 3 === 1 ? C40.length - 2 : -1);
+    });
+  });
+
+  it("encode lowercase letters like uppercase letters", () => {
+    forAll(c40String, (string) => {
+      assert.deepEqual(c40Encode(string.toLowerCase()), c40Encode(string));
+    });
+  });
+
+  it("throw a TypeError for any character outside of the C40 set", () => {
+    const invalidString = tuple(
+      c40String,
+      integer(0, 90),
+      oneOf(NON_C40_CHARACTERS)
+    );
+    forAll(invalidString, ([string, position, character]) => {
+      assert.throws(() => {
+        c40Encode(
+          string.slice(0, position) + character + string.slice(position)
+        );
+      }, TypeError);
+    });
+  });
+
+  it("decode any byte array into A-Z, 0-9, and <SPACE>, or throw a " +
+      "RangeError", () => {
+    forAll(arrayOf(byte, { maxLength: 12 }), (c40) => {
+      let string;
+      try {
+        string = c40Decode(c40);
+      } catch (error) {
+        assert.ok(error instanceof RangeError, error);
+        return;
+      }
+      assert.match(string, /^[A-Z0-9 ]*$/);
+    });
+  });
+
+  it("throw a RangeError for an odd number of bytes", () => {
+    const oddC40 = tuple(c40String, byte);
+    forAll(oddC40, ([string, extraByte]) => {
+      assert.throws(() => {
+        c40Decode([...c40Encode(string), extraByte]);
+      }, RangeError);
+    });
+  });
+});
+
+describe("lengthToDERLength() and derLengthToLength() (fuzzed)", () => {
+  it("round-trip lengths up to 4 length octets", () => {
+    forAll(derLength, (length) => {
+      assert.equal(derLengthToLength(lengthToDERLength(length)), length);
+    });
+  });
+
+  it("encode lengths in the shortest definite form", () => {
+    forAll(derLength, (length) => {
+      const DER_LENGTH = lengthToDERLength(length);
+      assert.ok(DER_LENGTH.every((value) => {
+        return Number.isInteger(value) && value >= 0 && value <= 255;
+      }));
+      if (length < 128) {
+        assert.deepEqual(DER_LENGTH, [length]);
+      } else {
+        assert.equal(DER_LENGTH[0], 0x80 | (DER_LENGTH.length - 1));
+        assert.notEqual(DER_LENGTH[1], 0);
+      }
+    });
+  });
+
+  it("ignore the octets following a length", () => {
+    forAll(tuple(derLength, arrayOf(byte, { maxLength: 16 })), ([
+      length,
+      trailingBytes
+    ]) => {
+      assert.equal(
+        derLengthToLength([...lengthToDERLength(length), ...trailingBytes]),
+        length
+      );
+    });
+  });
+
+  it("throw a RangeError for lengths needing more than 4 length octets",
+    () => {
+      forAll(integer(4294967296, Number.MAX_SAFE_INTEGER), (length) => {
+        assert.throws(() => lengthToDERLength(length), RangeError);
+      });
+    }
+  );
+
+  it("throw a RangeError for negative or non-integer lengths", () => {
+    const invalidLength = frequency([
+      [1, integer(-4294967296, -1)],
+      [1, oneOf([0.5, 127.5, 128.25, NaN, Infinity, -Infinity])]
+    ]);
+    forAll(invalidLength, (length) => {
+      assert.throws(() => lengthToDERLength(length), RangeError);
+    });
+  });
+
+  it("read any byte array as its declared length or throw a RangeError",
+    () => {
+      forAll(arrayOf(byte, { minLength: 1, maxLength: 6 }), (derLength) => {
+        const NUM_OCTETS = derLength[0] & 0x7F;
+        if (derLength[0] < 128) {
+          assert.equal(derLengthToLength(derLength), derLength[0]);
+        } else if (NUM_OCTETS === 0 || NUM_OCTETS > 4 ||
+            derLength.length < NUM_OCTETS + 1) {
+          assert.throws(() => derLengthToLength(derLength), RangeError);
+        } else {
+          assert.equal(
+            derLengthToLength(derLength),
+            derLength.slice(1, NUM_OCTETS + 1).reduce((value, octet) => {
+              return value * 256 + octet;
+            }, 0)
+          );
+        }
+      });
+    }
+  );
+});
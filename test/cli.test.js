@@ -0,0 +1,226 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { execFile } from "node:child_process";
+import { mkdtemp, readFile, rm, writeFile } from "node:fs/promises";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { CrewID } from "../lib/crewid.js";
+import { CrewIDRenderer } from "../lib/crewid-renderer.js";
+import { CountrySigningCA } from "../lib/icao9303/countrysigningca.js";
+import { bytesToPEM } from "../lib/icao9303/utilities/bytes-to-pem.js";
+import { PROJECT_VERSION } from "../lib/utilities/read-project.js";
+import { encode as toBase45 } from "../lib/base45-ts/base45.js";
+
+const CLI = fileURLToPath(new URL("../bin/alfa-id.js", import.meta.url));
+
+const PERSON = {
+  number: "X12345678",
+  fullName: "Pilot, Fox",
+  expirationDate: "2030-06-30"
+};
+
+/**
+ * Run the command-line tool and resolve with its exit code and output.
+ * @param { string[] } args
+ * @param { string } [input] - Text to write to standard input.
+ * @returns { Promise<{ code: number, stdout: string, stderr: string }> }
+ */
+function run(args, input) {
+  return new Promise((resolve) => {
+    const CHILD = execFile(
+      process.execPath,
+      [CLI, ...args],
+      { timeout: 120000 },
+      (error, stdout, stderr) => {
+        resolve({ code: error ? error.code : 0, stdout, stderr });
+      }
+    );
+    CHILD.stdin.end(input ?? "");
+  });
+}
+
+describe("alfa-id", () => {
+  let directory;
+
+  before(async () => {
+    directory = await mkdtemp(join(tmpdir(), "alfa-id-"));
+    await writeFile(join(directory, "person.json"), JSON.stringify(PERSON));
+  });
+
+  after(async () => {
+    await rm(directory, { recursive: true, force: true });
+  });
+
+  it("prints its usage", async () => {
+    const RESULT = await run(["--help"]);
+    assert.equal(RESULT.code, 0);
+    assert.match(RESULT.stdout, /^Usage: alfa-id <command>/);
+    assert.match(RESULT.stdout, /--certificate <file>/);
+  });
+
+  it("exits with status 1 for unknown commands and types", async () => {
+    const COMMAND = await run(["print"]);
+    assert.equal(COMMAND.code, 1);
+    assert.match(COMMAND.stderr, /^alfa-id: Command 'print' must be/);
+    const TYPE = await run(["mrz", "crew-badge", "--data", "person.json"]);
+    assert.equal(TYPE.code, 1);
+    assert.match(TYPE.stderr, /^alfa-id: Type 'crew-badge' must be one of/);
+  });
+
+  it("prints the machine-readable zone of a data file", async () => {
+    const RESULT =
+        await run(["mrz", "crew-id", "--data", join(directory, "person.json")]);
+    const DOCUMENT = new CrewID(PERSON);
+    assert.equal(RESULT.code, 0);
+    assert.equal(
+      RESULT.stdout,
+      `${DOCUMENT.mrzLine1}\n${DOCUMENT.mrzLine2}\n${DOCUMENT.mrzLine3}\n`
+    );
+  });
+
+  it("prints the machine-readable zone of a project file", async () => {
+    const PATH = join(directory, "project.json");
+    await writeFile(PATH, JSON.stringify({
+      format: "alfa-id-project",
+      version: PROJECT_VERSION,
+      type: "CrewID",
+      model: new CrewID(PERSON).toJSON(),
+      renderer: new CrewIDRenderer().toJSON()
+    }));
+    const RESULT = await run(["mrz", "crew-id", "--data", PATH]);
+    assert.equal(RESULT.code, 0);
+    assert.equal(
+      RESULT.stdout.split("\n")[2],
+      "PILOT<<FOX<<<<<<<<<<<<<<<<<<<<"
+    );
+
+    const WRONG_TYPE = await run(["mrz", "crew-license", "--data", PATH]);
+    assert.equal(WRONG_TYPE.code, 1);
+    assert.match(WRONG_TYPE.stderr, /'CrewID' documents, not 'CrewLicense'/);
+  });
+
+  it("decodes seals given as an argument or on standard input", async () => {
+    const DOCUMENT = new CrewID(PERSON);
+    const BASE45 = toBase45(Uint8Array.from(DOCUMENT.signedSeal));
+
+    const TEXT = await run(["seal", "decode", BASE45]);
+    assert.equal(TEXT.code, 0);
+    assert.match(TEXT.stdout, /^Version: 4\n/);
+    assert.match(TEXT.stdout, /\nDocument: CrewID\n/);
+    assert.match(TEXT.stdout, new RegExp(`\n  ${DOCUMENT.mrzLine3}`));
+
+    const JSON_OUTPUT = await run(["seal", "decode", "--json"], `${BASE45}\n`);
+    assert.equal(JSON_OUTPUT.code, 0);
+    const OUTPUT = JSON.parse(JSON_OUTPUT.stdout);
+    assert.equal(OUTPUT.version, 4);
+    assert.equal(OUTPUT.document.type, "CrewID");
+
+    const INVALID = await run(["seal", "decode", "NOT-A-SEAL"]);
+    assert.equal(INVALID.code, 1);
+    assert.match(INVALID.stderr, /^alfa-id: /);
+  });
+
+  it("exits with status 1 when a roster has errors", async () => {
+    const VALID = join(directory, "valid.csv");
+    await writeFile(
+      VALID,
+      "number,fullName\nX12345678,\"Pilot, Fox\"\nX12345679,\"Pilot, Vixen\"\n"
+    );
+    const VALID_RESULT = await run(["validate", "crew-id", "--data", VALID]);
+    assert.equal(VALID_RESULT.code, 0);
+    assert.equal(VALID_RESULT.stdout, "All 2 row(s) are valid.\n");
+
+    const INVALID = join(directory, "invalid.csv");
+    await writeFile(
+      INVALID,
+      "number,expirationDate\nX12345678,soon\nX1234567890,2030-06-30\n"
+    );
+    const INVALID_RESULT =
+        await run(["validate", "crew-id", "--data", INVALID]);
+    assert.equal(INVALID_RESULT.code, 1);
+    assert.match(INVALID_RESULT.stdout, /^2 error\(s\) in 2 row\(s\):\n/);
+    assert.match(INVALID_RESULT.stdout, /Row 1, expirationDate: /);
+    assert.match(INVALID_RESULT.stdout, /Row 2, number: /);
+  });
+
+  describe("render", () => {
+    let keyPath;
+    let certificatePath;
+    let otherKeyPath;
+
+    before(async () => {
+      const CSCA = await CountrySigningCA.create({ authorityCode: "XAF" });
+      const ISSUED = await CSCA.issueBarcodeSigner();
+      const OTHER = await CSCA.issueBarcodeSigner();
+      keyPath = join(directory, "signer.pem");
+      certificatePath = join(directory, "signer.crt");
+      otherKeyPath = join(directory, "other.pem");
+      await writeFile(keyPath, bytesToPEM(
+        await crypto.subtle.exportKey("pkcs8", ISSUED.signer.privateKey),
+        "PRIVATE KEY"
+      ));
+      await writeFile(certificatePath, ISSUED.certificate.toPEM());
+      await writeFile(otherKeyPath, bytesToPEM(
+        await crypto.subtle.exportKey("pkcs8", OTHER.signer.privateKey),
+        "PRIVATE KEY"
+      ));
+    });
+
+    it("signs with a key and its certificate and writes PNGs", async () => {
+      const FRONT = join(directory, "front.png");
+      const BACK = join(directory, "back.png");
+      const RESULT = await run([
+        "render", "crew-id",
+        "--data", join(directory, "person.json"),
+        "--key", keyPath,
+        "--certificate", certificatePath,
+        "--out", FRONT, BACK
+      ]);
+      assert.equal(RESULT.code, 0, RESULT.stderr);
+      assert.equal(RESULT.stdout, `${FRONT}\n${BACK}\n`);
+      assert.equal(RESULT.stderr, "");
+      const PNG_SIGNATURE = [0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A];
+      for (const PATH of [FRONT, BACK]) {
+        assert.deepEqual(
+          [...(await readFile(PATH)).subarray(0, 8)],
+          PNG_SIGNATURE
+        );
+      }
+    });
+
+    it("needs the certificate issued for the key", async () => {
+      const ARGS = [
+        "render", "crew-id",
+        "--data", join(directory, "person.json"),
+        "--out", join(directory, "unused.png")
+      ];
+      const NO_CERTIFICATE = await run([...ARGS, "--key", keyPath]);
+      assert.equal(NO_CERTIFICATE.code, 1);
+      assert.match(NO_CERTIFICATE.stderr, /'--certificate <file>'/);
+
+      const NO_KEY = await run([...ARGS, "--certificate", certificatePath]);
+      assert.equal(NO_KEY.code, 1);
+      assert.match(NO_KEY.stderr, /without a private key/);
+
+      const MISMATCHED = await run([
+        ...ARGS, "--key", otherKeyPath, "--certificate", certificatePath
+      ]);
+      assert.equal(MISMATCHED.code, 1);
+      assert.match(MISMATCHED.stderr, /does not match the public key/);
+    });
+
+    it("rejects a back for types without one", async () => {
+      const RESULT = await run([
+        "render", "events-mrva",
+        "--data", join(directory, "person.json"),
+        "--out", join(directory, "front.png"), join(directory, "back.png")
+      ]);
+      assert.equal(RESULT.code, 1);
+      assert.match(RESULT.stderr, /has no back to render/);
+    });
+  });
+});
@@ -0,0 +1,100 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventsMRVA } from "../lib/eventsmrva.js";
+import { EventsMRVB } from "../lib/eventsmrvb.js";
+import { EventsPassport } from "../lib/eventspassport.js";
+import { compareVisaToPassport } from "../lib/utilities/compare-visa-to-passport.js";
+
+const PASSPORT_OPTIONS = {
+  number: "X12345678",
+  nationalityCode: "XAF",
+  birthDate: "1990-02-28",
+  genderMarker: "M",
+  fullName: "Pilot, Fox",
+  expirationDate: "2030-06-30"
+};
+
+const VISA_OPTIONS = {
+  passportNumber: "X12345678",
+  nationalityCode: "XAF",
+  birthDate: "1990-02-28",
+  genderMarker: "M",
+  fullName: "Pilot, Fox",
+  validFrom: "2025-01-01",
+  validThru: "2030-06-30"
+};
+
+for (const Visa of [EventsMRVA, EventsMRVB]) {
+  describe(`compareVisaToPassport with ${Visa.name}`, () => {
+    const PASSPORT = new EventsPassport(PASSPORT_OPTIONS);
+
+    it("finds no mismatches between matching documents", () => {
+      assert.deepEqual(
+        compareVisaToPassport(new Visa(VISA_OPTIONS), PASSPORT), []
+      );
+    });
+
+    for (const [property, value, expected] of [
+      ["passportNumber", "X12345679", "X12345678"],
+      ["nationalityCode", "XAG", "XAF"],
+      ["birthDate", "1990-03-01", "1990-02-28"],
+      ["genderMarker", "F", "M"],
+      ["fullName", "Pilot, Vixen", "PILOT<<FOX"]
+    ]) {
+      it(`reports a mismatched ${property}`, () => {
+        const MISMATCHES = compareVisaToPassport(
+          new Visa({ ...VISA_OPTIONS, [property]: value }),
+          PASSPORT
+        );
+        assert.equal(MISMATCHES.length, 1);
+        assert.equal(MISMATCHES[0].property, property);
+        assert.equal(MISMATCHES[0].passport, expected);
+        assert.match(MISMATCHES[0].message, /does not match the passport/);
+      });
+    }
+
+    it("compares names as they are written in an MRZ", () => {
+      const VISA = new Visa({ ...VISA_OPTIONS, fullName: "PÍLOT, fox" });
+      assert.deepEqual(compareVisaToPassport(VISA, PASSPORT), []);
+    });
+
+    it("reports visas valid after the passport expires", () => {
+      const ENDS_LATE = compareVisaToPassport(
+        new Visa({ ...VISA_OPTIONS, validThru: "2030-07-01" }),
+        PASSPORT
+      );
+      assert.deepEqual(ENDS_LATE, [{
+        property: "validThru",
+        visa: "2030-07-01",
+        passport: "2030-06-30",
+        message: "The visa expires on '2030-07-01', after the passport " +
+            "expires on '2030-06-30'."
+      }]);
+
+      const STARTS_LATE = compareVisaToPassport(
+        new Visa({
+          ...VISA_OPTIONS,
+          validFrom: "2031-01-01",
+          validThru: "2032-01-01"
+        }),
+        PASSPORT
+      );
+      assert.deepEqual(
+        STARTS_LATE.map((mismatch) => mismatch.property),
+        ["validFrom", "validThru"]
+      );
+    });
+
+    it("reports every mismatch at once", () => {
+      const MISMATCHES = compareVisaToPassport(new Visa(), PASSPORT);
+      assert.deepEqual(
+        MISMATCHES.map((mismatch) => mismatch.property),
+        ["passportNumber", "nationalityCode", "birthDate", "genderMarker",
+          "fullName"]
+      );
+    });
+  });
+}
@@ -0,0 +1,106 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CrewCertificate } from "../lib/crewcertificate.js";
+import { CrewID } from "../lib/crewid.js";
+import { CrewLicense } from "../lib/crewlicense.js";
+import { EventsID } from "../lib/eventsid.js";
+import { EventsMRVA } from "../lib/eventsmrva.js";
+import { EventsMRVB } from "../lib/eventsmrvb.js";
+import { EventsPassport } from "../lib/eventspassport.js";
+import { parseMRZ } from "../lib/icao9303/utilities/parse-mrz.js";
+
+const COMPOSED_CLASSES = [
+  CrewCertificate,
+  CrewID,
+  CrewLicense,
+  EventsID,
+  EventsMRVA,
+  EventsMRVB,
+  EventsPassport
+];
+
+// A signature of 64 bytes, like an ECDSA P-256 signature.
+const SIGNATURE_DATA = Array.from({ length: 64 }, (_, i) => (i * 37) % 256);
+
+for (const ComposedClass of COMPOSED_CLASSES) {
+  describe(ComposedClass.name, () => {
+    it("reads back its own machine-readable zone", () => {
+      const original = new ComposedClass();
+      const copy = new ComposedClass();
+      copy.machineReadableZone = original.machineReadableZone;
+      assert.equal(copy.machineReadableZone, original.machineReadableZone);
+    });
+
+    it("writes a machine-readable zone that parseMRZ() validates", () => {
+      const result = parseMRZ(new ComposedClass().machineReadableZone);
+      assert.equal(result.valid, true);
+      assert.deepEqual(result.errors, []);
+    });
+
+    for (const [sealVersion, certReference] of [[3, "00005"], [4, "0005"]]) {
+      it(`reads back its own signed version ${sealVersion} seal`, () => {
+        const original = new ComposedClass({
+          sealVersion: sealVersion,
+          certReference: certReference
+        });
+        original.signatureData = SIGNATURE_DATA;
+        const copy = new ComposedClass({ sealVersion: sealVersion });
+        copy.signedSeal = original.signedSeal;
+        assert.deepEqual(copy.signedSeal, original.signedSeal);
+        assert.deepEqual(copy.signatureData, SIGNATURE_DATA);
+        assert.equal(copy.certReference, certReference);
+        assert.equal(copy.machineReadableZone, original.machineReadableZone);
+      });
+    }
+
+    it("reads two-digit years relative to its current year", () => {
+      const original = new ComposedClass();
+      const EXPIRATION =
+          "validThru" in original ? "validThru" : "expirationDate";
+      const HAS_BIRTH_DATE = "birthDate" in original;
+      if (HAS_BIRTH_DATE) {
+        original.birthDate = "1955-03-01";
+      }
+      original[EXPIRATION] = "2061-03-01";
+      for (const [yearOptions, birthYear, expirationYear] of [
+        [{ currentYear: 2055 }, 2055, 2061],
+        [{ currentYear: 2054 }, 1955, 2061],
+        [{ currentYear: 2010 }, 1955, 1961],
+        [{ currentYear: 2010, expirationYearsAhead: 51 }, 1955, 2061]
+      ]) {
+        const fromMRZ = new ComposedClass(yearOptions);
+        fromMRZ.machineReadableZone = original.machineReadableZone;
+        const fromSeal = new ComposedClass(yearOptions);
+        fromSeal.signedSeal = original.signedSeal;
+        for (const copy of [fromMRZ, fromSeal]) {
+          assert.equal(copy[EXPIRATION].getFullYear(), expirationYear);
+          if (HAS_BIRTH_DATE) {
+            assert.equal(copy.birthDate.getFullYear(), birthYear);
+          }
+        }
+      }
+    });
+
+    // The version byte of a seal is 0x02 for version 3 and 0x03 for version 4.
+    it("writes the version byte of its seal version", () => {
+      const model = new ComposedClass();
+      assert.equal(model.sealVersion, 4);
+      assert.equal(model.signedSeal[1], 0x03);
+      model.sealVersion = 3;
+      model.certReference = "00005";
+      assert.equal(model.signedSeal[1], 0x02);
+      assert.throws(() => { model.sealVersion = 5; }, RangeError);
+    });
+
+    it("recreates itself from toJSON()", () => {
+      const original = new ComposedClass({ sealVersion: 3 });
+      original.certReference = "00005";
+      const copy = ComposedClass.fromJSON(JSON.stringify(original));
+      assert.deepEqual(copy.toJSON(), original.toJSON());
+      assert.equal(copy.machineReadableZone, original.machineReadableZone);
+    });
+  });
+}
@@ -0,0 +1,163 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { CrewID } from "../lib/crewid.js";
+import { CountrySigningCA } from "../lib/icao9303/countrysigningca.js";
+import { CSCAMasterList } from "../lib/icao9303/cscamasterlist.js";
+import { DigitalSealCertificate } from "../lib/icao9303/digitalsealcertificate.js";
+import { DigitalSealTrustStore } from "../lib/icao9303/digitalsealtruststore.js";
+import { DigitalSealVerifier } from "../lib/icao9303/digitalsealverifier.js";
+import { VDSVerificationStatus } from "../lib/icao9303/utilities/vds-verification-status.js";
+
+describe("CountrySigningCA", () => {
+  let csca;
+
+  before(async () => {
+    csca = await CountrySigningCA.create({
+      authorityCode: "XAF",
+      organization: "Alfa Federation"
+    });
+  });
+
+  it("creates a self-signed CSCA certificate", async () => {
+    const CERTIFICATE = csca.certificate;
+    assert.equal(CERTIFICATE.isCA, true);
+    assert.equal(CERTIFICATE.subject.countryName, "XA");
+    assert.equal(CERTIFICATE.subject.commonName, "XAF CSCA");
+    assert.deepEqual(CERTIFICATE.issuer, CERTIFICATE.subject);
+    assert.ok(CERTIFICATE.notAfter > CERTIFICATE.notBefore);
+  });
+
+  it("issues barcode signer certificates named for the signer", async () => {
+    const { certificate } = await csca.issueBarcodeSigner({
+      identifierCode: "xas1",
+      documentTypes: ["a"]
+    });
+    assert.equal(certificate.isCA, false);
+    assert.equal(certificate.identifierCode, "XAS1");
+    assert.equal(certificate.subject.commonName, "XAS1");
+    assert.equal(certificate.subject.organizationName, "Alfa Federation");
+    assert.deepEqual(certificate.issuer, csca.certificate.subject);
+    assert.deepEqual(certificate.documentTypes, ["A"]);
+  });
+
+  it("defaults to certificate references that fit both seal versions",
+      async () => {
+    for (let i = 0; i < 8; i++) {
+      const { certificate } = await csca.issueBarcodeSigner();
+      assert.match(certificate.serialNumber, /^0?[1-9A-F][0-9A-F]{4}$/);
+      assert.match(certificate.certReference, /^[1-9A-F][0-9A-F]{4}$/);
+    }
+  });
+
+  it("derives the certificate reference from the serial number", async () => {
+    const SHORT = await csca.issueBarcodeSigner({ serialNumber: "00A1" });
+    assert.equal(SHORT.certificate.certReference, "000A1");
+    const LONG =
+        await csca.issueBarcodeSigner({ serialNumber: "1234567890ABCDEF" });
+    assert.equal(LONG.certificate.certReference, "1234567890ABCDEF");
+    await assert.rejects(
+      csca.issueBarcodeSigner({ serialNumber: "XYZ" }),
+      RangeError
+    );
+    await assert.rejects(
+      csca.issueBarcodeSigner({ serialNumber: "000" }),
+      RangeError
+    );
+  });
+
+  it("signs version 3 and version 4 seals with default signers", async () => {
+    const { certificate, signer } = await csca.issueBarcodeSigner();
+    const VERIFIER = new DigitalSealVerifier({
+      trustStore: new DigitalSealTrustStore({ certificates: [certificate] })
+    });
+    for (const sealVersion of [3, 4]) {
+      const DOCUMENT = new CrewID({ sealVersion });
+      await signer.sign(DOCUMENT);
+      assert.equal(DOCUMENT.certReference, certificate.certReference);
+      const RESULT = await VERIFIER.verify(DOCUMENT.signedSeal);
+      assert.equal(RESULT.status, VDSVerificationStatus.VALID);
+    }
+  });
+
+  it("rejects signers outside of the CSCA", async () => {
+    await assert.rejects(
+      csca.issueBarcodeSigner({ identifierCode: "XBS1" }),
+      RangeError
+    );
+    await assert.rejects(
+      csca.issueBarcodeSigner({ notAfter: "2999-12-31" }),
+      RangeError
+    );
+  });
+
+  it("round-trips through its certificate and private key", async () => {
+    const RESTORED = await CountrySigningCA.fromPKCS8(
+      csca.certificate.toPEM(),
+      await csca.exportPrivateKey()
+    );
+    const { certificate } = await RESTORED.issueBarcodeSigner();
+    const MASTER_LIST = new CSCAMasterList({
+      certificates: [csca.certificate]
+    });
+    assert.equal(await MASTER_LIST.findIssuer(certificate), csca.certificate);
+  });
+});
+
+describe("CSCAMasterList", () => {
+  let csca;
+  let otherCSCA;
+  let issued;
+
+  before(async () => {
+    csca = await CountrySigningCA.create({ authorityCode: "XAF" });
+    otherCSCA = await CountrySigningCA.create({ authorityCode: "XBF" });
+    issued = await csca.issueBarcodeSigner();
+  });
+
+  it("finds the CSCA that issued a barcode signer certificate", async () => {
+    const MASTER_LIST = new CSCAMasterList({
+      certificates: [otherCSCA.certificate, csca.certificate]
+    });
+    assert.equal(MASTER_LIST.size, 2);
+    assert.equal(
+      await MASTER_LIST.findIssuer(issued.certificate), csca.certificate
+    );
+    MASTER_LIST.delete(csca.certificate);
+    assert.equal(await MASTER_LIST.findIssuer(issued.certificate), null);
+  });
+
+  it("only trusts CSCA certificates", () => {
+    assert.throws(
+      () => new CSCAMasterList({ certificates: [issued.certificate] }),
+      TypeError
+    );
+  });
+
+  it("round-trips through DER and PEM exports", async () => {
+    const MASTER_LIST = new CSCAMasterList({
+      certificates: [csca.certificate, otherCSCA.certificate]
+    });
+    for (const exported of [MASTER_LIST.export(), MASTER_LIST.toPEM()]) {
+      const IMPORTED = await CSCAMasterList.import(exported);
+      assert.equal(IMPORTED.size, 2);
+      assert.deepEqual(
+        [...IMPORTED.values()].map((certificate) => certificate.toPEM()),
+        [csca.certificate.toPEM(), otherCSCA.certificate.toPEM()]
+      );
+      assert.ok(IMPORTED.values().next().value instanceof
+          DigitalSealCertificate);
+      const ISSUER = await IMPORTED.findIssuer(issued.certificate);
+      assert.equal(ISSUER.toPEM(), csca.certificate.toPEM());
+    }
+  });
+
+  it("rejects content that is not a master list", async () => {
+    await assert.rejects(
+      CSCAMasterList.import(issued.certificate.der),
+      TypeError
+    );
+  });
+});
@@ -0,0 +1,102 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { BinaryBitmap, DataMatrixReader, DecodeHintType, HybridBinarizer, RGBLuminanceSource } from "@zxing/library";
+import { encode } from "../lib/datamatrix/datamatrix.js";
+
+// DataMatrix symbols are checked by decoding them with ZXing, a reference
+// decoder independent of this encoder.
+
+/**
+ * Decode a symbol from `encode()` with ZXing.
+ * @param { { rows: number, columns: number, modules: Uint8Array } } symbol
+ * @returns { string }
+ */
+function decode(symbol) {
+  const SCALE = 2;
+  const MARGIN = 2;
+  const WIDTH = (symbol.columns + 2 * MARGIN) * SCALE;
+  const HEIGHT = (symbol.rows + 2 * MARGIN) * SCALE;
+  const LUMINANCES = new Uint8ClampedArray(WIDTH * HEIGHT).fill(255);
+  for (let y = 0; y < HEIGHT; y += 1) {
+    const ROW = Math.floor(y / SCALE) - MARGIN;
+    for (let x = 0; x < WIDTH; x += 1) {
+      const COLUMN = Math.floor(x / SCALE) - MARGIN;
+      if (ROW >= 0 && ROW < symbol.rows && COLUMN >= 0 &&
+          COLUMN < symbol.columns &&
+          symbol.modules[ROW * symbol.columns + COLUMN] === 1) {
+        LUMINANCES[y * WIDTH + x] = 0;
+      }
+    }
+  }
+  const BITMAP = new BinaryBitmap(
+    new HybridBinarizer(new RGBLuminanceSource(LUMINANCES, WIDTH, HEIGHT))
+  );
+  return new DataMatrixReader().decode(
+    BITMAP,
+    new Map([[DecodeHintType.PURE_BARCODE, true]])
+  ).getText();
+}
+
+// Characters with 1, 2, and 4 C40 values: a basic character, one from the
+// shift 1, 2, and 3 sets, and one needing an upper shift.
+const C40_CHARACTERS = ["A", "\x01", "!", "a", "Á"];
+
+describe("DataMatrix encode()", () => {
+  for (const MODE of ["auto", "ascii", "c40", "base256"]) {
+    it(`encodes data that decodes back in ${MODE} mode`, () => {
+      const DATA = "ICAO 9303 VISIBLE DIGITAL SEAL 2023-09-01";
+      assert.equal(decode(encode(DATA, { mode: MODE })), DATA);
+    });
+  }
+
+  // Each prefix length leaves a different number of C40 values before the
+  // last character, so every residue modulo 3 is covered for each character.
+  for (const MODE of ["auto", "c40"]) {
+    it(`decodes the last C40 character at every residue in ${MODE} mode`,
+        () => {
+      for (const CHARACTER of C40_CHARACTERS) {
+        for (let length = 0; length <= 14; length += 1) {
+          const DATA = "ABCDEFGHIJKLMN".slice(0, length) + CHARACTER;
+          assert.equal(decode(encode(DATA, { mode: MODE })), DATA);
+        }
+      }
+    });
+  }
+
+  it("decodes mixed shifted characters in c40 mode", () => {
+    for (const DATA of ["Áa", "aÁ!", "ÁÁ", "Á!Á", "A!aÁ\x01B"]) {
+      assert.equal(decode(encode(DATA, { mode: "c40" })), DATA);
+    }
+  });
+
+  it("decodes the largest square symbol, which has uneven blocks", () => {
+    const DATA = "ALFA".repeat(375);
+    const SYMBOL = encode(DATA, { mode: "ascii" });
+    assert.equal(SYMBOL.rows, 144);
+    assert.equal(decode(SYMBOL), DATA);
+  });
+
+  it("decodes interleaved symbols of every block count", () => {
+    // Data sizes for symbols of 2, 4, 6, 8, and 10 blocks.
+    for (const [LENGTH, ROWS] of [
+      [200, 52],
+      [360, 72],
+      [1000, 120],
+      [1300, 132],
+      [1558, 144]
+    ]) {
+      const DATA = "X".repeat(LENGTH);
+      const SYMBOL = encode(DATA, { mode: "ascii" });
+      assert.equal(SYMBOL.rows, ROWS);
+      assert.equal(decode(SYMBOL), DATA);
+    }
+  });
+
+  it("rejects data that does not fit the largest symbol", () => {
+    assert.throws(() => encode("X".repeat(1559), { mode: "ascii" }),
+        RangeError);
+  });
+});
@@ -0,0 +1,82 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CrewCertificate } from "../lib/crewcertificate.js";
+import { CrewID } from "../lib/crewid.js";
+import { CrewLicense } from "../lib/crewlicense.js";
+import { EventsID } from "../lib/eventsid.js";
+import { EventsMRVA } from "../lib/eventsmrva.js";
+import { EventsMRVB } from "../lib/eventsmrvb.js";
+import { EventsPassport } from "../lib/eventspassport.js";
+import { DigitalSealV4 } from "../lib/icao9303/digitalsealv4.js";
+import { decodeSeal } from "../lib/utilities/decode-seal.js";
+import { SEAL_DECODERS } from "../lib/utilities/seal-decoders.js";
+import { encode as toBase45 } from "../lib/base45-ts/base45.js";
+
+const DOCUMENT_CLASSES = [
+  EventsPassport,
+  CrewCertificate,
+  CrewLicense,
+  CrewID,
+  EventsMRVA,
+  EventsMRVB,
+  EventsID
+];
+
+describe("decodeSeal", () => {
+  for (const DocumentClass of DOCUMENT_CLASSES) {
+    it(`decodes ${DocumentClass.name} seals of both versions`, () => {
+      for (const sealVersion of [3, 4]) {
+        const DOCUMENT = new DocumentClass({ sealVersion });
+        const DECODED = decodeSeal(DOCUMENT.signedSeal);
+        assert.ok(DECODED instanceof DocumentClass);
+        assert.equal(DECODED.sealVersion, sealVersion);
+        assert.equal(DECODED.number, DOCUMENT.number);
+        assert.equal(DECODED.mrzLine1, DOCUMENT.mrzLine1);
+        assert.equal(DECODED.mrzLine2, DOCUMENT.mrzLine2);
+        assert.deepEqual(DECODED.signedSeal, DOCUMENT.signedSeal);
+      }
+    });
+  }
+
+  it("decodes seals given as base-45 strings", () => {
+    const DOCUMENT = new CrewID();
+    const DECODED =
+        decodeSeal(toBase45(Uint8Array.from(DOCUMENT.signedSeal)));
+    assert.ok(DECODED instanceof CrewID);
+    assert.deepEqual(DECODED.signedSeal, DOCUMENT.signedSeal);
+  });
+
+  it("rejects type categories without a decoder", () => {
+    const SEAL = new DigitalSealV4({
+      typeCategory: 0x0E,
+      features: new Map([[0x01, [0x00]]])
+    });
+    assert.throws(() => decodeSeal(SEAL.signedSeal), RangeError);
+  });
+
+  it("rejects feature definitions the document classes do not use", () => {
+    const SEAL = new DigitalSealV4({
+      typeCategory: 0x08,
+      featureDefinition: 0x02,
+      features: new Map([[0x01, [0x00]]])
+    });
+    assert.throws(() => decodeSeal(SEAL.signedSeal), RangeError);
+  });
+
+  it("uses the decoders it is given", () => {
+    const SEAL = new DigitalSealV4({
+      typeCategory: 0x0E,
+      features: new Map([[0x01, [0x41]]])
+    });
+    const DECODERS = new Map(SEAL_DECODERS);
+    DECODERS.set(0x0E, (seal) => ({ feature: seal.features.get(0x01) }));
+    assert.deepEqual(
+      decodeSeal(SEAL.signedSeal, DECODERS),
+      { feature: [0x41] }
+    );
+    assert.equal(SEAL_DECODERS.has(0x0E), false);
+  });
+});
@@ -0,0 +1,79 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { CrewID } from "../lib/crewid.js";
+import { CountrySigningCA } from "../lib/icao9303/countrysigningca.js";
+import { DigitalSealSigner } from "../lib/icao9303/digitalsealsigner.js";
+import { DigitalSealTrustStore } from "../lib/icao9303/digitalsealtruststore.js";
+import { DigitalSealVerifier } from "../lib/icao9303/digitalsealverifier.js";
+import { bytesToPEM } from "../lib/icao9303/utilities/bytes-to-pem.js";
+import { dateToCalendarDate } from "../lib/icao9303/utilities/date-to-calendar-date.js";
+import { VDSVerificationStatus } from "../lib/icao9303/utilities/vds-verification-status.js";
+import { loadSealSigner } from "../lib/utilities/load-seal-signer.js";
+
+describe("DigitalSealSigner", () => {
+  let certificate;
+  let keyPEM;
+
+  before(async () => {
+    const CSCA = await CountrySigningCA.create({ authorityCode: "XAF" });
+    const ISSUED = await CSCA.issueBarcodeSigner({ identifierCode: "XAS1" });
+    certificate = ISSUED.certificate;
+    keyPEM = bytesToPEM(
+      await crypto.subtle.exportKey("pkcs8", ISSUED.signer.privateKey),
+      "PRIVATE KEY"
+    );
+  });
+
+  it("signs seals that verify against the key's certificate", async () => {
+    const signer = await loadSealSigner(
+      new Blob([keyPEM]),
+      new Blob([Uint8Array.from(certificate.der)])
+    );
+    const document = new CrewID({
+      identifierCode: "UTSS",
+      certReference: "00000",
+      signatureDate: "2007-04-15"
+    });
+    await signer.sign(document);
+    assert.equal(document.identifierCode, "XAS1");
+    assert.equal(document.certReference, certificate.certReference);
+    assert.equal(
+      dateToCalendarDate(document.signatureDate),
+      dateToCalendarDate(new Date())
+    );
+    assert.equal(document.signatureData.length, signer.signatureLength);
+
+    const VERIFIER = new DigitalSealVerifier({
+      trustStore: new DigitalSealTrustStore({ certificates: [certificate] })
+    });
+    const RESULT = await VERIFIER.verify(document.signedSeal);
+    assert.equal(RESULT.status, VDSVerificationStatus.VALID);
+    assert.equal(RESULT.valid, true);
+  });
+
+  it("rejects a private key that does not match the certificate", async () => {
+    const OTHER = await DigitalSealSigner.generate("P-256");
+    const OTHER_PEM = bytesToPEM(
+      await crypto.subtle.exportKey("pkcs8", OTHER.signer.privateKey),
+      "PRIVATE KEY"
+    );
+    await assert.rejects(
+      DigitalSealSigner.fromPKCS8(OTHER_PEM, { certificate: certificate }),
+      RangeError
+    );
+    await assert.rejects(
+      loadSealSigner(new Blob([OTHER_PEM]), new Blob([certificate.toPEM()])),
+      RangeError
+    );
+  });
+
+  it("rejects keys that are not PKCS #8 ECDSA keys", async () => {
+    await assert.rejects(
+      DigitalSealSigner.fromPKCS8(new Uint8Array([0x30, 0x00])),
+      TypeError
+    );
+  });
+});
@@ -0,0 +1,198 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+import { CrewID } from "../lib/crewid.js";
+import { CountrySigningCA } from "../lib/icao9303/countrysigningca.js";
+import { CSCAMasterList } from "../lib/icao9303/cscamasterlist.js";
+import { DigitalSealSigner } from "../lib/icao9303/digitalsealsigner.js";
+import { DigitalSealTrustStore } from "../lib/icao9303/digitalsealtruststore.js";
+import { DigitalSealVerifier } from "../lib/icao9303/digitalsealverifier.js";
+import { dateToCalendarDate } from "../lib/icao9303/utilities/date-to-calendar-date.js";
+import { VDSVerificationStatus } from "../lib/icao9303/utilities/vds-verification-status.js";
+import { encode as toBase45 } from "../lib/base45-ts/base45.js";
+
+async function signedSeal(signer) {
+  const DOCUMENT = new CrewID();
+  await signer.sign(DOCUMENT);
+  return DOCUMENT.signedSeal;
+}
+
+describe("DigitalSealTrustStore", () => {
+  let publicKey;
+
+  before(async () => {
+    ({ publicKey } = await DigitalSealSigner.generate("P-256"));
+  });
+
+  it("adds, finds, and deletes certificates by signer", () => {
+    const STORE = new DigitalSealTrustStore({
+      certificates: [
+        { identifierCode: "XAS1", certReference: "1A2B3", publicKey }
+      ]
+    });
+    assert.equal(STORE.size, 1);
+    assert.equal(STORE.has("xas1", "1a2b3"), true);
+    assert.equal(STORE.get("XAS1", "1A2B3").publicKey, publicKey);
+    assert.equal(STORE.get("XAS1", "00000"), undefined);
+    assert.equal(STORE.delete("XAS1", "1A2B3"), true);
+    assert.equal(STORE.delete("XAS1", "1A2B3"), false);
+    assert.equal(STORE.size, 0);
+  });
+
+  it("rejects certificates with invalid signers or keys", () => {
+    const STORE = new DigitalSealTrustStore();
+    assert.throws(
+      () => STORE.add(
+        { identifierCode: "XA", certReference: "1A2B3", publicKey }
+      ),
+      RangeError
+    );
+    assert.throws(
+      () => STORE.add(
+        { identifierCode: "XAS1", certReference: "XYZ", publicKey }
+      ),
+      RangeError
+    );
+    assert.throws(
+      () => STORE.add(
+        { identifierCode: "XAS1", certReference: "1A2B3", publicKey: null }
+      ),
+      TypeError
+    );
+  });
+
+  it("trusts only certificates issued by a CSCA in a master list", async () => {
+    const CSCA = await CountrySigningCA.create({ authorityCode: "XAF" });
+    const OTHER_CSCA = await CountrySigningCA.create({ authorityCode: "XAG" });
+    const ISSUED = await CSCA.issueBarcodeSigner({ identifierCode: "XAS1" });
+    const OTHER_ISSUED =
+        await OTHER_CSCA.issueBarcodeSigner({ identifierCode: "XAS2" });
+    const MASTER_LIST =
+        new CSCAMasterList({ certificates: [CSCA.certificate] });
+
+    const STORE = await DigitalSealTrustStore.fromMasterList(
+      MASTER_LIST, [ISSUED.certificate]
+    );
+    assert.equal(
+      STORE.has("XAS1", ISSUED.certificate.certReference), true
+    );
+    await assert.rejects(
+      DigitalSealTrustStore.fromMasterList(
+        MASTER_LIST, [ISSUED.certificate, OTHER_ISSUED.certificate]
+      ),
+      RangeError
+    );
+  });
+});
+
+describe("DigitalSealVerifier", () => {
+  let signer;
+  let certificate;
+
+  before(async () => {
+    const GENERATED = await DigitalSealSigner.generate("P-256", {
+      identifierCode: "XAS1",
+      certReference: "1A2B3"
+    });
+    signer = GENERATED.signer;
+    certificate = {
+      identifierCode: "XAS1",
+      certReference: "1A2B3",
+      publicKey: GENERATED.publicKey
+    };
+  });
+
+  function verifierFor(...certificates) {
+    return new DigitalSealVerifier({
+      trustStore: new DigitalSealTrustStore({ certificates })
+    });
+  }
+
+  it("accepts a seal signed by a trusted signer", async () => {
+    const SEAL = await signedSeal(signer);
+    const RESULT = await verifierFor(certificate).verify(SEAL);
+    assert.equal(RESULT.status, VDSVerificationStatus.VALID);
+    assert.equal(RESULT.valid, true);
+    assert.equal(RESULT.certificate, certificate);
+    assert.equal(RESULT.seal.identifierCode, "XAS1");
+  });
+
+  it("accepts a seal given as a base-45 string", async () => {
+    const SEAL = await signedSeal(signer);
+    const RESULT =
+        await verifierFor(certificate).verify(toBase45(Uint8Array.from(SEAL)));
+    assert.equal(RESULT.status, VDSVerificationStatus.VALID);
+  });
+
+  it("reports seals from signers that are not trusted", async () => {
+    const SEAL = await signedSeal(signer);
+    const RESULT = await verifierFor().verify(SEAL);
+    assert.equal(RESULT.status, VDSVerificationStatus.UNKNOWN_SIGNER);
+    assert.equal(RESULT.valid, false);
+    assert.equal(RESULT.certificate, null);
+  });
+
+  it("reports signatures that do not match the seal", async () => {
+    const SEAL = await signedSeal(signer);
+    SEAL[SEAL.length - 1] ^= 0xFF;
+    const RESULT = await verifierFor(certificate).verify(SEAL);
+    assert.equal(RESULT.status, VDSVerificationStatus.BAD_SIGNATURE);
+
+    const { publicKey } = await DigitalSealSigner.generate("P-256");
+    const WRONG_KEY = await verifierFor({ ...certificate, publicKey })
+        .verify(await signedSeal(signer));
+    assert.equal(WRONG_KEY.status, VDSVerificationStatus.BAD_SIGNATURE);
+  });
+
+  it("reports seals signed outside the validity period", async () => {
+    const SEAL = await signedSeal(signer);
+    const EXPIRED = await verifierFor({
+      ...certificate,
+      notBefore: new Date("2020-01-01T00:00:00Z"),
+      notAfter: new Date("2021-01-01T00:00:00Z")
+    }).verify(SEAL);
+    assert.equal(EXPIRED.status, VDSVerificationStatus.EXPIRED_CERTIFICATE);
+
+    const NOT_YET_VALID = await verifierFor({
+      ...certificate,
+      notBefore: new Date("2999-01-01T00:00:00Z")
+    }).verify(SEAL);
+    assert.equal(
+      NOT_YET_VALID.status, VDSVerificationStatus.EXPIRED_CERTIFICATE
+    );
+  });
+
+  it("compares the signature date by day in any time zone", async () => {
+    const TIME_ZONE = process.env.TZ;
+    try {
+      for (const timeZone of ["Pacific/Kiritimati", "Pacific/Pago_Pago"]) {
+        process.env.TZ = timeZone;
+        const SEAL = await signedSeal(signer);
+        const TODAY = dateToCalendarDate(new Date());
+        const RESULT = await verifierFor({
+          ...certificate,
+          notBefore: new Date(`${TODAY}T00:00:00Z`),
+          notAfter: new Date(`${TODAY}T23:59:59Z`)
+        }).verify(SEAL);
+        assert.equal(RESULT.status, VDSVerificationStatus.VALID, timeZone);
+      }
+    } finally {
+      if (TIME_ZONE === undefined) {
+        delete process.env.TZ;
+      }
+      else {
+        process.env.TZ = TIME_ZONE;
+      }
+    }
+  });
+
+  it("reports seals that cannot be read", async () => {
+    for (const value of [[0xDC, 0x03], "not base-45!", []]) {
+      const RESULT = await verifierFor(certificate).verify(value);
+      assert.equal(RESULT.status, VDSVerificationStatus.MALFORMED);
+      assert.equal(RESULT.seal, null);
+    }
+  });
+});
@@ -0,0 +1,51 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { EventsStamp } from "../lib/eventsstamp.js";
+
+describe("EventsStamp", () => {
+  it("upper-cases its codes", () => {
+    const STAMP = new EventsStamp({
+      eventCode: "alfa23",
+      officerNumber: "a12"
+    });
+    assert.equal(STAMP.eventCode, "ALFA23");
+    assert.equal(STAMP.officerNumber, "A12");
+  });
+
+  it("throws RangeError for codes of the wrong length or characters", () => {
+    const STAMP = new EventsStamp();
+    for (const value of ["", "ALFA2023X", "ALF@"]) {
+      assert.throws(
+        () => { STAMP.eventCode = value; },
+        { name: "RangeError", message: /^Value set on 'eventCode' has errors/ }
+      );
+    }
+    for (const value of ["", "1234567", "12-4"]) {
+      assert.throws(
+        () => { STAMP.officerNumber = value; },
+        {
+          name: "RangeError",
+          message: /^Value set on 'officerNumber' has errors/
+        }
+      );
+    }
+    assert.throws(() => { STAMP.movement = "transit"; }, RangeError);
+    assert.throws(() => { STAMP.date = "soon"; }, TypeError);
+  });
+
+  it("recreates itself from toJSON()", () => {
+    const ORIGINAL = new EventsStamp({
+      eventCode: "ALFA23",
+      port: "Main Hall",
+      date: "2023-10-01",
+      movement: "exit",
+      officerNumber: "42"
+    });
+    const COPY = EventsStamp.fromJSON(JSON.stringify(ORIGINAL));
+    assert.deepEqual(COPY.toJSON(), ORIGINAL.toJSON());
+    assert.equal(COPY.date.getDate(), 1);
+  });
+});
@@ -0,0 +1,230 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { inflateSync } from "node:zlib";
+import { exportPDF } from "../lib/utilities/export-pdf.js";
+import { importCanvas } from "../lib/node/canvas-loaders.js";
+
+const CANVAS = await importCanvas();
+
+// A TD1 card as the renderers draw it: 1011x638 pixels once cut, with 1/16
+// inch of bleed on each side.
+const CUT_CARD_AREA = [1011, 638];
+const CARD_AREA = [1050, 675];
+
+// A line drawn from (x1, y1) to (x2, y2) in a page's content stream.
+const LINE = /([-\d.]+) ([-\d.]+) m ([-\d.]+) ([-\d.]+) l/g;
+
+function card(color, width = CARD_AREA[0], height = CARD_AREA[1]) {
+  const CARD = CANVAS.createCanvas(width, height);
+  const CTX = CARD.getContext("2d");
+  CTX.fillStyle = color;
+  CTX.fillRect(0, 0, width, height);
+  return CARD;
+}
+
+// Read the objects, pages, placed images, and lines of a PDF written by
+// `writePDF()`.
+function readPDF(bytes) {
+  const TEXT = Buffer.from(bytes).toString("latin1");
+  assert.match(TEXT, /^%PDF-1\.4\n/);
+  assert.match(TEXT, /%%EOF\n$/);
+
+  const objects = new Map();
+  const OBJECT = /(\d+) 0 obj\n<< ([^\n]*)>>(\nstream\n)?/g;
+  let match;
+  while ((match = OBJECT.exec(TEXT))) {
+    const OBJECT_START = match.index;
+    let stream = null;
+    if (match[3]) {
+      const LENGTH = Number(/\/Length (\d+)/.exec(match[2])[1]);
+      const START = match.index + match[0].length;
+      stream = Buffer.from(bytes.slice(START, START + LENGTH));
+      OBJECT.lastIndex = START + LENGTH;
+    }
+    objects.set(Number(match[1]), {
+      offset: OBJECT_START,
+      dictionary: match[2],
+      stream: stream
+    });
+  }
+
+  // Every cross-reference entry points at its object.
+  const XREF_OFFSET = TEXT.lastIndexOf("\nxref\n") + 1;
+  const XREF = TEXT.slice(XREF_OFFSET);
+  const OFFSETS = [...XREF.matchAll(/^(\d{10}) 00000 n $/gm)]
+      .map((entry) => Number(entry[1]));
+  assert.equal(OFFSETS.length, objects.size);
+  OFFSETS.forEach((offset, i) => {
+    assert.equal(objects.get(i + 1).offset, offset);
+  });
+  assert.equal(Number(/startxref\n(\d+)/.exec(XREF)[1]), XREF_OFFSET);
+
+  const KIDS = /\/Kids \[([^\]]*)\]/.exec(objects.get(2).dictionary)[1];
+  const pages = [...KIDS.matchAll(/(\d+) 0 R/g)].map((kid) => {
+    const PAGE = objects.get(Number(kid[1])).dictionary;
+    const MEDIA_BOX = /\/MediaBox \[([^\]]*)\]/.exec(PAGE)[1]
+        .split(" ").map(Number);
+    const CONTENT = objects.get(Number(/\/Contents (\d+)/.exec(PAGE)[1]))
+        .stream.toString("latin1");
+    return {
+      width: MEDIA_BOX[2],
+      height: MEDIA_BOX[3],
+      images: [...CONTENT.matchAll(/q ([-\d. ]+) cm \/Im(\d+) Do Q/g)]
+          .map((image) => ({
+            matrix: image[1].split(" ").map(Number),
+            id: Number(image[2])
+          })),
+      lines: [...CONTENT.matchAll(LINE)]
+          .map((line) => line.slice(1).map(Number))
+    };
+  });
+  return { objects, pages };
+}
+
+function assertClose(actual, expected) {
+  assert.ok(
+    Math.abs(actual - expected) < 0.01,
+    `Expected ${actual} to be close to ${expected}.`
+  );
+}
+
+describe("exportPDF", () => {
+  it("places each side of a card on its own page with crop marks", async () => {
+    const { pages } = readPDF(await exportPDF(
+      [{ front: card("red"), back: card("blue") }],
+      { cutCardArea: CUT_CARD_AREA }
+    ));
+    assert.equal(pages.length, 2);
+    // The card and 87 pixels of crop marks on each side, at 72 / 300 points
+    // per pixel.
+    assertClose(pages[0].width, (1050 + 2 * 87) * 0.24);
+    assertClose(pages[0].height, (675 + 2 * 87) * 0.24);
+
+    const [FRONT] = pages[0].images;
+    assertClose(FRONT.matrix[0], 1050 * 0.24);
+    assertClose(FRONT.matrix[3], 675 * 0.24);
+    assertClose(FRONT.matrix[4], 87 * 0.24);
+    assertClose(FRONT.matrix[5], 87 * 0.24);
+    assert.notEqual(pages[1].images[0].id, FRONT.id);
+
+    // Two marks in line with each of the 4 cuts, which start outside of the
+    // bleed.
+    assert.equal(pages[0].lines.length, 8);
+    const CUT_LEFT = (87 + 19.5) * 0.24;
+    assert.ok(pages[0].lines.some(([x1, , x2]) => {
+      return Math.abs(x1 - CUT_LEFT) < 0.01 && Math.abs(x2 - CUT_LEFT) < 0.01;
+    }));
+    for (const [x1, y1, x2, y2] of pages[0].lines) {
+      const INSIDE_X = (x) => x > 87 * 0.24 && x < (87 + 1050) * 0.24;
+      const INSIDE_Y = (y) => y > 87 * 0.24 && y < (87 + 675) * 0.24;
+      assert.ok(!(INSIDE_X(x1) && INSIDE_Y(y1)));
+      assert.ok(!(INSIDE_X(x2) && INSIDE_Y(y2)));
+    }
+  });
+
+  it("leaves out crop marks and missing backs", async () => {
+    const { pages } = readPDF(await exportPDF(
+      [{ front: card("red") }],
+      { cutCardArea: CUT_CARD_AREA, cropMarks: false }
+    ));
+    assert.equal(pages.length, 1);
+    assert.equal(pages[0].lines.length, 0);
+  });
+
+  it("imposes cards on sheets with backs aligned for long-edge duplex",
+      async () => {
+    const CARDS = Array.from({ length: 9 }, () => {
+      return { front: card("red"), back: card("blue") };
+    });
+    const { pages } = readPDF(await exportPDF(CARDS, {
+      cutCardArea: CUT_CARD_AREA,
+      paperSize: "letter"
+    }));
+    // 2 columns by 4 rows fit on a Letter sheet, so 9 cards take 2 sheets.
+    assert.equal(pages.length, 4);
+    assertClose(pages[0].width, 612);
+    assertClose(pages[0].height, 792);
+    assert.deepEqual(
+      pages.map((page) => page.images.length), [8, 8, 1, 1]
+    );
+    pages[0].images.forEach((front, i) => {
+      const BACK = pages[1].images[i].matrix;
+      assert.equal(BACK[0] > 0, true);
+      // Flipping from left to right mirrors the back's left edge.
+      assertClose(BACK[4], 612 - front.matrix[4] - front.matrix[0]);
+      assertClose(BACK[5], front.matrix[5]);
+    });
+    for (const [x1, , x2] of pages[0].lines) {
+      assert.ok(pages[1].lines.some(([backX1, , backX2]) => {
+        return Math.abs(backX1 - (612 - x1)) < 0.01 &&
+            Math.abs(backX2 - (612 - x2)) < 0.01;
+      }));
+    }
+  });
+
+  it("turns backs upside down for short-edge duplex", async () => {
+    const { pages } = readPDF(await exportPDF(
+      [{ front: card("red"), back: card("blue") }],
+      { cutCardArea: CUT_CARD_AREA, paperSize: "a4", duplex: "short-edge" }
+    ));
+    assertClose(pages[0].width, 210 / 25.4 * 72);
+    assertClose(pages[0].height, 297 / 25.4 * 72);
+    const FRONT = pages[0].images[0].matrix;
+    const BACK = pages[1].images[0].matrix;
+    assertClose(BACK[0], -FRONT[0]);
+    assertClose(BACK[3], -FRONT[3]);
+    // The rotated back covers the area mirrored from top to bottom.
+    assertClose(BACK[4], FRONT[4] + FRONT[0]);
+    assertClose(BACK[5] + BACK[3], pages[0].height - FRONT[5] - FRONT[3]);
+  });
+
+  it("embeds each canvas once with transparency blended onto white",
+      async () => {
+    const FRONT = CANVAS.createCanvas(CARD_AREA[0], CARD_AREA[1]);
+    const CTX = FRONT.getContext("2d");
+    CTX.fillStyle = "#0000FF";
+    CTX.fillRect(0, 0, 1, 1);
+    const { objects, pages } = readPDF(await exportPDF(
+      [{ front: FRONT, back: FRONT }, { front: FRONT }],
+      { cutCardArea: CUT_CARD_AREA, paperSize: "letter" }
+    ));
+    const IDS = new Set(pages.flatMap((page) => {
+      return page.images.map((image) => image.id);
+    }));
+    assert.equal(IDS.size, 1);
+
+    const IMAGE = objects.get([...IDS][0]);
+    assert.match(IMAGE.dictionary, /\/Width 1050 \/Height 675/);
+    const RGB = inflateSync(IMAGE.stream);
+    assert.equal(RGB.length, 1050 * 675 * 3);
+    assert.deepEqual([...RGB.subarray(0, 6)], [0, 0, 255, 255, 255, 255]);
+  });
+
+  it("rejects cards it cannot export", async () => {
+    const OPTIONS = { cutCardArea: CUT_CARD_AREA };
+    await assert.rejects(exportPDF([], OPTIONS), RangeError);
+    await assert.rejects(
+      exportPDF(
+        [{ front: card("red"), back: card("red", 1000, 675) }], OPTIONS
+      ),
+      RangeError
+    );
+    await assert.rejects(
+      exportPDF([{ front: card("red") }], { ...OPTIONS, duplex: "flip" }),
+      RangeError
+    );
+    await assert.rejects(
+      exportPDF([{ front: card("red") }], { ...OPTIONS, paperSize: "legal" }),
+      RangeError
+    );
+    await assert.rejects(
+      exportPDF(
+        [{ front: card("red") }], { ...OPTIONS, paperSize: [600, 600] }
+      ),
+      RangeError
+    );
+  });
+});
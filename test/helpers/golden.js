@@ -0,0 +1,177 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { mkdir, readFile, writeFile } from "node:fs/promises";
+import { join } from "node:path";
+import { ROOT_DIRECTORY } from "../../lib/node/canvas-loaders.js";
+
+/**
+ * Golden-image comparison for renderer output: compare a rendered canvas
+ *     against a stored reference PNG with a perceptual color difference, and
+ *     write the rendered image and a diff image when they do not match.
+ *
+ * The canvas implementation (from `importCanvas()`) is passed in, so this
+ *     module can be loaded without it.
+ */
+
+/**
+ * The directory of the reference PNGs.
+ */
+export const GOLDEN_DIRECTORY = join(ROOT_DIRECTORY, "test", "golden");
+
+/**
+ * The directory to which rendered and diff images are written on failure.
+ */
+export const DIFF_DIRECTORY = join(GOLDEN_DIRECTORY, "diff");
+
+/**
+ * The REUSE licensing information written next to each new reference PNG.
+ *     The references are renders of the provided image assets, so they share
+ *     their license.
+ */
+const GOLDEN_LICENSE = "SPDX-FileCopyrightText: 2023 Air Line Furries " +
+    "Association, International <https://airlinefurries.com/>\n" +
+    "SPDX-License-Identifier: CC-BY-4.0\n";
+
+/**
+ * The maximum YIQ color difference between two pixels, between black and
+ *     white.
+ */
+const MAX_YIQ_DIFFERENCE = 35215;
+
+/**
+ * Get the YIQ color difference of two RGBA pixels blended over white, as in
+ *     "Measuring perceived color difference using YIQ NTSC transmission color
+ *     space in mobile applications" (Kotsarenko and Ramos, 2010).
+ * @param { Uint8ClampedArray } a
+ * @param { Uint8ClampedArray } b
+ * @param { number } i - The index of the pixels' red channel.
+ */
+function colorDifference(a, b, i) {
+  const blend = (data, channel) => {
+    return 255 + (data[i + channel] - 255) * (data[i + 3] / 255);
+  };
+  const [R1, G1, B1] = [0, 1, 2].map((channel) => blend(a, channel));
+  const [R2, G2, B2] = [0, 1, 2].map((channel) => blend(b, channel));
+  const Y = (R1 - R2) * 0.29889531 + (G1 - G2) * 0.58662247 +
+      (B1 - B2) * 0.11448223;
+  const I = (R1 - R2) * 0.59597799 - (G1 - G2) * 0.27417610 -
+      (B1 - B2) * 0.32180189;
+  const Q = (R1 - R2) * 0.21147017 - (G1 - G2) * 0.52261711 +
+      (B1 - B2) * 0.31114694;
+  return 0.5053 * Y * Y + 0.299 * I * I + 0.1957 * Q * Q;
+}
+
+/**
+ * Compare two images of the same size pixel by pixel and draw a diff image:
+ *     a faded grayscale copy of `actual` with differing pixels in red.
+ * @param { ImageData } expected
+ * @param { ImageData } actual
+ * @param { ImageData } diff - Image data of the same size to draw into.
+ * @param { number } threshold - The color difference from 0 to 1 above which
+ *     two pixels are considered different.
+ * @returns { number } The number of differing pixels.
+ */
+export function compareImageData(expected, actual, diff, threshold) {
+  const MAX_DIFFERENCE = MAX_YIQ_DIFFERENCE * threshold * threshold;
+  let differentPixels = 0;
+  for (let i = 0; i < actual.data.length; i += 4) {
+    if (colorDifference(expected.data, actual.data, i) > MAX_DIFFERENCE) {
+      differentPixels += 1;
+      diff.data.set([255, 0, 0, 255], i);
+    } else {
+      const GRAY = 255 - 0.1 * (255 - (actual.data[i] * 0.299 +
+          actual.data[i + 1] * 0.587 + actual.data[i + 2] * 0.114) *
+          (actual.data[i + 3] / 255));
+      diff.data.set([GRAY, GRAY, GRAY, 255], i);
+    }
+  }
+  return differentPixels;
+}
+
+/**
+ * Compare a rendered canvas against the reference PNG `${name}.png` in the
+ *     golden directory. On failure, the rendered image and a diff image are
+ *     written to the diff directory as `${name}.actual.png` and
+ *     `${name}.diff.png`, and an error is thrown.
+ *
+ * With `update` (or the `UPDATE_GOLDEN` environment variable), the reference
+ *     is written from the rendered canvas instead, with a `.png.license` file
+ *     if it has none.
+ * @param { Canvas } canvas - A canvas from `importCanvas()`.
+ * @param { string } name
+ * @param { Object } opt - An options object.
+ * @param { (width: number, height: number) => Canvas } opt.createCanvas - The
+ *     `createCanvas` function from `importCanvas()`.
+ * @param { (src: string | Buffer) => Promise<Image> } opt.loadImage - The
+ *     `loadImage` function from `importCanvas()`.
+ * @param { number } [opt.threshold] - The color difference from 0 to 1 above
+ *     which two pixels are considered different. Defaults to 0.1.
+ * @param { number } [opt.maxDiffRatio] - The largest ratio of differing pixels
+ *     that still matches. Defaults to 0.001.
+ * @param { boolean } [opt.update] - Write the reference instead of comparing.
+ */
+export async function compareToGolden(canvas, name, opt) {
+  const THRESHOLD = opt.threshold ?? 0.1;
+  const MAX_DIFF_RATIO = opt.maxDiffRatio ?? 0.001;
+  const UPDATE = opt.update ?? Boolean(process.env.UPDATE_GOLDEN);
+  const GOLDEN_PATH = join(GOLDEN_DIRECTORY, `${name}.png`);
+  const ACTUAL_PATH = join(DIFF_DIRECTORY, `${name}.actual.png`);
+  const DIFF_PATH = join(DIFF_DIRECTORY, `${name}.diff.png`);
+
+  if (UPDATE) {
+    await mkdir(GOLDEN_DIRECTORY, { recursive: true });
+    await writeFile(GOLDEN_PATH, canvas.toBuffer("image/png"));
+    await writeFile(`${GOLDEN_PATH}.license`, GOLDEN_LICENSE, { flag: "wx" })
+        .catch((error) => {
+          if (error.code !== "EEXIST") { throw error; }
+        });
+    return;
+  }
+
+  let golden;
+  try {
+    golden = await opt.loadImage(await readFile(GOLDEN_PATH));
+  } catch (error) {
+    throw new Error(
+      `Reference image '${GOLDEN_PATH}' could not be read. Run the tests ` +
+          "with UPDATE_GOLDEN=1 to write it.",
+      { cause: error }
+    );
+  }
+
+  await mkdir(DIFF_DIRECTORY, { recursive: true });
+  if (golden.width !== canvas.width || golden.height !== canvas.height) {
+    await writeFile(ACTUAL_PATH, canvas.toBuffer("image/png"));
+    throw new Error(
+      `Size ${canvas.width}×${canvas.height} of '${name}' does not match ` +
+          `the reference (${golden.width}×${golden.height}). The rendered ` +
+          `image was written to '${ACTUAL_PATH}'.`
+    );
+  }
+
+  const goldenCanvas = opt.createCanvas(golden.width, golden.height);
+  const goldenCtx = goldenCanvas.getContext("2d");
+  goldenCtx.drawImage(golden, 0, 0);
+  const EXPECTED = goldenCtx.getImageData(0, 0, golden.width, golden.height);
+  const ACTUAL = canvas.getContext("2d").getImageData(
+    0, 0, canvas.width, canvas.height
+  );
+  const diffCanvas = opt.createCanvas(canvas.width, canvas.height);
+  const diffCtx = diffCanvas.getContext("2d");
+  const diff = diffCtx.createImageData(canvas.width, canvas.height);
+  const DIFFERENT_PIXELS = compareImageData(EXPECTED, ACTUAL, diff, THRESHOLD);
+  const DIFF_RATIO = DIFFERENT_PIXELS / (canvas.width * canvas.height);
+
+  if (DIFF_RATIO > MAX_DIFF_RATIO) {
+    diffCtx.putImageData(diff, 0, 0);
+    await writeFile(ACTUAL_PATH, canvas.toBuffer("image/png"));
+    await writeFile(DIFF_PATH, diffCanvas.toBuffer("image/png"));
+    throw new Error(
+      `${DIFFERENT_PIXELS} pixels (${(DIFF_RATIO * 100).toFixed(3)}%) of ` +
+          `'${name}' differ from the reference, more than ` +
+          `${(MAX_DIFF_RATIO * 100).toFixed(3)}%. The rendered image and a ` +
+          `diff image were written to '${ACTUAL_PATH}' and '${DIFF_PATH}'.`
+    );
+  }
+}
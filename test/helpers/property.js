@@ -0,0 +1,275 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+/**
+ * A small property-based testing harness: generate random inputs from a
+ *     seeded generator, check a property against each, and shrink the first
+ *     failing input to a minimal counterexample.
+ *
+ * The number of runs and the seed can be set with the `FUZZ_RUNS` and
+ *     `FUZZ_SEED` environment variables. A failure reports its seed so that
+ *     it can be reproduced.
+ */
+
+/**
+ * The default number of inputs checked for each property.
+ */
+const DEFAULT_RUNS = 10000;
+
+/**
+ * The most shrinking steps tried before reporting a counterexample.
+ */
+const MAX_SHRINKS = 1000;
+
+/**
+ * An arbitrary: a way to generate random values and to shrink them.
+ * @typedef { Object } Arbitrary
+ * @property { (random: () => number) => any } generate - Generate a value from
+ *     a function returning random numbers in the range [0, 1).
+ * @property { (value: any) => Iterable<any> } shrink - Yield smaller
+ *     candidates for a value, simplest first.
+ */
+
+/**
+ * Create a seeded pseudorandom number generator (Mulberry32).
+ * @param { number } seed - A 32-bit integer.
+ * @example
+ * // Returns the same sequence of numbers in [0, 1) for the same seed
+ * const random = createRandom(1234);
+ */
+export function createRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Check that a property holds for random values of an arbitrary. The property
+ *     fails by throwing, usually through `node:assert`.
+ * @param { Arbitrary } arbitrary
+ * @param { (value: any) => void } property
+ * @param { Object } [opt] - An options object.
+ * @param { number } [opt.runs] - The number of values to check. Defaults to
+ *     `FUZZ_RUNS` or 10000.
+ * @param { number } [opt.seed] - The seed of the generator. Defaults to
+ *     `FUZZ_SEED` or a random seed.
+ * @example
+ * forAll(integer(0, 100), (n) => assert.ok(n * 2 >= n));
+ */
+export function forAll(arbitrary, property, opt) {
+  const RUNS = opt?.runs ?? (parseInt(process.env.FUZZ_RUNS, 10) ||
+      DEFAULT_RUNS);
+  const SEED = opt?.seed ?? (parseInt(process.env.FUZZ_SEED, 10) ||
+      Math.floor(Math.random() * 4294967296));
+  const random = createRandom(SEED);
+  for (let run = 0; run < RUNS; run += 1) {
+    const VALUE = arbitrary.generate(random);
+    const ERROR = check(property, VALUE);
+    if (ERROR) {
+      const [SHRUNK, SHRUNK_ERROR, SHRINKS] =
+          shrinkFailure(arbitrary, property, VALUE, ERROR);
+      throw new Error(
+        `Property failed after ${run + 1} run(s) with seed ${SEED} ` +
+            `(FUZZ_SEED=${SEED}).\n` +
+            `Counterexample (shrunk ${SHRINKS} time(s)): ` +
+            `${describe(SHRUNK)}\n` +
+            `Original input: ${describe(VALUE)}\n` +
+            `${SHRUNK_ERROR.message}`,
+        { cause: SHRUNK_ERROR }
+      );
+    }
+  }
+}
+
+/**
+ * Run a property on a value, returning the error it threw, if any.
+ * @param { (value: any) => void } property
+ * @param { any } value
+ */
+function check(property, value) {
+  try {
+    property(value);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+/**
+ * Repeatedly replace a failing value with the first of its shrink candidates
+ *     that still fails, until none does.
+ * @param { Arbitrary } arbitrary
+ * @param { (value: any) => void } property
+ * @param { any } value - A value for which `property` fails.
+ * @param { Error } error - The error thrown for `value`.
+ */
+function shrinkFailure(arbitrary, property, value, error) {
+  let shrinks = 0;
+  let shrunk = true;
+  while (shrunk && shrinks < MAX_SHRINKS) {
+    shrunk = false;
+    for (const CANDIDATE of arbitrary.shrink(value)) {
+      const CANDIDATE_ERROR = check(property, CANDIDATE);
+      if (CANDIDATE_ERROR) {
+        value = CANDIDATE;
+        error = CANDIDATE_ERROR;
+        shrinks += 1;
+        shrunk = true;
+        break;
+      }
+    }
+  }
+  return [value, error, shrinks];
+}
+
+/**
+ * Describe a value for a failure message.
+ * @param { any } value
+ */
+function describe(value) {
+  return typeof value === "string" ? JSON.stringify(value) :
+      Array.isArray(value) ? `[${value.map(describe).join(", ")}]` :
+      `${value}`;
+}
+
+/**
+ * An arbitrary of integers in the range [min, max], shrinking towards the
+ *     value closest to 0.
+ * @param { number } min
+ * @param { number } max
+ */
+export function integer(min, max) {
+  const TARGET = Math.min(Math.max(0, min), max);
+  return {
+    generate: (random) => min + Math.floor(random() * (max - min + 1)),
+    *shrink(value) {
+      if (value === TARGET) {
+        return;
+      }
+      yield TARGET;
+      for (let difference = Math.trunc((value - TARGET) / 2);
+        difference !== 0;
+        difference = Math.trunc(difference / 2)) {
+        yield value - difference;
+      }
+    }
+  };
+}
+
+/**
+ * An arbitrary choosing from a list of values, shrinking towards the first.
+ * @param { any[] } values
+ */
+export function oneOf(values) {
+  return {
+    generate: (random) => values[Math.floor(random() * values.length)],
+    *shrink(value) {
+      const INDEX = values.indexOf(value);
+      for (let i = 0; i < INDEX; i += 1) {
+        yield values[i];
+      }
+    }
+  };
+}
+
+/**
+ * An arbitrary choosing between other arbitraries with given weights, shrinking
+ *     with all of them.
+ * @param { [number, Arbitrary][] } weightedArbitraries
+ */
+export function frequency(weightedArbitraries) {
+  const TOTAL = weightedArbitraries.reduce((sum, [weight]) => sum + weight, 0);
+  return {
+    generate(random) {
+      let pick = random() * TOTAL;
+      for (const [WEIGHT, ARBITRARY] of weightedArbitraries) {
+        pick -= WEIGHT;
+        if (pick < 0) {
+          return ARBITRARY.generate(random);
+        }
+      }
+      return weightedArbitraries[0][1].generate(random);
+    },
+    *shrink(value) {
+      for (const [, ARBITRARY] of weightedArbitraries) {
+        yield* ARBITRARY.shrink(value);
+      }
+    }
+  };
+}
+
+/**
+ * An arbitrary of arrays of another arbitrary's values, shrinking by removing
+ *     elements and then by shrinking them.
+ * @param { Arbitrary } element
+ * @param { Object } [opt] - An options object.
+ * @param { number } [opt.minLength] - Defaults to 0.
+ * @param { number } [opt.maxLength] - Defaults to 64.
+ */
+export function arrayOf(element, opt) {
+  const MIN_LENGTH = opt?.minLength ?? 0;
+  const MAX_LENGTH = opt?.maxLength ?? 64;
+  return {
+    generate(random) {
+      const LENGTH = MIN_LENGTH +
+          Math.floor(random() * (MAX_LENGTH - MIN_LENGTH + 1));
+      return Array.from({ length: LENGTH }, () => element.generate(random));
+    },
+    *shrink(value) {
+      for (let size = value.length - MIN_LENGTH; size > 0;
+        size = Math.floor(size / 2)) {
+        for (let i = 0; i + size <= value.length; i += 1) {
+          yield [...value.slice(0, i), ...value.slice(i + size)];
+        }
+      }
+      for (let i = 0; i < value.length; i += 1) {
+        for (const CANDIDATE of element.shrink(value[i])) {
+          yield [...value.slice(0, i), CANDIDATE, ...value.slice(i + 1)];
+        }
+      }
+    }
+  };
+}
+
+/**
+ * An arbitrary of strings made of characters from an alphabet, shrinking like
+ *     arrays of those characters towards the first character.
+ * @param { string } alphabet
+ * @param { Object } [opt] - The options of `arrayOf()`.
+ */
+export function stringOf(alphabet, opt) {
+  const CHARACTERS = arrayOf(oneOf([...alphabet]), opt);
+  return {
+    generate: (random) => CHARACTERS.generate(random).join(""),
+    *shrink(value) {
+      for (const CANDIDATE of CHARACTERS.shrink([...value])) {
+        yield CANDIDATE.join("");
+      }
+    }
+  };
+}
+
+/**
+ * An arbitrary of fixed-length arrays with one value from each arbitrary,
+ *     shrinking one position at a time.
+ * @param { ...Arbitrary } arbitraries
+ */
+export function tuple(...arbitraries) {
+  return {
+    generate: (random) => arbitraries.map((arbitrary) => {
+      return arbitrary.generate(random);
+    }),
+    *shrink(value) {
+      for (let i = 0; i < arbitraries.length; i += 1) {
+        for (const CANDIDATE of arbitraries[i].shrink(value[i])) {
+          yield [...value.slice(0, i), CANDIDATE, ...value.slice(i + 1)];
+        }
+      }
+    }
+  };
+}
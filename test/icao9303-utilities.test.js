@@ -0,0 +1,158 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { generateMRZCheckDigit } from "../lib/icao9303/utilities/generate-mrz-check-digit.js";
+import { c40Encode } from "../lib/icao9303/utilities/c40-encode.js";
+import { c40Decode } from "../lib/icao9303/utilities/c40-decode.js";
+import { dateToBytes } from "../lib/icao9303/utilities/date-to-bytes.js";
+import { bytesToDate } from "../lib/icao9303/utilities/bytes-to-date.js";
+import { lengthToDERLength } from "../lib/icao9303/utilities/length-to-der-length.js";
+import { derLengthToLength } from "../lib/icao9303/utilities/der-length-to-length.js";
+import { getFullYearFromString } from "../lib/icao9303/utilities/get-full-year-from-string.js";
+import { fullNameMRZ } from "../lib/icao9303/utilities/full-name-mrz.js";
+import { truncateNameMRZ } from "../lib/icao9303/utilities/truncate-name-mrz.js";
+import { transliterateMRZString } from "../lib/icao9303/utilities/transliterate-mrz-string.js";
+
+describe("generateMRZCheckDigit()", () => {
+  // Worked examples from ICAO 9303-3 and the specimens of ICAO 9303-4 to 7.
+  const VECTORS = [
+    ["520727", "3"],
+    ["AB2134<<<", "5"],
+    ["L898902C3", "6"],
+    ["740812", "2"],
+    ["120415", "9"],
+    ["ZE184226B<<<<<", "1"],
+    ["L898902C3674081221204159ZE184226B<<<<<1", "0"],
+    ["D23145890", "7"],
+    ["L8988901C", "4"],
+    ["400907", "8"],
+    ["961210", "9"]
+  ];
+  for (const [string, checkDigit] of VECTORS) {
+    it(`returns '${checkDigit}' for '${string}'`, () => {
+      assert.equal(generateMRZCheckDigit(string), checkDigit);
+    });
+  }
+});
+
+describe("c40Encode() and c40Decode()", () => {
+  // Worked examples from ICAO 9303-13.
+  it("encodes a multiple of 3 characters as triplets", () => {
+    assert.deepEqual(c40Encode("UTO"), [0xD9, 0xC5]);
+    assert.equal(c40Decode([0xD9, 0xC5]), "UTO");
+  });
+
+  it("pads 2 remaining characters with Shift 1", () => {
+    assert.deepEqual(c40Encode("XK CD"), [0xEB, 0x04, 0x66, 0xA9]);
+    assert.equal(c40Decode([0xEB, 0x04, 0x66, 0xA9]), "XK CD");
+  });
+
+  it("encodes 1 remaining character in DataMatrix ASCII", () => {
+    assert.deepEqual(c40Encode("XKCD"), [0xEB, 0x11, 0xFE, 0x45]);
+    assert.equal(c40Decode([0xEB, 0x11, 0xFE, 0x45]), "XKCD");
+  });
+
+  it("reads '<' as a space", () => {
+    assert.deepEqual(c40Encode("XK<CD"), c40Encode("XK CD"));
+  });
+});
+
+describe("dateToBytes() and bytesToDate()", () => {
+  // Worked example from ICAO 9303-13: 25 March 1957 is 03251957.
+  it("encodes a date as the integer MMDDYYYY in 3 bytes", () => {
+    assert.deepEqual(dateToBytes("1957-03-25"), [0x31, 0x9E, 0xF5]);
+  });
+
+  it("decodes 3 bytes into a date", () => {
+    const DATE = bytesToDate([0x31, 0x9E, 0xF5]);
+    assert.equal(DATE.getFullYear(), 1957);
+    assert.equal(DATE.getMonth(), 2);
+    assert.equal(DATE.getDate(), 25);
+  });
+});
+
+describe("lengthToDERLength() and derLengthToLength()", () => {
+  // The definite form of lengths from ITU-T X.690.
+  const VECTORS = [
+    [0, [0x00]],
+    [127, [0x7F]],
+    [128, [0x81, 0x80]],
+    [255, [0x81, 0xFF]],
+    [256, [0x82, 0x01, 0x00]],
+    [435, [0x82, 0x01, 0xB3]]
+  ];
+  for (const [length, derLength] of VECTORS) {
+    it(`encodes and decodes a length of ${length}`, () => {
+      assert.deepEqual(lengthToDERLength(length), derLength);
+      assert.equal(derLengthToLength(derLength), length);
+    });
+  }
+});
+
+describe("getFullYearFromString()", () => {
+  it("never reads a date of birth as in the future", () => {
+    assert.equal(getFullYearFromString("55", { currentYear: 2023 }), "1955");
+    assert.equal(getFullYearFromString("23", { currentYear: 2023 }), "2023");
+    assert.equal(getFullYearFromString("24", { currentYear: 2023 }), "1924");
+  });
+
+  it("reads an expiration date forward", () => {
+    const OPTIONS = { isExpirationDate: true, currentYear: 2023 };
+    assert.equal(getFullYearFromString("61", OPTIONS), "2061");
+    assert.equal(getFullYearFromString("73", OPTIONS), "2073");
+    assert.equal(getFullYearFromString("74", OPTIONS), "1974");
+  });
+
+  it("uses a configurable pivot year", () => {
+    assert.equal(
+      getFullYearFromString("99", { yearsAhead: 80, currentYear: 2023 }),
+      "2099"
+    );
+  });
+});
+
+describe("fullNameMRZ()", () => {
+  it("separates identifiers and pads the name area", () => {
+    assert.equal(
+      fullNameMRZ("Eriksson, Anna Maria", 30),
+      "ERIKSSON<<ANNA<MARIA<<<<<<<<<<"
+    );
+  });
+
+  it("uses the Latin transcription after a '/'", () => {
+    assert.equal(
+      fullNameMRZ("Иванов, Иван/ Ivanov, Ivan", 30),
+      "IVANOV<<IVAN<<<<<<<<<<<<<<<<<<"
+    );
+  });
+
+  it("transliterates names with the tables of ICAO 9303-3", () => {
+    assert.equal(transliterateMRZString("Müller, Jürgen"), "MUELLER, JUERGEN");
+    assert.equal(transliterateMRZString("Иванов, Иван"), "IVANOV, IVAN");
+  });
+});
+
+describe("truncateNameMRZ()", () => {
+  it("leaves names that fit unchanged", () => {
+    assert.equal(
+      truncateNameMRZ("ERIKSSON<<ANNA<MARIA", 30),
+      "ERIKSSON<<ANNA<MARIA"
+    );
+  });
+
+  it("truncates secondary identifiers first, keeping initials", () => {
+    assert.equal(
+      truncateNameMRZ("NILAVADHANANANDA<<CHAYAPA<DEJTHAMRONG<KRASUANG", 30),
+      "NILAVADHANANANDA<<CHAYAPA<DE<K"
+    );
+  });
+
+  it("truncates the primary identifier when initials do not fit", () => {
+    assert.equal(
+      truncateNameMRZ("VERYLONGPRIMARYIDENTIFIERNAMEHERE<<ANNA<MARIA", 30),
+      "VERYLONGPRIMARYIDENTIFIER<<A<M"
+    );
+  });
+});
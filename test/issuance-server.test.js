@@ -0,0 +1,167 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import { CrewID } from "../lib/crewid.js";
+import { CountrySigningCA } from "../lib/icao9303/countrysigningca.js";
+import { DigitalSealTrustStore } from "../lib/icao9303/digitalsealtruststore.js";
+import { createIssuanceServer } from "../lib/node/issuance-server.js";
+
+describe("createIssuanceServer", () => {
+  let server;
+  let origin;
+
+  /**
+   * Send a request to the server and resolve with its status, headers, and
+   *     parsed JSON body.
+   * @param { string } path
+   * @param { Object } [init] - Options for `fetch()`. Objects given as `json`
+   *     are sent as the JSON body.
+   */
+  async function request(path, init) {
+    const RESPONSE = await fetch(`${origin}${path}`, {
+      method: "POST",
+      ...init,
+      ...(init?.json !== undefined ? {
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify(init.json)
+      } : {})
+    });
+    return {
+      status: RESPONSE.status,
+      headers: RESPONSE.headers,
+      body: await RESPONSE.json()
+    };
+  }
+
+  before(async () => {
+    const CSCA = await CountrySigningCA.create({ authorityCode: "XAF" });
+    const { certificate, signer } = await CSCA.issueBarcodeSigner();
+    server = createIssuanceServer({
+      signer: signer,
+      trustStore: new DigitalSealTrustStore({ certificates: [certificate] }),
+      maxBodySize: 64 * 1024
+    });
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    origin = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(async () => {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  it("rejects unknown routes and document types with 404", async () => {
+    const ROUTE = await request("/documents", { json: {} });
+    assert.equal(ROUTE.status, 404);
+    assert.equal(ROUTE.body.error.code, "not_found");
+
+    const TYPE = await request("/documents/crew-badge", {
+      json: { document: {} }
+    });
+    assert.equal(TYPE.status, 404);
+    assert.equal(TYPE.body.error.code, "unknown_document_type");
+  });
+
+  it("rejects methods other than POST with 405", async () => {
+    const RESULT = await request("/mrz/parse", { method: "GET" });
+    assert.equal(RESULT.status, 405);
+    assert.equal(RESULT.headers.get("Allow"), "POST");
+    assert.equal(RESULT.body.error.code, "method_not_allowed");
+  });
+
+  it("rejects bodies that are not JSON with 415", async () => {
+    const RESULT = await request("/mrz/parse", {
+      headers: { "Content-Type": "text/plain" },
+      body: "{}"
+    });
+    assert.equal(RESULT.status, 415);
+    assert.equal(RESULT.body.error.code, "unsupported_media_type");
+  });
+
+  it("rejects bodies larger than maxBodySize with 413", async () => {
+    const RESULT = await request("/mrz/parse", {
+      json: { mrz: "<".repeat(64 * 1024) }
+    });
+    assert.equal(RESULT.status, 413);
+    assert.equal(RESULT.body.error.code, "payload_too_large");
+  });
+
+  it("rejects malformed JSON and bodies not matching the schema with 400",
+      async () => {
+    const MALFORMED = await request("/mrz/parse", {
+      headers: { "Content-Type": "application/json" },
+      body: "{ mrz: "
+    });
+    assert.equal(MALFORMED.status, 400);
+    assert.equal(MALFORMED.body.error.code, "invalid_json");
+
+    const SCHEMA = await request("/documents/crew-id", {
+      json: { document: {}, format: "gif", extra: true }
+    });
+    assert.equal(SCHEMA.status, 400);
+    assert.equal(SCHEMA.body.error.code, "invalid_request");
+    assert.ok(SCHEMA.body.error.details.length >= 2);
+  });
+
+  it("rejects every property that cannot be set with 422", async () => {
+    for (const [document, property] of [
+      [{ expirationDate: "soon" }, "expirationDate"],
+      [{ sealVersion: 3, certReference: "ABCDEF" }, "certReference"],
+      [{ fullName: 5 }, "fullName"],
+      [{ notAProperty: "X" }, "notAProperty"]
+    ]) {
+      const RESULT = await request("/documents/crew-id", {
+        json: { document }
+      });
+      assert.equal(RESULT.status, 422, JSON.stringify(document));
+      assert.equal(RESULT.body.error.code, "invalid_document");
+      assert.deepEqual(
+        RESULT.body.error.details.map((detail) => detail.property),
+        [property]
+      );
+      assert.equal(typeof RESULT.body.error.details[0].message, "string");
+    }
+
+    const BACK = await request("/documents/events-mrva", {
+      json: { document: {}, back: true }
+    });
+    assert.equal(BACK.status, 422);
+    assert.match(BACK.body.error.message, /has no back/);
+  });
+
+  it("parses machine-readable zones", async () => {
+    const RESULT = await request("/mrz/parse", {
+      json: { mrz: new CrewID().machineReadableZone }
+    });
+    assert.equal(RESULT.status, 200);
+    assert.equal(RESULT.body.format, "TD1");
+    assert.equal(RESULT.body.valid, true);
+  });
+
+  it("issues signed documents whose seals it verifies", async () => {
+    const ISSUED = await request("/documents/crew-id", {
+      json: {
+        document: { number: "X12345678", fullName: "Pilot, Fox" },
+        renderer: { headerColor: "#123456" }
+      }
+    });
+    assert.equal(ISSUED.status, 200);
+    assert.equal(ISSUED.body.type, "crew-id");
+    assert.equal(ISSUED.body.number, "X12345678");
+    assert.equal(
+      ISSUED.body.machineReadableZone[2],
+      "PILOT<<FOX<<<<<<<<<<<<<<<<<<<<"
+    );
+    assert.equal(ISSUED.body.randomSignature, false);
+    assert.match(ISSUED.body.images.front, /^data:image\/png;base64,/);
+    assert.match(ISSUED.body.images.back, /^data:image\/png;base64,/);
+
+    const VERIFIED = await request("/seals/verify", {
+      json: { seal: ISSUED.body.signedSeal }
+    });
+    assert.equal(VERIFIED.status, 200);
+    assert.equal(VERIFIED.body.status, "valid");
+    assert.equal(VERIFIED.body.seal.document.type, "CrewID");
+  });
+});
@@ -0,0 +1,162 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { TD1Document } from "../lib/icao9303/td1document.js";
+import { TD2Document } from "../lib/icao9303/td2document.js";
+import { TD3Document } from "../lib/icao9303/td3document.js";
+import { MRVADocument } from "../lib/icao9303/mrvadocument.js";
+import { MRVBDocument } from "../lib/icao9303/mrvbdocument.js";
+import { parseMRZ } from "../lib/icao9303/utilities/parse-mrz.js";
+
+// The holder of the specimens in ICAO 9303 parts 4 to 7.
+const HOLDER = {
+  authorityCode: "UTO",
+  fullName: "Eriksson, Anna Maria",
+  nationalityCode: "UTO",
+  birthDate: "1974-08-12",
+  genderMarker: "F",
+  expirationDate: "2012-04-15"
+};
+const VISA_HOLDER = {
+  typeCode: "V",
+  authorityCode: "UTO",
+  fullName: "Eriksson, Anna Maria",
+  number: "L8988901C",
+  nationalityCode: "XXX",
+  birthDate: "1940-09-07",
+  genderMarker: "F",
+  validThru: "1996-12-10"
+};
+
+const SPECIMENS = [
+  {
+    name: "TD1Document (ICAO 9303-5)",
+    DocumentClass: TD1Document,
+    options: { ...HOLDER, typeCode: "I", number: "D23145890" },
+    lines: [
+      "I<UTOD231458907<<<<<<<<<<<<<<<",
+      "7408122F1204159UTO<<<<<<<<<<<6",
+      "ERIKSSON<<ANNA<MARIA<<<<<<<<<<"
+    ]
+  },
+  {
+    name: "TD2Document (ICAO 9303-6)",
+    DocumentClass: TD2Document,
+    options: { ...HOLDER, typeCode: "I", number: "D23145890" },
+    lines: [
+      "I<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<",
+      "D231458907UTO7408122F1204159<<<<<<<6"
+    ]
+  },
+  {
+    name: "TD3Document (ICAO 9303-4)",
+    DocumentClass: TD3Document,
+    options: {
+      ...HOLDER,
+      typeCode: "P",
+      number: "L898902C3",
+      optionalData: "ZE184226B"
+    },
+    lines: [
+      "P<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+      "L898902C36UTO7408122F1204159ZE184226B<<<<<10"
+    ]
+  },
+  {
+    name: "MRVADocument (ICAO 9303-7)",
+    DocumentClass: MRVADocument,
+    options: { ...VISA_HOLDER, optionalData: "6ZE184226B" },
+    lines: [
+      "V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<<<<<<<<<",
+      "L8988901C4XXX4009078F96121096ZE184226B<<<<<<"
+    ]
+  },
+  {
+    name: "MRVBDocument (ICAO 9303-7)",
+    DocumentClass: MRVBDocument,
+    options: VISA_HOLDER,
+    lines: [
+      "V<UTOERIKSSON<<ANNA<MARIA<<<<<<<<<<<",
+      "L8988901C4XXX4009078F9612109<<<<<<<<"
+    ]
+  }
+];
+
+for (const { name, DocumentClass, options, lines } of SPECIMENS) {
+  describe(name, () => {
+    it("writes the machine-readable zone of the specimen", () => {
+      const document = new DocumentClass(options);
+      assert.equal(document.machineReadableZone, lines.join(""));
+      lines.forEach((line, i) => {
+        assert.equal(document[`mrzLine${i + 1}`], line);
+      });
+    });
+
+    it("reads the specimen's machine-readable zone back", () => {
+      const document = new DocumentClass();
+      document.machineReadableZone = lines.join("");
+      assert.equal(document.machineReadableZone, lines.join(""));
+      assert.equal(document.fullName, "ERIKSSON, ANNA MARIA");
+      assert.equal(
+        document.birthDate.getFullYear(),
+        parseInt(options.birthDate.slice(0, 4), 10)
+      );
+    });
+
+    it("is valid according to parseMRZ()", () => {
+      const result = parseMRZ(lines.join("\n"));
+      assert.equal(result.valid, true);
+      assert.equal(result.fields.birthDate, options.birthDate);
+    });
+
+    it("reads two-digit years relative to its current year", () => {
+      const EXPIRATION =
+          "validThru" in options ? "validThru" : "expirationDate";
+      const MRZ = new DocumentClass({
+        ...options,
+        birthDate: "1955-03-01",
+        [EXPIRATION]: "2061-03-01"
+      }).machineReadableZone;
+      for (const [yearOptions, birthYear, expirationYear] of [
+        [{ currentYear: 2055 }, "2055", "2061"],
+        [{ currentYear: 2054 }, "1955", "2061"],
+        [{ currentYear: 2011 }, "1955", "2061"],
+        [{ currentYear: 2010 }, "1955", "1961"],
+        [{ currentYear: 2010, expirationYearsAhead: 51 }, "1955", "2061"]
+      ]) {
+        const document = new DocumentClass(yearOptions);
+        document.machineReadableZone = MRZ;
+        assert.equal(`${document.birthDate.getFullYear()}`, birthYear);
+        assert.equal(`${document[EXPIRATION].getFullYear()}`, expirationYear);
+
+        const RESULT = parseMRZ(MRZ, yearOptions);
+        assert.equal(RESULT.fields.birthDate, `${birthYear}-03-01`);
+        assert.equal(RESULT.fields[EXPIRATION], `${expirationYear}-03-01`);
+      }
+    });
+
+    it("rejects current years and windows that are not integers", () => {
+      const document = new DocumentClass();
+      assert.equal(document.currentYear, null);
+      assert.equal(document.expirationYearsAhead, 50);
+      assert.throws(() => { document.currentYear = "2023"; }, RangeError);
+      assert.throws(() => { document.expirationYearsAhead = 100; }, RangeError);
+      assert.throws(() => new DocumentClass({ currentYear: 20.5 }), RangeError);
+    });
+
+    it("rejects a machine-readable zone with a wrong check digit", () => {
+      const document = new DocumentClass();
+      const MRZ = lines.join("");
+      // Move the date of birth a day later without updating its check digit.
+      const BIRTH_DATE = options.birthDate.replace(/-/g, "").slice(2);
+      const POSITION = MRZ.indexOf(BIRTH_DATE) + 5;
+      const LATER_DAY = `${(MRZ[POSITION] * 1 + 1) % 10}`;
+      assert.throws(() => {
+        document.machineReadableZone =
+            MRZ.slice(0, POSITION) + LATER_DAY + MRZ.slice(POSITION + 1);
+      }, EvalError);
+    });
+  });
+}
@@ -0,0 +1,116 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { CrewCertificate } from "../lib/crewcertificate.js";
+import { CrewCertificateRenderer } from "../lib/crewcertificate-renderer.js";
+import { CrewID } from "../lib/crewid.js";
+import { CrewIDRenderer } from "../lib/crewid-renderer.js";
+import { CrewLicense } from "../lib/crewlicense.js";
+import { CrewLicenseRenderer } from "../lib/crewlicense-renderer.js";
+import { EventsID } from "../lib/eventsid.js";
+import { EventsIDRenderer } from "../lib/eventsid-renderer.js";
+import { EventsMRVA } from "../lib/eventsmrva.js";
+import { EventsMRVARenderer } from "../lib/eventsmrva-renderer.js";
+import { EventsMRVB } from "../lib/eventsmrvb.js";
+import { EventsMRVBRenderer } from "../lib/eventsmrvb-renderer.js";
+import { EventsPassport } from "../lib/eventspassport.js";
+import { EventsPassportRenderer } from "../lib/eventspassport-renderer.js";
+import { EventsSealRenderer } from "../lib/eventsseal-renderer.js";
+import { PROJECT_VERSION, readProject } from "../lib/utilities/read-project.js";
+
+// The model and renderer of each generator page's project files.
+const PROJECT_TYPES = [
+  [CrewCertificate, CrewCertificateRenderer],
+  [CrewID, CrewIDRenderer],
+  [CrewLicense, CrewLicenseRenderer],
+  [EventsID, EventsIDRenderer],
+  [EventsMRVA, EventsMRVARenderer],
+  [EventsMRVB, EventsMRVBRenderer],
+  [EventsPassport, EventsPassportRenderer],
+  [EventsMRVB, EventsSealRenderer]
+];
+
+// Writes a project file like the generator pages' "Export Project" button.
+function exportProject(model, renderer) {
+  return JSON.stringify({
+    format: "alfa-id-project",
+    version: PROJECT_VERSION,
+    type: model.constructor.name,
+    model: model.toJSON(),
+    renderer: renderer.toJSON()
+  });
+}
+
+describe("Project files", () => {
+  for (const [Model, Renderer] of PROJECT_TYPES) {
+    it(`round-trip ${Model.name} documents with ${Renderer.name} styling`,
+        () => {
+      const MODEL = new Model({ sealVersion: 3, certReference: "1A2B3" });
+      MODEL.fullName = "Pilot, Fox";
+      const RENDERER = new Renderer({
+        headerColor: "#123456",
+        textColor: "#abcdef",
+        logo: "data:image/png;base64,AAAA"
+      });
+
+      const PROJECT =
+          readProject(JSON.parse(exportProject(MODEL, RENDERER)), Model.name);
+      const IMPORTED_MODEL = Model.fromJSON(PROJECT.model);
+      const IMPORTED_RENDERER = new Renderer(PROJECT.renderer);
+      assert.deepEqual(IMPORTED_MODEL.toJSON(), MODEL.toJSON());
+      assert.equal(IMPORTED_MODEL.fullName, "Pilot, Fox");
+      assert.equal(
+        IMPORTED_MODEL.machineReadableZone, MODEL.machineReadableZone
+      );
+      assert.deepEqual(IMPORTED_RENDERER.toJSON(), RENDERER.toJSON());
+      assert.equal(IMPORTED_RENDERER.logo, "data:image/png;base64,AAAA");
+    });
+  }
+
+  it("leave out the renderers' functions and font sets", () => {
+    const JSON_RENDERER = new CrewIDRenderer({
+      loadImage: async () => null
+    }).toJSON();
+    for (const property of ["fonts", "createCanvas", "loadImage",
+      "loadFonts"]) {
+      assert.equal(property in JSON_RENDERER, false, property);
+    }
+  });
+});
+
+describe("readProject", () => {
+  const PROJECT = JSON.parse(exportProject(new CrewID(), new CrewIDRenderer()));
+
+  it("returns projects of the current version for the document type", () => {
+    assert.equal(PROJECT_VERSION, 1);
+    assert.equal(readProject(PROJECT, "CrewID"), PROJECT);
+  });
+
+  it("rejects files that are not projects", () => {
+    for (const value of [null, [], { ...PROJECT, format: "other" }]) {
+      assert.throws(() => readProject(value, "CrewID"), TypeError);
+    }
+    assert.throws(
+      () => readProject({ ...PROJECT, model: null }, "CrewID"),
+      TypeError
+    );
+  });
+
+  it("rejects projects for other document types", () => {
+    assert.throws(
+      () => readProject(PROJECT, "CrewLicense"),
+      { name: "TypeError", message: /'CrewID' documents, not 'CrewLicense'/ }
+    );
+  });
+
+  it("rejects projects of other versions", () => {
+    for (const version of [undefined, 0, 2, "1"]) {
+      assert.throws(
+        () => readProject({ ...PROJECT, version }, "CrewID"),
+        RangeError
+      );
+    }
+  });
+});
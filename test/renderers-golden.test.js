@@ -0,0 +1,303 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it, before } from "node:test";
+import { CrewCertificate } from "../lib/crewcertificate.js";
+import { CrewCertificateRenderer } from "../lib/crewcertificate-renderer.js";
+import { CrewID } from "../lib/crewid.js";
+import { CrewIDRenderer } from "../lib/crewid-renderer.js";
+import { CrewLicense } from "../lib/crewlicense.js";
+import { CrewLicenseRenderer } from "../lib/crewlicense-renderer.js";
+import { EventsID } from "../lib/eventsid.js";
+import { EventsIDRenderer } from "../lib/eventsid-renderer.js";
+import { EventsMRVA } from "../lib/eventsmrva.js";
+import { EventsMRVARenderer } from "../lib/eventsmrva-renderer.js";
+import { EventsMRVB } from "../lib/eventsmrvb.js";
+import { EventsMRVBRenderer } from "../lib/eventsmrvb-renderer.js";
+import { EventsPassport } from "../lib/eventspassport.js";
+import { EventsPassportRenderer } from "../lib/eventspassport-renderer.js";
+import { EventsPassportBookletRenderer } from "../lib/eventspassportbooklet-renderer.js";
+import { EventsSealRenderer } from "../lib/eventsseal-renderer.js";
+import { EventsStamp } from "../lib/eventsstamp.js";
+import { EventsStampRenderer } from "../lib/eventsstamp-renderer.js";
+import { EventsVisaPageRenderer } from "../lib/eventsvisapage-renderer.js";
+import { createFontLoader, createImageLoader, importCanvas } from "../lib/node/canvas-loaders.js";
+import { compareToGolden } from "./helpers/golden.js";
+
+// Golden-image tests: each renderer draws fixed fixtures, which are compared
+// against the reference PNGs in /test/golden. The references are rendered with
+// the version of `@napi-rs/canvas` pinned in package.json; other canvas
+// packages and versions rasterize differently. Run with UPDATE_GOLDEN=1 to
+// rewrite the references after an intended change to a renderer.
+
+const CANVAS = await importCanvas();
+
+// A signature of 64 bytes, like an ECDSA P-256 signature, so that the seals
+// are the same on every run.
+const SIGNATURE_DATA = Array.from({ length: 64 }, (_, i) => (i * 37) % 256);
+
+const HOLDER = {
+  authorityCode: "XAF",
+  number: "362142069",
+  fullName: "Millefeuille, Alfalfa",
+  nationalityCode: "UTO",
+  birthDate: "1998-04-17",
+  genderMarker: "F",
+  expirationDate: "2033-08-23",
+  optionalData: "",
+  photo: "/photos/fox.jpg",
+  signatureImage: "/signatures/alfalfa.png",
+  url: "https://airlinefurries.com/",
+  identifierCode: "XFSS",
+  certReference: "00000",
+  issueDate: "2023-09-01",
+  signatureDate: "2023-09-01"
+};
+const VISA = {
+  ...HOLDER,
+  typeCode: "V",
+  placeOfIssue: "Utopiopolis, UTO",
+  validFrom: "2023-09-12",
+  validThru: "2024-09-12",
+  numberOfEntries: "Multiple",
+  number: "960241263",
+  visaType: "Silver Sponsor—Adult",
+  passportNumber: "362142069",
+  usePassportInMRZ: false,
+  signatureImage: "/signatures/alfa-census.svg",
+  durationOfStay: [4, 0, 0],
+  visaTypeCode: "1"
+};
+
+/**
+ * Create a document with fixed seal signature data.
+ * @param { function(new: Object) } DocumentClass
+ * @param { Object } opt - The options of the document's constructor.
+ */
+function signedDocument(DocumentClass, opt) {
+  const document = new DocumentClass(opt);
+  document.signatureData = SIGNATURE_DATA;
+  return document;
+}
+
+const crewCertificate = () => signedDocument(CrewCertificate, {
+  ...HOLDER,
+  typeCode: "AC",
+  employer: "Lambda Air Ways, Inc",
+  occupation: "Airline Transport Pilot",
+  declaration: "The holder may at all times re-enter\nupon production of " +
+      "this certificate\nwithin the period of validity",
+  issueDate: "2023-08-23",
+  placeOfIssue: "Utopiopolis, Utopia",
+  employerCode: "1",
+  occupationCode: "1"
+});
+const crewID = () => signedDocument(CrewID, {
+  ...HOLDER,
+  typeCode: "IC",
+  employer: "Peets Aviation Limited",
+  employerCode: "1"
+});
+const crewLicense = () => signedDocument(CrewLicense, {
+  ...HOLDER,
+  typeCode: "AL",
+  subauthority: "COMMITTEE ON ANTHROPOMORPHIC STATISTICS AND CENSUS",
+  privilege: "Airline Transport Pilot",
+  ratings: "Airplane Multi-Engine Land\nA320, B737, B777",
+  limitations: "Holder shall wear corrective lenses",
+  subauthorityCode: "1",
+  privilegeCode: "1"
+});
+const eventsID = () => signedDocument(EventsID, {
+  ...HOLDER,
+  typeCode: "I",
+  placeOfBirth: "UTOPIA",
+  issueDate: "2023-08-23",
+  subauthority: "Committee on Anthropomorphic Statistics and Census",
+  endorsements: "None",
+  subauthorityCode: "1"
+});
+const eventsPassport = () => signedDocument(EventsPassport, {
+  ...HOLDER,
+  typeCode: "P",
+  placeOfBirth: "UTOPIA",
+  issueDate: "2023-08-23",
+  subauthority: "Committee on Anthropomorphic Statistics and Census",
+  endorsements: "See Page 51",
+  subauthorityCode: "1"
+});
+const eventsMRVA = () => signedDocument(EventsMRVA, {
+  ...VISA,
+  additionalInfo: "Valid for events in Utopiopolis only"
+});
+const eventsMRVB = () => signedDocument(EventsMRVB, VISA);
+
+describe("Renderer golden images", () => {
+  let loaders;
+  let golden;
+
+  before(() => {
+    loaders = {
+      createCanvas: (width, height) => CANVAS.createCanvas(width, height),
+      loadImage: createImageLoader(CANVAS.loadImage),
+      loadFonts: createFontLoader(CANVAS.registerFont, {
+        formats: CANVAS.fontFormats
+      })
+    };
+    golden = (canvas, name) => compareToGolden(canvas, name, {
+      createCanvas: CANVAS.createCanvas,
+      loadImage: CANVAS.loadImage
+    });
+  });
+
+  /**
+   * Create a renderer with the canvas package's loaders and load its fonts.
+   * @param { function(new: Object) } RendererClass
+   * @param { Object } [opt] - Other options of the renderer's constructor.
+   */
+  async function createRenderer(RendererClass, opt) {
+    const renderer = new RendererClass({ ...opt, ...loaders });
+    await renderer.loadCanvasFonts();
+    return renderer;
+  }
+
+  it("CrewCertificateRenderer", async () => {
+    const renderer = await createRenderer(CrewCertificateRenderer, {
+      headerColor: "#000033",
+      frontBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      backBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      logoUnderlayColor: "#000033",
+      logo: "/logos/lambda.svg",
+      smallLogo: "/smallLogos/alfa-bw.svg"
+    });
+    const model = crewCertificate();
+    await golden(await renderer.generateCardFront(model),
+        "crew-certificate-front");
+    await golden(await renderer.generateCardBack(model),
+        "crew-certificate-back");
+  });
+
+  it("CrewIDRenderer", async () => {
+    const renderer = await createRenderer(CrewIDRenderer, {
+      headerColor: "#770077",
+      frontBackgroundImage: "/cardBackgrounds/idbadge-lofiGrey-front.png",
+      backBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      logoUnderlayColor: "#dddddd",
+      logo: "/logos/peets.svg",
+      smallLogo: "/smallLogos/alfa-bw.svg"
+    });
+    const model = crewID();
+    await golden(await renderer.generateCardFront(model), "crew-id-front");
+    await golden(await renderer.generateCardBack(model), "crew-id-back");
+  });
+
+  it("CrewLicenseRenderer", async () => {
+    const renderer = await createRenderer(CrewLicenseRenderer, {
+      frontBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      backBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      logo: "/logos/alfa.png",
+      smallLogo: "/smallLogos/alfa-bw.svg"
+    });
+    const model = crewLicense();
+    await golden(await renderer.generateCardFront(model),
+        "crew-license-front");
+    await golden(await renderer.generateCardBack(model), "crew-license-back");
+  });
+
+  it("EventsIDRenderer", async () => {
+    const renderer = await createRenderer(EventsIDRenderer, {
+      frontBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      backBackgroundImage: "/cardBackgrounds/lofiGrey.png",
+      logo: "/logos/alfa.png",
+      smallLogo: "/smallLogos/alfa-bw.svg"
+    });
+    const model = eventsID();
+    await golden(await renderer.generateCardFront(model), "events-id-front");
+    await golden(await renderer.generateCardBack(model), "events-id-back");
+  });
+
+  it("EventsMRVARenderer", async () => {
+    const renderer = await createRenderer(EventsMRVARenderer, {
+      frontBackgroundImage: "/cardBackgrounds/passport-mrva-lofiGrey.png",
+      logo: "/smallLogos/alfa.svg"
+    });
+    await golden(await renderer.generateCardFront(eventsMRVA()),
+        "events-mrva-front");
+  });
+
+  it("EventsMRVBRenderer", async () => {
+    const renderer = await createRenderer(EventsMRVBRenderer, {
+      frontBackgroundImage: "/cardBackgrounds/passport-mrva-lofiGrey.png",
+      logo: "/smallLogos/alfa.svg"
+    });
+    await golden(await renderer.generateCardFront(eventsMRVB()),
+        "events-mrvb-front");
+  });
+
+  it("EventsPassportRenderer", async () => {
+    const renderer = await createRenderer(EventsPassportRenderer, {
+      frontBackgroundImage: "/cardBackgrounds/passport-mrp-lofiGrey.png",
+      backBackgroundImage: "/cardBackgrounds/passport-mrp-lofiGrey.png",
+      logo: "/smallLogos/alfa.svg"
+    });
+    const model = eventsPassport();
+    await golden(await renderer.generateCardFront(model),
+        "events-passport-front");
+    await golden(await renderer.generateCardBack(model),
+        "events-passport-back");
+  });
+
+  it("EventsPassportBookletRenderer", async () => {
+    const renderer = await createRenderer(EventsPassportBookletRenderer, {
+      logo: "/smallLogos/alfa.svg"
+    });
+    const model = eventsPassport();
+    await golden(await renderer.generateCover(model), "booklet-cover");
+    await golden(await renderer.generateInsideCover(model),
+        "booklet-inside-cover");
+    await golden(await renderer.generateVisaPage(model, 3),
+        "booklet-visa-page");
+    await golden(
+      await renderer.generateObservationsPage(model, renderer.pageCount),
+      "booklet-observations-page"
+    );
+    await golden(await renderer.generateBackCover(model),
+        "booklet-back-cover");
+  });
+
+  it("EventsSealRenderer", async () => {
+    const renderer = await createRenderer(EventsSealRenderer, {
+      frontBackgroundImage: "/cardBackgrounds/passport-mrva-lofiGrey.png",
+      logo: "/smallLogos/alfa-bw.svg"
+    });
+    await golden(await renderer.generateCardFront(eventsMRVB()),
+        "events-seal-front");
+  });
+
+  it("EventsStampRenderer", async () => {
+    const renderer = await createRenderer(EventsStampRenderer);
+    const entry = new EventsStamp({
+      eventCode: "UTO",
+      port: "Utopiopolis",
+      date: "2023-09-30",
+      movement: "entry",
+      officerNumber: "42"
+    });
+    await golden(await renderer.generateStamp(entry), "events-stamp-circle");
+    renderer.shape = "rectangle";
+    entry.movement = "exit";
+    await golden(await renderer.generateStamp(entry),
+        "events-stamp-rectangle");
+  });
+
+  it("EventsVisaPageRenderer", async () => {
+    const renderer = await createRenderer(EventsVisaPageRenderer);
+    const model = eventsPassport();
+    const [MRVA_PAGE, MRVB_PAGE] = await renderer.generateVisaPages(
+      model,
+      [eventsMRVA(), eventsMRVB()]
+    );
+    await golden(MRVA_PAGE, "events-visa-page-mrva");
+    await golden(MRVB_PAGE, "events-visa-page-mrvb");
+  });
+});
@@ -0,0 +1,279 @@
+// SPDX-FileCopyrightText: 2023 Don Geronimo <https://sentamal.in/>
+// SPDX-License-Identifier: GPL-3.0-or-later
+
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { readFile } from "node:fs/promises";
+import { join } from "node:path";
+import { CrewID } from "../lib/crewid.js";
+import { CrewIDRenderer } from "../lib/crewid-renderer.js";
+import { ROOT_DIRECTORY, createFontLoader, createImageLoader, importCanvas } from "../lib/node/canvas-loaders.js";
+import { SVGCanvas } from "../lib/utilities/svg-canvas.js";
+
+const CANVAS = await importCanvas();
+
+// Embeds the provided fonts and images from the repository.
+async function loadDataURL(url) {
+  if (url.startsWith("data:")) {
+    return url;
+  }
+  const BYTES = await readFile(join(ROOT_DIRECTORY, url));
+  return `data:application/octet-stream;base64,${BYTES.toString("base64")}`;
+}
+
+function svgCanvas(width, height, opt) {
+  return new SVGCanvas(width, height, {
+    createRasterCanvas: CANVAS.createCanvas,
+    loadDataURL: loadDataURL,
+    ...opt
+  });
+}
+
+function assertIncludes(svg, ...parts) {
+  const EXPECTED = parts.join("");
+  assert.ok(
+    svg.includes(EXPECTED),
+    `Expected the SVG document to include '${EXPECTED}'.`
+  );
+}
+
+const TEST_FONT_FACE = {
+  family: "Test Sans",
+  files: [{ url: "data:font/ttf;base64,AAAA", format: "truetype" }],
+  descriptors: { weight: "bold" }
+};
+
+describe("SVGCanvas", () => {
+  it("writes an SVG document at the canvas's physical size", async () => {
+    const SVG = await svgCanvas(600, 300).toSVG();
+    assert.match(SVG, /^<\?xml version="1.0" encoding="UTF-8"\?>\n<svg /);
+    assert.match(SVG, / width="2in" height="1in" viewBox="0 0 600 300"/);
+    assert.match(SVG, /<\/svg>\n$/);
+    assert.doesNotMatch(SVG, /<style>/);
+  });
+
+  it("only has a 2D context", () => {
+    const CANVAS_2D = svgCanvas(10, 10);
+    assert.equal(CANVAS_2D.getContext("2d"), CANVAS_2D.getContext("2d"));
+    assert.throws(() => CANVAS_2D.getContext("webgl"), TypeError);
+  });
+
+  it("draws rectangles, paths, and transforms as vectors", async () => {
+    const CANVAS_2D = svgCanvas(100, 100);
+    const CTX = CANVAS_2D.getContext("2d");
+    CTX.fillStyle = "#ff000080";
+    CTX.fillRect(10, 20, 30, 40);
+    CTX.save();
+    CTX.translate(5, 5);
+    CTX.scale(2, 2);
+    CTX.fillStyle = "blue";
+    CTX.fillRect(0, 0, 1, 1);
+    CTX.beginPath();
+    CTX.moveTo(0, 0);
+    CTX.lineTo(10, 0);
+    CTX.strokeStyle = "green";
+    CTX.lineWidth = 3;
+    CTX.stroke();
+    CTX.restore();
+    CTX.fillRect(0, 0, 1, 1);
+
+    const SVG = await CANVAS_2D.toSVG();
+    assertIncludes(
+      SVG,
+      "<rect x=\"10\" y=\"20\" width=\"30\" height=\"40\" ",
+      "fill=\"#ff0000\" fill-opacity=\"0.502\"/>"
+    );
+    assertIncludes(
+      SVG,
+      "<rect x=\"0\" y=\"0\" width=\"1\" height=\"1\" fill=\"blue\" ",
+      "transform=\"matrix(2 0 0 2 5 5)\"/>"
+    );
+    // Paths are transformed as they are drawn, and so are stroke widths.
+    assertIncludes(
+      SVG,
+      "<path d=\"M5 5L25 5\" fill=\"none\" stroke=\"green\" ",
+      "stroke-width=\"6\" stroke-linecap=\"butt\"/>"
+    );
+    // Restoring the state drops the transform and the fill style.
+    assertIncludes(
+      SVG,
+      "<rect x=\"0\" y=\"0\" width=\"1\" height=\"1\" ",
+      "fill=\"#ff0000\" fill-opacity=\"0.502\"/>"
+    );
+  });
+
+  it("clips and clears what is drawn", async () => {
+    const CANVAS_2D = svgCanvas(100, 100);
+    const CTX = CANVAS_2D.getContext("2d");
+    CTX.fillRect(0, 0, 100, 100);
+    CTX.clearRect(0, 0, 100, 100);
+    CTX.beginPath();
+    CTX.rect(10, 10, 20, 20);
+    CTX.clip();
+    CTX.fillRect(0, 0, 50, 50);
+    CTX.clearRect(15, 15, 5, 5);
+
+    const SVG = await CANVAS_2D.toSVG();
+    assert.doesNotMatch(SVG, /<rect x="0" y="0" width="100" height="100"/);
+    const CLIP = new RegExp(
+      "<clipPath id=\"(clip\\d+)\">" +
+          "<path d=\"M10 10L30 10L30 30L10 30Z\"/></clipPath>"
+    ).exec(SVG);
+    assert.ok(CLIP);
+    assert.match(
+      SVG,
+      new RegExp(`<g clip-path="url\\(#${CLIP[1]}\\)"><rect x="0" y="0" ` +
+          "width=\"50\" height=\"50\"")
+    );
+    const MASK = new RegExp(
+      "<mask id=\"(mask\\d+)\"[^>]*>.*" +
+          "<rect x=\"15\" y=\"15\" width=\"5\" height=\"5\" " +
+          "fill=\"#000000\"/></mask>"
+    ).exec(SVG);
+    assert.ok(MASK);
+    assert.match(SVG, new RegExp(`<g mask="url\\(#${MASK[1]}\\)">`));
+  });
+
+  it("writes text as text and embeds the fonts it uses", async () => {
+    const CANVAS_2D = svgCanvas(200, 100, {
+      fontFaces: [TEST_FONT_FACE, { ...TEST_FONT_FACE, family: "Unused" }]
+    });
+    const CTX = CANVAS_2D.getContext("2d");
+    CTX.font = "bold 20px Test Sans";
+    CTX.textAlign = "center";
+    CTX.fillText("A < B & \"C\"", 100, 50);
+    CTX.font = "italic 12px 'Other Font'";
+    CTX.textAlign = "start";
+    CTX.fillText("WIDE TEXT", 0, 90, 5);
+
+    const SVG = await CANVAS_2D.toSVG();
+    assertIncludes(
+      SVG,
+      "<text x=\"100\" y=\"50\" font-family=\"Test Sans\" font-size=\"20\" ",
+      "font-weight=\"bold\" text-anchor=\"middle\" fill=\"#000000\">",
+      "A &lt; B &amp; &quot;C&quot;</text>"
+    );
+    // Text wider than its maximum width is squeezed to fit.
+    assertIncludes(
+      SVG,
+      "font-family=\"Other Font\" font-size=\"12\" font-style=\"italic\" ",
+      "textLength=\"5\" lengthAdjust=\"spacingAndGlyphs\""
+    );
+    assertIncludes(
+      SVG,
+      "@font-face { font-family: \"Test Sans\"; ",
+      "src: url(\"data:font/ttf;base64,AAAA\") format(\"truetype\"); ",
+      "font-weight: bold; }"
+    );
+    assert.doesNotMatch(SVG, /Unused/);
+  });
+
+  it("moves text drawn on other baselines to its alphabetic baseline",
+      async () => {
+    const CANVAS_2D = svgCanvas(200, 100);
+    const CTX = CANVAS_2D.getContext("2d");
+    CTX.font = "20px Test Sans";
+    CTX.textBaseline = "top";
+    CTX.fillText("TOP", 0, 10);
+    const METRICS = CTX.measureText("TOP");
+    const ASCENT = METRICS.emHeightAscent ?? METRICS.fontBoundingBoxAscent;
+
+    const SVG = await CANVAS_2D.toSVG();
+    const Y = Number(/<text x="0" y="([\d.]+)"/.exec(SVG)[1]);
+    assert.ok(Math.abs(Y - (10 + ASCENT)) < 0.001);
+  });
+
+  it("traces image data into paths of its pixels", async () => {
+    const CANVAS_2D = svgCanvas(10, 10);
+    const CTX = CANVAS_2D.getContext("2d");
+    const IMAGE_DATA = CTX.createImageData(3, 2);
+    // A row of two black pixels and a transparent one, over a row of one
+    // half-transparent red pixel and two transparent ones.
+    IMAGE_DATA.data.set([0, 0, 0, 255, 0, 0, 0, 255], 0);
+    IMAGE_DATA.data.set([255, 0, 0, 128], 12);
+    CTX.putImageData(IMAGE_DATA, 4, 5);
+
+    const SVG = await CANVAS_2D.toSVG();
+    assertIncludes(
+      SVG,
+      "<path d=\"M4 5h2v1h-2Z\" fill=\"rgb(0,0,0)\" ",
+      "shape-rendering=\"crispEdges\"/>"
+    );
+    assertIncludes(
+      SVG,
+      "<path d=\"M4 6h1v1h-1Z\" fill=\"rgb(255,0,0)\" fill-opacity=\"0.502\""
+    );
+    assert.equal(SVG.match(/<path /g).length, 2);
+  });
+
+  it("keeps drawn SVG canvases as vectors and embeds raster images",
+      async () => {
+    const INNER = svgCanvas(10, 10, { fontFaces: [TEST_FONT_FACE] });
+    INNER.getContext("2d").font = "bold 5px Test Sans";
+    INNER.getContext("2d").fillText("IN", 0, 5);
+    const RASTER = CANVAS.createCanvas(2, 2);
+    RASTER.getContext("2d").fillRect(0, 0, 1, 1);
+
+    const OUTER = svgCanvas(100, 100, { fontFaces: [TEST_FONT_FACE] });
+    const CTX = OUTER.getContext("2d");
+    CTX.drawImage(INNER, 10, 10, 20, 20);
+    CTX.drawImage(RASTER, 0, 0, 1, 1, 50, 50, 10, 10);
+    // Drawing on a canvas after it is drawn does not change the copy.
+    RASTER.getContext("2d").clearRect(0, 0, 2, 2);
+
+    const SVG = await OUTER.toSVG();
+    assert.match(
+      SVG,
+      new RegExp(
+        "<svg x=\"10\" y=\"10\" width=\"20\" height=\"20\" " +
+            "viewBox=\"0 0 10 10\" preserveAspectRatio=\"none\">\n" +
+            "<text [^>]*>IN</text>"
+      )
+    );
+    assert.match(SVG, /@font-face { font-family: "Test Sans";/);
+    const IMAGE = new RegExp(
+      "<svg x=\"50\" y=\"50\" width=\"10\" height=\"10\" " +
+          "viewBox=\"0 0 1 1\" preserveAspectRatio=\"none\">\n" +
+          "<image width=\"2\" height=\"2\" preserveAspectRatio=\"none\" " +
+          "xlink:href=\"data:image/png;base64,([^\"]+)\"/>"
+    ).exec(SVG);
+    assert.ok(IMAGE);
+    const COPY = await CANVAS.loadImage(Buffer.from(IMAGE[1], "base64"));
+    const CHECK = CANVAS.createCanvas(2, 2);
+    CHECK.getContext("2d").drawImage(COPY, 0, 0);
+    assert.equal(CHECK.getContext("2d").getImageData(0, 0, 1, 1).data[3], 255);
+  });
+
+  it("renders documents with text, images, and barcodes", async () => {
+    const RENDERER = new CrewIDRenderer({
+      createCanvas: (width, height) => svgCanvas(width, height),
+      loadImage: createImageLoader(CANVAS.loadImage),
+      loadFonts: createFontLoader(CANVAS.registerFont, {
+        formats: CANVAS.fontFormats
+      })
+    });
+    await RENDERER.loadCanvasFonts();
+    const DOCUMENT = new CrewID();
+
+    const FRONT = await RENDERER.generateCardFront(DOCUMENT);
+    assert.ok(FRONT instanceof SVGCanvas);
+    const FRONT_SVG = await FRONT.toSVG();
+    assert.match(FRONT_SVG, /width="2.24in" height="3.507in"/);
+    assert.match(FRONT_SVG, new RegExp(`>${DOCUMENT.number}</text>`));
+    assert.match(FRONT_SVG, /<image [^>]*xlink:href="data:image\/png;base64,/);
+    assert.match(FRONT_SVG, /@font-face { font-family: "Open Sans"/);
+
+    const BACK_SVG = await (await RENDERER.generateCardBack(DOCUMENT)).toSVG();
+    assert.match(
+      BACK_SVG,
+      new RegExp(
+        "@font-face { font-family: \"OCR-B\"; " +
+            "src: url\\(\"data:application/octet-stream;base64,[^\"]+\"\\) " +
+            "format\\(\"woff2\"\\); }"
+      )
+    );
+    assert.match(BACK_SVG, /font-family="OCR-B"/);
+    // The barcode is traced into paths in a nested viewport.
+    assert.match(BACK_SVG, /<svg x="[\d.]+" y="[\d.]+"[^>]*>\n<path /);
+  });
+});